@@ -0,0 +1,7 @@
+-- Migration: 021_add_loss_of_pay_to_payslips
+-- Record loss-of-pay (unexcused absences + unpaid leave) as its own payslip line
+
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS unpaid_leave_days DECIMAL(4, 1) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS loss_of_pay_days DECIMAL(4, 1) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS loss_of_pay_deduction DECIMAL(15, 2) DEFAULT 0;
@@ -0,0 +1,10 @@
+-- Migration: 022_add_salary_proration
+-- Pro-rate salary for mid-period joiners and leavers
+
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS proration_factor DECIMAL(5, 4) DEFAULT 1;
+
+-- 'calendar_days' or 'working_days'
+INSERT INTO settings (key, value) VALUES
+    ('payroll.prorationBasis', '"calendar_days"')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,74 @@
+-- Migration: 023_create_final_settlements
+-- Final settlement (full-and-final) runs for exiting employees
+
+-- Run type: regular monthly payroll or a single employee's final settlement
+ALTER TABLE payroll_runs
+ADD COLUMN IF NOT EXISTS run_type VARCHAR(20) DEFAULT 'regular' CHECK (
+    run_type IN ('regular', 'final_settlement')
+),
+ADD COLUMN IF NOT EXISTS employee_id UUID REFERENCES employees(id) ON DELETE CASCADE;
+
+-- One regular run per month, one open settlement per employee
+DROP INDEX IF EXISTS idx_payroll_runs_unique_period;
+CREATE UNIQUE INDEX idx_payroll_runs_unique_period
+    ON payroll_runs(month, year)
+    WHERE run_type = 'regular';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_runs_unique_settlement
+    ON payroll_runs(employee_id)
+    WHERE run_type = 'final_settlement' AND status <> 'cancelled';
+
+-- Leave types whose unused balance is paid out on exit
+ALTER TABLE leave_types
+ADD COLUMN IF NOT EXISTS is_encashable BOOLEAN DEFAULT false;
+
+UPDATE leave_types SET is_encashable = true WHERE code = 'AL';
+
+-- Settlement lines on the payslip
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS leave_encashment DECIMAL(15, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS gratuity DECIMAL(15, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS notice_period_recovery DECIMAL(15, 2) DEFAULT 0;
+
+-- Settlement inputs and working figures
+CREATE TABLE IF NOT EXISTS final_settlements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payroll_run_id UUID NOT NULL UNIQUE REFERENCES payroll_runs(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+
+    -- Exit details
+    resignation_date DATE,
+    last_working_date DATE NOT NULL,
+    service_years DECIMAL(5, 2) DEFAULT 0,
+
+    -- Notice period
+    notice_period_days INTEGER DEFAULT 0,
+    notice_served_days INTEGER DEFAULT 0,
+    notice_shortfall_days INTEGER DEFAULT 0,
+
+    -- Leave encashment and gratuity basis
+    encashable_leave_days DECIMAL(5, 1) DEFAULT 0,
+    gratuity_years INTEGER DEFAULT 0,
+
+    -- Recoveries
+    loan_recovery DECIMAL(15, 2) DEFAULT 0,
+
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_final_settlements_employee ON final_settlements(employee_id);
+
+CREATE TRIGGER update_final_settlements_updated_at
+    BEFORE UPDATE ON final_settlements
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO settings (key, value) VALUES
+    ('settlement.noticePeriodDays', '30'),
+    ('settlement.gratuityDaysPerYear', '30'),
+    ('settlement.gratuityMinServiceYears', '1'),
+    ('settlement.encashmentSalaryBasis', '"basic"')
+ON CONFLICT (key) DO NOTHING;
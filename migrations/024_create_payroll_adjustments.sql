@@ -0,0 +1,38 @@
+-- Migration: 024_create_payroll_adjustments
+-- One-off earnings and deductions (bonus, arrears, recoveries) attached to a payroll run
+
+CREATE TABLE IF NOT EXISTS payroll_adjustments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payroll_run_id UUID NOT NULL REFERENCES payroll_runs(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+
+    type VARCHAR(20) NOT NULL CHECK (type IN ('earning', 'deduction')),
+    category VARCHAR(30) NOT NULL CHECK (
+        category IN (
+            'bonus', 'eid_bonus', 'arrears', 'commission', 'reimbursement', 'other_earning',
+            'penalty', 'recovery', 'other_deduction'
+        )
+    ),
+    description VARCHAR(255),
+    amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+    is_taxable BOOLEAN DEFAULT true,
+
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_adjustments_run ON payroll_adjustments(payroll_run_id);
+CREATE INDEX IF NOT EXISTS idx_payroll_adjustments_employee ON payroll_adjustments(employee_id);
+
+CREATE TRIGGER update_payroll_adjustments_updated_at
+    BEFORE UPDATE ON payroll_adjustments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Adjustment totals and itemised lines on the payslip
+-- (bonus-category earnings are written to the existing payslips.bonus column)
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS other_earnings DECIMAL(15, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS adjustment_deductions DECIMAL(15, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS adjustments JSONB DEFAULT '[]'::jsonb;
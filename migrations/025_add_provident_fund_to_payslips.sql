@@ -0,0 +1,8 @@
+-- Migration: 025_add_provident_fund_to_payslips
+-- Record provident fund shares and payment method on the payslip
+
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS provident_fund_employee DECIMAL(15, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS provident_fund_employer DECIMAL(15, 2) DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_payslips_payment_method ON payslips(payroll_run_id, payment_method);
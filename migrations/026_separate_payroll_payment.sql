@@ -0,0 +1,31 @@
+-- Migration: 026_separate_payroll_payment
+-- Separate payroll approval from payment and record bank reconciliation results
+
+-- Payslips whose transfer failed or was returned are flagged for re-issue
+ALTER TABLE payslips DROP CONSTRAINT IF EXISTS payslips_status_check;
+ALTER TABLE payslips ADD CONSTRAINT payslips_status_check CHECK (
+    status IN ('generated', 'approved', 'paid', 'payment_failed', 'cancelled')
+);
+
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS payment_failure_reason TEXT,
+ADD COLUMN IF NOT EXISTS payment_failed_at TIMESTAMP;
+
+ALTER TABLE payroll_runs
+ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP;
+
+-- Approval and payment notify employees separately
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (
+    type IN (
+        'leave_request_submitted',
+        'leave_request_approved',
+        'leave_request_rejected',
+        'leave_request_cancelled',
+        'salary_approved',
+        'salary_credited',
+        'company_notice',
+        'new_notice',
+        'welcome'
+    )
+);
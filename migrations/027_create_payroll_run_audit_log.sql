@@ -0,0 +1,32 @@
+-- Migration: 027_create_payroll_run_audit_log
+-- Cancel and reopen payroll runs with a recorded reason
+
+ALTER TABLE payroll_runs
+ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES users(id),
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- A cancelled regular run no longer blocks a new run for the same month
+DROP INDEX IF EXISTS idx_payroll_runs_unique_period;
+CREATE UNIQUE INDEX idx_payroll_runs_unique_period
+    ON payroll_runs(month, year)
+    WHERE run_type = 'regular' AND status <> 'cancelled';
+
+-- Lifecycle changes made to a run after it was processed
+CREATE TABLE IF NOT EXISTS payroll_run_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payroll_run_id UUID NOT NULL REFERENCES payroll_runs(id) ON DELETE CASCADE,
+
+    action VARCHAR(30) NOT NULL CHECK (action IN ('cancelled', 'reopened')),
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT NOT NULL,
+
+    -- Counts and totals of what was reversed
+    details JSONB DEFAULT '{}',
+
+    performed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_run_audit_log_run ON payroll_run_audit_log(payroll_run_id);
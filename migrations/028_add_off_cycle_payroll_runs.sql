@@ -0,0 +1,26 @@
+-- Migration: 028_add_off_cycle_payroll_runs
+-- Off-cycle and supplementary runs alongside the regular monthly run
+
+ALTER TABLE payroll_runs DROP CONSTRAINT IF EXISTS payroll_runs_run_type_check;
+ALTER TABLE payroll_runs ADD CONSTRAINT payroll_runs_run_type_check CHECK (
+    run_type IN ('regular', 'off_cycle', 'supplementary', 'final_settlement')
+);
+
+-- Off-cycle runs usually pay only their adjustments (e.g. a bonus payout)
+ALTER TABLE payroll_runs
+ADD COLUMN IF NOT EXISTS include_base_salary BOOLEAN DEFAULT true;
+
+-- Employees selected for an off-cycle or supplementary run
+CREATE TABLE IF NOT EXISTS payroll_run_employees (
+    payroll_run_id UUID NOT NULL REFERENCES payroll_runs(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    PRIMARY KEY (payroll_run_id, employee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_run_employees_employee ON payroll_run_employees(employee_id);
+
+-- Monthly salary and one-off amounts taxed in each payslip, so later runs in
+-- the same month can tax the combined income
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS taxable_salary DECIMAL(15, 2),
+ADD COLUMN IF NOT EXISTS taxable_lump_sum DECIMAL(15, 2);
@@ -0,0 +1,21 @@
+-- Migration: 029_create_payslip_revisions
+-- Previous values of payslips recalculated individually inside a run
+
+CREATE TABLE IF NOT EXISTS payslip_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- Kept when the run is reprocessed and the payslip is regenerated
+    payslip_id UUID REFERENCES payslips(id) ON DELETE SET NULL,
+    payroll_run_id UUID NOT NULL REFERENCES payroll_runs(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+
+    revision_number INTEGER NOT NULL,
+    previous_values JSONB NOT NULL,
+    reason TEXT,
+
+    revised_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (payroll_run_id, employee_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payslip_revisions_payslip ON payslip_revisions(payslip_id);
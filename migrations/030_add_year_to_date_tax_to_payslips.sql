@@ -0,0 +1,7 @@
+-- Migration: 030_add_year_to_date_tax_to_payslips
+-- Fiscal-year cumulative tax withholding figures, stored on each payslip for audit
+
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS ytd_taxable_income DECIMAL(18, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS ytd_income_tax DECIMAL(15, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS annual_tax_liability DECIMAL(15, 2) DEFAULT 0;
@@ -0,0 +1,66 @@
+-- Migration: 031_create_tax_years
+-- Income tax slabs per tax year, maintained by HR instead of in code
+
+CREATE TABLE IF NOT EXISTS tax_years (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    label VARCHAR(7) NOT NULL UNIQUE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    notes TEXT,
+
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CHECK (end_date > start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_years_period ON tax_years(start_date, end_date);
+
+CREATE TRIGGER update_tax_years_updated_at
+    BEFORE UPDATE ON tax_years
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Annual income slabs; the top slab has no upper limit
+CREATE TABLE IF NOT EXISTS tax_slabs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tax_year_id UUID NOT NULL REFERENCES tax_years(id) ON DELETE CASCADE,
+    taxpayer_type VARCHAR(10) NOT NULL CHECK (taxpayer_type IN ('filer', 'non_filer')),
+    min_income DECIMAL(15, 2) NOT NULL CHECK (min_income >= 0),
+    max_income DECIMAL(15, 2),
+    rate DECIMAL(5, 2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    fixed_amount DECIMAL(15, 2) NOT NULL DEFAULT 0 CHECK (fixed_amount >= 0),
+
+    UNIQUE (tax_year_id, taxpayer_type, min_income)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_slabs_tax_year ON tax_slabs(tax_year_id);
+
+-- Tax year whose slabs were applied to the payslip
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS tax_year VARCHAR(7);
+
+-- Seed tax year 2024-25 with the slabs previously hardcoded in the tax calculator
+WITH seeded AS (
+    INSERT INTO tax_years (label, start_date, end_date, notes)
+    VALUES ('2024-25', '2024-07-01', '2025-06-30', 'Finance Act 2024')
+    ON CONFLICT (label) DO NOTHING
+    RETURNING id
+)
+INSERT INTO tax_slabs (tax_year_id, taxpayer_type, min_income, max_income, rate, fixed_amount)
+SELECT seeded.id, slabs.taxpayer_type, slabs.min_income, slabs.max_income, slabs.rate, slabs.fixed_amount
+FROM seeded, (VALUES
+    ('filer', 0, 600000, 0, 0),
+    ('filer', 600001, 1200000, 2.5, 0),
+    ('filer', 1200001, 2200000, 12.5, 15000),
+    ('filer', 2200001, 3200000, 22.5, 140000),
+    ('filer', 3200001, 4100000, 27.5, 365000),
+    ('filer', 4100001, NULL, 35, 612500),
+    ('non_filer', 0, 600000, 0, 0),
+    ('non_filer', 600001, 1200000, 2.75, 0),
+    ('non_filer', 1200001, 2200000, 13.75, 16500),
+    ('non_filer', 2200001, 3200000, 24.75, 154000),
+    ('non_filer', 3200001, 4100000, 30.25, 401500),
+    ('non_filer', 4100001, NULL, 38.5, 673750)
+) AS slabs(taxpayer_type, min_income, max_income, rate, fixed_amount);
@@ -0,0 +1,22 @@
+-- Migration: 032_add_employer_contributions
+-- Employer EOBI and SESSI/PESSI shares per payslip, and employer totals per run
+
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS eobi_employer DECIMAL(15, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS sessi_employer DECIMAL(15, 2) DEFAULT 0;
+
+ALTER TABLE payroll_runs
+ADD COLUMN IF NOT EXISTS total_employer_eobi DECIMAL(15, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS total_employer_sessi DECIMAL(15, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS total_employer_provident_fund DECIMAL(15, 2) DEFAULT 0;
+
+-- Employer provident fund was already recorded on payslips; carry it onto existing runs
+UPDATE payroll_runs pr
+SET total_employer_provident_fund = totals.provident_fund
+FROM (
+    SELECT payroll_run_id, SUM(provident_fund_employer) as provident_fund
+    FROM payslips
+    WHERE status <> 'cancelled'
+    GROUP BY payroll_run_id
+) totals
+WHERE totals.payroll_run_id = pr.id;
@@ -0,0 +1,14 @@
+-- Migration: 033_add_social_security_numbers_to_employees
+-- EOBI and provincial social security (SESSI/PESSI) registration numbers for monthly returns
+
+ALTER TABLE employees
+ADD COLUMN IF NOT EXISTS eobi_number VARCHAR(30),
+ADD COLUMN IF NOT EXISTS social_security_number VARCHAR(30);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_employees_eobi_number
+  ON employees(eobi_number)
+  WHERE eobi_number <> '';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_employees_social_security_number
+  ON employees(social_security_number)
+  WHERE social_security_number <> '';
@@ -0,0 +1,65 @@
+-- Migration: 034_create_employee_loans
+-- Employee loans and salary advances, repaid through monthly payroll installments
+
+CREATE TABLE IF NOT EXISTS employee_loans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+
+    loan_type VARCHAR(20) NOT NULL DEFAULT 'loan' CHECK (loan_type IN ('loan', 'advance')),
+    principal DECIMAL(15, 2) NOT NULL CHECK (principal > 0),
+    -- Flat interest on the principal; total_payable = principal + interest
+    interest_rate DECIMAL(5, 2) NOT NULL DEFAULT 0 CHECK (interest_rate >= 0),
+    total_payable DECIMAL(15, 2) NOT NULL CHECK (total_payable >= principal),
+    installment_amount DECIMAL(15, 2) NOT NULL CHECK (installment_amount > 0),
+    start_month INTEGER NOT NULL CHECK (start_month BETWEEN 1 AND 12),
+    start_year INTEGER NOT NULL,
+    balance DECIMAL(15, 2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'closed', 'cancelled')),
+    reason VARCHAR(500),
+    closed_at TIMESTAMP,
+
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_employee_loans_employee ON employee_loans(employee_id);
+CREATE INDEX IF NOT EXISTS idx_employee_loans_status ON employee_loans(status);
+
+CREATE TRIGGER update_employee_loans_updated_at
+    BEFORE UPDATE ON employee_loans
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Repayment schedule, one row per month; a row is linked to the payroll run that
+-- recovered it so cancelling or reopening the run puts it back on the schedule
+CREATE TABLE IF NOT EXISTS loan_installments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    loan_id UUID NOT NULL REFERENCES employee_loans(id) ON DELETE CASCADE,
+
+    month INTEGER NOT NULL CHECK (month BETWEEN 1 AND 12),
+    year INTEGER NOT NULL,
+    amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (
+        status IN ('scheduled', 'deducted', 'skipped', 'settled')
+    ),
+    payroll_run_id UUID REFERENCES payroll_runs(id) ON DELETE SET NULL,
+    notes VARCHAR(500),
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (loan_id, year, month)
+);
+
+CREATE INDEX IF NOT EXISTS idx_loan_installments_due ON loan_installments(status, year, month);
+CREATE INDEX IF NOT EXISTS idx_loan_installments_run ON loan_installments(payroll_run_id);
+
+CREATE TRIGGER update_loan_installments_updated_at
+    BEFORE UPDATE ON loan_installments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Installments recovered on each payslip, in addition to the fixed salary structure deduction
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS loan_installments DECIMAL(15, 2) DEFAULT 0;
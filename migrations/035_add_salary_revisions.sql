@@ -0,0 +1,40 @@
+-- Migration: 035_add_salary_revisions
+-- Dated salary revisions, the structure each payslip was paid at, and arrears paid for backdated raises
+
+ALTER TABLE salary_structures
+ADD COLUMN IF NOT EXISTS revision_reason VARCHAR(500),
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id);
+
+CREATE INDEX IF NOT EXISTS idx_salary_employee_effective ON salary_structures(employee_id, effective_from);
+
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS salary_structure_id UUID REFERENCES salary_structures(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS salary_arrears DECIMAL(15, 2) DEFAULT 0;
+
+-- Existing payslips were paid at the employee's current structure
+UPDATE payslips p
+SET salary_structure_id = ss.id
+FROM salary_structures ss
+WHERE ss.employee_id = p.employee_id
+  AND ss.is_current = true
+  AND p.salary_structure_id IS NULL;
+
+-- Arrears paid in a run, one row per earlier month that was paid at an older rate
+CREATE TABLE IF NOT EXISTS salary_arrears (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payroll_run_id UUID NOT NULL REFERENCES payroll_runs(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    salary_structure_id UUID REFERENCES salary_structures(id) ON DELETE SET NULL,
+
+    month INTEGER NOT NULL CHECK (month BETWEEN 1 AND 12),
+    year INTEGER NOT NULL,
+    paid_monthly_salary DECIMAL(15, 2) NOT NULL,
+    revised_monthly_salary DECIMAL(15, 2) NOT NULL,
+    paid_factor DECIMAL(6, 4) NOT NULL,
+    amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_salary_arrears_run ON salary_arrears(payroll_run_id);
+CREATE INDEX IF NOT EXISTS idx_salary_arrears_employee ON salary_arrears(employee_id, year, month);
@@ -0,0 +1,40 @@
+-- Migration: 036_create_payroll_run_approvals
+-- Maker-checker approval of payroll runs: each approver's decision is recorded with comments
+
+CREATE TABLE IF NOT EXISTS payroll_run_approvals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payroll_run_id UUID NOT NULL REFERENCES payroll_runs(id) ON DELETE CASCADE,
+    decision VARCHAR(20) NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    comments TEXT,
+    decided_by UUID NOT NULL REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_run_approvals_run ON payroll_run_approvals(payroll_run_id, created_at);
+
+-- Approvals count from the start of the current round; processing, recalculating a
+-- payslip or rejecting the run starts a new round
+ALTER TABLE payroll_runs
+ADD COLUMN IF NOT EXISTS approval_round_started_at TIMESTAMP;
+
+UPDATE payroll_runs
+SET approval_round_started_at = processed_at
+WHERE approval_round_started_at IS NULL AND processed_at IS NOT NULL;
+
+-- Approvers are asked to review processed runs and processors hear about rejections
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (
+    type IN (
+        'leave_request_submitted',
+        'leave_request_approved',
+        'leave_request_rejected',
+        'leave_request_cancelled',
+        'salary_approved',
+        'salary_credited',
+        'company_notice',
+        'new_notice',
+        'welcome',
+        'payroll_approval_requested',
+        'payroll_rejected'
+    )
+);
@@ -0,0 +1,51 @@
+-- Migration: 037_create_payroll_period_locks
+-- Lock payroll months once a run is approved, and carry later changes into the next run
+
+-- One row per lock; unlocking fills in who, when and why. A period is locked while
+-- it has a row that has not been unlocked.
+CREATE TABLE IF NOT EXISTS payroll_period_locks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    month INTEGER NOT NULL CHECK (month BETWEEN 1 AND 12),
+    year INTEGER NOT NULL,
+    payroll_run_id UUID REFERENCES payroll_runs(id) ON DELETE SET NULL,
+
+    locked_by UUID REFERENCES users(id),
+    locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    unlocked_by UUID REFERENCES users(id),
+    unlocked_at TIMESTAMP,
+    unlock_reason VARCHAR(500)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_period_locks_active
+    ON payroll_period_locks(year, month) WHERE unlocked_at IS NULL;
+
+-- Attendance and leave changed in a period after it was locked and unlocked again;
+-- the next run pays or recovers the difference
+CREATE TABLE IF NOT EXISTS payroll_period_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    month INTEGER NOT NULL CHECK (month BETWEEN 1 AND 12),
+    year INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('attendance', 'leave')),
+    changed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_period_changes_employee ON payroll_period_changes(employee_id, year, month);
+
+-- Corrections are added to the next run as adjustments for the period they correct
+ALTER TABLE payroll_adjustments
+ADD COLUMN IF NOT EXISTS correction_month INTEGER CHECK (correction_month BETWEEN 1 AND 12),
+ADD COLUMN IF NOT EXISTS correction_year INTEGER;
+
+-- Periods of regular runs already approved or paid start out locked
+INSERT INTO payroll_period_locks (month, year, payroll_run_id, locked_by, locked_at)
+SELECT DISTINCT ON (pr.year, pr.month) pr.month, pr.year, pr.id, pr.approved_by, COALESCE(pr.approved_at, CURRENT_TIMESTAMP)
+FROM payroll_runs pr
+WHERE pr.status IN ('approved', 'paid')
+  AND pr.run_type = 'regular'
+  AND NOT EXISTS (
+    SELECT 1 FROM payroll_period_locks l
+    WHERE l.year = pr.year AND l.month = pr.month AND l.unlocked_at IS NULL
+  )
+ORDER BY pr.year, pr.month, pr.approved_at DESC NULLS LAST;
@@ -0,0 +1,10 @@
+-- Migration: 038_add_payroll_run_processing_progress
+-- Large payroll runs are processed by a background job that reports progress on the run
+
+ALTER TABLE payroll_runs
+ADD COLUMN IF NOT EXISTS processing_total INTEGER,
+ADD COLUMN IF NOT EXISTS processing_done INTEGER,
+ADD COLUMN IF NOT EXISTS processing_error TEXT,
+ADD COLUMN IF NOT EXISTS processing_started_at TIMESTAMP,
+-- Updated after every batch; a run left in processing without a recent heartbeat can be restarted
+ADD COLUMN IF NOT EXISTS processing_heartbeat_at TIMESTAMP;
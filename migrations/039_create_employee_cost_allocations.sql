@@ -0,0 +1,35 @@
+-- Migration: 039_create_employee_cost_allocations
+-- Split an employee's payroll cost across cost centres by percentage, and record on each
+-- payslip where its cost belonged when it was paid, for cost allocation reports
+
+CREATE TABLE IF NOT EXISTS employee_cost_allocations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    cost_centre VARCHAR(50) NOT NULL,
+    percentage DECIMAL(5, 2) NOT NULL CHECK (percentage > 0 AND percentage <= 100),
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (employee_id, cost_centre)
+);
+
+CREATE INDEX IF NOT EXISTS idx_employee_cost_allocations_employee ON employee_cost_allocations(employee_id);
+
+-- Department, location, employment type and cost centre split at the time of payment;
+-- later transfers do not move costs already paid
+ALTER TABLE payslips
+ADD COLUMN IF NOT EXISTS department_id UUID REFERENCES departments(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS work_location VARCHAR(120),
+ADD COLUMN IF NOT EXISTS employment_type VARCHAR(20),
+ADD COLUMN IF NOT EXISTS cost_allocations JSONB;
+
+-- Earlier payslips take the employee's details as they are now, the best record available
+UPDATE payslips p SET
+    department_id = e.department_id,
+    work_location = e.work_location,
+    employment_type = e.employment_type
+FROM employees e
+WHERE e.id = p.employee_id
+  AND p.department_id IS NULL
+  AND p.work_location IS NULL
+  AND p.employment_type IS NULL;
@@ -35,8 +35,13 @@ const ensureSchemaCompatibility = async () => {
               'leave_request_approved',
               'leave_request_rejected',
               'leave_request_cancelled',
+              'salary_approved',
               'salary_credited',
-              'company_notice'
+              'company_notice',
+              'new_notice',
+              'welcome',
+              'payroll_approval_requested',
+              'payroll_rejected'
             )
           ),
           title VARCHAR(255) NOT NULL,
@@ -77,8 +82,13 @@ const ensureSchemaCompatibility = async () => {
             'leave_request_approved',
             'leave_request_rejected',
             'leave_request_cancelled',
+            'salary_approved',
             'salary_credited',
-            'company_notice'
+            'company_notice',
+            'new_notice',
+            'welcome',
+            'payroll_approval_requested',
+            'payroll_rejected'
           )
         )
       `);
@@ -110,7 +120,9 @@ const ensureSchemaCompatibility = async () => {
         ADD COLUMN IF NOT EXISTS legal_id_number VARCHAR(50),
         ADD COLUMN IF NOT EXISTS tax_identifier VARCHAR(30),
         ADD COLUMN IF NOT EXISTS tax_information TEXT,
-        ADD COLUMN IF NOT EXISTS bank_routing_code VARCHAR(50)
+        ADD COLUMN IF NOT EXISTS bank_routing_code VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS eobi_number VARCHAR(30),
+        ADD COLUMN IF NOT EXISTS social_security_number VARCHAR(30)
       `);
 
       await pool.query(`
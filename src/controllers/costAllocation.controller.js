@@ -0,0 +1,30 @@
+/**
+ * Cost Allocation Controller
+ */
+
+const costAllocationService = require('../services/costAllocation.service');
+const { success } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get an employee's cost centre split
+ */
+const getCostAllocations = asyncHandler(async (req, res) => {
+  const allocations = await costAllocationService.getCostAllocations(req.params.id);
+
+  res.json(success(allocations));
+});
+
+/**
+ * Replace an employee's cost centre split
+ */
+const setCostAllocations = asyncHandler(async (req, res) => {
+  const allocations = await costAllocationService.setCostAllocations(req.params.id, req.body.allocations, req.user.id);
+
+  res.json(success(allocations, 'Cost allocations updated'));
+});
+
+module.exports = {
+  getCostAllocations,
+  setCostAllocations,
+};
@@ -0,0 +1,102 @@
+/**
+ * Loan Controller
+ */
+
+const loanService = require('../services/loan.service');
+const { success } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { BadRequestError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Get loans (employees get only their own)
+ */
+const getLoans = asyncHandler(async (req, res) => {
+  const { employeeId, status } = req.query;
+  let targetEmployeeId = employeeId;
+
+  if (req.user.role === 'employee') {
+    if (!req.user.employeeId) {
+      throw new BadRequestError('Employee profile not linked to this account');
+    }
+    if (employeeId && employeeId !== req.user.employeeId) {
+      throw new ForbiddenError('You can only view your own loans');
+    }
+    targetEmployeeId = req.user.employeeId;
+  }
+
+  const loans = await loanService.getLoans({ employeeId: targetEmployeeId, status });
+
+  res.json(success(loans));
+});
+
+/**
+ * Get loan by ID
+ */
+const getLoan = asyncHandler(async (req, res) => {
+  const loan = await loanService.getLoanById(req.params.id);
+
+  if (req.user.role === 'employee' && loan.employeeId !== req.user.employeeId) {
+    throw new ForbiddenError('You do not have permission to access this loan');
+  }
+
+  res.json(success(loan));
+});
+
+/**
+ * Get a loan statement with its installment schedule
+ */
+const getLoanStatement = asyncHandler(async (req, res) => {
+  const statement = await loanService.getLoanStatement(req.params.id);
+
+  if (req.user.role === 'employee' && statement.loan.employeeId !== req.user.employeeId) {
+    throw new ForbiddenError('You do not have permission to access this loan');
+  }
+
+  res.json(success(statement));
+});
+
+/**
+ * Create a loan or salary advance
+ */
+const createLoan = asyncHandler(async (req, res) => {
+  const loan = await loanService.createLoan(req.body, req.user.id);
+
+  res.status(201).json(success(loan, 'Loan created'));
+});
+
+/**
+ * Skip one installment
+ */
+const skipInstallment = asyncHandler(async (req, res) => {
+  const statement = await loanService.skipInstallment(req.params.id, req.body);
+
+  res.json(success(statement, 'Installment skipped'));
+});
+
+/**
+ * Reschedule the outstanding balance
+ */
+const rescheduleLoan = asyncHandler(async (req, res) => {
+  const statement = await loanService.rescheduleLoan(req.params.id, req.body);
+
+  res.json(success(statement, 'Loan rescheduled'));
+});
+
+/**
+ * Cancel a loan
+ */
+const cancelLoan = asyncHandler(async (req, res) => {
+  const loan = await loanService.cancelLoan(req.params.id);
+
+  res.json(success(loan, 'Loan cancelled'));
+});
+
+module.exports = {
+  getLoans,
+  getLoan,
+  getLoanStatement,
+  createLoan,
+  skipInstallment,
+  rescheduleLoan,
+  cancelLoan,
+};
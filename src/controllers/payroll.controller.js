@@ -3,22 +3,27 @@
  */
 
 const payrollService = require('../services/payroll.service');
+const payslipDocumentService = require('../services/payslipDocument.service');
+const payrollApprovalService = require('../services/payrollApproval.service');
+const taxYearService = require('../services/taxYear.service');
 const { calculateAllDeductions, getTaxSlabInfo } = require('../utils/taxCalculator');
 const { success } = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { BadRequestError, ForbiddenError } = require('../utils/errors');
+const { formatLocalDate } = require('../utils/dateTime');
 
 /**
  * Get all payroll runs
  */
 const getPayrollRuns = asyncHandler(async (req, res) => {
-  const { page, limit, year, status } = req.query;
+  const { page, limit, year, status, runType } = req.query;
 
   const result = await payrollService.getPayrollRuns({
     page: parseInt(page) || 1,
     limit: parseInt(limit) || 10,
     year: year ? parseInt(year) : undefined,
     status,
+    runType,
   });
 
   res.json(success(result.payrollRuns, null, result.pagination));
@@ -37,12 +42,16 @@ const getPayrollRun = asyncHandler(async (req, res) => {
  * Create payroll run (draft)
  */
 const createPayrollRun = asyncHandler(async (req, res) => {
-  const { month, year } = req.body;
+  const { month, year, runType, employeeIds, includeBaseSalary, notes } = req.body;
 
   const payrollRun = await payrollService.createPayrollRun({
     month,
     year,
     processedBy: req.user.id,
+    runType,
+    employeeIds,
+    includeBaseSalary,
+    notes,
   });
 
   res.status(201).json(success(payrollRun, 'Payroll run created'));
@@ -54,16 +63,136 @@ const createPayrollRun = asyncHandler(async (req, res) => {
 const processPayroll = asyncHandler(async (req, res) => {
   const payrollRun = await payrollService.processPayroll(req.params.id, req.user.id);
 
+  // Large runs continue in the background; progress is on the run
+  if (payrollRun.status === 'processing') {
+    return res.status(202).json(success(payrollRun, 'Payroll processing started'));
+  }
+
   res.json(success(payrollRun, 'Payroll processed successfully'));
 });
 
 /**
- * Approve payroll
+ * Simulate payroll without saving payslips
+ */
+const simulatePayroll = asyncHandler(async (req, res) => {
+  const simulation = await payrollService.processPayroll(req.params.id, req.user.id, { simulate: true });
+
+  res.json(success(simulation, 'Payroll simulated; nothing was saved'));
+});
+
+/**
+ * Recalculate one employee's payslip in a completed run
+ */
+const recalculatePayslip = asyncHandler(async (req, res) => {
+  const result = await payrollService.recalculatePayslip(req.params.id, req.params.employeeId, {
+    reason: req.body.reason,
+    recalculatedBy: req.user.id,
+  });
+
+  res.json(success(result, 'Payslip recalculated'));
+});
+
+/**
+ * Get revision history of an employee's payslip in a run
+ */
+const getPayslipRevisions = asyncHandler(async (req, res) => {
+  const revisions = await payrollService.getPayslipRevisions(req.params.id, req.params.employeeId);
+
+  res.json(success(revisions));
+});
+
+/**
+ * Approve payroll (the run is approved once every required approval is in)
  */
 const approvePayroll = asyncHandler(async (req, res) => {
-  const payrollRun = await payrollService.approvePayroll(req.params.id, req.user.id);
+  const payrollRun = await payrollService.approvePayroll(req.params.id, req.user.id, {
+    comments: req.body.comments,
+  });
 
-  res.json(success(payrollRun, 'Payroll approved'));
+  res.json(success(
+    payrollRun,
+    payrollRun.status === 'approved' ? 'Payroll approved' : 'Approval recorded; more approvals are required'
+  ));
+});
+
+/**
+ * Reject payroll back to its processor
+ */
+const rejectPayroll = asyncHandler(async (req, res) => {
+  const payrollRun = await payrollService.rejectPayroll(req.params.id, req.user.id, {
+    comments: req.body.comments,
+  });
+
+  res.json(success(payrollRun, 'Payroll rejected'));
+});
+
+/**
+ * Get approval status and decisions for a payroll run
+ */
+const getPayrollRunApprovals = asyncHandler(async (req, res) => {
+  const approvals = await payrollApprovalService.getRunApprovals(req.params.id);
+
+  res.json(success(approvals));
+});
+
+/**
+ * Cancel payroll run
+ */
+const cancelPayroll = asyncHandler(async (req, res) => {
+  const payrollRun = await payrollService.cancelPayroll(req.params.id, {
+    reason: req.body.reason,
+    cancelledBy: req.user.id,
+  });
+
+  res.json(success(payrollRun, 'Payroll cancelled'));
+});
+
+/**
+ * Reopen payroll run as a draft
+ */
+const reopenPayroll = asyncHandler(async (req, res) => {
+  const payrollRun = await payrollService.reopenPayroll(req.params.id, {
+    reason: req.body.reason,
+    reopenedBy: req.user.id,
+  });
+
+  res.json(success(payrollRun, 'Payroll reopened'));
+});
+
+/**
+ * Get cancel and reopen history for a payroll run
+ */
+const getPayrollRunAuditLog = asyncHandler(async (req, res) => {
+  const auditLog = await payrollService.getPayrollRunAuditLog(req.params.id);
+
+  res.json(success(auditLog));
+});
+
+/**
+ * Get disbursement summary by payment method
+ */
+const getDisbursementSummary = asyncHandler(async (req, res) => {
+  const summary = await payrollService.getDisbursementSummary(req.params.id);
+
+  res.json(success(summary));
+});
+
+/**
+ * Download bank transfer file for an approved run
+ */
+const downloadBankFile = asyncHandler(async (req, res) => {
+  const file = await payrollService.generateBankFile(req.params.id, {
+    format: req.query.format,
+    templateCode: req.query.template,
+    scope: req.query.scope,
+  });
+
+  res.setHeader('Content-Type', `${file.contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.setHeader('X-Record-Count', String(file.controls.recordCount));
+  res.setHeader('X-Control-Total', file.controls.totalAmount.toFixed(2));
+  res.setHeader('X-Checksum-SHA256', file.controls.checksum);
+  res.send(file.content);
 });
 
 /**
@@ -106,6 +235,45 @@ const getPayslip = asyncHandler(async (req, res) => {
   res.json(success(payslip));
 });
 
+/**
+ * Download payslip PDF
+ */
+const downloadPayslipPdf = asyncHandler(async (req, res) => {
+  const { payslip, filename, content } = await payslipDocumentService.getPayslipPdf(req.params.id);
+
+  if (req.user.role === 'employee' && payslip.employeeId !== req.user.employeeId) {
+    throw new ForbiddenError('You do not have permission to access this payslip');
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(content);
+});
+
+/**
+ * Download all payslips in a run as a ZIP (employees get only their own)
+ */
+const downloadRunPayslips = asyncHandler(async (req, res) => {
+  let employeeId;
+
+  if (req.user.role === 'employee') {
+    if (!req.user.employeeId) {
+      throw new BadRequestError('Employee profile not linked to this account');
+    }
+    employeeId = req.user.employeeId;
+  }
+
+  const { filename, archive } = await payslipDocumentService.createRunPayslipsArchive(
+    req.params.id,
+    { employeeId }
+  );
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  archive.on('error', () => res.destroy());
+  archive.pipe(res);
+});
+
 /**
  * Get salary history
  */
@@ -139,36 +307,56 @@ const getSalaryHistory = asyncHandler(async (req, res) => {
  * Calculate tax preview
  */
 const calculateTax = asyncHandler(async (req, res) => {
-  const { grossSalary, isFiler } = req.body;
+  const { grossSalary, isFiler, month, year } = req.body;
 
-  const taxDetails = calculateAllDeductions(grossSalary, isFiler === true);
+  const taxTable = await taxYearService.getTaxTableForDate(getPeriodDate(month, year));
+  const taxDetails = calculateAllDeductions(grossSalary, isFiler === true, {}, taxTable);
 
-  res.json(success(taxDetails));
+  res.json(success({ ...taxDetails, taxYear: taxTable.label }));
 });
 
 /**
- * Get tax slabs
+ * Get tax slabs for a payroll period (defaults to the current month)
  */
 const getTaxSlabs = asyncHandler(async (req, res) => {
-  const { type } = req.query;
+  const { type, month, year } = req.query;
   const isFiler = type !== 'non_filer';
 
-  const slabs = getTaxSlabInfo(isFiler);
+  const taxTable = await taxYearService.getTaxTableForDate(getPeriodDate(month, year));
+  const slabs = getTaxSlabInfo(isFiler, taxTable);
 
   res.json(success({
     type: isFiler ? 'filer' : 'non_filer',
+    taxYear: taxTable.label,
     slabs,
   }));
 });
 
+// First day of the given payroll month, or today
+const getPeriodDate = (month, year) => (
+  month && year ? formatLocalDate(new Date(Number(year), Number(month) - 1, 1)) : formatLocalDate()
+);
+
 module.exports = {
   getPayrollRuns,
   getPayrollRun,
   createPayrollRun,
   processPayroll,
+  simulatePayroll,
+  recalculatePayslip,
+  getPayslipRevisions,
   approvePayroll,
+  rejectPayroll,
+  getPayrollRunApprovals,
+  cancelPayroll,
+  reopenPayroll,
+  getPayrollRunAuditLog,
+  getDisbursementSummary,
+  downloadBankFile,
   getPayslips,
   getPayslip,
+  downloadPayslipPdf,
+  downloadRunPayslips,
   getSalaryHistory,
   calculateTax,
   getTaxSlabs,
@@ -0,0 +1,74 @@
+/**
+ * Payroll Adjustment Controller
+ */
+
+const payrollAdjustmentService = require('../services/payrollAdjustment.service');
+const { success } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get adjustments for a payroll run
+ */
+const getAdjustments = asyncHandler(async (req, res) => {
+  const adjustments = await payrollAdjustmentService.getAdjustments(req.params.id, {
+    employeeId: req.query.employeeId,
+  });
+
+  res.json(success(adjustments));
+});
+
+/**
+ * Add an adjustment
+ */
+const createAdjustment = asyncHandler(async (req, res) => {
+  const adjustment = await payrollAdjustmentService.createAdjustment(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  res.status(201).json(success(adjustment, 'Adjustment added'));
+});
+
+/**
+ * Update an adjustment
+ */
+const updateAdjustment = asyncHandler(async (req, res) => {
+  const adjustment = await payrollAdjustmentService.updateAdjustment(
+    req.params.id,
+    req.params.adjustmentId,
+    req.body
+  );
+
+  res.json(success(adjustment, 'Adjustment updated'));
+});
+
+/**
+ * Delete an adjustment
+ */
+const deleteAdjustment = asyncHandler(async (req, res) => {
+  await payrollAdjustmentService.deleteAdjustment(req.params.id, req.params.adjustmentId);
+
+  res.json(success(null, 'Adjustment deleted'));
+});
+
+/**
+ * Bulk import adjustments from CSV
+ */
+const importAdjustments = asyncHandler(async (req, res) => {
+  const result = await payrollAdjustmentService.importAdjustments(
+    req.params.id,
+    req.body.csv,
+    req.user.id
+  );
+
+  res.status(201).json(success(result, `${result.imported} adjustments imported`));
+});
+
+module.exports = {
+  getAdjustments,
+  createAdjustment,
+  updateAdjustment,
+  deleteAdjustment,
+  importAdjustments,
+};
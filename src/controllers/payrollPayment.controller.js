@@ -0,0 +1,30 @@
+/**
+ * Payroll Payment Controller
+ */
+
+const payrollPaymentService = require('../services/payrollPayment.service');
+const { success } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Mark payslips paid or failed
+ */
+const recordPayments = asyncHandler(async (req, res) => {
+  const result = await payrollPaymentService.recordPayments(req.params.id, req.body.payments);
+
+  res.json(success(result, 'Payments recorded'));
+});
+
+/**
+ * Reconcile bank confirmation file
+ */
+const reconcileBankFile = asyncHandler(async (req, res) => {
+  const result = await payrollPaymentService.reconcileBankFile(req.params.id, req.body.csv);
+
+  res.json(success(result, `${result.matched} payments reconciled`));
+});
+
+module.exports = {
+  recordPayments,
+  reconcileBankFile,
+};
@@ -0,0 +1,113 @@
+/**
+ * Payroll Report Controller
+ */
+
+const payrollReportService = require('../services/payrollReport.service');
+const statutoryReportService = require('../services/statutoryReport.service');
+const { success } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get month-over-month variance report (JSON or CSV)
+ */
+const getVarianceReport = asyncHandler(async (req, res) => {
+  const { threshold, format } = req.query;
+
+  const report = await payrollReportService.getVarianceReport(req.params.id, {
+    thresholdPercent: threshold !== undefined ? parseFloat(threshold) : undefined,
+  });
+
+  if (format === 'csv') {
+    const { month, year } = report.payrollRun;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="payroll-variance-${year}-${String(month).padStart(2, '0')}.csv"`
+    );
+    return res.send(payrollReportService.varianceReportToCsv(report));
+  }
+
+  res.json(success(report));
+});
+
+/**
+ * Get an EOBI or social security contribution return (JSON, CSV or fixed-width)
+ */
+const getContributionReturn = asyncHandler(async (req, res) => {
+  const { format } = req.query;
+
+  const report = await statutoryReportService.getContributionReturn(req.params.id, req.params.institution);
+
+  if (format === 'csv' || format === 'fixed') {
+    const { month, year } = report.payrollRun;
+    const filename = `${report.institution}-contributions-${year}-${String(month).padStart(2, '0')}`;
+    const isCsv = format === 'csv';
+
+    res.setHeader('Content-Type', `${isCsv ? 'text/csv' : 'text/plain'}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${isCsv ? 'csv' : 'txt'}"`);
+    res.setHeader('X-Missing-Registration-Count', String(report.missingRegistration.length));
+    return res.send(isCsv
+      ? statutoryReportService.contributionReturnToCsv(report)
+      : statutoryReportService.contributionReturnToFixedWidth(report));
+  }
+
+  res.json(success(report));
+});
+
+/**
+ * Get the salary withholding statement for a fiscal year or quarter (JSON or Annex-C CSV)
+ */
+const getWithholdingStatement = asyncHandler(async (req, res) => {
+  const { fiscalYear, quarter, format } = req.query;
+
+  const statement = await statutoryReportService.getWithholdingStatement({
+    fiscalYear,
+    quarter: quarter !== undefined ? parseInt(quarter, 10) : undefined,
+  });
+
+  if (format === 'csv') {
+    const { period } = statement;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="withholding-statement-${period.fiscalYear}${period.quarter ? `-q${period.quarter}` : ''}.csv"`
+    );
+    res.setHeader('X-Invalid-Cnic-Count', String(statement.invalidCnic.length));
+    res.setHeader('X-Totals-Reconciled', String(statement.reconciliation.matches));
+    return res.send(statutoryReportService.withholdingStatementToCsv(statement));
+  }
+
+  res.json(success(statement));
+});
+
+/**
+ * Get payroll cost by department, location, employment type or cost centre (JSON or CSV)
+ */
+const getCostAllocationReport = asyncHandler(async (req, res) => {
+  const { runId, from, to, groupBy, format } = req.query;
+
+  const report = await payrollReportService.getCostAllocationReport({
+    payrollRunId: runId,
+    from,
+    to,
+    groupBy,
+  });
+
+  if (format === 'csv') {
+    const period = report.period
+      ? `${report.period.from}-to-${report.period.to}`
+      : `${report.payrollRuns[0].year}-${String(report.payrollRuns[0].month).padStart(2, '0')}`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="payroll-cost-by-${report.groupBy}-${period}.csv"`);
+    return res.send(payrollReportService.costAllocationReportToCsv(report));
+  }
+
+  res.json(success(report));
+});
+
+module.exports = {
+  getVarianceReport,
+  getCostAllocationReport,
+  getContributionReturn,
+  getWithholdingStatement,
+};
@@ -0,0 +1,50 @@
+/**
+ * Period Lock Controller
+ */
+
+const periodLockService = require('../services/periodLock.service');
+const { success } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get payroll period lock history
+ */
+const getPeriodLocks = asyncHandler(async (req, res) => {
+  const locks = await periodLockService.getPeriodLocks({
+    year: req.query.year ? parseInt(req.query.year, 10) : undefined,
+  });
+
+  res.json(success(locks));
+});
+
+/**
+ * Lock a payroll period again after it was unlocked
+ */
+const lockPeriod = asyncHandler(async (req, res) => {
+  const lock = await periodLockService.relockPeriod(
+    parseInt(req.params.month, 10),
+    parseInt(req.params.year, 10),
+    req.user.id
+  );
+
+  res.json(success(lock, 'Payroll period locked'));
+});
+
+/**
+ * Unlock a payroll period so its attendance, leave and salary can be corrected
+ */
+const unlockPeriod = asyncHandler(async (req, res) => {
+  const lock = await periodLockService.unlockPeriod(
+    parseInt(req.params.month, 10),
+    parseInt(req.params.year, 10),
+    { reason: req.body.reason, unlockedBy: req.user.id }
+  );
+
+  res.json(success(lock, 'Payroll period unlocked'));
+});
+
+module.exports = {
+  getPeriodLocks,
+  lockPeriod,
+  unlockPeriod,
+};
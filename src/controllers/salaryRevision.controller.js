@@ -0,0 +1,35 @@
+/**
+ * Salary Revision Controller
+ */
+
+const salaryRevisionService = require('../services/salaryRevision.service');
+const { success } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { ForbiddenError } = require('../utils/errors');
+
+/**
+ * Get an employee's salary revisions and pending arrears (employees get only their own)
+ */
+const getSalaryRevisions = asyncHandler(async (req, res) => {
+  if (req.user.role === 'employee' && req.params.id !== req.user.employeeId) {
+    throw new ForbiddenError('You can only view your own salary revisions');
+  }
+
+  const revisions = await salaryRevisionService.getSalaryRevisions(req.params.id);
+
+  res.json(success(revisions));
+});
+
+/**
+ * Revise an employee's salary from an effective date
+ */
+const createSalaryRevision = asyncHandler(async (req, res) => {
+  const result = await salaryRevisionService.createSalaryRevision(req.params.id, req.body, req.user.id);
+
+  res.status(201).json(success(result, 'Salary revised'));
+});
+
+module.exports = {
+  getSalaryRevisions,
+  createSalaryRevision,
+};
@@ -0,0 +1,38 @@
+/**
+ * Settlement Controller
+ */
+
+const settlementService = require('../services/settlement.service');
+const { success } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Create final settlement run (draft)
+ */
+const createSettlement = asyncHandler(async (req, res) => {
+  const { employeeId, resignationDate, loanRecovery, notes } = req.body;
+
+  const settlement = await settlementService.createSettlementRun({
+    employeeId,
+    resignationDate,
+    loanRecovery: loanRecovery ? parseFloat(loanRecovery) : 0,
+    notes,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json(success(settlement, 'Final settlement created'));
+});
+
+/**
+ * Get clearance statement for a final settlement run
+ */
+const getSettlementStatement = asyncHandler(async (req, res) => {
+  const statement = await settlementService.getSettlementStatement(req.params.id);
+
+  res.json(success(statement));
+});
+
+module.exports = {
+  createSettlement,
+  getSettlementStatement,
+};
@@ -0,0 +1,57 @@
+/**
+ * Tax Certificate Controller
+ */
+
+const taxCertificateService = require('../services/taxCertificate.service');
+const { success } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { ForbiddenError } = require('../utils/errors');
+
+/**
+ * Get an employee's annual tax certificate (JSON or PDF; employees get only their own)
+ */
+const getTaxCertificate = asyncHandler(async (req, res) => {
+  const { employeeId } = req.params;
+  const { fiscalYear, format } = req.query;
+
+  if (req.user.role === 'employee' && employeeId !== req.user.employeeId) {
+    throw new ForbiddenError('You do not have permission to access this certificate');
+  }
+
+  if (format === 'pdf') {
+    const { filename, content } = await taxCertificateService.getTaxCertificatePdf(employeeId, fiscalYear);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(content);
+  }
+
+  const certificate = await taxCertificateService.getTaxCertificate(employeeId, fiscalYear);
+
+  res.json(success(certificate));
+});
+
+/**
+ * Generate certificates for every employee paid in a fiscal year (JSON or a ZIP of PDFs)
+ */
+const getTaxCertificates = asyncHandler(async (req, res) => {
+  const { fiscalYear, format } = req.query;
+
+  if (format === 'zip') {
+    const { filename, archive } = await taxCertificateService.createTaxCertificatesArchive(fiscalYear);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    archive.on('error', () => res.destroy());
+    return archive.pipe(res);
+  }
+
+  const certificates = await taxCertificateService.getTaxCertificates(fiscalYear);
+
+  res.json(success(certificates));
+});
+
+module.exports = {
+  getTaxCertificate,
+  getTaxCertificates,
+};
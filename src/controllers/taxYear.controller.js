@@ -0,0 +1,60 @@
+/**
+ * Tax Year Controller
+ */
+
+const taxYearService = require('../services/taxYear.service');
+const { success } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get tax years with their slabs
+ */
+const getTaxYears = asyncHandler(async (req, res) => {
+  const taxYears = await taxYearService.getTaxYears();
+
+  res.json(success(taxYears));
+});
+
+/**
+ * Get tax year by ID
+ */
+const getTaxYear = asyncHandler(async (req, res) => {
+  const taxYear = await taxYearService.getTaxYearById(req.params.id);
+
+  res.json(success(taxYear));
+});
+
+/**
+ * Create tax year
+ */
+const createTaxYear = asyncHandler(async (req, res) => {
+  const taxYear = await taxYearService.createTaxYear(req.body, req.user.id);
+
+  res.status(201).json(success(taxYear, 'Tax year created'));
+});
+
+/**
+ * Update tax year and replace its slabs
+ */
+const updateTaxYear = asyncHandler(async (req, res) => {
+  const taxYear = await taxYearService.updateTaxYear(req.params.id, req.body);
+
+  res.json(success(taxYear, 'Tax year updated'));
+});
+
+/**
+ * Delete tax year
+ */
+const deleteTaxYear = asyncHandler(async (req, res) => {
+  await taxYearService.deleteTaxYear(req.params.id);
+
+  res.json(success(null, 'Tax year deleted'));
+});
+
+module.exports = {
+  getTaxYears,
+  getTaxYear,
+  createTaxYear,
+  updateTaxYear,
+  deleteTaxYear,
+};
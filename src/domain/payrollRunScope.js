@@ -0,0 +1,63 @@
+/**
+ * Payroll Run Scope
+ * Which employees a payroll run pays, shared by processing and by checks made
+ * before a run is processed
+ */
+
+const { formatLocalDate } = require('../utils/dateTime');
+
+// Runs that pay only the employees selected for them
+const SELECTION_RUN_TYPES = ['off_cycle', 'supplementary'];
+
+/**
+ * SQL condition on `employees e` matching the employees a run pays
+ * Regular runs pick active employees plus those who exited during the period,
+ * leaving out anyone whose final settlement covers the period or whose salary
+ * for the period is paid by a supplementary run.
+ * @param {object} payrollRun - payroll_runs row
+ * @returns {{condition: string, params: Array}} Condition and its parameters, numbered from $1
+ */
+const runEmployeeCondition = (payrollRun) => {
+  if (payrollRun.run_type === 'final_settlement') {
+    return { condition: 'e.id = $1', params: [payrollRun.employee_id] };
+  }
+
+  if (SELECTION_RUN_TYPES.includes(payrollRun.run_type)) {
+    return {
+      condition: 'e.id IN (SELECT employee_id FROM payroll_run_employees WHERE payroll_run_id = $1)',
+      params: [payrollRun.id],
+    };
+  }
+
+  return {
+    condition: `e.joining_date <= $2
+        AND (e.end_date IS NULL OR e.end_date >= $1)
+        AND (
+          e.status = 'active'
+          OR (e.status IN ('terminated', 'inactive') AND e.end_date <= $2)
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM payroll_runs sr
+          JOIN final_settlements fs ON fs.payroll_run_id = sr.id
+          WHERE sr.run_type = 'final_settlement'
+            AND sr.employee_id = e.id
+            AND sr.status <> 'cancelled'
+            AND fs.last_working_date <= $2
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM payroll_run_employees pre
+          JOIN payroll_runs br ON br.id = pre.payroll_run_id
+          WHERE pre.employee_id = e.id
+            AND br.include_base_salary = true
+            AND br.status <> 'cancelled'
+            AND br.period_start <= $2
+            AND br.period_end >= $1
+        )`,
+    params: [formatLocalDate(payrollRun.period_start), formatLocalDate(payrollRun.period_end)],
+  };
+};
+
+module.exports = {
+  SELECTION_RUN_TYPES,
+  runEmployeeCondition,
+};
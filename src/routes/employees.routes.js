@@ -4,6 +4,8 @@
 
 const express = require('express');
 const employeeController = require('../controllers/employee.controller');
+const salaryRevisionController = require('../controllers/salaryRevision.controller');
+const costAllocationController = require('../controllers/costAllocation.controller');
 const { protect, hrOnly } = require('../middleware/auth');
 const { commonValidation, body, handleValidation } = require('../middleware/validate');
 
@@ -75,6 +77,8 @@ const employeeValidation = {
     body('legalInfo.legalIdType').optional().isIn(['cnic', 'passport', 'national_id', 'other']),
     body('legalInfo.legalIdNumber').optional().trim().notEmpty(),
     body('legalInfo.taxIdentifier').optional().trim().notEmpty(),
+    body('legalInfo.eobiNumber').optional({ nullable: true }).trim().isLength({ max: 30 }),
+    body('legalInfo.socialSecurityNumber').optional({ nullable: true }).trim().isLength({ max: 30 }),
     body('taxFilingStatus').optional().isIn(['filer', 'non_filer']),
     body('basicSalary').optional().isFloat({ min: 0 }),
 
@@ -197,6 +201,8 @@ const employeeValidation = {
     body('legalIdType').optional().isIn(['cnic', 'passport', 'national_id', 'other']),
     body('legalIdNumber').optional().trim().notEmpty(),
     body('taxIdentifier').optional().trim().notEmpty(),
+    body('eobiNumber').optional({ nullable: true }).trim().isLength({ max: 30 }),
+    body('socialSecurityNumber').optional({ nullable: true }).trim().isLength({ max: 30 }),
     body('bonus').optional().isFloat({ min: 0 }),
     body('overtimeRate').optional().isFloat({ min: 0 }),
     body('providentFundEmployee').optional().isFloat({ min: 0 }),
@@ -207,6 +213,29 @@ const employeeValidation = {
     body('profileImage').trim().notEmpty().withMessage('Profile image is required'),
     handleValidation,
   ],
+  salaryRevision: [
+    body('effectiveFrom').isISO8601().withMessage('Valid effective date is required'),
+    body('basicSalary').optional().isFloat({ gt: 0 }).withMessage('Basic salary must be greater than 0'),
+    body('housingAllowance').optional().isFloat({ min: 0 }),
+    body('transportAllowance').optional().isFloat({ min: 0 }),
+    body('medicalAllowance').optional().isFloat({ min: 0 }),
+    body('utilityAllowance').optional().isFloat({ min: 0 }),
+    body('otherAllowances').optional().isFloat({ min: 0 }),
+    body('bonus').optional().isFloat({ min: 0 }),
+    body('overtimeRate').optional().isFloat({ min: 0 }),
+    body('providentFundEmployee').optional().isFloat({ min: 0 }),
+    body('providentFundEmployer').optional().isFloat({ min: 0 }),
+    body('loanDeduction').optional().isFloat({ min: 0 }),
+    body('otherDeductions').optional().isFloat({ min: 0 }),
+    body('reason').optional({ nullable: true }).trim().isLength({ max: 500 }),
+    handleValidation,
+  ],
+  costAllocations: [
+    body('allocations').isArray().withMessage('Allocations must be a list'),
+    body('allocations.*.costCentre').trim().notEmpty().withMessage('Cost centre is required').isLength({ max: 50 }),
+    body('allocations.*.percentage').isFloat({ gt: 0, max: 100 }).withMessage('Percentage must be between 0 and 100'),
+    handleValidation,
+  ],
 };
 
 // Statistics routes (must be before :id routes)
@@ -220,6 +249,10 @@ router.get('/:id/attendance-leave-summary', employeeController.getAttendanceLeav
 router.get('/', hrOnly, employeeController.getEmployees);
 router.post('/', hrOnly, employeeValidation.create, employeeController.createEmployee);
 router.get('/:id', employeeController.getEmployee);
+router.get('/:id/salary-revisions', commonValidation.uuid('id')[0], salaryRevisionController.getSalaryRevisions);
+router.post('/:id/salary-revisions', hrOnly, commonValidation.uuid('id')[0], employeeValidation.salaryRevision, salaryRevisionController.createSalaryRevision);
+router.get('/:id/cost-allocations', hrOnly, commonValidation.uuid('id')[0], costAllocationController.getCostAllocations);
+router.put('/:id/cost-allocations', hrOnly, commonValidation.uuid('id')[0], employeeValidation.costAllocations, costAllocationController.setCostAllocations);
 router.put('/:id', hrOnly, commonValidation.uuid('id')[0], employeeValidation.update, employeeController.updateEmployee);
 router.delete('/:id', hrOnly, commonValidation.uuid('id')[0], employeeController.deleteEmployee);
 
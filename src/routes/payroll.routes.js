@@ -4,8 +4,16 @@
 
 const express = require('express');
 const payrollController = require('../controllers/payroll.controller');
+const settlementController = require('../controllers/settlement.controller');
+const payrollAdjustmentController = require('../controllers/payrollAdjustment.controller');
+const payrollPaymentController = require('../controllers/payrollPayment.controller');
+const payrollReportController = require('../controllers/payrollReport.controller');
+const taxYearController = require('../controllers/taxYear.controller');
+const taxCertificateController = require('../controllers/taxCertificate.controller');
+const loanController = require('../controllers/loan.controller');
+const periodLockController = require('../controllers/periodLock.controller');
 const { protect, hrOnly } = require('../middleware/auth');
-const { commonValidation, body, handleValidation } = require('../middleware/validate');
+const { commonValidation, body, param, query, handleValidation } = require('../middleware/validate');
 
 const router = express.Router();
 
@@ -15,29 +23,255 @@ const payrollValidation = {
   create: [
     body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
     body('year').isInt({ min: 2020, max: 2100 }).withMessage('Invalid year'),
+    body('runType').optional().isIn(['regular', 'off_cycle', 'supplementary'])
+      .withMessage('Run type must be regular, off_cycle or supplementary'),
+    body('employeeIds').if(body('runType').isIn(['off_cycle', 'supplementary']))
+      .isArray({ min: 1 }).withMessage('Select at least one employee for this run'),
+    body('employeeIds.*').isUUID().withMessage('Valid employee ID is required'),
+    body('includeBaseSalary').optional().isBoolean(),
+    body('notes').optional({ nullable: true }).trim(),
+    handleValidation,
+  ],
+  createSettlement: [
+    body('employeeId').isUUID().withMessage('Valid employee ID is required'),
+    body('resignationDate').optional({ nullable: true }).isISO8601().withMessage('Valid resignation date is required'),
+    body('loanRecovery').optional().isFloat({ min: 0 }).withMessage('Loan recovery must be a positive number'),
+    body('notes').optional().trim(),
+    handleValidation,
+  ],
+  createAdjustment: [
+    body('employeeId').isUUID().withMessage('Valid employee ID is required'),
+    body('type').isIn(['earning', 'deduction']).withMessage('Type must be earning or deduction'),
+    body('category').trim().notEmpty().withMessage('Category is required'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 }),
+    body('isTaxable').optional().isBoolean(),
+    handleValidation,
+  ],
+  updateAdjustment: [
+    body('type').optional().isIn(['earning', 'deduction']).withMessage('Type must be earning or deduction'),
+    body('category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 }),
+    body('isTaxable').optional().isBoolean(),
+    handleValidation,
+  ],
+  importAdjustments: [
+    body('csv').isString().notEmpty().withMessage('CSV content is required'),
+    handleValidation,
+  ],
+  bankFile: [
+    query('format').optional().isIn(['csv', 'ibft', 'template']).withMessage('Format must be csv, ibft or template'),
+    query('template').if(query('format').equals('template')).trim().notEmpty().withMessage('Template code is required'),
+    query('scope').optional().isIn(['pending', 'failed']).withMessage('Scope must be pending or failed'),
+    handleValidation,
+  ],
+  recordPayments: [
+    body('payments').isArray({ min: 1 }).withMessage('Payments must be a non-empty array'),
+    body('payments.*.payslipId').isUUID().withMessage('Valid payslip ID is required'),
+    body('payments.*.status').isIn(['paid', 'failed']).withMessage('Status must be paid or failed'),
+    body('payments.*.reference').optional({ nullable: true }).trim().isLength({ max: 100 }),
+    body('payments.*.reason').optional({ nullable: true }).trim(),
+    body('payments.*.paidAt').optional({ nullable: true }).isISO8601().withMessage('Invalid payment date'),
+    handleValidation,
+  ],
+  reconcile: [
+    body('csv').isString().notEmpty().withMessage('CSV content is required'),
+    handleValidation,
+  ],
+  variance: [
+    query('threshold').optional().isFloat({ min: 0 }).withMessage('Threshold must be a positive number'),
+    query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+    handleValidation,
+  ],
+  costAllocation: [
+    query('runId').optional().isUUID().withMessage('Valid payroll run ID is required'),
+    query('from').optional().isISO8601().withMessage('Valid start date is required'),
+    query('to').optional().isISO8601().withMessage('Valid end date is required'),
+    query('groupBy').optional().isIn(['department', 'location', 'employmentType', 'costCentre'])
+      .withMessage('Group by must be department, location, employmentType or costCentre'),
+    query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+    handleValidation,
+  ],
+  contributionReturn: [
+    param('institution').isIn(['eobi', 'social_security']).withMessage('Institution must be eobi or social_security'),
+    query('format').optional().isIn(['json', 'csv', 'fixed']).withMessage('Format must be json, csv or fixed'),
+    handleValidation,
+  ],
+  withholdingStatement: [
+    query('fiscalYear').optional().matches(/^\d{4}-\d{2}$/).withMessage('Fiscal year must look like 2024-25'),
+    query('quarter').optional().isInt({ min: 1, max: 4 }).withMessage('Quarter must be between 1 and 4'),
+    query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+    handleValidation,
+  ],
+  changeStatus: [
+    body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }),
+    handleValidation,
+  ],
+  approve: [
+    body('comments').optional({ nullable: true }).trim().isLength({ max: 1000 }),
+    handleValidation,
+  ],
+  reject: [
+    body('comments').trim().notEmpty().withMessage('Comments are required').isLength({ max: 1000 }),
+    handleValidation,
+  ],
+  periodLocks: [
+    query('year').optional().isInt({ min: 2020, max: 2100 }).withMessage('Invalid year'),
+    handleValidation,
+  ],
+  period: [
+    param('year').isInt({ min: 2020, max: 2100 }).withMessage('Invalid year'),
+    param('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    handleValidation,
+  ],
+  recalculate: [
+    body('reason').optional({ nullable: true }).trim().isLength({ max: 500 }),
     handleValidation,
   ],
   calculateTax: [
     body('grossSalary').isFloat({ min: 0 }).withMessage('Gross salary must be a positive number'),
     body('isFiler').optional().isBoolean(),
+    body('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    body('year').optional().isInt({ min: 2020, max: 2100 }).withMessage('Invalid year'),
+    handleValidation,
+  ],
+  taxSlabs: [
+    query('type').optional().isIn(['filer', 'non_filer']).withMessage('Type must be filer or non_filer'),
+    query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    query('year').optional().isInt({ min: 2020, max: 2100 }).withMessage('Invalid year'),
+    handleValidation,
+  ],
+  createTaxYear: [
+    body('label').trim().matches(/^\d{4}-\d{2}$/).withMessage('Label must look like 2025-26'),
+    body('startDate').isISO8601().withMessage('Valid start date is required'),
+    body('endDate').isISO8601().withMessage('Valid end date is required'),
+    body('notes').optional({ nullable: true }).trim(),
+    body('slabs.filer').isArray({ min: 1 }).withMessage('Filer slabs are required'),
+    body('slabs.nonFiler').isArray({ min: 1 }).withMessage('Non-filer slabs are required'),
+    handleValidation,
+  ],
+  updateTaxYear: [
+    body('label').optional().trim().matches(/^\d{4}-\d{2}$/).withMessage('Label must look like 2025-26'),
+    body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+    body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+    body('notes').optional({ nullable: true }).trim(),
+    body('slabs.filer').if(body('slabs').exists()).isArray({ min: 1 }).withMessage('Filer slabs are required'),
+    body('slabs.nonFiler').if(body('slabs').exists()).isArray({ min: 1 }).withMessage('Non-filer slabs are required'),
+    handleValidation,
+  ],
+  taxCertificate: [
+    query('fiscalYear').optional().matches(/^\d{4}-\d{2}$/).withMessage('Fiscal year must look like 2024-25'),
+    query('format').optional().isIn(['json', 'pdf']).withMessage('Format must be json or pdf'),
+    handleValidation,
+  ],
+  taxCertificates: [
+    query('fiscalYear').optional().matches(/^\d{4}-\d{2}$/).withMessage('Fiscal year must look like 2024-25'),
+    query('format').optional().isIn(['json', 'zip']).withMessage('Format must be json or zip'),
+    handleValidation,
+  ],
+  loans: [
+    query('employeeId').optional().isUUID().withMessage('Valid employee ID is required'),
+    query('status').optional().isIn(['active', 'closed', 'cancelled']).withMessage('Status must be active, closed or cancelled'),
+    handleValidation,
+  ],
+  createLoan: [
+    body('employeeId').isUUID().withMessage('Valid employee ID is required'),
+    body('loanType').optional().isIn(['loan', 'advance']).withMessage('Loan type must be loan or advance'),
+    body('principal').isFloat({ gt: 0 }).withMessage('Principal must be greater than 0'),
+    body('interestRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Interest rate must be between 0 and 100'),
+    body('installmentAmount').optional().isFloat({ gt: 0 }).withMessage('Installment amount must be greater than 0'),
+    body('startMonth').isInt({ min: 1, max: 12 }).withMessage('Start month must be between 1 and 12'),
+    body('startYear').isInt({ min: 2020, max: 2100 }).withMessage('Invalid start year'),
+    body('reason').optional({ nullable: true }).trim().isLength({ max: 500 }),
+    handleValidation,
+  ],
+  skipInstallment: [
+    body('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    body('year').isInt({ min: 2020, max: 2100 }).withMessage('Invalid year'),
+    body('reason').optional({ nullable: true }).trim().isLength({ max: 500 }),
+    handleValidation,
+  ],
+  rescheduleLoan: [
+    body('startMonth').isInt({ min: 1, max: 12 }).withMessage('Start month must be between 1 and 12'),
+    body('startYear').isInt({ min: 2020, max: 2100 }).withMessage('Invalid start year'),
+    body('installmentAmount').optional().isFloat({ gt: 0 }).withMessage('Installment amount must be greater than 0'),
     handleValidation,
   ],
 };
 
 // Tax info (public for authenticated users)
-router.get('/tax-slabs', payrollController.getTaxSlabs);
+router.get('/tax-slabs', payrollValidation.taxSlabs, payrollController.getTaxSlabs);
 router.post('/calculate-tax', payrollValidation.calculateTax, payrollController.calculateTax);
 
+// Tax years and their slabs (changes HR only)
+router.get('/tax-years', taxYearController.getTaxYears);
+router.post('/tax-years', hrOnly, payrollValidation.createTaxYear, taxYearController.createTaxYear);
+router.get('/tax-years/:id', commonValidation.uuid('id')[0], taxYearController.getTaxYear);
+router.put('/tax-years/:id', hrOnly, commonValidation.uuid('id')[0], payrollValidation.updateTaxYear, taxYearController.updateTaxYear);
+router.delete('/tax-years/:id', hrOnly, commonValidation.uuid('id')[0], taxYearController.deleteTaxYear);
+
+// Annual tax certificates (bulk generation HR only)
+router.get('/tax-certificates', hrOnly, payrollValidation.taxCertificates, taxCertificateController.getTaxCertificates);
+router.get('/tax-certificates/:employeeId', commonValidation.uuid('employeeId')[0], payrollValidation.taxCertificate, taxCertificateController.getTaxCertificate);
+
+// Statutory returns (HR only)
+router.get('/statutory/withholding-statement', hrOnly, payrollValidation.withholdingStatement, payrollReportController.getWithholdingStatement);
+
+// Cost allocation (HR only)
+router.get('/reports/cost-allocation', hrOnly, payrollValidation.costAllocation, payrollReportController.getCostAllocationReport);
+
 // Payslips
 router.get('/payslips', payrollController.getPayslips);
 router.get('/payslips/:id', commonValidation.uuid('id')[0], payrollController.getPayslip);
+router.get('/payslips/:id/pdf', commonValidation.uuid('id')[0], payrollController.downloadPayslipPdf);
+router.get('/runs/:id/payslips/zip', commonValidation.uuid('id')[0], payrollController.downloadRunPayslips);
 
 // Payroll runs (HR only)
 router.get('/runs', hrOnly, payrollController.getPayrollRuns);
 router.post('/runs', hrOnly, payrollValidation.create, payrollController.createPayrollRun);
 router.get('/runs/:id', hrOnly, commonValidation.uuid('id')[0], payrollController.getPayrollRun);
 router.post('/runs/:id/process', hrOnly, commonValidation.uuid('id')[0], payrollController.processPayroll);
-router.post('/runs/:id/approve', hrOnly, commonValidation.uuid('id')[0], payrollController.approvePayroll);
+router.post('/runs/:id/simulate', hrOnly, commonValidation.uuid('id')[0], payrollController.simulatePayroll);
+router.post('/runs/:id/payslips/:employeeId/recalculate', hrOnly, commonValidation.uuid('id')[0], commonValidation.uuid('employeeId')[0], payrollValidation.recalculate, payrollController.recalculatePayslip);
+router.get('/runs/:id/payslips/:employeeId/revisions', hrOnly, commonValidation.uuid('id')[0], commonValidation.uuid('employeeId')[0], payrollController.getPayslipRevisions);
+router.post('/runs/:id/approve', hrOnly, commonValidation.uuid('id')[0], payrollValidation.approve, payrollController.approvePayroll);
+router.post('/runs/:id/reject', hrOnly, commonValidation.uuid('id')[0], payrollValidation.reject, payrollController.rejectPayroll);
+router.get('/runs/:id/approvals', hrOnly, commonValidation.uuid('id')[0], payrollController.getPayrollRunApprovals);
+router.post('/runs/:id/cancel', hrOnly, commonValidation.uuid('id')[0], payrollValidation.changeStatus, payrollController.cancelPayroll);
+router.post('/runs/:id/reopen', hrOnly, commonValidation.uuid('id')[0], payrollValidation.changeStatus, payrollController.reopenPayroll);
+router.get('/runs/:id/audit-log', hrOnly, commonValidation.uuid('id')[0], payrollController.getPayrollRunAuditLog);
+router.get('/runs/:id/variance', hrOnly, commonValidation.uuid('id')[0], payrollValidation.variance, payrollReportController.getVarianceReport);
+router.get('/runs/:id/statutory/:institution', hrOnly, commonValidation.uuid('id')[0], payrollValidation.contributionReturn, payrollReportController.getContributionReturn);
+router.get('/runs/:id/disbursements', hrOnly, commonValidation.uuid('id')[0], payrollController.getDisbursementSummary);
+router.get('/runs/:id/bank-file', hrOnly, commonValidation.uuid('id')[0], payrollValidation.bankFile, payrollController.downloadBankFile);
+router.post('/runs/:id/payments', hrOnly, commonValidation.uuid('id')[0], payrollValidation.recordPayments, payrollPaymentController.recordPayments);
+router.post('/runs/:id/reconcile', hrOnly, commonValidation.uuid('id')[0], payrollValidation.reconcile, payrollPaymentController.reconcileBankFile);
+
+// Run adjustments (HR only, draft runs)
+router.get('/runs/:id/adjustments', hrOnly, commonValidation.uuid('id')[0], payrollAdjustmentController.getAdjustments);
+router.post('/runs/:id/adjustments', hrOnly, commonValidation.uuid('id')[0], payrollValidation.createAdjustment, payrollAdjustmentController.createAdjustment);
+router.post('/runs/:id/adjustments/import', hrOnly, commonValidation.uuid('id')[0], payrollValidation.importAdjustments, payrollAdjustmentController.importAdjustments);
+router.put('/runs/:id/adjustments/:adjustmentId', hrOnly, commonValidation.uuid('id')[0], commonValidation.uuid('adjustmentId')[0], payrollValidation.updateAdjustment, payrollAdjustmentController.updateAdjustment);
+router.delete('/runs/:id/adjustments/:adjustmentId', hrOnly, commonValidation.uuid('id')[0], commonValidation.uuid('adjustmentId')[0], payrollAdjustmentController.deleteAdjustment);
+
+// Payroll period locks (HR only); unlocking needs a reason
+router.get('/periods/locks', hrOnly, payrollValidation.periodLocks, periodLockController.getPeriodLocks);
+router.post('/periods/:year/:month/lock', hrOnly, payrollValidation.period, periodLockController.lockPeriod);
+router.post('/periods/:year/:month/unlock', hrOnly, payrollValidation.period, payrollValidation.changeStatus, periodLockController.unlockPeriod);
+
+// Final settlements (HR only)
+router.post('/settlements', hrOnly, payrollValidation.createSettlement, settlementController.createSettlement);
+router.get('/settlements/:id/statement', hrOnly, commonValidation.uuid('id')[0], settlementController.getSettlementStatement);
+
+// Loans and salary advances (employees can view their own)
+router.get('/loans', payrollValidation.loans, loanController.getLoans);
+router.post('/loans', hrOnly, payrollValidation.createLoan, loanController.createLoan);
+router.get('/loans/:id', commonValidation.uuid('id')[0], loanController.getLoan);
+router.get('/loans/:id/statement', commonValidation.uuid('id')[0], loanController.getLoanStatement);
+router.post('/loans/:id/skip', hrOnly, commonValidation.uuid('id')[0], payrollValidation.skipInstallment, loanController.skipInstallment);
+router.post('/loans/:id/reschedule', hrOnly, commonValidation.uuid('id')[0], payrollValidation.rescheduleLoan, loanController.rescheduleLoan);
+router.post('/loans/:id/cancel', hrOnly, commonValidation.uuid('id')[0], loanController.cancelLoan);
 
 // Salary history
 router.get('/salary-history', payrollController.getSalaryHistory);
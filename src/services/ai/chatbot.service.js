@@ -200,7 +200,7 @@ const buildContextSnapshot = async (userId, userRole) => {
       `),
       db.query(`
         SELECT month, year, status, total_employees, total_gross_salary, total_net_salary
-        FROM payroll_runs ORDER BY year DESC, month DESC LIMIT 1
+        FROM payroll_runs WHERE run_type = 'regular' ORDER BY year DESC, month DESC LIMIT 1
       `),
       db.query(`
         SELECT COUNT(*) FILTER (WHERE status='new') as new_alerts,
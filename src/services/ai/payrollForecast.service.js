@@ -42,6 +42,7 @@ const generateForecast = async (months = 6) => {
     // Estimate deductions (typically 15-25% of gross)
     const estimatedDeductions = projectedGross * 0.18;
     const projectedNet = projectedGross - estimatedDeductions;
+    const projectedEmployerContributions = projectedGross * trends.employerContributionRate;
 
     forecasts.push({
       month,
@@ -51,6 +52,8 @@ const generateForecast = async (months = 6) => {
       projectedGrossSalary: Math.round(projectedGross),
       projectedDeductions: Math.round(estimatedDeductions),
       projectedNetSalary: Math.round(projectedNet),
+      projectedEmployerContributions: Math.round(projectedEmployerContributions),
+      projectedTotalCost: Math.round(projectedGross + projectedEmployerContributions),
       confidenceLevel: Math.max(50, 95 - (i * 5)), // Confidence decreases over time
       seasonalFactor: seasonalFactor.toFixed(2),
     });
@@ -59,14 +62,16 @@ const generateForecast = async (months = 6) => {
     baseEmployees = projectedEmployees;
   }
 
-  // Calculate summary
-  const totalProjectedCost = forecasts.reduce((sum, f) => sum + f.projectedGrossSalary, 0);
+  // Calculate summary (cost to the company includes employer contributions)
+  const totalProjectedGross = forecasts.reduce((sum, f) => sum + f.projectedGrossSalary, 0);
+  const totalProjectedCost = forecasts.reduce((sum, f) => sum + f.projectedTotalCost, 0);
   const avgMonthlyProjection = totalProjectedCost / months;
 
   return {
     success: true,
     summary: {
       forecastPeriod: `${months} months`,
+      totalProjectedGrossSalary: Math.round(totalProjectedGross),
       totalProjectedCost: Math.round(totalProjectedCost),
       averageMonthlyProjection: Math.round(avgMonthlyProjection),
       growthRate: `${(trends.grossGrowthRate * 100).toFixed(1)}% per month`,
@@ -77,6 +82,7 @@ const generateForecast = async (months = 6) => {
     historicalData: historicalData.slice(0, 6).map(h => ({
       period: `${h.year}-${String(h.month).padStart(2, '0')}`,
       grossSalary: parseFloat(h.total_gross),
+      employerContributions: parseFloat(h.total_employer_contributions) || 0,
       employeeCount: parseInt(h.employee_count),
     })),
   };
@@ -93,9 +99,11 @@ const getHistoricalPayroll = async (months = 12) => {
       total_gross_salary as total_gross,
       total_net_salary as total_net,
       total_employees as employee_count,
-      total_deductions
+      total_deductions,
+      total_employer_eobi + total_employer_sessi + total_employer_provident_fund as total_employer_contributions
     FROM payroll_runs
     WHERE status IN ('completed', 'approved', 'paid')
+      AND run_type = 'regular'
     ORDER BY year DESC, month DESC
     LIMIT $1
   `, [months]);
@@ -112,6 +120,7 @@ const calculateTrends = (data) => {
       grossGrowthRate: 0.02, // Default 2% growth
       employeeGrowthRate: 0.01,
       avgGross: parseFloat(data[0]?.total_gross) || 0,
+      employerContributionRate: getEmployerContributionRate(data),
     };
   }
 
@@ -152,10 +161,21 @@ const calculateTrends = (data) => {
     grossGrowthRate: Math.max(-0.1, Math.min(0.2, avgGrossGrowth)), // Cap between -10% and 20%
     employeeGrowthRate: Math.max(-0.05, Math.min(0.1, avgEmployeeGrowth)),
     avgGross,
+    employerContributionRate: getEmployerContributionRate(data),
     dataPoints: data.length,
   };
 };
 
+/**
+ * Employer EOBI, SESSI and provident fund as a share of gross pay
+ */
+const getEmployerContributionRate = (data) => {
+  const gross = data.reduce((sum, d) => sum + (parseFloat(d.total_gross) || 0), 0);
+  const employer = data.reduce((sum, d) => sum + (parseFloat(d.total_employer_contributions) || 0), 0);
+
+  return gross > 0 ? employer / gross : 0;
+};
+
 /**
  * Get seasonal adjustment factor
  * Accounts for bonuses, increments, etc.
@@ -188,10 +208,12 @@ const getBudgetComparison = async (year) => {
       month,
       total_gross_salary as actual_gross,
       total_net_salary as actual_net,
+      total_employer_eobi + total_employer_sessi + total_employer_provident_fund as actual_employer_contributions,
       total_employees
     FROM payroll_runs
     WHERE year = $1
       AND status IN ('completed', 'approved', 'paid')
+      AND run_type = 'regular'
     ORDER BY month
   `, [year]);
 
@@ -203,6 +225,8 @@ const getBudgetComparison = async (year) => {
   return result.rows.map(row => ({
     month: row.month,
     actualGross: parseFloat(row.actual_gross),
+    actualEmployerContributions: parseFloat(row.actual_employer_contributions) || 0,
+    actualTotalCost: parseFloat(row.actual_gross) + (parseFloat(row.actual_employer_contributions) || 0),
     budgetedGross: Math.round(monthlyBudget),
     variance: Math.round(parseFloat(row.actual_gross) - monthlyBudget),
     variancePercent: monthlyBudget > 0
@@ -7,6 +7,7 @@ const db = require('../config/database');
 const { NotFoundError, BadRequestError } = require('../utils/errors');
 const { transformAttendance, transformAttendanceList } = require('../utils/transformers');
 const { formatLocalDate, formatLocalTime } = require('../utils/dateTime');
+const periodLockService = require('./periodLock.service');
 
 /**
  * Get attendance records with filters
@@ -191,35 +192,20 @@ const checkOut = async ({ employeeId, checkOutLocation }) => {
 
 /**
  * Mark attendance manually (for HR/Admin)
+ * Dates in a locked payroll month are rejected
  */
 const markAttendance = async ({ employeeId, date, checkIn, checkOut, status, notes, markedBy }) => {
-  // Check if record exists
-  const existing = await db.query(
-    'SELECT id FROM attendance WHERE employee_id = $1 AND date = $2',
-    [employeeId, date]
-  );
+  await periodLockService.recordPeriodChange(db, {
+    employeeIds: [employeeId],
+    from: date,
+    source: 'attendance',
+    subject: 'attendance',
+    changedBy: markedBy,
+  });
 
-  if (existing.rows.length > 0) {
-    // Update existing record
-    const result = await db.query(
-      `UPDATE attendance
-       SET check_in = $1, check_out = $2, status = $3, notes = $4, marked_by = $5
-       WHERE id = $6
-       RETURNING *`,
-      [checkIn, checkOut, status, notes, markedBy, existing.rows[0].id]
-    );
-    return getAttendanceById(result.rows[0].id);
-  }
+  const attendanceId = await saveAttendance(db, { employeeId, date, checkIn, checkOut, status, notes, markedBy });
 
-  // Create new record
-  const result = await db.query(
-    `INSERT INTO attendance (employee_id, date, check_in, check_out, status, notes, marked_by)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
-     RETURNING *`,
-    [employeeId, date, checkIn, checkOut, status, notes, markedBy]
-  );
-
-  return getAttendanceById(result.rows[0].id);
+  return getAttendanceById(attendanceId);
 };
 
 /**
@@ -291,30 +277,84 @@ const getDailyStats = async (date) => {
 
 /**
  * Bulk mark attendance
+ * Nothing is marked if any record is dated in a locked payroll month; changes to
+ * unlocked months that were already paid are recorded like single edits
  */
 const bulkMarkAttendance = async (records, markedBy) => {
+  const employeesByDate = new Map();
+
+  for (const record of records) {
+    if (!employeesByDate.has(record.date)) {
+      employeesByDate.set(record.date, new Set());
+    }
+    employeesByDate.get(record.date).add(record.employeeId);
+  }
+
   const client = await db.getClient();
+  const attendanceIds = [];
 
   try {
     await client.query('BEGIN');
 
-    const results = [];
-    for (const record of records) {
-      const result = await markAttendance({
-        ...record,
-        markedBy,
+    for (const [date, employeeIds] of employeesByDate) {
+      await periodLockService.recordPeriodChange(client, {
+        employeeIds: [...employeeIds],
+        from: date,
+        source: 'attendance',
+        subject: 'attendance',
+        changedBy: markedBy,
       });
-      results.push(result);
+    }
+
+    for (const record of records) {
+      attendanceIds.push(await saveAttendance(client, { ...record, markedBy }));
     }
 
     await client.query('COMMIT');
-    return results;
   } catch (error) {
     await client.query('ROLLBACK');
     throw error;
   } finally {
     client.release();
   }
+
+  const results = [];
+  for (const attendanceId of attendanceIds) {
+    results.push(await getAttendanceById(attendanceId));
+  }
+  return results;
+};
+
+// Helper functions
+
+/**
+ * Insert or update an employee's attendance for a date
+ * @returns {Promise<string>} Attendance record ID
+ */
+const saveAttendance = async (queryable, { employeeId, date, checkIn, checkOut, status, notes, markedBy }) => {
+  const existing = await queryable.query(
+    'SELECT id FROM attendance WHERE employee_id = $1 AND date = $2',
+    [employeeId, date]
+  );
+
+  if (existing.rows.length > 0) {
+    await queryable.query(
+      `UPDATE attendance
+       SET check_in = $1, check_out = $2, status = $3, notes = $4, marked_by = $5
+       WHERE id = $6`,
+      [checkIn, checkOut, status, notes, markedBy, existing.rows[0].id]
+    );
+    return existing.rows[0].id;
+  }
+
+  const result = await queryable.query(
+    `INSERT INTO attendance (employee_id, date, check_in, check_out, status, notes, marked_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [employeeId, date, checkIn, checkOut, status, notes, markedBy]
+  );
+
+  return result.rows[0].id;
 };
 
 module.exports = {
@@ -0,0 +1,94 @@
+/**
+ * Cost Allocation Service
+ * Split an employee's payroll cost across cost centres by percentage
+ */
+
+const db = require('../config/database');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+
+/**
+ * Get an employee's cost centre split, largest share first
+ */
+const getCostAllocations = async (employeeId) => {
+  await ensureEmployee(employeeId);
+
+  const result = await db.query(
+    `SELECT * FROM employee_cost_allocations
+     WHERE employee_id = $1
+     ORDER BY percentage DESC, cost_centre`,
+    [employeeId]
+  );
+
+  return result.rows.map(transformAllocation);
+};
+
+/**
+ * Replace an employee's cost centre split
+ * Shares must add up to 100%; an empty list removes the split, and the
+ * employee's cost is then reported unallocated. Payslips keep the split in
+ * effect when they were processed.
+ * @param {Array<{costCentre: string, percentage: number}>} allocations
+ */
+const setCostAllocations = async (employeeId, allocations, createdBy) => {
+  await ensureEmployee(employeeId);
+
+  const costCentres = allocations.map((allocation) => allocation.costCentre.trim());
+
+  if (new Set(costCentres.map((code) => code.toLowerCase())).size !== costCentres.length) {
+    throw new BadRequestError('Each cost centre can only appear once');
+  }
+
+  const total = allocations.reduce((sum, allocation) => sum + Number(allocation.percentage), 0);
+
+  if (allocations.length > 0 && Math.abs(total - 100) > 0.001) {
+    throw new BadRequestError(`Cost centre shares must add up to 100% (got ${Math.round(total * 100) / 100}%)`);
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DELETE FROM employee_cost_allocations WHERE employee_id = $1', [employeeId]);
+
+    if (allocations.length > 0) {
+      await client.query(
+        `INSERT INTO employee_cost_allocations (employee_id, cost_centre, percentage, created_by)
+         SELECT $1, *, $4
+         FROM unnest($2::varchar[], $3::numeric[])`,
+        [employeeId, costCentres, allocations.map((allocation) => Number(allocation.percentage)), createdBy]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getCostAllocations(employeeId);
+};
+
+// Helper functions
+
+const ensureEmployee = async (employeeId) => {
+  const result = await db.query('SELECT id FROM employees WHERE id = $1', [employeeId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Employee not found');
+  }
+};
+
+const transformAllocation = (row) => ({
+  id: row.id,
+  costCentre: row.cost_centre,
+  percentage: parseFloat(row.percentage),
+  createdAt: row.created_at,
+});
+
+module.exports = {
+  getCostAllocations,
+  setCostAllocations,
+};
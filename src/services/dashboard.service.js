@@ -51,8 +51,11 @@ const getHrDashboard = async () => {
       FROM leave_requests
     `, [month, year]),
     db.query(`
-      SELECT id, month, year, status, total_employees, total_gross_salary, total_net_salary, created_at
+      SELECT id, month, year, status, total_employees, total_gross_salary, total_net_salary,
+             total_employer_eobi + total_employer_sessi + total_employer_provident_fund as total_employer_contributions,
+             created_at
       FROM payroll_runs
+      WHERE run_type = 'regular'
       ORDER BY year DESC, month DESC, created_at DESC
       LIMIT 1
     `),
@@ -101,6 +104,7 @@ const getHrDashboard = async () => {
         COALESCE(SUM(total_deductions), 0) as total_deductions,
         COALESCE(SUM(bonus), 0) as total_bonuses,
         COALESCE(SUM(income_tax), 0) as total_tax,
+        COALESCE(SUM(eobi_employer + sessi_employer + provident_fund_employer), 0) as total_employer_contributions,
         COUNT(DISTINCT employee_id) FILTER (WHERE status = 'paid') as paid_employee_count
       FROM payslips
       WHERE month = $1 AND year = $2
@@ -108,7 +112,7 @@ const getHrDashboard = async () => {
     db.query(`
       SELECT id, month, year, status
       FROM payroll_runs
-      WHERE month = $1 AND year = $2
+      WHERE month = $1 AND year = $2 AND run_type = 'regular'
       ORDER BY created_at DESC
       LIMIT 1
     `, [month, year]),
@@ -230,6 +234,7 @@ const buildHrDashboardData = ({
   const totalDeductions = parseFloat(payrollSummary.total_deductions) || 0;
   const totalBonuses = parseFloat(payrollSummary.total_bonuses) || 0;
   const totalTax = parseFloat(payrollSummary.total_tax) || 0;
+  const employerContributions = parseFloat(payrollSummary.total_employer_contributions) || 0;
   const paidEmployeeCount = parseInt(payrollSummary.paid_employee_count) || 0;
   const pendingSalaryProcessing = Math.max(activeEmployees - paidEmployeeCount, 0);
 
@@ -250,6 +255,9 @@ const buildHrDashboardData = ({
       totalEmployees: latestPayroll.total_employees,
       totalGrossSalary: parseFloat(latestPayroll.total_gross_salary) || 0,
       totalNetSalary: parseFloat(latestPayroll.total_net_salary) || 0,
+      totalEmployerContributions: parseFloat(latestPayroll.total_employer_contributions) || 0,
+      totalEmployerCost: (parseFloat(latestPayroll.total_gross_salary) || 0)
+        + (parseFloat(latestPayroll.total_employer_contributions) || 0),
     } : null,
     ai: {
       newAlerts: parseInt(aiStats.new_alerts) || 0,
@@ -282,9 +290,11 @@ const buildHrDashboardData = ({
       })),
     },
     payrollSummary: {
-      currentMonthTotalPayrollCost: totalSalaryCurrentMonth,
+      // Gross pay plus the employer's EOBI, SESSI and provident fund shares
+      currentMonthTotalPayrollCost: totalSalaryCurrentMonth + employerContributions,
       pendingSalaryProcessing,
       totalSalaryCurrentMonth,
+      employerContributions,
       totalDeductions,
       totalBonuses,
       taxSummary: totalTax,
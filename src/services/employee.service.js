@@ -7,11 +7,16 @@ const bcrypt = require('bcryptjs');
 const db = require('../config/database');
 const { NotFoundError, BadRequestError } = require('../utils/errors');
 const { transformEmployee, transformEmployeeList } = require('../utils/transformers');
+const periodLockService = require('./periodLock.service');
 
 const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const SALT_ROUNDS = 12;
 const DEFAULT_ATTENDANCE_SUMMARY_LIMIT = 30;
+const SALARY_AMOUNT_FIELDS = [
+  'basicSalary', 'housingAllowance', 'transportAllowance', 'medicalAllowance', 'utilityAllowance',
+  'otherAllowances', 'bonus', 'overtimeRate', 'providentFundEmployee', 'providentFundEmployer',
+];
 const KNOWN_LEAVE_CODES = {
   sick: ['sl', 'sick_leave', 'sick'],
   casual: ['cl', 'casual_leave', 'casual'],
@@ -147,6 +152,8 @@ const normalizeEmployeePayload = (data = {}) => {
     legalIdType: legalInfo.legalIdType || data.legalIdType || null,
     legalIdNumber: legalInfo.legalIdNumber || data.legalIdNumber || null,
     taxIdentifier: legalInfo.taxIdentifier || data.taxIdentifier || data.ntnNumber || null,
+    eobiNumber: legalInfo.eobiNumber || data.eobiNumber || null,
+    socialSecurityNumber: legalInfo.socialSecurityNumber || data.socialSecurityNumber || null,
     taxFilingStatus: data.taxFilingStatus || 'non_filer',
     status: data.status || 'active',
     password: typeof data.password === 'string' ? data.password : '',
@@ -393,11 +400,12 @@ const createEmployee = async (data) => {
         department_id, designation, job_title, employment_type, joining_date, probation_period_months, work_location,
         reporting_to, bank_name, bank_account_number, bank_routing_code, bank_branch,
         ntn_number, tax_identifier, tax_information, tax_filing_status,
-        legal_id_type, legal_id_number, status, profile_image
+        legal_id_type, legal_id_number, status, profile_image,
+        eobi_number, social_security_number
       ) VALUES (
         $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
         $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27,
-        $28, $29, $30, $31, $32, $33, $34, $35
+        $28, $29, $30, $31, $32, $33, $34, $35, $36, $37
       ) RETURNING *
     `;
 
@@ -441,6 +449,8 @@ const createEmployee = async (data) => {
       normalizedData.legalIdNumber || null,
       normalizedData.status || 'active',
       normalizedData.profileImage || null,
+      normalizedData.eobiNumber,
+      normalizedData.socialSecurityNumber,
     ];
 
     const employeeResult = await client.query(employeeQuery, employeeParams);
@@ -546,6 +556,22 @@ const updateEmployee = async (id, data) => {
     }
   }
 
+  // Salary paid in a locked payroll month can only change through a dated revision
+  if (SALARY_AMOUNT_FIELDS.some((field) => data[field] !== undefined)) {
+    const structureResult = await db.query(
+      'SELECT effective_from FROM salary_structures WHERE employee_id = $1 AND is_current = true',
+      [id]
+    );
+
+    if (structureResult.rows.length > 0) {
+      await periodLockService.assertPeriodOpen(db, {
+        from: structureResult.rows[0].effective_from,
+        to: null,
+        subject: 'the current salary structure, or add a dated salary revision instead',
+      });
+    }
+  }
+
   // Build update query dynamically
   const updates = [];
   const params = [];
@@ -595,6 +621,8 @@ const updateEmployee = async (id, data) => {
     taxInformation: 'tax_information',
     legalIdType: 'legal_id_type',
     legalIdNumber: 'legal_id_number',
+    eobiNumber: 'eobi_number',
+    socialSecurityNumber: 'social_security_number',
     taxFilingStatus: 'tax_filing_status',
     status: 'status',
     profileImage: 'profile_image',
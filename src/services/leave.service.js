@@ -7,6 +7,7 @@ const db = require('../config/database');
 const { NotFoundError, BadRequestError, ForbiddenError } = require('../utils/errors');
 const { transformLeaveRequest, transformLeaveRequestList } = require('../utils/transformers');
 const notificationService = require('./notification.service');
+const periodLockService = require('./periodLock.service');
 const { PRIVILEGED_ROLES } = require('../domain/permissions');
 
 const getPrivilegedUserIds = async () => {
@@ -282,6 +283,15 @@ const approveLeaveRequest = async (id, approvedBy) => {
     throw new BadRequestError('Only pending requests can be approved');
   }
 
+  await periodLockService.recordPeriodChange(db, {
+    employeeIds: [request.rows[0].employee_id],
+    from: request.rows[0].start_date,
+    to: request.rows[0].end_date,
+    source: 'leave',
+    subject: 'leave',
+    changedBy: approvedBy,
+  });
+
   await db.query(
     `UPDATE leave_requests
      SET status = 'approved', approved_by = $1, approved_at = CURRENT_TIMESTAMP
@@ -406,6 +416,18 @@ const cancelLeaveRequest = async (id, userId, options = {}) => {
     throw new ForbiddenError('You can only cancel your own leave requests');
   }
 
+  // Cancelling approved leave changes the days paid for
+  if (request.rows[0].status === 'approved') {
+    await periodLockService.recordPeriodChange(db, {
+      employeeIds: [request.rows[0].employee_id],
+      from: request.rows[0].start_date,
+      to: request.rows[0].end_date,
+      source: 'leave',
+      subject: 'leave',
+      changedBy: userId,
+    });
+  }
+
   await db.query(
     `UPDATE leave_requests SET status = 'cancelled' WHERE id = $1`,
     [id]
@@ -452,6 +474,7 @@ const getLeaveTypes = async () => {
     isPaid: row.is_paid,
     isCarryForward: row.is_carry_forward,
     maxCarryForwardDays: row.max_carry_forward_days,
+    isEncashable: row.is_encashable,
   }));
 };
 
@@ -0,0 +1,522 @@
+/**
+ * Loan Service
+ * Employee loans and salary advances, recovered in monthly installments through payroll
+ */
+
+const db = require('../config/database');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+
+const LOAN_TYPES = ['loan', 'advance'];
+
+// Installment statuses that count towards repayment
+const RECOVERED_STATUSES = ['deducted', 'settled'];
+
+// Longest repayment schedule a loan may have, in months
+const MAX_INSTALLMENTS = 120;
+
+/**
+ * Get loans, optionally for one employee or status
+ */
+const getLoans = async ({ employeeId, status } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (employeeId) {
+    params.push(employeeId);
+    conditions.push(`l.employee_id = $${params.length}`);
+  }
+
+  if (status) {
+    params.push(status);
+    conditions.push(`l.status = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    SELECT l.*,
+           e.first_name, e.last_name, e.employee_id as emp_code
+    FROM employee_loans l
+    JOIN employees e ON e.id = l.employee_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY l.created_at DESC
+  `, params);
+
+  return result.rows.map(transformLoan);
+};
+
+/**
+ * Get loan by ID
+ */
+const getLoanById = async (id, queryable = db) => {
+  const result = await queryable.query(`
+    SELECT l.*,
+           e.first_name, e.last_name, e.employee_id as emp_code
+    FROM employee_loans l
+    JOIN employees e ON e.id = l.employee_id
+    WHERE l.id = $1
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Loan not found');
+  }
+
+  return transformLoan(result.rows[0]);
+};
+
+/**
+ * Create a loan or salary advance and its repayment schedule
+ * Advances default to a single installment in the start month.
+ */
+const createLoan = async (data, createdBy) => {
+  const loanType = data.loanType || 'loan';
+
+  if (!LOAN_TYPES.includes(loanType)) {
+    throw new BadRequestError(`Loan type must be one of: ${LOAN_TYPES.join(', ')}`);
+  }
+
+  const principal = roundAmount(Number(data.principal));
+  const interestRate = Number(data.interestRate ?? 0);
+  const totalPayable = roundAmount(principal * (1 + interestRate / 100));
+  const installmentAmount = roundAmount(Number(
+    data.installmentAmount ?? (loanType === 'advance' ? totalPayable : NaN)
+  ));
+
+  if (!(principal > 0)) {
+    throw new BadRequestError('Principal must be greater than 0');
+  }
+
+  if (!(interestRate >= 0)) {
+    throw new BadRequestError('Interest rate cannot be negative');
+  }
+
+  if (!(installmentAmount > 0)) {
+    throw new BadRequestError('Installment amount must be greater than 0');
+  }
+
+  const employeeResult = await db.query('SELECT id FROM employees WHERE id = $1', [data.employeeId]);
+
+  if (employeeResult.rows.length === 0) {
+    throw new NotFoundError('Employee not found');
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO employee_loans (
+         employee_id, loan_type, principal, interest_rate, total_payable,
+         installment_amount, start_month, start_year, balance, reason, created_by
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $5, $9, $10)
+       RETURNING *`,
+      [
+        data.employeeId, loanType, principal, interestRate, totalPayable,
+        installmentAmount, data.startMonth, data.startYear, data.reason || null, createdBy,
+      ]
+    );
+
+    await buildSchedule(client, result.rows[0], {
+      month: data.startMonth,
+      year: data.startYear,
+      installmentAmount,
+    });
+
+    await client.query('COMMIT');
+
+    return getLoanById(result.rows[0].id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Skip one scheduled installment; the schedule is extended by a month to cover it
+ */
+const skipInstallment = async (id, { month, year, reason }) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const loan = await getActiveLoanForUpdate(client, id);
+
+    const result = await client.query(
+      `UPDATE loan_installments SET status = 'skipped', notes = $4
+       WHERE loan_id = $1 AND month = $2 AND year = $3 AND status = 'scheduled'
+       RETURNING id`,
+      [id, month, year, reason || null]
+    );
+
+    if (result.rows.length === 0) {
+      throw new BadRequestError('No scheduled installment for this loan in that month');
+    }
+
+    const next = await client.query(
+      `SELECT month, year FROM loan_installments
+       WHERE loan_id = $1 AND status = 'scheduled'
+       ORDER BY year, month
+       LIMIT 1`,
+      [id]
+    );
+
+    await buildSchedule(client, loan, {
+      ...(next.rows[0] || nextPeriod(month, year)),
+      installmentAmount: parseFloat(loan.installment_amount),
+    });
+
+    await client.query('COMMIT');
+
+    return getLoanStatement(id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reschedule the unpaid balance from a new start month, optionally with a new installment amount
+ */
+const rescheduleLoan = async (id, { startMonth, startYear, installmentAmount }) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const loan = await getActiveLoanForUpdate(client, id);
+    const amount = installmentAmount !== undefined
+      ? roundAmount(Number(installmentAmount))
+      : parseFloat(loan.installment_amount);
+
+    if (!(amount > 0)) {
+      throw new BadRequestError('Installment amount must be greater than 0');
+    }
+
+    await client.query(
+      'UPDATE employee_loans SET installment_amount = $1 WHERE id = $2',
+      [amount, id]
+    );
+
+    await buildSchedule(client, loan, { month: startMonth, year: startYear, installmentAmount: amount });
+
+    await client.query('COMMIT');
+
+    return getLoanStatement(id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Cancel an active loan; installments not yet recovered are dropped from the schedule
+ */
+const cancelLoan = async (id) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await getActiveLoanForUpdate(client, id);
+
+    await client.query(
+      `DELETE FROM loan_installments WHERE loan_id = $1 AND status = 'scheduled'`,
+      [id]
+    );
+
+    await client.query(
+      `UPDATE employee_loans SET status = 'cancelled', closed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id]
+    );
+
+    await client.query('COMMIT');
+
+    return getLoanById(id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get a loan with its installment schedule and the balance after each recovery
+ */
+const getLoanStatement = async (id) => {
+  const loan = await getLoanById(id);
+
+  const result = await db.query(`
+    SELECT li.*,
+           pr.run_type, pr.status as run_status
+    FROM loan_installments li
+    LEFT JOIN payroll_runs pr ON pr.id = li.payroll_run_id
+    WHERE li.loan_id = $1
+    ORDER BY li.year, li.month
+  `, [id]);
+
+  let balance = loan.totalPayable;
+  let recovered = 0;
+  let scheduled = 0;
+
+  const installments = result.rows.map((row) => {
+    const amount = parseFloat(row.amount);
+
+    if (RECOVERED_STATUSES.includes(row.status)) {
+      balance = roundAmount(balance - amount);
+      recovered += amount;
+    } else if (row.status === 'scheduled') {
+      scheduled += amount;
+    }
+
+    return {
+      id: row.id,
+      month: row.month,
+      year: row.year,
+      amount,
+      status: row.status,
+      payrollRunId: row.payroll_run_id,
+      runType: row.run_type,
+      runStatus: row.run_status,
+      balanceAfter: balance,
+      notes: row.notes,
+    };
+  });
+
+  return {
+    loan,
+    installments,
+    totals: {
+      recovered: roundAmount(recovered),
+      scheduled: roundAmount(scheduled),
+      outstanding: loan.balance,
+    },
+    nextInstallment: installments.find((installment) => installment.status === 'scheduled') || null,
+  };
+};
+
+/**
+ * Load the loan installments a run recovers, grouped by employee, for payroll processing
+ * Regular runs recover installments due up to the run's month; final settlements pay off
+ * the whole outstanding schedule. Installments already recovered by this run are included
+ * so a payslip can be recalculated. Runs without base salary recover nothing.
+ * @returns {Map<string, object>} Amount and installment IDs per employee ID
+ */
+const getRunInstallmentsByEmployee = async (client, payrollRun) => {
+  const byEmployee = new Map();
+
+  if (payrollRun.include_base_salary === false) {
+    return byEmployee;
+  }
+
+  const isSettlement = payrollRun.run_type === 'final_settlement';
+  const result = await client.query(`
+    SELECT l.employee_id, li.id, li.amount
+    FROM loan_installments li
+    JOIN employee_loans l ON l.id = li.loan_id
+    WHERE li.payroll_run_id = $1
+       OR (
+         li.status = 'scheduled'
+         AND l.status = 'active'
+         AND ${isSettlement ? 'l.employee_id = $2' : '(li.year * 100 + li.month) <= $2'}
+       )
+    ORDER BY li.year, li.month
+  `, [payrollRun.id, isSettlement ? payrollRun.employee_id : payrollRun.year * 100 + payrollRun.month]);
+
+  for (const row of result.rows) {
+    if (!byEmployee.has(row.employee_id)) {
+      byEmployee.set(row.employee_id, { amount: 0, installmentIds: [] });
+    }
+
+    const installments = byEmployee.get(row.employee_id);
+    installments.amount = roundAmount(installments.amount + parseFloat(row.amount));
+    installments.installmentIds.push(row.id);
+  }
+
+  return byEmployee;
+};
+
+/**
+ * Mark installments as recovered by a run and update the loans' balances,
+ * closing any loan that is now repaid
+ */
+const applyRunInstallments = async (client, payrollRun, installmentIds) => {
+  if (installmentIds.length === 0) {
+    return;
+  }
+
+  const result = await client.query(
+    `UPDATE loan_installments SET status = $1, payroll_run_id = $2
+     WHERE id = ANY($3)
+     RETURNING loan_id`,
+    [payrollRun.run_type === 'final_settlement' ? 'settled' : 'deducted', payrollRun.id, installmentIds]
+  );
+
+  await refreshBalances(client, result.rows.map((row) => row.loan_id));
+};
+
+/**
+ * Put installments recovered by a run back on the schedule, e.g. when the run is
+ * cancelled or reopened, and reopen any loan that was closed by them
+ * @param {string} [employeeId] - Only release this employee's installments
+ * @returns {Promise<number>} Number of installments released
+ */
+const releaseRunInstallments = async (client, payrollRunId, employeeId = null) => {
+  const result = await client.query(
+    `UPDATE loan_installments SET status = 'scheduled', payroll_run_id = NULL
+     WHERE payroll_run_id = $1
+       AND ($2::uuid IS NULL OR loan_id IN (SELECT id FROM employee_loans WHERE employee_id = $2))
+     RETURNING loan_id`,
+    [payrollRunId, employeeId]
+  );
+
+  await refreshBalances(client, result.rows.map((row) => row.loan_id));
+
+  return result.rows.length;
+};
+
+// Helper functions
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const nextPeriod = (month, year) => (month === 12
+  ? { month: 1, year: year + 1 }
+  : { month: month + 1, year });
+
+const getActiveLoanForUpdate = async (client, id) => {
+  const result = await client.query(
+    'SELECT * FROM employee_loans WHERE id = $1 FOR UPDATE',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Loan not found');
+  }
+
+  const loan = result.rows[0];
+
+  if (loan.status !== 'active') {
+    throw new BadRequestError(`A ${loan.status} loan cannot be changed`);
+  }
+
+  return loan;
+};
+
+/**
+ * Replace the loan's scheduled installments with a fresh schedule for the unpaid balance,
+ * starting at the given month and skipping months that already have an installment
+ */
+const buildSchedule = async (client, loan, { month, year, installmentAmount }) => {
+  await client.query(
+    `DELETE FROM loan_installments WHERE loan_id = $1 AND status = 'scheduled'`,
+    [loan.id]
+  );
+
+  const existing = await client.query(
+    'SELECT month, year, amount, status FROM loan_installments WHERE loan_id = $1',
+    [loan.id]
+  );
+
+  const occupied = new Set(existing.rows.map((row) => row.year * 100 + row.month));
+  const recovered = existing.rows
+    .filter((row) => RECOVERED_STATUSES.includes(row.status))
+    .reduce((sum, row) => sum + parseFloat(row.amount), 0);
+  let remaining = roundAmount(parseFloat(loan.total_payable) - recovered);
+
+  if (Math.ceil(remaining / installmentAmount) > MAX_INSTALLMENTS) {
+    throw new BadRequestError(`Repayment cannot run longer than ${MAX_INSTALLMENTS} installments`);
+  }
+
+  const months = [];
+  const years = [];
+  const amounts = [];
+  let period = { month: Number(month), year: Number(year) };
+
+  while (remaining > 0) {
+    if (!occupied.has(period.year * 100 + period.month)) {
+      const amount = Math.min(installmentAmount, remaining);
+      months.push(period.month);
+      years.push(period.year);
+      amounts.push(amount);
+      remaining = roundAmount(remaining - amount);
+    }
+    period = nextPeriod(period.month, period.year);
+  }
+
+  if (months.length > 0) {
+    await client.query(
+      `INSERT INTO loan_installments (loan_id, month, year, amount)
+       SELECT $1, month, year, amount
+       FROM unnest($2::int[], $3::int[], $4::numeric[]) AS schedule(month, year, amount)`,
+      [loan.id, months, years, amounts]
+    );
+  }
+};
+
+/**
+ * Recompute balances from recovered installments; loans at zero are closed
+ * and loans with a balance again are reopened
+ */
+const refreshBalances = async (client, loanIds) => {
+  if (loanIds.length === 0) {
+    return;
+  }
+
+  await client.query(`
+    WITH repaid AS (
+      SELECT l.id,
+             l.total_payable - COALESCE(SUM(li.amount) FILTER (WHERE li.status = ANY($2)), 0) as balance
+      FROM employee_loans l
+      LEFT JOIN loan_installments li ON li.loan_id = l.id
+      WHERE l.id = ANY($1) AND l.status <> 'cancelled'
+      GROUP BY l.id
+    )
+    UPDATE employee_loans l SET
+      balance = repaid.balance,
+      status = CASE WHEN repaid.balance <= 0 THEN 'closed' ELSE 'active' END,
+      closed_at = CASE WHEN repaid.balance <= 0 THEN COALESCE(l.closed_at, CURRENT_TIMESTAMP) END
+    FROM repaid
+    WHERE l.id = repaid.id
+  `, [[...new Set(loanIds)], RECOVERED_STATUSES]);
+};
+
+const transformLoan = (row) => ({
+  id: row.id,
+  employeeId: row.employee_id,
+  employeeName: row.first_name ? `${row.first_name} ${row.last_name}` : undefined,
+  employeeCode: row.emp_code,
+  loanType: row.loan_type,
+  principal: parseFloat(row.principal),
+  interestRate: parseFloat(row.interest_rate),
+  totalPayable: parseFloat(row.total_payable),
+  installmentAmount: parseFloat(row.installment_amount),
+  startMonth: row.start_month,
+  startYear: row.start_year,
+  balance: parseFloat(row.balance),
+  status: row.status,
+  reason: row.reason,
+  closedAt: row.closed_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+module.exports = {
+  getLoans,
+  getLoanById,
+  createLoan,
+  skipInstallment,
+  rescheduleLoan,
+  cancelLoan,
+  getLoanStatement,
+  getRunInstallmentsByEmployee,
+  applyRunInstallments,
+  releaseRunInstallments,
+};
@@ -4,13 +4,48 @@
  */
 
 const db = require('../config/database');
-const { NotFoundError, BadRequestError } = require('../utils/errors');
-const { calculateAllDeductions } = require('../utils/taxCalculator');
+const { NotFoundError, BadRequestError, ForbiddenError, ConflictError } = require('../utils/errors');
+const { calculateAllDeductions, calculateCumulativeTax } = require('../utils/taxCalculator');
+const {
+  countWorkingDays,
+  calculateLossOfPay,
+  calculateProrationFactor,
+  prorateEarnings,
+  getFiscalYear,
+} = require('../utils/payrollCalculator');
+const { formatLocalDate } = require('../utils/dateTime');
+const { FORMATS: BANK_FILE_FORMATS, validateTemplate, renderBankFile } = require('../utils/bankFileFormats');
+const settingsService = require('./settings.service');
+const settlementService = require('./settlement.service');
+const payrollAdjustmentService = require('./payrollAdjustment.service');
+const taxYearService = require('./taxYear.service');
+const loanService = require('./loan.service');
+const salaryRevisionService = require('./salaryRevision.service');
+const payrollApprovalService = require('./payrollApproval.service');
+const periodLockService = require('./periodLock.service');
+const { SELECTION_RUN_TYPES, runEmployeeCondition } = require('../domain/payrollRunScope');
+
+// Payslips calculated and inserted together; each batch loads its employees' attendance at once
+const PAYSLIP_BATCH_SIZE = 200;
+
+// A background job that has not saved progress for this long is treated as stopped
+const STALLED_JOB_MINUTES = 5;
+
+// Runs being processed by a background job in this process
+const activeJobs = new Set();
+
+// Bank batch prefixes per run type
+const BATCH_PREFIXES = {
+  regular: 'SAL',
+  off_cycle: 'OFC',
+  supplementary: 'SUP',
+  final_settlement: 'FNL',
+};
 
 /**
  * Get payroll runs with filters
  */
-const getPayrollRuns = async ({ page = 1, limit = 10, year, status }) => {
+const getPayrollRuns = async ({ page = 1, limit = 10, year, status, runType }) => {
   const offset = (page - 1) * limit;
   const params = [];
   let paramIndex = 1;
@@ -28,6 +63,12 @@ const getPayrollRuns = async ({ page = 1, limit = 10, year, status }) => {
     paramIndex++;
   }
 
+  if (runType) {
+    conditions.push(`run_type = $${paramIndex}`);
+    params.push(runType);
+    paramIndex++;
+  }
+
   const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
   const countResult = await db.query(
@@ -39,10 +80,13 @@ const getPayrollRuns = async ({ page = 1, limit = 10, year, status }) => {
   const query = `
     SELECT pr.*,
            u1.email as processed_by_email,
-           u2.email as approved_by_email
+           u2.email as approved_by_email,
+           e.first_name as employee_first_name,
+           e.last_name as employee_last_name
     FROM payroll_runs pr
     LEFT JOIN users u1 ON pr.processed_by = u1.id
     LEFT JOIN users u2 ON pr.approved_by = u2.id
+    LEFT JOIN employees e ON pr.employee_id = e.id
     ${whereClause}
     ORDER BY pr.year DESC, pr.month DESC
     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -59,15 +103,19 @@ const getPayrollRuns = async ({ page = 1, limit = 10, year, status }) => {
 
 /**
  * Get payroll run by ID
+ * Pass a transaction client to read uncommitted changes
  */
-const getPayrollRunById = async (id) => {
-  const result = await db.query(
+const getPayrollRunById = async (id, queryable = db) => {
+  const result = await queryable.query(
     `SELECT pr.*,
             u1.email as processed_by_email,
-            u2.email as approved_by_email
+            u2.email as approved_by_email,
+            e.first_name as employee_first_name,
+            e.last_name as employee_last_name
      FROM payroll_runs pr
      LEFT JOIN users u1 ON pr.processed_by = u1.id
      LEFT JOIN users u2 ON pr.approved_by = u2.id
+     LEFT JOIN employees e ON pr.employee_id = e.id
      WHERE pr.id = $1`,
     [id]
   );
@@ -76,16 +124,35 @@ const getPayrollRunById = async (id) => {
     throw new NotFoundError('Payroll run not found');
   }
 
-  return transformPayrollRun(result.rows[0]);
+  const payrollRun = transformPayrollRun(result.rows[0]);
+
+  if (SELECTION_RUN_TYPES.includes(payrollRun.runType)) {
+    const selectionResult = await queryable.query(
+      'SELECT employee_id FROM payroll_run_employees WHERE payroll_run_id = $1',
+      [id]
+    );
+    payrollRun.employeeIds = selectionResult.rows.map((row) => row.employee_id);
+  }
+
+  return payrollRun;
 };
 
 /**
  * Create or get draft payroll run for month/year
+ * Regular runs are one per period and cover every eligible employee.
+ * Off-cycle and supplementary runs can be added to any period for a chosen set of employees.
  */
-const createPayrollRun = async ({ month, year, processedBy }) => {
+const createPayrollRun = async ({
+  month, year, processedBy, runType = 'regular', employeeIds = [], includeBaseSalary, notes,
+}) => {
+  if (runType !== 'regular') {
+    return createSelectionRun({ month, year, processedBy, runType, employeeIds, includeBaseSalary, notes });
+  }
+
   // Check if payroll run exists
   const existing = await db.query(
-    'SELECT * FROM payroll_runs WHERE month = $1 AND year = $2',
+    `SELECT * FROM payroll_runs
+     WHERE month = $1 AND year = $2 AND run_type = 'regular' AND status <> 'cancelled'`,
     [month, year]
   );
 
@@ -110,10 +177,82 @@ const createPayrollRun = async ({ month, year, processedBy }) => {
   return getPayrollRunById(result.rows[0].id);
 };
 
+/**
+ * Create an off-cycle or supplementary run for selected employees
+ * Off-cycle runs pay only their adjustments unless base salary is included;
+ * supplementary runs include base salary unless told otherwise
+ */
+const createSelectionRun = async ({ month, year, processedBy, runType, employeeIds, includeBaseSalary, notes }) => {
+  if (!SELECTION_RUN_TYPES.includes(runType)) {
+    throw new BadRequestError(`Unsupported run type: ${runType}`);
+  }
+
+  const uniqueEmployeeIds = [...new Set(employeeIds)];
+
+  if (uniqueEmployeeIds.length === 0) {
+    throw new BadRequestError('Select at least one employee for this run');
+  }
+
+  const employeesResult = await db.query(
+    'SELECT id FROM employees WHERE id = ANY($1)',
+    [uniqueEmployeeIds]
+  );
+  const found = new Set(employeesResult.rows.map((row) => row.id));
+  const unknown = uniqueEmployeeIds.filter((id) => !found.has(id));
+
+  if (unknown.length > 0) {
+    throw new BadRequestError('Some selected employees do not exist', unknown);
+  }
+
+  const periodStart = formatLocalDate(new Date(year, month - 1, 1));
+  const periodEnd = formatLocalDate(new Date(year, month, 0));
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const runResult = await client.query(
+      `INSERT INTO payroll_runs (
+         month, year, period_start, period_end, processed_by, run_type, include_base_salary, notes
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [
+        month, year, periodStart, periodEnd, processedBy, runType,
+        includeBaseSalary ?? runType === 'supplementary', notes || null,
+      ]
+    );
+
+    const payrollRunId = runResult.rows[0].id;
+
+    await client.query(
+      `INSERT INTO payroll_run_employees (payroll_run_id, employee_id)
+       SELECT $1, UNNEST($2::uuid[])`,
+      [payrollRunId, uniqueEmployeeIds]
+    );
+
+    await client.query('COMMIT');
+
+    return getPayrollRunById(payrollRunId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * Process payroll - generate payslips for all active employees
+ * Employees who joined or left during the period are paid pro-rata.
+ * Final settlement runs generate a single payslip for the exiting employee.
+ * With `simulate`, the calculation runs in a transaction that is rolled back
+ * and the projected run and payslips are returned instead.
+ * Runs with more employees than `payroll.backgroundProcessingThreshold` are
+ * processed as a background job in batches; the run stays `processing` and
+ * reports its progress until the job completes. A run left `processing` by a
+ * job that stopped can be processed again from the start.
  */
-const processPayroll = async (payrollRunId, processedBy) => {
+const processPayroll = async (payrollRunId, processedBy, { simulate = false } = {}) => {
   const client = await db.getClient();
 
   try {
@@ -121,7 +260,7 @@ const processPayroll = async (payrollRunId, processedBy) => {
 
     // Get payroll run
     const runResult = await client.query(
-      'SELECT * FROM payroll_runs WHERE id = $1',
+      'SELECT * FROM payroll_runs WHERE id = $1 FOR UPDATE',
       [payrollRunId]
     );
 
@@ -131,7 +270,11 @@ const processPayroll = async (payrollRunId, processedBy) => {
 
     const payrollRun = runResult.rows[0];
 
-    if (payrollRun.status !== 'draft') {
+    if (payrollRun.status === 'processing' && !isStalledJob(payrollRun)) {
+      throw new ConflictError('Payroll run is already being processed');
+    }
+
+    if (!['draft', 'processing'].includes(payrollRun.status)) {
       throw new BadRequestError('Only draft payroll runs can be processed');
     }
 
@@ -141,108 +284,84 @@ const processPayroll = async (payrollRunId, processedBy) => {
       ['processing', payrollRunId]
     );
 
-    // Get all active employees with salary structures
-    const employeesResult = await client.query(`
-      SELECT
-        e.id as employee_id,
-        e.employee_id as emp_code,
-        e.tax_filing_status,
-        ss.basic_salary,
-        ss.housing_allowance,
-        ss.transport_allowance,
-        ss.medical_allowance,
-        ss.utility_allowance,
-        ss.other_allowances,
-        ss.gross_salary,
-        ss.loan_deduction,
-        ss.other_deductions
-      FROM employees e
-      JOIN salary_structures ss ON ss.employee_id = e.id AND ss.is_current = true
-      WHERE e.status = 'active'
-    `);
-
-    const employees = employeesResult.rows;
-
-    // Get working days in month (excluding weekends and holidays)
-    const { month, year } = payrollRun;
-    const workingDays = await calculateWorkingDays(client, month, year);
-
-    let totalGross = 0;
-    let totalDeductions = 0;
-    let totalTax = 0;
-    let totalNet = 0;
-
-    // Delete existing payslips for this run (in case of reprocessing)
-    await client.query('DELETE FROM payslips WHERE payroll_run_id = $1', [payrollRunId]);
+    const isSelection = SELECTION_RUN_TYPES.includes(payrollRun.run_type);
+    const context = await getRunContext(client, payrollRun);
 
-    // Generate payslip for each employee
-    for (const emp of employees) {
-      const isFiler = emp.tax_filing_status === 'filer';
-      const grossSalary = parseFloat(emp.gross_salary);
+    const { condition: employeeFilter, params: employeeParams } = runEmployeeCondition(payrollRun);
+    const employees = await getPayrollEmployees(client, employeeFilter, employeeParams, context.periodStart, context.periodEnd);
 
-      // Get attendance summary
-      const attendanceSummary = await getEmployeeAttendance(client, emp.employee_id, month, year);
+    if (isSelection && context.includeBaseSalary) {
+      const alreadyPaid = employees
+        .filter((emp) => context.earlierPay.get(emp.employee_id)?.hasBaseSalary)
+        .map((emp) => emp.emp_code);
 
-      // Calculate deductions
-      const deductions = calculateAllDeductions(grossSalary, isFiler, {
-        loanDeduction: parseFloat(emp.loan_deduction) || 0,
-        otherDeductions: parseFloat(emp.other_deductions) || 0,
-      });
+      if (alreadyPaid.length > 0) {
+        throw new BadRequestError('Some employees were already paid base salary for this period', alreadyPaid);
+      }
+    }
+
+    await applyPeriodCorrections(client, context, employees.map((emp) => emp.employee_id), processedBy);
+
+    // Delete existing payslips for this run (in case of reprocessing or a restart)
+    await client.query('DELETE FROM payslips WHERE payroll_run_id = $1', [payrollRunId]);
+
+    const backgroundThreshold = Number(await settingsService.getSetting('payroll.backgroundProcessingThreshold')) || 0;
 
-      // Calculate overtime pay (1.5x hourly rate)
-      const hourlyRate = grossSalary / (workingDays * 8);
-      const overtimePay = Math.round(attendanceSummary.overtimeHours * hourlyRate * 1.5);
-
-      const finalGross = grossSalary + overtimePay;
-      const netSalary = finalGross - deductions.totalDeductions;
-
-      // Insert payslip
-      await client.query(`
-        INSERT INTO payslips (
-          payroll_run_id, employee_id, month, year,
-          working_days, present_days, absent_days, leave_days, overtime_hours,
-          basic_salary, housing_allowance, transport_allowance, medical_allowance,
-          utility_allowance, other_allowances, overtime_pay, gross_salary,
-          income_tax, eobi_contribution, sessi_contribution, loan_deduction,
-          other_deductions, total_deductions, net_salary,
-          taxable_income, tax_slab, is_filer
-        ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
-          $18, $19, $20, $21, $22, $23, $24, $25, $26, $27
-        )`,
-        [
-          payrollRunId, emp.employee_id, month, year,
-          workingDays, attendanceSummary.presentDays, attendanceSummary.absentDays,
-          attendanceSummary.leaveDays, attendanceSummary.overtimeHours,
-          emp.basic_salary, emp.housing_allowance, emp.transport_allowance,
-          emp.medical_allowance, emp.utility_allowance, emp.other_allowances,
-          overtimePay, finalGross,
-          deductions.incomeTax, deductions.eobi, deductions.sessi,
-          deductions.loanDeduction, deductions.otherDeductions,
-          deductions.totalDeductions, netSalary,
-          grossSalary * 12, deductions.taxSlab, isFiler
-        ]
+    if (!simulate && backgroundThreshold > 0 && employees.length > backgroundThreshold) {
+      await client.query(
+        `UPDATE payroll_runs SET
+           processed_by = $1,
+           processing_total = $2,
+           processing_done = 0,
+           processing_error = NULL,
+           processing_started_at = CURRENT_TIMESTAMP,
+           processing_heartbeat_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [processedBy, employees.length, payrollRunId]
       );
 
-      totalGross += finalGross;
-      totalDeductions += deductions.totalDeductions;
-      totalTax += deductions.incomeTax;
-      totalNet += netSalary;
+      await client.query('COMMIT');
+
+      runPayrollJob(payrollRun, processedBy, context, employees);
+
+      return getPayrollRunById(payrollRunId);
+    }
+
+    // Generate payslips in batches, each loading its employees' attendance and leave at once
+    const totals = emptyRunTotals();
+
+    for (let start = 0; start < employees.length; start += PAYSLIP_BATCH_SIZE) {
+      await calculatePayslipBatch(client, context, employees.slice(start, start + PAYSLIP_BATCH_SIZE), totals);
+    }
+
+    await completeRun(client, payrollRun, context, employees, totals, processedBy);
+
+    if (simulate) {
+      const projectedRun = await getPayrollRunById(payrollRunId, client);
+      const projectedPayslips = await client.query(`
+        SELECT p.*,
+               e.first_name, e.last_name, e.employee_id as emp_code,
+               d.name as department_name
+        FROM payslips p
+        JOIN employees e ON p.employee_id = e.id
+        LEFT JOIN departments d ON e.department_id = d.id
+        WHERE p.payroll_run_id = $1
+        ORDER BY e.employee_id
+      `, [payrollRunId]);
+
+      await client.query('ROLLBACK');
+
+      return {
+        simulated: true,
+        payrollRun: { ...projectedRun, status: payrollRun.status },
+        payslips: projectedPayslips.rows.map(transformPayslip),
+      };
     }
 
-    // Update payroll run with totals
-    await client.query(`
-      UPDATE payroll_runs SET
-        status = 'completed',
-        total_employees = $1,
-        total_gross_salary = $2,
-        total_deductions = $3,
-        total_tax = $4,
-        total_net_salary = $5,
-        processed_at = CURRENT_TIMESTAMP,
-        processed_by = $6
-      WHERE id = $7`,
-      [employees.length, totalGross, totalDeductions, totalTax, totalNet, processedBy, payrollRunId]
+    await payrollApprovalService.notifyApprovers(
+      client,
+      { ...payrollRun, processed_by: processedBy },
+      await payrollApprovalService.getApprovalPolicy()
     );
 
     await client.query('COMMIT');
@@ -256,17 +375,166 @@ const processPayroll = async (payrollRunId, processedBy) => {
   }
 };
 
+/**
+ * Recalculate one employee's payslip in a completed run
+ * Only that payslip and the run totals change; its previous values are kept as a revision.
+ */
+const recalculatePayslip = async (payrollRunId, employeeId, { reason, recalculatedBy } = {}) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const runResult = await client.query(
+      'SELECT * FROM payroll_runs WHERE id = $1 FOR UPDATE',
+      [payrollRunId]
+    );
+
+    if (runResult.rows.length === 0) {
+      throw new NotFoundError('Payroll run not found');
+    }
+
+    const payrollRun = runResult.rows[0];
+
+    if (payrollRun.status !== 'completed') {
+      throw new BadRequestError('Payslips can only be recalculated in completed runs that are not yet approved');
+    }
+
+    const existingResult = await client.query(
+      'SELECT * FROM payslips WHERE payroll_run_id = $1 AND employee_id = $2 FOR UPDATE',
+      [payrollRunId, employeeId]
+    );
+
+    if (existingResult.rows.length === 0) {
+      throw new NotFoundError('Payslip not found for this employee in the payroll run');
+    }
+
+    const existing = existingResult.rows[0];
+    const context = await getRunContext(client, payrollRun);
+    const [emp] = await getPayrollEmployees(client, 'e.id = $1', [employeeId], context.periodStart, context.periodEnd);
+
+    if (!emp) {
+      throw new BadRequestError('Employee has no current salary structure');
+    }
+
+    await applyPeriodCorrections(client, context, [employeeId], recalculatedBy);
+    await loadEmployeeRecords(client, context, [employeeId]);
+
+    const payslip = await calculatePayslip(client, context, emp);
+    const columns = Object.keys(payslip);
+
+    await client.query(
+      `INSERT INTO payslip_revisions (
+         payslip_id, payroll_run_id, employee_id, revision_number, previous_values, reason, revised_by
+       )
+       SELECT $1, $2, $3, COALESCE(MAX(revision_number), 0) + 1, $4, $5, $6
+       FROM payslip_revisions
+       WHERE payroll_run_id = $2 AND employee_id = $3`,
+      [
+        existing.id, payrollRunId, employeeId,
+        JSON.stringify(Object.fromEntries(columns.map((column) => [column, existing[column]]))),
+        reason || null, recalculatedBy,
+      ]
+    );
+
+    await client.query(
+      `UPDATE payslips SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+       WHERE id = $${columns.length + 1}`,
+      [...Object.values(payslip), existing.id]
+    );
+
+    await loanService.releaseRunInstallments(client, payrollRunId, employeeId);
+    await loanService.applyRunInstallments(
+      client,
+      payrollRun,
+      context.loanInstallmentsByEmployee.get(employeeId)?.installmentIds || []
+    );
+    await salaryRevisionService.recordRunArrears(client, payrollRunId, context.arrearsByEmployee, [employeeId]);
+
+    await client.query(
+      `UPDATE payroll_runs SET
+         total_employees = totals.employees,
+         total_gross_salary = totals.gross_salary,
+         total_deductions = totals.total_deductions,
+         total_tax = totals.income_tax,
+         total_net_salary = totals.net_salary,
+         total_employer_eobi = totals.eobi_employer,
+         total_employer_sessi = totals.sessi_employer,
+         total_employer_provident_fund = totals.provident_fund_employer
+       FROM (
+         SELECT COUNT(*) as employees,
+                COALESCE(SUM(gross_salary), 0) as gross_salary,
+                COALESCE(SUM(total_deductions), 0) as total_deductions,
+                COALESCE(SUM(income_tax), 0) as income_tax,
+                COALESCE(SUM(net_salary), 0) as net_salary,
+                COALESCE(SUM(eobi_employer), 0) as eobi_employer,
+                COALESCE(SUM(sessi_employer), 0) as sessi_employer,
+                COALESCE(SUM(provident_fund_employer), 0) as provident_fund_employer
+         FROM payslips
+         WHERE payroll_run_id = $1
+       ) totals
+       WHERE payroll_runs.id = $1`,
+      [payrollRunId]
+    );
+
+    // Approvals given before the payslip changed no longer count
+    await payrollApprovalService.startApprovalRound(client, payrollRunId);
+    await payrollApprovalService.notifyApprovers(
+      client, payrollRun, await payrollApprovalService.getApprovalPolicy()
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      payslip: await getPayslipById(existing.id),
+      payrollRun: await getPayrollRunById(payrollRunId),
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get the revision history of an employee's payslip in a run, newest first
+ */
+const getPayslipRevisions = async (payrollRunId, employeeId) => {
+  const result = await db.query(
+    `SELECT pr.*, u.email as revised_by_email
+     FROM payslip_revisions pr
+     LEFT JOIN users u ON pr.revised_by = u.id
+     WHERE pr.payroll_run_id = $1 AND pr.employee_id = $2
+     ORDER BY pr.revision_number DESC`,
+    [payrollRunId, employeeId]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    payslipId: row.payslip_id,
+    revisionNumber: row.revision_number,
+    reason: row.reason,
+    revisedBy: row.revised_by_email,
+    createdAt: row.created_at,
+    previous: transformPayslip(row.previous_values),
+  }));
+};
+
 /**
  * Approve payroll run
+ * Each approval is recorded; the run stays completed until it has every approval
+ * the approval policy requires. Payslips then move to approved and are marked
+ * paid once payment is confirmed.
  */
-const approvePayroll = async (payrollRunId, approvedBy) => {
+const approvePayroll = async (payrollRunId, approvedBy, { comments } = {}) => {
   const client = await db.getClient();
 
   try {
     await client.query('BEGIN');
 
     const result = await client.query(
-      'SELECT status, month, year FROM payroll_runs WHERE id = $1',
+      'SELECT * FROM payroll_runs WHERE id = $1 FOR UPDATE',
       [payrollRunId]
     );
 
@@ -274,21 +542,60 @@ const approvePayroll = async (payrollRunId, approvedBy) => {
       throw new NotFoundError('Payroll run not found');
     }
 
-    if (result.rows[0].status !== 'completed') {
+    const payrollRun = result.rows[0];
+
+    if (payrollRun.status !== 'completed') {
       throw new BadRequestError('Only completed payroll runs can be approved');
     }
 
+    const policy = await payrollApprovalService.getApprovalPolicy();
+
+    if (!policy.processorCanApprove && payrollRun.processed_by === approvedBy) {
+      throw new ForbiddenError('The user who processed a payroll run cannot approve it');
+    }
+
+    const approvers = await payrollApprovalService.getRoundApprovers(client, payrollRun);
+
+    if (approvers.includes(approvedBy)) {
+      throw new ConflictError('You have already approved this payroll run');
+    }
+
+    await payrollApprovalService.recordDecision(client, {
+      payrollRunId,
+      decision: 'approved',
+      comments,
+      decidedBy: approvedBy,
+    });
+
+    // The run waits in completed until the remaining approvers sign off
+    if (approvers.length + 1 < payrollApprovalService.getRequiredApprovals(policy, payrollRun.total_net_salary)) {
+      await client.query('COMMIT');
+
+      return getPayrollRunById(payrollRunId);
+    }
+
     await client.query(
       `UPDATE payroll_runs SET status = 'approved', approved_by = $1, approved_at = CURRENT_TIMESTAMP
        WHERE id = $2`,
       [approvedBy, payrollRunId]
     );
 
+    // Attendance, leave and salary for the month can no longer change under these payslips;
+    // off-cycle, supplementary and settlement runs pay only some employees and leave it open
+    if (payrollRun.run_type === 'regular') {
+      await periodLockService.lockPeriod(client, {
+        month: payrollRun.month,
+        year: payrollRun.year,
+        payrollRunId,
+        lockedBy: approvedBy,
+      });
+    }
+
     await client.query(
       `UPDATE payslips
-       SET status = $1, paid_at = CURRENT_TIMESTAMP
+       SET status = $1
        WHERE payroll_run_id = $2`,
-      ['paid', payrollRunId]
+      ['approved', payrollRunId]
     );
 
     const employeeUsersResult = await client.query(
@@ -298,8 +605,8 @@ const approvePayroll = async (payrollRunId, approvedBy) => {
        WHERE p.payroll_run_id = $1 AND e.user_id IS NOT NULL`,
       [payrollRunId]
     );
-    const salaryMonth = result.rows[0].month;
-    const salaryYear = result.rows[0].year;
+    const salaryMonth = payrollRun.month;
+    const salaryYear = payrollRun.year;
 
     if (employeeUsersResult.rows.length > 0) {
       const values = [];
@@ -307,9 +614,9 @@ const approvePayroll = async (payrollRunId, approvedBy) => {
         const baseIndex = index * 6;
         values.push(
           row.user_id,
-          'salary_credited',
-          'Salary credited',
-          `Your salary for ${salaryMonth}/${salaryYear} has been credited.`,
+          'salary_approved',
+          'Payslip approved',
+          `Your payslip for ${salaryMonth}/${salaryYear} has been approved.`,
           'payslip',
           row.payslip_id
         );
@@ -334,6 +641,342 @@ const approvePayroll = async (payrollRunId, approvedBy) => {
   }
 };
 
+/**
+ * Reject a completed payroll run back to its processor
+ * The run stays completed so its payslips can be corrected; approvals given so far
+ * no longer count and approval starts over.
+ */
+const rejectPayroll = async (payrollRunId, rejectedBy, { comments }) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM payroll_runs WHERE id = $1 FOR UPDATE',
+      [payrollRunId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Payroll run not found');
+    }
+
+    const payrollRun = result.rows[0];
+
+    if (payrollRun.status !== 'completed') {
+      throw new BadRequestError('Only completed payroll runs can be rejected');
+    }
+
+    await payrollApprovalService.recordDecision(client, {
+      payrollRunId,
+      decision: 'rejected',
+      comments,
+      decidedBy: rejectedBy,
+    });
+    await payrollApprovalService.startApprovalRound(client, payrollRunId);
+    await payrollApprovalService.notifyRejection(client, payrollRun, { comments, rejectedBy });
+
+    await client.query('COMMIT');
+
+    return getPayrollRunById(payrollRunId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Cancel a payroll run
+ * Payslips are kept as cancelled and the notifications they raised are retracted.
+ * Paid runs cannot be cancelled; they need a correction run instead.
+ */
+const cancelPayroll = async (payrollRunId, { reason, cancelledBy }) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const payrollRun = await getReversibleRun(client, payrollRunId, ['draft', 'completed', 'approved'], 'cancelled');
+    const reversal = await reversePayslips(client, payrollRunId, { reason, performedBy: cancelledBy });
+
+    await client.query(
+      `UPDATE payslips SET status = 'cancelled' WHERE payroll_run_id = $1`,
+      [payrollRunId]
+    );
+
+    await client.query(
+      `UPDATE payroll_runs SET
+         status = 'cancelled',
+         cancelled_by = $1,
+         cancelled_at = CURRENT_TIMESTAMP,
+         cancellation_reason = $2
+       WHERE id = $3`,
+      [cancelledBy, reason, payrollRunId]
+    );
+
+    await recordRunAudit(client, {
+      payrollRunId,
+      action: 'cancelled',
+      fromStatus: payrollRun.status,
+      toStatus: 'cancelled',
+      reason,
+      details: reversal,
+      performedBy: cancelledBy,
+    });
+
+    await client.query('COMMIT');
+
+    return getPayrollRunById(payrollRunId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reopen a processed or approved payroll run as a draft
+ * Payslips are removed so the run can be corrected and processed again.
+ * Paid runs cannot be reopened; they need a correction run instead.
+ */
+const reopenPayroll = async (payrollRunId, { reason, reopenedBy }) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const payrollRun = await getReversibleRun(client, payrollRunId, ['completed', 'approved'], 'reopened');
+    const reversal = await reversePayslips(client, payrollRunId, { reason, performedBy: reopenedBy });
+
+    await client.query('DELETE FROM payslips WHERE payroll_run_id = $1', [payrollRunId]);
+    await client.query('DELETE FROM salary_arrears WHERE payroll_run_id = $1', [payrollRunId]);
+
+    await client.query(
+      `UPDATE payroll_runs SET
+         status = 'draft',
+         total_employees = 0,
+         total_gross_salary = 0,
+         total_deductions = 0,
+         total_tax = 0,
+         total_net_salary = 0,
+         total_employer_eobi = 0,
+         total_employer_sessi = 0,
+         total_employer_provident_fund = 0,
+         processed_at = NULL,
+         approval_round_started_at = NULL,
+         approved_by = NULL,
+         approved_at = NULL
+       WHERE id = $1`,
+      [payrollRunId]
+    );
+
+    await recordRunAudit(client, {
+      payrollRunId,
+      action: 'reopened',
+      fromStatus: payrollRun.status,
+      toStatus: 'draft',
+      reason,
+      details: reversal,
+      performedBy: reopenedBy,
+    });
+
+    await client.query('COMMIT');
+
+    return getPayrollRunById(payrollRunId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get cancel and reopen history for a payroll run
+ */
+const getPayrollRunAuditLog = async (payrollRunId) => {
+  await getPayrollRunById(payrollRunId);
+
+  const result = await db.query(
+    `SELECT al.*, u.email as performed_by_email
+     FROM payroll_run_audit_log al
+     LEFT JOIN users u ON al.performed_by = u.id
+     WHERE al.payroll_run_id = $1
+     ORDER BY al.created_at DESC`,
+    [payrollRunId]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    action: row.action,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    reason: row.reason,
+    details: row.details,
+    performedBy: row.performed_by_email,
+    createdAt: row.created_at,
+  }));
+};
+
+/**
+ * Get disbursement summary for a payroll run, grouped by payment method
+ */
+const getDisbursementSummary = async (payrollRunId) => {
+  const payrollRun = await getPayrollRunById(payrollRunId);
+
+  if (['draft', 'processing'].includes(payrollRun.status)) {
+    throw new BadRequestError('Payroll run has not been processed yet');
+  }
+
+  const result = await db.query(`
+    SELECT p.id, p.net_salary,
+           COALESCE(p.payment_method, 'bank_transfer') as payment_method,
+           e.employee_id as emp_code, e.first_name, e.last_name,
+           e.bank_name, e.bank_account_number
+    FROM payslips p
+    JOIN employees e ON p.employee_id = e.id
+    WHERE p.payroll_run_id = $1
+    ORDER BY payment_method, e.employee_id
+  `, [payrollRunId]);
+
+  const groups = new Map();
+
+  for (const row of result.rows) {
+    if (!groups.has(row.payment_method)) {
+      groups.set(row.payment_method, {
+        paymentMethod: row.payment_method,
+        employeeCount: 0,
+        totalNetSalary: 0,
+        payslips: [],
+      });
+    }
+
+    const group = groups.get(row.payment_method);
+    const netSalary = parseFloat(row.net_salary);
+
+    group.employeeCount++;
+    group.totalNetSalary += netSalary;
+    group.payslips.push({
+      payslipId: row.id,
+      employeeCode: row.emp_code,
+      employeeName: `${row.first_name} ${row.last_name}`,
+      bankName: row.bank_name,
+      bankAccountNumber: row.bank_account_number,
+      netSalary,
+    });
+  }
+
+  return {
+    payrollRunId,
+    month: payrollRun.month,
+    year: payrollRun.year,
+    totalNetSalary: payrollRun.totalNetSalary,
+    methods: [...groups.values()],
+  };
+};
+
+/**
+ * Generate a bulk-transfer bank file for an approved payroll run
+ * Only unpaid bank transfer payslips are included; cheque payments are left out.
+ * The 'failed' scope re-issues only transfers that failed or were returned.
+ */
+const generateBankFile = async (payrollRunId, { format, templateCode, scope = 'pending' } = {}) => {
+  const payrollRun = await getPayrollRunById(payrollRunId);
+
+  if (payrollRun.status !== 'approved') {
+    throw new BadRequestError('Bank files can only be generated for approved payroll runs');
+  }
+
+  const fileFormat = format || await settingsService.getSetting('bankFile.defaultFormat') || 'csv';
+
+  if (!BANK_FILE_FORMATS[fileFormat]) {
+    throw new BadRequestError(`Unsupported bank file format: ${fileFormat}`);
+  }
+
+  let template = null;
+
+  if (fileFormat === 'template') {
+    const templates = await settingsService.getSetting('bankFile.templates') || [];
+    template = templates.find((item) => item.code === templateCode);
+
+    if (!template) {
+      throw new BadRequestError(`Bank file template not found: ${templateCode}`);
+    }
+
+    const problems = validateTemplate(template);
+    if (problems.length > 0) {
+      throw new BadRequestError('Bank file template is invalid', problems);
+    }
+  }
+
+  const result = await db.query(`
+    SELECT p.id, p.net_salary,
+           e.employee_id as emp_code, e.first_name, e.last_name,
+           e.bank_name, e.bank_account_number, e.bank_routing_code
+    FROM payslips p
+    JOIN employees e ON p.employee_id = e.id
+    WHERE p.payroll_run_id = $1
+      AND COALESCE(p.payment_method, 'bank_transfer') = 'bank_transfer'
+      AND p.net_salary > 0
+      AND p.status = ANY($2)
+    ORDER BY e.employee_id
+  `, [payrollRunId, scope === 'failed' ? ['payment_failed'] : ['approved', 'payment_failed']]);
+
+  if (result.rows.length === 0) {
+    throw new BadRequestError('There are no unpaid bank transfers in this payroll run');
+  }
+
+  const missing = result.rows
+    .map((row) => ({
+      employeeCode: row.emp_code,
+      employeeName: `${row.first_name} ${row.last_name}`,
+      missing: [
+        !row.bank_name && 'bankName',
+        !row.bank_account_number && 'bankAccountNumber',
+      ].filter(Boolean),
+    }))
+    .filter((row) => row.missing.length > 0);
+
+  if (missing.length > 0) {
+    throw new BadRequestError('Bank details are missing for some employees', missing);
+  }
+
+  // Extra runs in the same period get a short run suffix so batch references stay unique
+  const batchReference = [
+    BATCH_PREFIXES[payrollRun.runType],
+    payrollRun.year,
+    String(payrollRun.month).padStart(2, '0'),
+    payrollRun.runType === 'regular' ? '' : payrollRun.id.slice(0, 4).toUpperCase(),
+    scope === 'failed' ? 'R' : '',
+  ].join('');
+  const records = result.rows.map((row) => ({
+    employeeCode: row.emp_code,
+    employeeName: `${row.first_name} ${row.last_name}`,
+    bankName: row.bank_name,
+    accountNumber: row.bank_account_number.replace(/\s+/g, ''),
+    routingCode: row.bank_routing_code || '',
+    amount: parseFloat(row.net_salary),
+    reference: `${batchReference}-${row.emp_code}`,
+  }));
+
+  const batch = {
+    batchReference,
+    paymentDate: formatLocalDate(new Date()),
+    companyName: await settingsService.getSetting('company.name'),
+    companyAccountNumber: await settingsService.getSetting('bankFile.companyAccountNumber') || '',
+  };
+
+  const file = renderBankFile(fileFormat, records, batch, template);
+
+  return {
+    ...file,
+    filename: `${batchReference}-${fileFormat === 'template' ? template.code : fileFormat}.${file.extension}`,
+  };
+};
+
 /**
  * Get payslips for a payroll run
  */
@@ -443,71 +1086,794 @@ const getSalaryHistory = async (employeeId, months = 12) => {
 
 // Helper functions
 
-const calculateWorkingDays = async (client, month, year) => {
-  const startDate = new Date(year, month - 1, 1);
-  const endDate = new Date(year, month, 0);
+// Employee and salary structure columns used to calculate a payslip;
+// the structure is the one in effect at the end of the period, with the one
+// before it when a revision takes effect after the period starts
+const getPayrollEmployees = async (client, employeeFilter, params, periodStart, periodEnd) => {
+  const result = await client.query(`
+    SELECT
+      e.id as employee_id,
+      e.employee_id as emp_code,
+      e.tax_filing_status,
+      e.joining_date,
+      e.end_date,
+      e.department_id,
+      e.work_location,
+      e.employment_type,
+      (
+        SELECT json_agg(json_build_object('costCentre', a.cost_centre, 'percentage', a.percentage)
+                        ORDER BY a.percentage DESC, a.cost_centre)
+        FROM employee_cost_allocations a
+        WHERE a.employee_id = e.id
+      ) as cost_allocations,
+      ss.basic_salary,
+      ss.housing_allowance,
+      ss.transport_allowance,
+      ss.medical_allowance,
+      ss.utility_allowance,
+      ss.other_allowances,
+      ss.gross_salary,
+      ss.bonus,
+      ss.overtime_rate,
+      ss.provident_fund_employee,
+      ss.provident_fund_employer,
+      ss.payment_method,
+      ss.loan_deduction,
+      ss.other_deductions,
+      ss.id as salary_structure_id,
+      ss.effective_from as salary_effective_from,
+      (
+        SELECT to_jsonb(prev)
+        FROM salary_structures prev
+        WHERE prev.employee_id = e.id
+          AND prev.effective_from < ss.effective_from
+          AND ss.effective_from > $${params.length + 2}::date
+        ORDER BY prev.effective_from DESC
+        LIMIT 1
+      ) as previous_structure
+    FROM employees e
+    ${salaryRevisionService.effectiveStructureJoin('e.id', `$${params.length + 1}::date`)}
+    WHERE ${employeeFilter}
+  `, [...params, periodEnd, periodStart]);
+
+  return result.rows;
+};
 
-  // Get holidays
-  const holidaysResult = await client.query(
-    'SELECT date FROM public_holidays WHERE date >= $1 AND date <= $2',
-    [startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0]]
-  );
-  const holidays = new Set(holidaysResult.rows.map(r => r.date.toISOString().split('T')[0]));
+/**
+ * Load the period, settings, adjustments and earlier pay shared by every payslip in a run
+ */
+const getRunContext = async (client, payrollRun) => {
+  const periodStart = formatLocalDate(payrollRun.period_start);
+  const periodEnd = formatLocalDate(payrollRun.period_end);
 
-  let workingDays = 0;
-  const current = new Date(startDate);
+  // Get working days in month (excluding weekends and holidays)
+  const holidays = await getHolidays(client, periodStart, periodEnd);
 
-  while (current <= endDate) {
-    const day = current.getDay();
-    const dateStr = current.toISOString().split('T')[0];
+  return {
+    payrollRun,
+    periodStart,
+    periodEnd,
+    holidays,
+    workingDays: countWorkingDays(periodStart, periodEnd, holidays),
+    isSettlement: payrollRun.run_type === 'final_settlement',
+    includeBaseSalary: payrollRun.include_base_salary !== false,
+    prorationBasis: await settingsService.getSetting('payroll.prorationBasis'),
+    overtimeMultiplier: Number(await settingsService.getSetting('payroll.overtimeMultiplier')) || 1.5,
+    workingHoursPerDay: Number(await settingsService.getSetting('payroll.workingHoursPerDay')) || 8,
+    adjustmentsByEmployee: await payrollAdjustmentService.getRunAdjustmentsByEmployee(client, payrollRun.id),
+    // Loan installments due by this period, or the whole outstanding schedule at final settlement
+    loanInstallmentsByEmployee: await loanService.getRunInstallmentsByEmployee(client, payrollRun),
+    // Backdated raises owed for months already paid at the old rate
+    arrearsByEmployee: await salaryRevisionService.getRunArrearsByEmployee(client, payrollRun),
+    // Pay already taxed in the period's other runs, so tax is on the month's combined income
+    earlierPay: await getEarlierPayInPeriod(client, payrollRun),
+    // Taxable pay and tax from earlier months of the fiscal year (July to June)
+    yearToDate: await getYearToDateTax(client, payrollRun),
+    // Slabs of the tax year the period falls in, so reprocessing old months uses that year's slabs
+    taxTable: await taxYearService.getTaxTableForDate(periodStart, client),
+    remainingMonths: (18 - payrollRun.month) % 12,
+  };
+};
 
-    if (day !== 0 && day !== 6 && !holidays.has(dateStr)) {
-      workingDays++;
-    }
-    current.setDate(current.getDate() + 1);
-  }
+/**
+ * Calculate one employee's payslip for a run
+ * @returns {object} Payslip column values, ready to insert or update
+ */
+const calculatePayslip = async (client, context, emp) => {
+  const { payrollRun, periodStart, periodEnd, holidays, workingDays, includeBaseSalary } = context;
+  const { month, year } = payrollRun;
+  const isFiler = emp.tax_filing_status === 'filer';
+  const monthlyGross = parseFloat(emp.gross_salary);
+
+  // A settlement leaves out the final month's salary when another run already paid it
+  const paysBaseSalary = includeBaseSalary
+    && !(context.isSettlement && context.earlierPay.get(emp.employee_id)?.hasBaseSalary);
+
+  // Pro-rate earnings for joiners and leavers within the period;
+  // runs without base salary pay only their adjustments
+  const prorationFactor = paysBaseSalary
+    ? calculateProrationFactor({
+      periodStart,
+      periodEnd,
+      joiningDate: emp.joining_date,
+      endDate: emp.end_date,
+      basis: context.prorationBasis,
+      holidays,
+    })
+    : 0;
+
+  // A revision taking effect within the period pays the earlier structure up to the day before
+  const revisedShare = emp.previous_structure
+    ? calculateProrationFactor({
+      periodStart,
+      periodEnd,
+      joiningDate: emp.salary_effective_from,
+      basis: context.prorationBasis,
+      holidays,
+    })
+    : 1;
+  const structureAmount = (column) => (parseFloat(emp[column]) || 0) * revisedShare
+    + (parseFloat(emp.previous_structure?.[column]) || 0) * (1 - revisedShare);
+
+  const earnings = prorateEarnings({
+    basicSalary: structureAmount('basic_salary'),
+    housingAllowance: structureAmount('housing_allowance'),
+    transportAllowance: structureAmount('transport_allowance'),
+    medicalAllowance: structureAmount('medical_allowance'),
+    utilityAllowance: structureAmount('utility_allowance'),
+    otherAllowances: structureAmount('other_allowances'),
+    bonus: structureAmount('bonus'),
+  }, prorationFactor);
+  const grossSalary = earnings.gross;
+
+  // Provident fund shares from the salary structure, pro-rated with earnings
+  const providentFund = prorateEarnings({
+    employee: structureAmount('provident_fund_employee'),
+    employer: structureAmount('provident_fund_employer'),
+  }, prorationFactor);
+
+  // Attendance and unpaid leave, loaded for the employee's batch
+  const attendanceSummary = paysBaseSalary
+    ? context.attendanceByEmployee.get(emp.employee_id) || NO_ATTENDANCE
+    : NO_ATTENDANCE;
+  const unpaidLeaveDays = paysBaseSalary
+    ? context.unpaidLeaveByEmployee.get(emp.employee_id) || 0
+    : 0;
+
+  // Loss of pay for unexcused absences and unpaid leave
+  const lossOfPay = calculateLossOfPay({
+    grossSalary: monthlyGross,
+    workingDays,
+    absentDays: attendanceSummary.unexcusedAbsentDays,
+    unpaidLeaveDays,
+  });
+
+  // Settlement runs add encashment and gratuity, and recover loans and unserved notice
+  const settlement = context.isSettlement
+    ? await settlementService.calculateSettlementLines(client, payrollRun, emp)
+    : { leaveEncashment: 0, gratuity: 0, noticeRecovery: 0, loanRecovery: null };
+
+  // Installments from the loans module are recovered on top of the salary structure's fixed deduction.
+  // At settlement they clear the whole outstanding schedule, so a manual loan recovery is not added too.
+  const loanInstallments = context.loanInstallmentsByEmployee.get(emp.employee_id)?.amount || 0;
+  const settlementLoanRecovery = loanInstallments > 0 && settlement.loanRecovery !== null ? 0 : settlement.loanRecovery;
+
+  // Calculate deductions on the salary actually earned
+  const taxableSalary = grossSalary - lossOfPay.amount;
+  const deductions = calculateAllDeductions(taxableSalary, isFiler, {
+    loanDeduction: includeBaseSalary
+      ? (settlementLoanRecovery ?? (paysBaseSalary ? parseFloat(emp.loan_deduction) || 0 : 0)) + loanInstallments
+      : 0,
+    otherDeductions: paysBaseSalary ? parseFloat(emp.other_deductions) || 0 : 0,
+    providentFund: providentFund.employee,
+  }, context.taxTable);
+
+  // One-off bonuses, arrears and recoveries added to this run
+  const adjustments = context.adjustmentsByEmployee.get(emp.employee_id)
+    || payrollAdjustmentService.emptyAdjustmentTotals();
+
+  // Salary revision arrears are paid on their own line and taxed with the month's lump sums
+  const salaryArrears = context.arrearsByEmployee.get(emp.employee_id)?.amount || 0;
+
+  // Overtime at the employee's own hourly rate, else derived from monthly gross
+  const overtimeRate = parseFloat(emp.overtime_rate) > 0
+    ? parseFloat(emp.overtime_rate)
+    : (monthlyGross / (workingDays * context.workingHoursPerDay)) * context.overtimeMultiplier;
+  const overtimePay = Math.round(attendanceSummary.overtimeHours * overtimeRate);
+
+  // Fiscal-year cumulative withholding: salary is projected over the rest of the year,
+  // while overtime and one-off payments are taxed in full in the month they are paid.
+  // Leavers have no further months to project.
+  const lumpSum = settlement.leaveEncashment + settlement.gratuity;
+  const taxableLumpSum = lumpSum + adjustments.taxableEarnings + overtimePay + salaryArrears;
+  const yearToDate = context.yearToDate.get(emp.employee_id) || { taxableIncome: 0, incomeTax: 0 };
+  const earlier = context.earlierPay.get(emp.employee_id) || { salary: 0, lumpSum: 0, incomeTax: 0 };
+  const hasLeft = emp.end_date && formatLocalDate(emp.end_date) <= periodEnd;
+  const tax = calculateCumulativeTax({
+    salary: taxableSalary,
+    lumpSum: taxableLumpSum,
+    yearToDate,
+    earlier,
+    projectedSalary: monthlyGross,
+    remainingMonths: hasLeft ? 0 : context.remainingMonths,
+    isFiler,
+    taxTable: context.taxTable,
+  });
+  const incomeTax = tax.incomeTax;
+
+  const finalGross = grossSalary + overtimePay + lumpSum + salaryArrears
+    + adjustments.bonus + adjustments.otherEarnings;
+  const totalDeductionsAmount = deductions.totalDeductions - deductions.incomeTax + incomeTax
+    + lossOfPay.amount + settlement.noticeRecovery + adjustments.deductions;
+
+  return {
+    payroll_run_id: payrollRun.id,
+    employee_id: emp.employee_id,
+    month,
+    year,
+    working_days: workingDays,
+    present_days: attendanceSummary.presentDays,
+    absent_days: attendanceSummary.absentDays,
+    leave_days: attendanceSummary.leaveDays,
+    overtime_hours: attendanceSummary.overtimeHours,
+    basic_salary: earnings.basicSalary,
+    housing_allowance: earnings.housingAllowance,
+    transport_allowance: earnings.transportAllowance,
+    medical_allowance: earnings.medicalAllowance,
+    utility_allowance: earnings.utilityAllowance,
+    other_allowances: earnings.otherAllowances,
+    overtime_pay: overtimePay,
+    gross_salary: finalGross,
+    income_tax: incomeTax,
+    eobi_contribution: deductions.eobi,
+    sessi_contribution: deductions.sessi,
+    eobi_employer: deductions.employerContributions.eobi,
+    sessi_employer: deductions.employerContributions.sessi,
+    loan_deduction: deductions.loanDeduction,
+    loan_installments: loanInstallments,
+    other_deductions: deductions.otherDeductions,
+    total_deductions: totalDeductionsAmount,
+    net_salary: finalGross - totalDeductionsAmount,
+    taxable_income: tax.projectedAnnualIncome,
+    tax_slab: tax.taxSlab,
+    tax_year: context.taxTable.label,
+    is_filer: isFiler,
+    unpaid_leave_days: unpaidLeaveDays,
+    loss_of_pay_days: lossOfPay.days,
+    loss_of_pay_deduction: lossOfPay.amount,
+    proration_factor: prorationFactor,
+    leave_encashment: settlement.leaveEncashment,
+    gratuity: settlement.gratuity,
+    notice_period_recovery: settlement.noticeRecovery,
+    bonus: earnings.bonus + adjustments.bonus,
+    other_earnings: adjustments.otherEarnings,
+    salary_arrears: salaryArrears,
+    salary_structure_id: emp.salary_structure_id,
+    adjustment_deductions: adjustments.deductions,
+    adjustments: JSON.stringify(adjustments.items),
+    provident_fund_employee: providentFund.employee,
+    provident_fund_employer: providentFund.employer,
+    payment_method: emp.payment_method,
+    // Where the cost belonged when paid, for cost allocation reports
+    department_id: emp.department_id || null,
+    work_location: emp.work_location || null,
+    employment_type: emp.employment_type || null,
+    cost_allocations: emp.cost_allocations ? JSON.stringify(emp.cost_allocations) : null,
+    taxable_salary: taxableSalary,
+    taxable_lump_sum: taxableLumpSum,
+    ytd_taxable_income: yearToDate.taxableIncome + earlier.salary + earlier.lumpSum + taxableSalary + taxableLumpSum,
+    ytd_income_tax: yearToDate.incomeTax + earlier.incomeTax + incomeTax,
+    annual_tax_liability: tax.annualTaxLiability,
+  };
+};
+
+/**
+ * Taxable pay and income tax on payslips from earlier months of the run's fiscal year, per employee
+ * Only approved and paid runs count; processed runs can still be recalculated or reopened.
+ */
+const getYearToDateTax = async (client, payrollRun) => {
+  const fiscalYear = getFiscalYear(payrollRun.month, payrollRun.year);
 
-  return workingDays;
+  const result = await client.query(`
+    SELECT p.employee_id,
+           SUM(COALESCE(p.taxable_salary, p.taxable_income / 12) + COALESCE(p.taxable_lump_sum, 0)) as taxable_income,
+           SUM(p.income_tax) as income_tax
+    FROM payslips p
+    JOIN payroll_runs pr ON pr.id = p.payroll_run_id
+    WHERE pr.status = ANY($3)
+      AND p.status <> 'cancelled'
+      AND (p.year * 100 + p.month) >= $1
+      AND (p.year * 100 + p.month) < $2
+    GROUP BY p.employee_id
+  `, [
+    fiscalYear.startYear * 100 + fiscalYear.startMonth,
+    payrollRun.year * 100 + payrollRun.month,
+    ['approved', 'paid'],
+  ]);
+
+  return new Map(result.rows.map((row) => [row.employee_id, {
+    taxableIncome: parseFloat(row.taxable_income) || 0,
+    incomeTax: parseFloat(row.income_tax) || 0,
+  }]));
 };
 
-const getEmployeeAttendance = async (client, employeeId, month, year) => {
+const NO_ATTENDANCE = {
+  presentDays: 0,
+  absentDays: 0,
+  unexcusedAbsentDays: 0,
+  leaveDays: 0,
+  overtimeHours: 0,
+};
+
+/**
+ * Salary, lump sums and tax already on payslips in the period's other runs, per employee
+ */
+const getEarlierPayInPeriod = async (client, payrollRun) => {
+  const result = await client.query(`
+    SELECT p.employee_id,
+           SUM(COALESCE(p.taxable_salary, p.taxable_income / 12)) as taxable_salary,
+           SUM(COALESCE(p.taxable_lump_sum, 0)) as taxable_lump_sum,
+           SUM(p.income_tax) as income_tax,
+           BOOL_OR(p.basic_salary > 0) as has_base_salary
+    FROM payslips p
+    JOIN payroll_runs pr ON pr.id = p.payroll_run_id
+    WHERE pr.id <> $1
+      AND pr.month = $2
+      AND pr.year = $3
+      AND pr.status <> 'cancelled'
+      AND p.status <> 'cancelled'
+    GROUP BY p.employee_id
+  `, [payrollRun.id, payrollRun.month, payrollRun.year]);
+
+  return new Map(result.rows.map((row) => [row.employee_id, {
+    salary: parseFloat(row.taxable_salary) || 0,
+    lumpSum: parseFloat(row.taxable_lump_sum) || 0,
+    incomeTax: parseFloat(row.income_tax) || 0,
+    hasBaseSalary: row.has_base_salary === true,
+  }]));
+};
+
+const getHolidays = async (client, startDate, endDate) => {
+  const holidaysResult = await client.query(
+    'SELECT date FROM public_holidays WHERE date >= $1 AND date <= $2',
+    [formatLocalDate(startDate), formatLocalDate(endDate)]
+  );
+
+  return new Set(holidaysResult.rows.map(r => formatLocalDate(r.date)));
+};
+
+/**
+ * Attendance summaries for a month, per employee, from one aggregate query
+ * @returns {Map<string, object>} Summary per employee ID; employees with no records are left out
+ */
+const getAttendanceByEmployee = async (client, employeeIds, month, year) => {
   const result = await client.query(`
     SELECT
+      a.employee_id,
       COUNT(*) FILTER (WHERE status IN ('present', 'late')) as present_days,
       COUNT(*) FILTER (WHERE status = 'absent') as absent_days,
+      COUNT(*) FILTER (
+        WHERE status = 'absent'
+          AND NOT EXISTS (
+            SELECT 1 FROM leave_requests lr
+            WHERE lr.employee_id = a.employee_id
+              AND lr.status = 'approved'
+              AND a.date BETWEEN lr.start_date AND lr.end_date
+          )
+      ) as unexcused_absent_days,
       COUNT(*) FILTER (WHERE status = 'on_leave') as leave_days,
       SUM(COALESCE(overtime_hours, 0)) as overtime_hours
-    FROM attendance
-    WHERE employee_id = $1
-      AND EXTRACT(MONTH FROM date) = $2
-      AND EXTRACT(YEAR FROM date) = $3
-  `, [employeeId, month, year]);
-
-  const row = result.rows[0];
-  return {
+    FROM attendance a
+    WHERE a.employee_id = ANY($1)
+      AND a.date >= make_date($3, $2, 1)
+      AND a.date < make_date($3, $2, 1) + INTERVAL '1 month'
+    GROUP BY a.employee_id
+  `, [employeeIds, month, year]);
+
+  return new Map(result.rows.map((row) => [row.employee_id, {
     presentDays: parseInt(row.present_days) || 0,
     absentDays: parseInt(row.absent_days) || 0,
+    unexcusedAbsentDays: parseInt(row.unexcused_absent_days) || 0,
     leaveDays: parseInt(row.leave_days) || 0,
     overtimeHours: parseFloat(row.overtime_hours) || 0,
+  }]));
+};
+
+/**
+ * Count approved leave days on unpaid leave types that fall inside the period, per employee
+ * @returns {Map<string, number>} Unpaid leave days per employee ID
+ */
+const getUnpaidLeaveDaysByEmployee = async (client, employeeIds, periodStart, periodEnd, holidays) => {
+  const result = await client.query(`
+    SELECT lr.employee_id, lr.start_date, lr.end_date, lr.is_half_day
+    FROM leave_requests lr
+    JOIN leave_types lt ON lt.id = lr.leave_type_id
+    WHERE lr.employee_id = ANY($1)
+      AND lr.status = 'approved'
+      AND lt.is_paid = false
+      AND lr.start_date <= $3
+      AND lr.end_date >= $2
+  `, [employeeIds, formatLocalDate(periodStart), formatLocalDate(periodEnd)]);
+
+  const periodStartStr = formatLocalDate(periodStart);
+  const periodEndStr = formatLocalDate(periodEnd);
+  const byEmployee = new Map();
+
+  for (const leave of result.rows) {
+    const start = formatLocalDate(leave.start_date);
+    const end = formatLocalDate(leave.end_date);
+    const from = start > periodStartStr ? start : periodStartStr;
+    const to = end < periodEndStr ? end : periodEndStr;
+    const days = countWorkingDays(from, to, holidays);
+
+    byEmployee.set(
+      leave.employee_id,
+      (byEmployee.get(leave.employee_id) || 0) + (leave.is_half_day ? Math.min(days, 1) * 0.5 : days)
+    );
+  }
+
+  return byEmployee;
+};
+
+/**
+ * Load attendance and unpaid leave for the employees about to be calculated
+ */
+const loadEmployeeRecords = async (client, context, employeeIds) => {
+  const { payrollRun, periodStart, periodEnd, holidays, includeBaseSalary } = context;
+
+  context.attendanceByEmployee = includeBaseSalary
+    ? await getAttendanceByEmployee(client, employeeIds, payrollRun.month, payrollRun.year)
+    : new Map();
+  context.unpaidLeaveByEmployee = includeBaseSalary
+    ? await getUnpaidLeaveDaysByEmployee(client, employeeIds, periodStart, periodEnd, holidays)
+    : new Map();
+};
+
+const emptyRunTotals = () => ({
+  gross: 0,
+  deductions: 0,
+  tax: 0,
+  net: 0,
+  employerEobi: 0,
+  employerSessi: 0,
+  employerProvidentFund: 0,
+  installmentIds: [],
+});
+
+/**
+ * Calculate and insert payslips for a batch of employees, adding them to the run totals
+ */
+const calculatePayslipBatch = async (client, context, employees, totals) => {
+  await loadEmployeeRecords(client, context, employees.map((emp) => emp.employee_id));
+
+  const payslips = [];
+
+  for (const emp of employees) {
+    const payslip = await calculatePayslip(client, context, emp);
+    payslips.push(payslip);
+
+    totals.gross += payslip.gross_salary;
+    totals.deductions += payslip.total_deductions;
+    totals.tax += payslip.income_tax;
+    totals.net += payslip.net_salary;
+    totals.employerEobi += payslip.eobi_employer;
+    totals.employerSessi += payslip.sessi_employer;
+    totals.employerProvidentFund += payslip.provident_fund_employer;
+    totals.installmentIds.push(
+      ...(context.loanInstallmentsByEmployee.get(emp.employee_id)?.installmentIds || [])
+    );
+  }
+
+  await insertPayslips(client, payslips);
+};
+
+/**
+ * Insert payslips with one multi-row statement
+ */
+const insertPayslips = async (client, payslips) => {
+  if (payslips.length === 0) {
+    return;
+  }
+
+  const columns = Object.keys(payslips[0]);
+  const rows = payslips.map((payslip, row) =>
+    `(${columns.map((column, index) => `$${row * columns.length + index + 1}`).join(', ')})`);
+
+  await client.query(
+    `INSERT INTO payslips (${columns.join(', ')})
+     VALUES ${rows.join(', ')}`,
+    payslips.flatMap((payslip) => columns.map((column) => payslip[column]))
+  );
+};
+
+/**
+ * Record the loan installments and arrears a run's payslips paid, and mark the run
+ * completed with its totals
+ */
+const completeRun = async (client, payrollRun, context, employees, totals, processedBy) => {
+  // Record the loan installments recovered on these payslips and close repaid loans
+  await loanService.applyRunInstallments(client, payrollRun, totals.installmentIds);
+  await salaryRevisionService.recordRunArrears(
+    client, payrollRun.id, context.arrearsByEmployee, employees.map((emp) => emp.employee_id)
+  );
+
+  await client.query(`
+    UPDATE payroll_runs SET
+      status = 'completed',
+      total_employees = $1,
+      total_gross_salary = $2,
+      total_deductions = $3,
+      total_tax = $4,
+      total_net_salary = $5,
+      total_employer_eobi = $6,
+      total_employer_sessi = $7,
+      total_employer_provident_fund = $8,
+      processed_at = CURRENT_TIMESTAMP,
+      processed_by = $9,
+      approval_round_started_at = CURRENT_TIMESTAMP,
+      processing_error = NULL,
+      processing_heartbeat_at = NULL
+    WHERE id = $10`,
+    [
+      employees.length, totals.gross, totals.deductions, totals.tax, totals.net,
+      totals.employerEobi, totals.employerSessi, totals.employerProvidentFund,
+      processedBy, payrollRun.id,
+    ]
+  );
+};
+
+/**
+ * Process a large run in the background, one transaction per batch so no lock is held
+ * for the whole run. Progress is saved with each batch. If a batch fails, the payslips
+ * written so far are removed and the run goes back to draft with the error.
+ */
+const runPayrollJob = async (payrollRun, processedBy, context, employees) => {
+  activeJobs.add(payrollRun.id);
+  const totals = emptyRunTotals();
+
+  try {
+    for (let start = 0; start < employees.length; start += PAYSLIP_BATCH_SIZE) {
+      const batch = employees.slice(start, start + PAYSLIP_BATCH_SIZE);
+
+      await db.transaction(async (client) => {
+        await calculatePayslipBatch(client, context, batch, totals);
+        await client.query(
+          `UPDATE payroll_runs SET processing_done = $1, processing_heartbeat_at = CURRENT_TIMESTAMP
+           WHERE id = $2`,
+          [start + batch.length, payrollRun.id]
+        );
+      });
+    }
+
+    await db.transaction(async (client) => {
+      await completeRun(client, payrollRun, context, employees, totals, processedBy);
+      await payrollApprovalService.notifyApprovers(
+        client,
+        { ...payrollRun, processed_by: processedBy },
+        await payrollApprovalService.getApprovalPolicy()
+      );
+    });
+  } catch (error) {
+    await db.transaction(async (client) => {
+      await client.query('DELETE FROM payslips WHERE payroll_run_id = $1', [payrollRun.id]);
+      await client.query(
+        `UPDATE payroll_runs SET status = 'draft', processing_error = $1, processing_heartbeat_at = NULL
+         WHERE id = $2 AND status = 'processing'`,
+        [error.message, payrollRun.id]
+      );
+    }).catch((failure) => console.error('[Payroll] Could not reset failed run:', failure.message));
+  } finally {
+    activeJobs.delete(payrollRun.id);
+  }
+};
+
+/**
+ * Whether a run left processing has no job still working on it
+ */
+const isStalledJob = (payrollRun) => {
+  if (activeJobs.has(payrollRun.id)) {
+    return false;
+  }
+
+  const heartbeat = payrollRun.processing_heartbeat_at ? new Date(payrollRun.processing_heartbeat_at) : null;
+
+  return !heartbeat || Date.now() - heartbeat.getTime() > STALLED_JOB_MINUTES * 60 * 1000;
+};
+
+/**
+ * Add adjustments for attendance and leave changed in earlier months after they were paid
+ * Loss of pay and overtime are recalculated from current records at the salary and
+ * working days the month was paid at; corrections made by other runs are netted off.
+ * Runs without base salary carry no corrections.
+ */
+const applyPeriodCorrections = async (client, context, employeeIds, createdBy) => {
+  const { payrollRun } = context;
+  const changedPeriods = context.includeBaseSalary && employeeIds.length > 0
+    ? await periodLockService.getChangedPeriods(client, payrollRun, employeeIds)
+    : [];
+  const applied = changedPeriods.length > 0
+    ? await payrollAdjustmentService.getAppliedCorrections(client, payrollRun.id, employeeIds)
+    : new Map();
+  const corrections = [];
+
+  for (const { employee_id: employeeId, month, year } of changedPeriods) {
+    const paidResult = await client.query(`
+      SELECT p.working_days, p.overtime_pay, p.loss_of_pay_deduction,
+             pr.period_start, pr.period_end,
+             ss.gross_salary, ss.overtime_rate
+      FROM payslips p
+      JOIN payroll_runs pr ON pr.id = p.payroll_run_id
+      JOIN salary_structures ss ON ss.id = p.salary_structure_id
+      WHERE p.employee_id = $1 AND p.month = $2 AND p.year = $3
+        AND pr.status IN ('approved', 'paid')
+        AND pr.include_base_salary IS DISTINCT FROM false
+        AND p.status <> 'cancelled'
+      ORDER BY pr.approved_at DESC
+      LIMIT 1
+    `, [employeeId, month, year]);
+
+    if (paidResult.rows.length === 0) {
+      continue;
+    }
+
+    const paid = paidResult.rows[0];
+    const holidays = await getHolidays(client, paid.period_start, paid.period_end);
+    const attendance = (await getAttendanceByEmployee(client, [employeeId], month, year)).get(employeeId)
+      || NO_ATTENDANCE;
+    const unpaidLeaveDays = (await getUnpaidLeaveDaysByEmployee(
+      client, [employeeId], paid.period_start, paid.period_end, holidays
+    )).get(employeeId) || 0;
+    const monthlyGross = parseFloat(paid.gross_salary);
+    const lossOfPay = calculateLossOfPay({
+      grossSalary: monthlyGross,
+      workingDays: paid.working_days,
+      absentDays: attendance.unexcusedAbsentDays,
+      unpaidLeaveDays,
+    });
+    const overtimeRate = parseFloat(paid.overtime_rate) > 0
+      ? parseFloat(paid.overtime_rate)
+      : (monthlyGross / (paid.working_days * context.workingHoursPerDay)) * context.overtimeMultiplier;
+    const overtimePay = Math.round(attendance.overtimeHours * overtimeRate);
+
+    const difference = (overtimePay - (parseFloat(paid.overtime_pay) || 0))
+      - (lossOfPay.amount - (parseFloat(paid.loss_of_pay_deduction) || 0));
+    const amount = Math.round((difference - (applied.get(`${employeeId}:${year}:${month}`) || 0)) * 100) / 100;
+
+    if (amount !== 0) {
+      corrections.push({ employeeId, month, year, amount });
+    }
+  }
+
+  await payrollAdjustmentService.replaceRunCorrections(client, payrollRun.id, employeeIds, corrections, createdBy);
+  context.adjustmentsByEmployee = await payrollAdjustmentService.getRunAdjustmentsByEmployee(client, payrollRun.id);
+};
+
+/**
+ * Lock a run for cancel/reopen and check it can still be reversed
+ */
+const getReversibleRun = async (client, payrollRunId, allowedStatuses, action) => {
+  const result = await client.query(
+    'SELECT id, status, month, year FROM payroll_runs WHERE id = $1 FOR UPDATE',
+    [payrollRunId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Payroll run not found');
+  }
+
+  const payrollRun = result.rows[0];
+
+  if (payrollRun.status === 'paid') {
+    throw new BadRequestError('Paid payroll runs cannot be changed; create a correction run instead');
+  }
+
+  if (!allowedStatuses.includes(payrollRun.status)) {
+    throw new BadRequestError(`A ${payrollRun.status} payroll run cannot be ${action}`);
+  }
+
+  const paidResult = await client.query(
+    `SELECT COUNT(*) as paid FROM payslips WHERE payroll_run_id = $1 AND status = 'paid'`,
+    [payrollRunId]
+  );
+
+  if (parseInt(paidResult.rows[0].paid, 10) > 0) {
+    throw new BadRequestError('Some payslips in this run are already paid; create a correction run instead');
+  }
+
+  return payrollRun;
+};
+
+/**
+ * Retract payslip notifications for a run, put its recovered loan installments back
+ * on the schedule, unlock the month its approval locked and summarise what is being reversed
+ */
+const reversePayslips = async (client, payrollRunId, { reason, performedBy }) => {
+  const totalsResult = await client.query(
+    `SELECT COUNT(*) as payslips,
+            COALESCE(SUM(gross_salary), 0) as gross_salary,
+            COALESCE(SUM(net_salary), 0) as net_salary
+     FROM payslips
+     WHERE payroll_run_id = $1`,
+    [payrollRunId]
+  );
+
+  const installmentsReleased = await loanService.releaseRunInstallments(client, payrollRunId);
+
+  // The month is corrected and paid again, so its attendance, leave and salary must be editable
+  const periodUnlocked = await periodLockService.unlockRunPeriod(client, payrollRunId, {
+    reason,
+    unlockedBy: performedBy,
+  });
+
+  const retracted = await client.query(
+    `DELETE FROM notifications
+     WHERE entity_type = 'payslip'
+       AND type IN ('salary_approved', 'salary_credited')
+       AND entity_id IN (SELECT id FROM payslips WHERE payroll_run_id = $1)`,
+    [payrollRunId]
+  );
+
+  const totals = totalsResult.rows[0];
+  return {
+    payslips: parseInt(totals.payslips, 10) || 0,
+    grossSalary: parseFloat(totals.gross_salary) || 0,
+    netSalary: parseFloat(totals.net_salary) || 0,
+    notificationsRetracted: retracted.rowCount || 0,
+    loanInstallmentsReleased: installmentsReleased,
+    periodUnlocked,
   };
 };
 
+const recordRunAudit = (client, { payrollRunId, action, fromStatus, toStatus, reason, details, performedBy }) =>
+  client.query(
+    `INSERT INTO payroll_run_audit_log (
+       payroll_run_id, action, from_status, to_status, reason, details, performed_by
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [payrollRunId, action, fromStatus, toStatus, reason, JSON.stringify(details), performedBy]
+  );
+
 const transformPayrollRun = (row) => ({
   id: row.id,
   month: row.month,
   year: row.year,
   periodStart: row.period_start,
   periodEnd: row.period_end,
+  runType: row.run_type || 'regular',
+  includeBaseSalary: row.include_base_salary !== false,
+  employeeId: row.employee_id,
+  employeeName: row.employee_first_name ? `${row.employee_first_name} ${row.employee_last_name}` : null,
   status: row.status,
   totalEmployees: row.total_employees,
   totalGrossSalary: parseFloat(row.total_gross_salary) || 0,
   totalDeductions: parseFloat(row.total_deductions) || 0,
   totalTax: parseFloat(row.total_tax) || 0,
   totalNetSalary: parseFloat(row.total_net_salary) || 0,
+  employerContributions: {
+    eobi: parseFloat(row.total_employer_eobi) || 0,
+    sessi: parseFloat(row.total_employer_sessi) || 0,
+    providentFund: parseFloat(row.total_employer_provident_fund) || 0,
+  },
+  totalEmployerCost: (parseFloat(row.total_gross_salary) || 0)
+    + (parseFloat(row.total_employer_eobi) || 0)
+    + (parseFloat(row.total_employer_sessi) || 0)
+    + (parseFloat(row.total_employer_provident_fund) || 0),
   processedBy: row.processed_by_email,
   processedAt: row.processed_at,
+  // Set while a background job processes the run, and kept with the error if it fails
+  processing: row.processing_total
+    ? {
+      total: row.processing_total,
+      done: row.processing_done || 0,
+      percent: Math.floor(((row.processing_done || 0) / row.processing_total) * 100),
+      startedAt: row.processing_started_at,
+      error: row.processing_error,
+    }
+    : null,
   approvedBy: row.approved_by_email,
   approvedAt: row.approved_at,
+  paidAt: row.paid_at,
+  cancelledAt: row.cancelled_at,
+  cancellationReason: row.cancellation_reason,
   notes: row.notes,
   createdAt: row.created_at,
 });
@@ -526,6 +1892,11 @@ const transformPayslip = (row) => ({
   presentDays: row.present_days,
   absentDays: row.absent_days,
   leaveDays: parseFloat(row.leave_days) || 0,
+  unpaidLeaveDays: parseFloat(row.unpaid_leave_days) || 0,
+  lossOfPayDays: parseFloat(row.loss_of_pay_days) || 0,
+  prorationFactor: row.proration_factor !== undefined && row.proration_factor !== null
+    ? parseFloat(row.proration_factor)
+    : 1,
   overtimeHours: parseFloat(row.overtime_hours) || 0,
   earnings: {
     basicSalary: parseFloat(row.basic_salary),
@@ -536,23 +1907,48 @@ const transformPayslip = (row) => ({
     otherAllowances: parseFloat(row.other_allowances),
     overtimePay: parseFloat(row.overtime_pay) || 0,
     bonus: parseFloat(row.bonus) || 0,
+    leaveEncashment: parseFloat(row.leave_encashment) || 0,
+    gratuity: parseFloat(row.gratuity) || 0,
+    otherEarnings: parseFloat(row.other_earnings) || 0,
+    salaryArrears: parseFloat(row.salary_arrears) || 0,
   },
   grossSalary: parseFloat(row.gross_salary),
   deductions: {
     incomeTax: parseFloat(row.income_tax),
     eobiContribution: parseFloat(row.eobi_contribution),
     sessiContribution: parseFloat(row.sessi_contribution),
+    providentFund: parseFloat(row.provident_fund_employee) || 0,
     loanDeduction: parseFloat(row.loan_deduction),
+    loanInstallments: parseFloat(row.loan_installments) || 0,
     otherDeductions: parseFloat(row.other_deductions),
+    lossOfPay: parseFloat(row.loss_of_pay_deduction) || 0,
+    noticePeriodRecovery: parseFloat(row.notice_period_recovery) || 0,
+    adjustments: parseFloat(row.adjustment_deductions) || 0,
   },
+  adjustments: row.adjustments || [],
   totalDeductions: parseFloat(row.total_deductions),
   netSalary: parseFloat(row.net_salary),
   taxableIncome: parseFloat(row.taxable_income),
   taxSlab: row.tax_slab,
+  taxYear: row.tax_year,
+  yearToDate: {
+    taxableIncome: parseFloat(row.ytd_taxable_income) || 0,
+    incomeTax: parseFloat(row.ytd_income_tax) || 0,
+  },
+  annualTaxLiability: parseFloat(row.annual_tax_liability) || 0,
   isFiler: row.is_filer,
+  employerContributions: {
+    eobi: parseFloat(row.eobi_employer) || 0,
+    sessi: parseFloat(row.sessi_employer) || 0,
+    providentFund: parseFloat(row.provident_fund_employer) || 0,
+  },
+  paymentMethod: row.payment_method,
   status: row.status,
   bankName: row.bank_name,
   bankAccountNumber: row.bank_account_number,
+  paymentReference: row.payment_reference,
+  paymentFailureReason: row.payment_failure_reason,
+  paymentFailedAt: row.payment_failed_at,
   paidAt: row.paid_at,
   createdAt: row.created_at,
 });
@@ -562,7 +1958,15 @@ module.exports = {
   getPayrollRunById,
   createPayrollRun,
   processPayroll,
+  recalculatePayslip,
+  getPayslipRevisions,
   approvePayroll,
+  rejectPayroll,
+  cancelPayroll,
+  reopenPayroll,
+  getPayrollRunAuditLog,
+  getDisbursementSummary,
+  generateBankFile,
   getPayslips,
   getPayslipById,
   getSalaryHistory,
@@ -0,0 +1,444 @@
+/**
+ * Payroll Adjustment Service
+ * Handles one-off earnings and deductions attached to a payroll run
+ */
+
+const db = require('../config/database');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const { parseCsv } = require('../utils/csv');
+const { runEmployeeCondition } = require('../domain/payrollRunScope');
+
+const ADJUSTMENT_CATEGORIES = {
+  earning: ['bonus', 'eid_bonus', 'arrears', 'commission', 'reimbursement', 'other_earning'],
+  deduction: ['penalty', 'recovery', 'other_deduction'],
+};
+
+// Earning categories reported in the payslip bonus column
+const BONUS_CATEGORIES = ['bonus', 'eid_bonus'];
+
+/**
+ * Get adjustments for a payroll run
+ */
+const getAdjustments = async (payrollRunId, { employeeId } = {}) => {
+  await getPayrollRun(db, payrollRunId);
+
+  const params = [payrollRunId];
+  let employeeClause = '';
+
+  if (employeeId) {
+    employeeClause = 'AND pa.employee_id = $2';
+    params.push(employeeId);
+  }
+
+  const result = await db.query(`
+    SELECT pa.*,
+           e.first_name, e.last_name, e.employee_id as emp_code
+    FROM payroll_adjustments pa
+    JOIN employees e ON e.id = pa.employee_id
+    WHERE pa.payroll_run_id = $1 ${employeeClause}
+    ORDER BY e.employee_id, pa.created_at
+  `, params);
+
+  return result.rows.map(transformAdjustment);
+};
+
+/**
+ * Add an adjustment to a draft payroll run
+ */
+const createAdjustment = async (payrollRunId, data, createdBy) => {
+  const payrollRun = await ensureDraftRun(db, payrollRunId);
+
+  const employeeResult = await db.query('SELECT id FROM employees WHERE id = $1', [data.employeeId]);
+  if (employeeResult.rows.length === 0) {
+    throw new NotFoundError('Employee not found');
+  }
+
+  const inRun = await getEmployeesInRun(db, payrollRun, [data.employeeId]);
+  if (!inRun.has(data.employeeId)) {
+    throw new BadRequestError('Employee is not paid by this payroll run');
+  }
+
+  const adjustment = normalizeAdjustment(data);
+  const result = await insertAdjustment(db, payrollRunId, data.employeeId, adjustment, createdBy);
+
+  return getAdjustmentById(payrollRunId, result.rows[0].id);
+};
+
+/**
+ * Update an adjustment on a draft payroll run
+ */
+const updateAdjustment = async (payrollRunId, adjustmentId, data) => {
+  await ensureDraftRun(db, payrollRunId);
+  const existing = await getAdjustmentById(payrollRunId, adjustmentId);
+
+  const adjustment = normalizeAdjustment({
+    type: data.type ?? existing.type,
+    category: data.category ?? existing.category,
+    description: data.description !== undefined ? data.description : existing.description,
+    amount: data.amount ?? existing.amount,
+    isTaxable: data.isTaxable ?? existing.isTaxable,
+  });
+
+  await db.query(`
+    UPDATE payroll_adjustments SET
+      type = $1, category = $2, description = $3, amount = $4, is_taxable = $5
+    WHERE id = $6 AND payroll_run_id = $7`,
+    [
+      adjustment.type, adjustment.category, adjustment.description,
+      adjustment.amount, adjustment.isTaxable, adjustmentId, payrollRunId,
+    ]
+  );
+
+  return getAdjustmentById(payrollRunId, adjustmentId);
+};
+
+/**
+ * Remove an adjustment from a draft payroll run
+ */
+const deleteAdjustment = async (payrollRunId, adjustmentId) => {
+  await ensureDraftRun(db, payrollRunId);
+
+  const result = await db.query(
+    'DELETE FROM payroll_adjustments WHERE id = $1 AND payroll_run_id = $2 RETURNING id',
+    [adjustmentId, payrollRunId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Adjustment not found');
+  }
+};
+
+/**
+ * Import adjustments from CSV
+ * Columns: employee_code, type, category, amount, description, taxable
+ * The whole file is rejected if any row is invalid
+ */
+const importAdjustments = async (payrollRunId, csv, createdBy) => {
+  const rows = parseCsv(csv);
+
+  if (rows.length === 0) {
+    throw new BadRequestError('CSV file has no adjustment rows');
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    const payrollRun = await ensureDraftRun(client, payrollRunId);
+
+    const codes = [...new Set(rows.map((row) => row.employee_code).filter(Boolean))];
+    const employeesResult = await client.query(
+      'SELECT id, employee_id FROM employees WHERE employee_id = ANY($1)',
+      [codes]
+    );
+    const employeeIds = new Map(employeesResult.rows.map((row) => [row.employee_id, row.id]));
+    const inRun = await getEmployeesInRun(client, payrollRun, [...employeeIds.values()]);
+
+    const errors = [];
+    const adjustments = [];
+
+    for (const row of rows) {
+      const employeeId = employeeIds.get(row.employee_code);
+
+      if (!employeeId) {
+        errors.push({ line: row._line, message: `Unknown employee code "${row.employee_code}"` });
+        continue;
+      }
+
+      if (!inRun.has(employeeId)) {
+        errors.push({ line: row._line, message: `Employee "${row.employee_code}" is not paid by this payroll run` });
+        continue;
+      }
+
+      try {
+        adjustments.push({
+          employeeId,
+          ...normalizeAdjustment({
+            type: row.type,
+            category: row.category,
+            description: row.description,
+            amount: row.amount,
+            isTaxable: row.taxable === '' || row.taxable === undefined
+              ? undefined
+              : ['true', 'yes', '1', 'y'].includes(row.taxable.toLowerCase()),
+          }),
+        });
+      } catch (error) {
+        errors.push({ line: row._line, message: error.message });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new BadRequestError('CSV contains invalid rows', errors);
+    }
+
+    for (const adjustment of adjustments) {
+      await insertAdjustment(client, payrollRunId, adjustment.employeeId, adjustment, createdBy);
+    }
+
+    await client.query('COMMIT');
+
+    return { imported: adjustments.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Load a run's adjustments grouped by employee, for payroll processing
+ * @returns {Map<string, object>} Totals and itemised lines per employee ID
+ */
+const getRunAdjustmentsByEmployee = async (client, payrollRunId) => {
+  const result = await client.query(
+    `SELECT id, employee_id, type, category, description, amount, is_taxable
+     FROM payroll_adjustments
+     WHERE payroll_run_id = $1
+     ORDER BY created_at`,
+    [payrollRunId]
+  );
+
+  const byEmployee = new Map();
+
+  for (const row of result.rows) {
+    if (!byEmployee.has(row.employee_id)) {
+      byEmployee.set(row.employee_id, emptyAdjustmentTotals());
+    }
+
+    const totals = byEmployee.get(row.employee_id);
+    const amount = parseFloat(row.amount);
+
+    if (row.type === 'earning') {
+      if (BONUS_CATEGORIES.includes(row.category)) {
+        totals.bonus += amount;
+      } else {
+        totals.otherEarnings += amount;
+      }
+      if (row.is_taxable) {
+        totals.taxableEarnings += amount;
+      }
+    } else {
+      totals.deductions += amount;
+    }
+
+    totals.items.push({
+      id: row.id,
+      type: row.type,
+      category: row.category,
+      description: row.description,
+      amount,
+      isTaxable: row.is_taxable,
+    });
+  }
+
+  return byEmployee;
+};
+
+/**
+ * Net corrections already made for earlier periods by runs other than this one
+ * @returns {Map<string, number>} Signed amount per employee and corrected month
+ */
+const getAppliedCorrections = async (client, payrollRunId, employeeIds) => {
+  const result = await client.query(
+    `SELECT pa.employee_id, pa.correction_month, pa.correction_year,
+            SUM(CASE WHEN pa.type = 'earning' THEN pa.amount ELSE -pa.amount END) as amount
+     FROM payroll_adjustments pa
+     JOIN payroll_runs pr ON pr.id = pa.payroll_run_id
+     WHERE pr.status <> 'cancelled'
+       AND pr.id <> $1
+       AND pa.employee_id = ANY($2)
+       AND pa.correction_month IS NOT NULL
+     GROUP BY pa.employee_id, pa.correction_month, pa.correction_year`,
+    [payrollRunId, employeeIds]
+  );
+
+  return new Map(result.rows.map((row) => [
+    `${row.employee_id}:${row.correction_year}:${row.correction_month}`,
+    parseFloat(row.amount),
+  ]));
+};
+
+/**
+ * Replace the corrections for earlier periods added to a run for some of its employees
+ * Amounts owed are paid as taxable arrears; overpayments are recovered.
+ * @param {object[]} corrections - Employee ID, month, year and signed amount of each correction
+ */
+const replaceRunCorrections = async (client, payrollRunId, employeeIds, corrections, createdBy) => {
+  await client.query(
+    `DELETE FROM payroll_adjustments
+     WHERE payroll_run_id = $1 AND employee_id = ANY($2) AND correction_month IS NOT NULL`,
+    [payrollRunId, employeeIds]
+  );
+
+  for (const correction of corrections) {
+    const owed = correction.amount > 0;
+
+    await client.query(
+      `INSERT INTO payroll_adjustments (
+         payroll_run_id, employee_id, type, category, description, amount, is_taxable, created_by,
+         correction_month, correction_year
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        payrollRunId, correction.employeeId,
+        owed ? 'earning' : 'deduction',
+        owed ? 'arrears' : 'recovery',
+        `Attendance and leave correction for ${correction.month}/${correction.year}`,
+        Math.abs(correction.amount), owed, createdBy,
+        correction.month, correction.year,
+      ]
+    );
+  }
+};
+
+/**
+ * Totals for an employee with no adjustments
+ */
+const emptyAdjustmentTotals = () => ({
+  bonus: 0,
+  otherEarnings: 0,
+  taxableEarnings: 0,
+  deductions: 0,
+  items: [],
+});
+
+// Helper functions
+
+const getPayrollRun = async (queryable, payrollRunId) => {
+  const result = await queryable.query(
+    'SELECT id, status, run_type, employee_id, period_start, period_end FROM payroll_runs WHERE id = $1',
+    [payrollRunId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Payroll run not found');
+  }
+
+  return result.rows[0];
+};
+
+const ensureDraftRun = async (queryable, payrollRunId) => {
+  const payrollRun = await getPayrollRun(queryable, payrollRunId);
+
+  if (payrollRun.status !== 'draft') {
+    throw new BadRequestError('Adjustments can only be changed while the payroll run is a draft');
+  }
+
+  return payrollRun;
+};
+
+/**
+ * Employees among the given ones that the run will pay when it is processed
+ * Adjustments for anyone else would be ignored, so they are rejected up front.
+ * @returns {Promise<Set<string>>} Employee IDs in the run
+ */
+const getEmployeesInRun = async (queryable, payrollRun, employeeIds) => {
+  if (employeeIds.length === 0) {
+    return new Set();
+  }
+
+  const { condition, params } = runEmployeeCondition(payrollRun);
+  const result = await queryable.query(
+    `SELECT e.id
+     FROM employees e
+     WHERE e.id = ANY($${params.length + 1})
+       AND EXISTS (SELECT 1 FROM salary_structures s WHERE s.employee_id = e.id)
+       AND ${condition}`,
+    [...params, employeeIds]
+  );
+
+  return new Set(result.rows.map((row) => row.id));
+};
+
+const getAdjustmentById = async (payrollRunId, adjustmentId) => {
+  const result = await db.query(`
+    SELECT pa.*,
+           e.first_name, e.last_name, e.employee_id as emp_code
+    FROM payroll_adjustments pa
+    JOIN employees e ON e.id = pa.employee_id
+    WHERE pa.id = $1 AND pa.payroll_run_id = $2
+  `, [adjustmentId, payrollRunId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Adjustment not found');
+  }
+
+  return transformAdjustment(result.rows[0]);
+};
+
+const insertAdjustment = (queryable, payrollRunId, employeeId, adjustment, createdBy) =>
+  queryable.query(
+    `INSERT INTO payroll_adjustments (
+       payroll_run_id, employee_id, type, category, description, amount, is_taxable, created_by
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+    [
+      payrollRunId, employeeId, adjustment.type, adjustment.category,
+      adjustment.description, adjustment.amount, adjustment.isTaxable, createdBy,
+    ]
+  );
+
+/**
+ * Validate an adjustment and apply defaults
+ * Reimbursements default to non-taxable; deductions are never taxable
+ */
+const normalizeAdjustment = ({ type, category, description, amount, isTaxable }) => {
+  const normalizedType = String(type || '').trim().toLowerCase();
+  const normalizedCategory = String(category || '').trim().toLowerCase();
+  const parsedAmount = parseFloat(amount);
+
+  if (!ADJUSTMENT_CATEGORIES[normalizedType]) {
+    throw new BadRequestError('Type must be earning or deduction');
+  }
+
+  if (!ADJUSTMENT_CATEGORIES[normalizedType].includes(normalizedCategory)) {
+    throw new BadRequestError(
+      `Category for ${normalizedType} must be one of: ${ADJUSTMENT_CATEGORIES[normalizedType].join(', ')}`
+    );
+  }
+
+  if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+    throw new BadRequestError('Amount must be a positive number');
+  }
+
+  return {
+    type: normalizedType,
+    category: normalizedCategory,
+    description: description ? String(description).trim() : null,
+    amount: Math.round(parsedAmount * 100) / 100,
+    isTaxable: normalizedType === 'earning'
+      && (isTaxable ?? normalizedCategory !== 'reimbursement'),
+  };
+};
+
+const transformAdjustment = (row) => ({
+  id: row.id,
+  payrollRunId: row.payroll_run_id,
+  employeeId: row.employee_id,
+  employeeCode: row.emp_code,
+  employeeName: row.first_name ? `${row.first_name} ${row.last_name}` : null,
+  type: row.type,
+  category: row.category,
+  description: row.description,
+  amount: parseFloat(row.amount),
+  isTaxable: row.is_taxable,
+  correctionPeriod: row.correction_month
+    ? { month: row.correction_month, year: row.correction_year }
+    : null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+module.exports = {
+  ADJUSTMENT_CATEGORIES,
+  getAdjustments,
+  createAdjustment,
+  updateAdjustment,
+  deleteAdjustment,
+  importAdjustments,
+  getRunAdjustmentsByEmployee,
+  getAppliedCorrections,
+  replaceRunCorrections,
+  emptyAdjustmentTotals,
+};
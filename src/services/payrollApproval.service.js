@@ -0,0 +1,180 @@
+/**
+ * Payroll Approval Service
+ * Approval chains for processed payroll runs: who may approve, how many approvals
+ * a run needs, and the decisions recorded against it
+ */
+
+const db = require('../config/database');
+const { NotFoundError } = require('../utils/errors');
+const { PRIVILEGED_ROLES } = require('../domain/permissions');
+const settingsService = require('./settings.service');
+
+/**
+ * Read the approval policy from settings
+ */
+const getApprovalPolicy = async () => {
+  const [processorCanApprove, requiredApprovals, secondApprovalAbove] = await Promise.all([
+    settingsService.getSetting('payrollApproval.processorCanApprove'),
+    settingsService.getSetting('payrollApproval.requiredApprovals'),
+    settingsService.getSetting('payrollApproval.secondApprovalAbove'),
+  ]);
+
+  return {
+    processorCanApprove: processorCanApprove === true,
+    requiredApprovals: Math.max(parseInt(requiredApprovals, 10) || 1, 1),
+    secondApprovalAbove: Number(secondApprovalAbove) || 0,
+  };
+};
+
+/**
+ * Approvals a run needs: the configured count, plus one when its total net pay
+ * is above the second approval threshold
+ */
+const getRequiredApprovals = (policy, totalNetSalary) => {
+  const aboveThreshold = policy.secondApprovalAbove > 0
+    && (parseFloat(totalNetSalary) || 0) > policy.secondApprovalAbove;
+
+  return policy.requiredApprovals + (aboveThreshold ? 1 : 0);
+};
+
+/**
+ * Users who have approved the run since its current approval round started
+ */
+const getRoundApprovers = async (queryable, payrollRun) => {
+  const result = await queryable.query(
+    `SELECT DISTINCT decided_by
+     FROM payroll_run_approvals
+     WHERE payroll_run_id = $1
+       AND decision = 'approved'
+       AND created_at >= COALESCE($2::timestamp, '-infinity'::timestamp)`,
+    [payrollRun.id, payrollRun.approval_round_started_at || null]
+  );
+
+  return result.rows.map((row) => row.decided_by);
+};
+
+/**
+ * Record an approver's decision on a run
+ */
+const recordDecision = (client, { payrollRunId, decision, comments, decidedBy }) =>
+  client.query(
+    `INSERT INTO payroll_run_approvals (payroll_run_id, decision, comments, decided_by)
+     VALUES ($1, $2, $3, $4)`,
+    [payrollRunId, decision, comments || null, decidedBy]
+  );
+
+/**
+ * Start a new approval round; approvals given before it no longer count
+ */
+const startApprovalRound = (client, payrollRunId) =>
+  client.query(
+    'UPDATE payroll_runs SET approval_round_started_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [payrollRunId]
+  );
+
+/**
+ * Ask HR and admin users to review a run at the start of an approval round
+ * The processor is left out unless they may approve their own runs.
+ */
+const notifyApprovers = async (client, payrollRun, policy) => {
+  const result = await client.query(
+    `SELECT id
+     FROM users
+     WHERE role = ANY($1::text[]) AND is_active = true
+       AND ($2::uuid IS NULL OR id <> $2)`,
+    [PRIVILEGED_ROLES, policy.processorCanApprove ? null : payrollRun.processed_by]
+  );
+
+  await insertNotifications(client, result.rows.map((row) => row.id), {
+    type: 'payroll_approval_requested',
+    title: 'Payroll awaiting approval',
+    message: `Payroll for ${payrollRun.month}/${payrollRun.year} is awaiting your approval.`,
+    payrollRunId: payrollRun.id,
+  });
+};
+
+/**
+ * Tell the processor their run was sent back
+ */
+const notifyRejection = async (client, payrollRun, { comments, rejectedBy }) => {
+  if (!payrollRun.processed_by || payrollRun.processed_by === rejectedBy) {
+    return;
+  }
+
+  await insertNotifications(client, [payrollRun.processed_by], {
+    type: 'payroll_rejected',
+    title: 'Payroll rejected',
+    message: `Payroll for ${payrollRun.month}/${payrollRun.year} was rejected: ${comments}`,
+    payrollRunId: payrollRun.id,
+  });
+};
+
+/**
+ * Get a run's approval status and every decision recorded against it, newest first
+ */
+const getRunApprovals = async (payrollRunId) => {
+  const runResult = await db.query(
+    'SELECT id, status, total_net_salary, approval_round_started_at FROM payroll_runs WHERE id = $1',
+    [payrollRunId]
+  );
+
+  if (runResult.rows.length === 0) {
+    throw new NotFoundError('Payroll run not found');
+  }
+
+  const payrollRun = runResult.rows[0];
+  const policy = await getApprovalPolicy();
+  const requiredApprovals = getRequiredApprovals(policy, payrollRun.total_net_salary);
+  const approvers = await getRoundApprovers(db, payrollRun);
+
+  const result = await db.query(
+    `SELECT a.*, u.email as decided_by_email
+     FROM payroll_run_approvals a
+     LEFT JOIN users u ON a.decided_by = u.id
+     WHERE a.payroll_run_id = $1
+     ORDER BY a.created_at DESC`,
+    [payrollRunId]
+  );
+
+  return {
+    status: payrollRun.status,
+    requiredApprovals,
+    approvalsReceived: approvers.length,
+    pendingApprovals: payrollRun.status === 'completed'
+      ? Math.max(requiredApprovals - approvers.length, 0)
+      : 0,
+    decisions: result.rows.map((row) => ({
+      id: row.id,
+      decision: row.decision,
+      comments: row.comments,
+      decidedBy: row.decided_by_email,
+      createdAt: row.created_at,
+    })),
+  };
+};
+
+// Helper functions
+
+const insertNotifications = async (client, userIds, { type, title, message, payrollRunId }) => {
+  if (userIds.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO notifications (user_id, type, title, message, entity_type, entity_id)
+     SELECT user_id, $2, $3, $4, 'payroll_run', $5
+     FROM unnest($1::uuid[]) AS user_id`,
+    [userIds, type, title, message, payrollRunId]
+  );
+};
+
+module.exports = {
+  getApprovalPolicy,
+  getRequiredApprovals,
+  getRoundApprovers,
+  recordDecision,
+  startApprovalRound,
+  notifyApprovers,
+  notifyRejection,
+  getRunApprovals,
+};
@@ -0,0 +1,289 @@
+/**
+ * Payroll Payment Service
+ * Records salary payments against approved payroll runs and reconciles bank confirmations
+ */
+
+const db = require('../config/database');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const { parseCsv } = require('../utils/csv');
+
+const PAID_STATUSES = ['paid', 'success', 'successful', 'completed', 'credited'];
+const FAILED_STATUSES = ['failed', 'returned', 'rejected', 'reversed'];
+
+/**
+ * Record payment results for individual payslips
+ * @param {string} payrollRunId - Approved payroll run
+ * @param {Array<{payslipId: string, status: string, reference: string, reason: string, paidAt: string}>} payments
+ */
+const recordPayments = async (payrollRunId, payments) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const payrollRun = await getPayableRun(client, payrollRunId);
+    const payslips = await getRunPayslips(client, payrollRunId);
+    const payslipsById = new Map(payslips.map((payslip) => [payslip.id, payslip]));
+
+    const errors = [];
+
+    payments.forEach((payment, index) => {
+      const payslip = payslipsById.get(payment.payslipId);
+
+      if (!payslip) {
+        errors.push({ index, payslipId: payment.payslipId, message: 'Payslip does not belong to this payroll run' });
+      } else if (payslip.status === 'paid') {
+        errors.push({ index, payslipId: payment.payslipId, message: 'Payslip is already paid' });
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new BadRequestError('Some payments could not be recorded', errors);
+    }
+
+    const summary = await applyPaymentResults(client, payrollRun, payments.map((payment) => ({
+      payslip: payslipsById.get(payment.payslipId),
+      status: payment.status,
+      reference: payment.reference,
+      reason: payment.reason,
+      paidAt: payment.paidAt,
+    })));
+
+    await client.query('COMMIT');
+
+    return summary;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reconcile a bank confirmation file against a run's unpaid payslips
+ * Columns: account_number, amount, reference, status, reason
+ * Rows are matched on account number and exact amount; unmatched rows are reported back
+ */
+const reconcileBankFile = async (payrollRunId, csv) => {
+  const rows = parseCsv(csv);
+
+  if (rows.length === 0) {
+    throw new BadRequestError('Confirmation file has no rows');
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const payrollRun = await getPayableRun(client, payrollRunId);
+    const payslips = await getRunPayslips(client, payrollRunId);
+
+    // Unpaid payslips keyed by account and amount in paisa
+    const openPayslips = new Map();
+    for (const payslip of payslips) {
+      if (payslip.status === 'paid' || !payslip.bank_account_number) continue;
+
+      const key = matchKey(payslip.bank_account_number, payslip.net_salary);
+      if (!openPayslips.has(key)) {
+        openPayslips.set(key, []);
+      }
+      openPayslips.get(key).push(payslip);
+    }
+
+    const results = [];
+    const unmatched = [];
+
+    for (const row of rows) {
+      const accountNumber = row.account_number || row.account || '';
+      const amount = parseFloat(String(row.amount || '').replace(/,/g, ''));
+      const bankStatus = (row.status || 'success').toLowerCase();
+
+      if (!accountNumber || !Number.isFinite(amount)) {
+        unmatched.push({ line: row._line, accountNumber, amount: row.amount, reason: 'Missing account number or amount' });
+        continue;
+      }
+
+      const valueDate = (row.value_date || '').trim();
+      if (valueDate && !isValidDate(valueDate)) {
+        unmatched.push({ line: row._line, accountNumber, amount, reason: `Invalid value date "${row.value_date}"` });
+        continue;
+      }
+
+      const isPaid = PAID_STATUSES.includes(bankStatus);
+      if (!isPaid && !FAILED_STATUSES.includes(bankStatus)) {
+        unmatched.push({ line: row._line, accountNumber, amount, reason: `Unknown status "${row.status}"` });
+        continue;
+      }
+
+      const candidates = openPayslips.get(matchKey(accountNumber, amount)) || [];
+      const payslip = candidates.shift();
+
+      if (!payslip) {
+        unmatched.push({ line: row._line, accountNumber, amount, reason: 'No unpaid payslip with this account and amount' });
+        continue;
+      }
+
+      results.push({
+        payslip,
+        status: isPaid ? 'paid' : 'failed',
+        reference: row.reference || null,
+        reason: row.reason || (isPaid ? null : bankStatus),
+        paidAt: valueDate || null,
+      });
+    }
+
+    const summary = await applyPaymentResults(client, payrollRun, results);
+
+    await client.query('COMMIT');
+
+    return { ...summary, matched: results.length, unmatched };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Helper functions
+
+// Value dates as YYYY-MM-DD, optionally with a time
+const isValidDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/.test(value)
+  && !Number.isNaN(new Date(value.replace(' ', 'T')).getTime())
+  && new Date(`${value.slice(0, 10)}T00:00:00Z`).toISOString().slice(0, 10) === value.slice(0, 10);
+
+const normalizeAccountNumber = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+const matchKey = (accountNumber, amount) =>
+  `${normalizeAccountNumber(accountNumber)}|${Math.round(parseFloat(amount) * 100)}`;
+
+const getPayableRun = async (client, payrollRunId) => {
+  const result = await client.query(
+    'SELECT id, status, month, year FROM payroll_runs WHERE id = $1 FOR UPDATE',
+    [payrollRunId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Payroll run not found');
+  }
+
+  if (result.rows[0].status !== 'approved') {
+    throw new BadRequestError('Payments can only be recorded for approved payroll runs');
+  }
+
+  return result.rows[0];
+};
+
+const getRunPayslips = async (client, payrollRunId) => {
+  const result = await client.query(
+    `SELECT p.id, p.status, p.net_salary, e.bank_account_number, e.user_id
+     FROM payslips p
+     JOIN employees e ON e.id = p.employee_id
+     WHERE p.payroll_run_id = $1
+     ORDER BY e.employee_id`,
+    [payrollRunId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Apply paid/failed results, notify paid employees and close the run when fully paid
+ */
+const applyPaymentResults = async (client, payrollRun, results) => {
+  const paidPayslips = [];
+  let failed = 0;
+
+  for (const result of results) {
+    if (result.status === 'paid') {
+      await client.query(
+        `UPDATE payslips SET
+           status = 'paid',
+           paid_at = COALESCE($1::timestamp, CURRENT_TIMESTAMP),
+           payment_reference = $2,
+           payment_failure_reason = NULL,
+           payment_failed_at = NULL
+         WHERE id = $3`,
+        [result.paidAt || null, result.reference || null, result.payslip.id]
+      );
+      paidPayslips.push(result.payslip);
+    } else {
+      await client.query(
+        `UPDATE payslips SET
+           status = 'payment_failed',
+           payment_reference = $1,
+           payment_failure_reason = $2,
+           payment_failed_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [result.reference || null, result.reason || null, result.payslip.id]
+      );
+      failed++;
+    }
+  }
+
+  const recipients = paidPayslips.filter((payslip) => payslip.user_id);
+
+  if (recipients.length > 0) {
+    const values = [];
+    const placeholders = recipients.map((payslip, index) => {
+      const baseIndex = index * 6;
+      values.push(
+        payslip.user_id,
+        'salary_credited',
+        'Salary credited',
+        `Your salary for ${payrollRun.month}/${payrollRun.year} has been credited.`,
+        'payslip',
+        payslip.id
+      );
+      return `($${baseIndex + 1}, $${baseIndex + 2}, $${baseIndex + 3}, $${baseIndex + 4}, $${baseIndex + 5}, $${baseIndex + 6})`;
+    });
+
+    await client.query(
+      `INSERT INTO notifications (user_id, type, title, message, entity_type, entity_id)
+       VALUES ${placeholders.join(', ')}`,
+      values
+    );
+  }
+
+  // Payslips with nothing to pay do not hold the run open
+  const outstandingResult = await client.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE status <> 'paid' AND net_salary > 0) as outstanding,
+       COUNT(*) FILTER (WHERE status = 'payment_failed') as failed
+     FROM payslips
+     WHERE payroll_run_id = $1`,
+    [payrollRun.id]
+  );
+
+  const outstanding = parseInt(outstandingResult.rows[0].outstanding, 10) || 0;
+  let runStatus = payrollRun.status;
+
+  if (outstanding === 0) {
+    await client.query(
+      `UPDATE payslips SET status = 'paid', paid_at = CURRENT_TIMESTAMP
+       WHERE payroll_run_id = $1 AND status <> 'paid' AND net_salary <= 0`,
+      [payrollRun.id]
+    );
+    await client.query(
+      `UPDATE payroll_runs SET status = 'paid', paid_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [payrollRun.id]
+    );
+    runStatus = 'paid';
+  }
+
+  return {
+    paid: paidPayslips.length,
+    failed,
+    outstanding,
+    awaitingReissue: parseInt(outstandingResult.rows[0].failed, 10) || 0,
+    runStatus,
+  };
+};
+
+module.exports = {
+  recordPayments,
+  reconcileBankFile,
+};
@@ -0,0 +1,455 @@
+/**
+ * Payroll Report Service
+ * Review reports for payroll runs
+ */
+
+const db = require('../config/database');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const { toCsv } = require('../utils/csv');
+const settingsService = require('./settings.service');
+
+// Payslip columns compared run to run
+const VARIANCE_COMPONENTS = [
+  { key: 'basicSalary', column: 'basic_salary' },
+  { key: 'housingAllowance', column: 'housing_allowance' },
+  { key: 'transportAllowance', column: 'transport_allowance' },
+  { key: 'medicalAllowance', column: 'medical_allowance' },
+  { key: 'utilityAllowance', column: 'utility_allowance' },
+  { key: 'otherAllowances', column: 'other_allowances' },
+  { key: 'overtimePay', column: 'overtime_pay' },
+  { key: 'bonus', column: 'bonus' },
+  { key: 'otherEarnings', column: 'other_earnings' },
+  { key: 'salaryArrears', column: 'salary_arrears' },
+  { key: 'grossSalary', column: 'gross_salary' },
+  { key: 'incomeTax', column: 'income_tax' },
+  { key: 'eobiContribution', column: 'eobi_contribution' },
+  { key: 'providentFund', column: 'provident_fund_employee' },
+  { key: 'lossOfPay', column: 'loss_of_pay_deduction' },
+  { key: 'loanDeduction', column: 'loan_deduction' },
+  { key: 'otherDeductions', column: 'other_deductions' },
+  { key: 'totalDeductions', column: 'total_deductions' },
+  { key: 'netSalary', column: 'net_salary' },
+];
+
+/**
+ * Compare a run with the previous approved regular run, employee by employee
+ * Runs other than regular ones are compared only for the employees they pay
+ * @param {string} payrollRunId - Run under review
+ * @param {object} options
+ * @param {number} options.thresholdPercent - Flag changes at or above this percentage
+ */
+const getVarianceReport = async (payrollRunId, { thresholdPercent } = {}) => {
+  const runResult = await db.query(
+    'SELECT id, month, year, status, run_type FROM payroll_runs WHERE id = $1',
+    [payrollRunId]
+  );
+
+  if (runResult.rows.length === 0) {
+    throw new NotFoundError('Payroll run not found');
+  }
+
+  const currentRun = runResult.rows[0];
+
+  if (['draft', 'processing'].includes(currentRun.status)) {
+    throw new BadRequestError('Payroll run has not been processed yet');
+  }
+
+  const previousResult = await db.query(`
+    SELECT id, month, year, status
+    FROM payroll_runs
+    WHERE run_type = 'regular'
+      AND status IN ('approved', 'paid')
+      AND (year * 100 + month) < $1
+    ORDER BY year DESC, month DESC
+    LIMIT 1
+  `, [currentRun.year * 100 + currentRun.month]);
+
+  const previousRun = previousResult.rows[0] || null;
+  const threshold = thresholdPercent ?? Number(await settingsService.getSetting('payroll.varianceThresholdPercent'));
+
+  const currentPayslips = await getRunPayslips(currentRun.id);
+  const previousPayslips = previousRun ? await getRunPayslips(previousRun.id) : new Map();
+
+  // Off-cycle, supplementary and settlement runs pay only some employees, so they are
+  // compared for those employees and nobody is reported as joining or leaving
+  const isRegular = currentRun.run_type === 'regular';
+  if (!isRegular) {
+    for (const employeeId of previousPayslips.keys()) {
+      if (!currentPayslips.has(employeeId)) previousPayslips.delete(employeeId);
+    }
+  }
+
+  const employeeIds = new Set([...currentPayslips.keys(), ...previousPayslips.keys()]);
+  const employees = [];
+
+  for (const employeeId of employeeIds) {
+    const current = currentPayslips.get(employeeId) || null;
+    const previous = previousPayslips.get(employeeId) || null;
+    const info = current || previous;
+    const flags = [];
+
+    if (!previous) {
+      if (isRegular) flags.push('new_joiner');
+    } else if (!current) {
+      flags.push('leaver');
+    } else {
+      if (exceedsThreshold(previous.grossSalary, current.grossSalary, threshold)) flags.push('gross_changed');
+      if (exceedsThreshold(previous.incomeTax, current.incomeTax, threshold)) flags.push('tax_changed');
+      if (exceedsThreshold(previous.totalDeductions, current.totalDeductions, threshold)) {
+        flags.push('deductions_changed');
+      }
+    }
+
+    employees.push({
+      employeeId,
+      employeeCode: info.employeeCode,
+      employeeName: info.employeeName,
+      department: info.department,
+      previous: previous && pickTotals(previous),
+      current: current && pickTotals(current),
+      delta: {
+        grossSalary: delta(previous?.grossSalary, current?.grossSalary),
+        incomeTax: delta(previous?.incomeTax, current?.incomeTax),
+        totalDeductions: delta(previous?.totalDeductions, current?.totalDeductions),
+        netSalary: delta(previous?.netSalary, current?.netSalary),
+      },
+      flags,
+    });
+  }
+
+  employees.sort((a, b) => String(a.employeeCode).localeCompare(String(b.employeeCode)));
+
+  return {
+    payrollRun: { id: currentRun.id, month: currentRun.month, year: currentRun.year, status: currentRun.status },
+    previousRun: previousRun && {
+      id: previousRun.id, month: previousRun.month, year: previousRun.year, status: previousRun.status,
+    },
+    thresholdPercent: threshold,
+    summary: {
+      headcount: { previous: previousPayslips.size, current: currentPayslips.size },
+      newJoiners: employees.filter((row) => row.flags.includes('new_joiner')).length,
+      leavers: employees.filter((row) => row.flags.includes('leaver')).length,
+      flagged: employees.filter((row) => row.flags.length > 0).length,
+    },
+    components: summarizeComponents(previousPayslips, currentPayslips),
+    departments: summarizeDepartments(previousPayslips, currentPayslips),
+    employees,
+  };
+};
+
+/**
+ * Flatten a variance report into CSV, one row per employee
+ */
+const varianceReportToCsv = (report) => {
+  const rows = report.employees.map((row) => ({
+    employeeCode: row.employeeCode,
+    employeeName: row.employeeName,
+    department: row.department,
+    previousGross: row.previous?.grossSalary ?? '',
+    currentGross: row.current?.grossSalary ?? '',
+    grossDelta: row.delta.grossSalary.amount,
+    grossDeltaPercent: row.delta.grossSalary.percent ?? '',
+    previousTax: row.previous?.incomeTax ?? '',
+    currentTax: row.current?.incomeTax ?? '',
+    taxDelta: row.delta.incomeTax.amount,
+    previousDeductions: row.previous?.totalDeductions ?? '',
+    currentDeductions: row.current?.totalDeductions ?? '',
+    deductionsDelta: row.delta.totalDeductions.amount,
+    previousNet: row.previous?.netSalary ?? '',
+    currentNet: row.current?.netSalary ?? '',
+    netDelta: row.delta.netSalary.amount,
+    flags: row.flags.join(' '),
+  }));
+
+  return toCsv(rows, [
+    { key: 'employeeCode', label: 'Employee Code' },
+    { key: 'employeeName', label: 'Employee Name' },
+    { key: 'department', label: 'Department' },
+    { key: 'previousGross', label: 'Previous Gross' },
+    { key: 'currentGross', label: 'Current Gross' },
+    { key: 'grossDelta', label: 'Gross Change' },
+    { key: 'grossDeltaPercent', label: 'Gross Change %' },
+    { key: 'previousTax', label: 'Previous Tax' },
+    { key: 'currentTax', label: 'Current Tax' },
+    { key: 'taxDelta', label: 'Tax Change' },
+    { key: 'previousDeductions', label: 'Previous Deductions' },
+    { key: 'currentDeductions', label: 'Current Deductions' },
+    { key: 'deductionsDelta', label: 'Deductions Change' },
+    { key: 'previousNet', label: 'Previous Net' },
+    { key: 'currentNet', label: 'Current Net' },
+    { key: 'netDelta', label: 'Net Change' },
+    { key: 'flags', label: 'Flags' },
+  ]);
+};
+
+// Payslip columns in the cost allocation report
+const COST_COMPONENTS = [
+  { key: 'grossSalary', column: 'gross_salary' },
+  { key: 'employerEobi', column: 'eobi_employer' },
+  { key: 'employerSessi', column: 'sessi_employer' },
+  { key: 'employerProvidentFund', column: 'provident_fund_employer' },
+  { key: 'incomeTax', column: 'income_tax' },
+  { key: 'netSalary', column: 'net_salary' },
+];
+
+// What the cost allocation report can be grouped by, with the CSV column heading
+const COST_GROUPINGS = {
+  department: 'Department',
+  location: 'Work Location',
+  employmentType: 'Employment Type',
+  costCentre: 'Cost Centre',
+};
+
+/**
+ * Break payroll cost down by department, work location, employment type or cost centre,
+ * for one processed run or for approved and paid runs with periods ending in a date range
+ * Each payslip is grouped by the department, location, employment type and cost centre
+ * split recorded on it when the run was processed, so later transfers do not move past
+ * costs. Payslips without a cost centre split are unallocated.
+ * @param {object} options
+ * @param {string} [options.payrollRunId] - Run to report on
+ * @param {string} [options.from] - First period end date in the range
+ * @param {string} [options.to] - Last period end date in the range
+ * @param {string} [options.groupBy] - One of COST_GROUPINGS
+ */
+const getCostAllocationReport = async ({ payrollRunId, from, to, groupBy = 'department' } = {}) => {
+  if (!COST_GROUPINGS[groupBy]) {
+    throw new BadRequestError(`Group by must be one of ${Object.keys(COST_GROUPINGS).join(', ')}`);
+  }
+
+  let runs;
+
+  if (payrollRunId) {
+    const runResult = await db.query(
+      'SELECT id, month, year, status, run_type FROM payroll_runs WHERE id = $1',
+      [payrollRunId]
+    );
+
+    if (runResult.rows.length === 0) {
+      throw new NotFoundError('Payroll run not found');
+    }
+
+    if (['draft', 'processing'].includes(runResult.rows[0].status)) {
+      throw new BadRequestError('Payroll run has not been processed yet');
+    }
+
+    runs = runResult.rows;
+  } else {
+    if (!from || !to) {
+      throw new BadRequestError('Choose a payroll run or a date range');
+    }
+
+    if (from > to) {
+      throw new BadRequestError('Start date must be before end date');
+    }
+
+    const runResult = await db.query(`
+      SELECT id, month, year, status, run_type
+      FROM payroll_runs
+      WHERE status IN ('approved', 'paid')
+        AND period_end BETWEEN $1 AND $2
+      ORDER BY year, month, created_at
+    `, [from, to]);
+
+    runs = runResult.rows;
+  }
+
+  const payslipResult = runs.length === 0 ? { rows: [] } : await db.query(`
+    SELECT p.employee_id, ${COST_COMPONENTS.map(({ column }) => `p.${column}`).join(', ')},
+           COALESCE(d.name, 'Unassigned') as department,
+           COALESCE(NULLIF(TRIM(p.work_location), ''), 'Unassigned') as location,
+           COALESCE(p.employment_type, 'full_time') as employment_type,
+           p.cost_allocations
+    FROM payslips p
+    LEFT JOIN departments d ON d.id = p.department_id
+    WHERE p.payroll_run_id = ANY($1) AND p.status <> 'cancelled'
+  `, [runs.map((run) => run.id)]);
+
+  const groups = new Map();
+  const totals = { employees: new Set(), amounts: emptyCostTotals() };
+
+  for (const row of payslipResult.rows) {
+    const shares = groupBy === 'costCentre' && row.cost_allocations?.length
+      ? row.cost_allocations.map((allocation) => ({
+        costCentre: allocation.costCentre,
+        share: Number(allocation.percentage) / 100,
+      }))
+      : [{ costCentre: 'Unallocated', share: 1 }];
+
+    for (const { costCentre, share } of shares) {
+      const name = {
+        department: row.department,
+        location: row.location,
+        employmentType: row.employment_type,
+        costCentre,
+      }[groupBy];
+
+      if (!groups.has(name)) {
+        groups.set(name, { employees: new Set(), amounts: emptyCostTotals() });
+      }
+
+      const group = groups.get(name);
+      group.employees.add(row.employee_id);
+      addCost(group.amounts, row, share);
+    }
+
+    totals.employees.add(row.employee_id);
+    addCost(totals.amounts, row, 1);
+  }
+
+  return {
+    groupBy,
+    period: payrollRunId ? null : { from, to },
+    payrollRuns: runs.map((run) => ({
+      id: run.id, month: run.month, year: run.year, runType: run.run_type, status: run.status,
+    })),
+    groups: [...groups.entries()]
+      .map(([name, group]) => ({ name, ...summarizeCost(group) }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    totals: summarizeCost(totals),
+  };
+};
+
+/**
+ * Flatten a cost allocation report into CSV, one row per group and a total row
+ */
+const costAllocationReportToCsv = (report) => {
+  const rows = [...report.groups, { name: 'Total', ...report.totals }];
+
+  return toCsv(rows, [
+    { key: 'name', label: COST_GROUPINGS[report.groupBy] },
+    { key: 'headcount', label: 'Headcount' },
+    { key: 'grossSalary', label: 'Gross Salary' },
+    { key: 'employerEobi', label: 'Employer EOBI' },
+    { key: 'employerSessi', label: 'Employer Social Security' },
+    { key: 'employerProvidentFund', label: 'Employer Provident Fund' },
+    { key: 'employerContributions', label: 'Employer Contributions' },
+    { key: 'totalCost', label: 'Total Cost' },
+    { key: 'incomeTax', label: 'Income Tax' },
+    { key: 'netSalary', label: 'Net Pay' },
+  ]);
+};
+
+// Helper functions
+
+// Departments are the ones recorded on each payslip, so transfers show as a move between runs
+const getRunPayslips = async (payrollRunId) => {
+  const result = await db.query(`
+    SELECT p.*,
+           e.employee_id as emp_code, e.first_name, e.last_name,
+           COALESCE(d.name, 'Unassigned') as department_name
+    FROM payslips p
+    JOIN employees e ON e.id = p.employee_id
+    LEFT JOIN departments d ON d.id = p.department_id
+    WHERE p.payroll_run_id = $1 AND p.status <> 'cancelled'
+  `, [payrollRunId]);
+
+  return new Map(result.rows.map((row) => {
+    const payslip = {
+      employeeCode: row.emp_code,
+      employeeName: `${row.first_name} ${row.last_name}`,
+      department: row.department_name,
+    };
+    for (const component of VARIANCE_COMPONENTS) {
+      payslip[component.key] = parseFloat(row[component.column]) || 0;
+    }
+    return [row.employee_id, payslip];
+  }));
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const delta = (previous, current) => {
+  const amount = roundAmount((current || 0) - (previous || 0));
+  return {
+    amount,
+    percent: previous ? roundAmount((amount / previous) * 100) : null,
+  };
+};
+
+const exceedsThreshold = (previous, current, thresholdPercent) => {
+  if (previous === current) return false;
+  if (!previous) return true;
+  return Math.abs(((current - previous) / previous) * 100) >= thresholdPercent;
+};
+
+const pickTotals = (payslip) => ({
+  grossSalary: payslip.grossSalary,
+  incomeTax: payslip.incomeTax,
+  totalDeductions: payslip.totalDeductions,
+  netSalary: payslip.netSalary,
+});
+
+const sumComponent = (payslips, key) =>
+  roundAmount([...payslips.values()].reduce((total, payslip) => total + payslip[key], 0));
+
+const summarizeComponents = (previousPayslips, currentPayslips) =>
+  VARIANCE_COMPONENTS.map(({ key }) => {
+    const previous = sumComponent(previousPayslips, key);
+    const current = sumComponent(currentPayslips, key);
+    return { component: key, previous, current, ...delta(previous, current) };
+  });
+
+const summarizeDepartments = (previousPayslips, currentPayslips) => {
+  const departments = new Map();
+
+  const add = (payslips, period) => {
+    for (const payslip of payslips.values()) {
+      if (!departments.has(payslip.department)) {
+        departments.set(payslip.department, {
+          department: payslip.department,
+          previous: { headcount: 0, grossSalary: 0, netSalary: 0 },
+          current: { headcount: 0, grossSalary: 0, netSalary: 0 },
+        });
+      }
+      const totals = departments.get(payslip.department)[period];
+      totals.headcount++;
+      totals.grossSalary = roundAmount(totals.grossSalary + payslip.grossSalary);
+      totals.netSalary = roundAmount(totals.netSalary + payslip.netSalary);
+    }
+  };
+
+  add(previousPayslips, 'previous');
+  add(currentPayslips, 'current');
+
+  return [...departments.values()]
+    .map((row) => ({
+      ...row,
+      delta: {
+        headcount: row.current.headcount - row.previous.headcount,
+        grossSalary: delta(row.previous.grossSalary, row.current.grossSalary),
+        netSalary: delta(row.previous.netSalary, row.current.netSalary),
+      },
+    }))
+    .sort((a, b) => a.department.localeCompare(b.department));
+};
+
+const emptyCostTotals = () => Object.fromEntries(COST_COMPONENTS.map(({ key }) => [key, 0]));
+
+const addCost = (amounts, row, share) => {
+  for (const { key, column } of COST_COMPONENTS) {
+    amounts[key] += (parseFloat(row[column]) || 0) * share;
+  }
+};
+
+// Amounts are rounded once per group so split shares add up
+const summarizeCost = ({ employees, amounts }) => {
+  const rounded = Object.fromEntries(COST_COMPONENTS.map(({ key }) => [key, roundAmount(amounts[key])]));
+  const employerContributions = roundAmount(
+    rounded.employerEobi + rounded.employerSessi + rounded.employerProvidentFund
+  );
+
+  return {
+    headcount: employees.size,
+    ...rounded,
+    employerContributions,
+    totalCost: roundAmount(rounded.grossSalary + employerContributions),
+  };
+};
+
+module.exports = {
+  getVarianceReport,
+  varianceReportToCsv,
+  getCostAllocationReport,
+  costAllocationReportToCsv,
+};
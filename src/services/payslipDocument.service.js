@@ -0,0 +1,134 @@
+/**
+ * Payslip Document Service
+ * Generates payslip PDFs and bulk ZIP downloads
+ */
+
+const archiver = require('archiver');
+const db = require('../config/database');
+const { NotFoundError } = require('../utils/errors');
+const { renderPayslipPdf } = require('../utils/payslipPdf');
+const { getFiscalYear } = require('../utils/payrollCalculator');
+const payrollService = require('./payroll.service');
+const settingsService = require('./settings.service');
+
+/**
+ * Get fiscal year-to-date totals for an employee up to and including a payroll month
+ */
+const getYearToDate = async (employeeId, month, year) => {
+  const fiscalYear = getFiscalYear(month, year);
+
+  const result = await db.query(`
+    SELECT
+      COALESCE(SUM(p.gross_salary), 0) as gross_salary,
+      COALESCE(SUM(p.income_tax), 0) as income_tax,
+      COALESCE(SUM(p.total_deductions), 0) as total_deductions,
+      COALESCE(SUM(p.net_salary), 0) as net_salary
+    FROM payslips p
+    JOIN payroll_runs pr ON pr.id = p.payroll_run_id
+    WHERE p.employee_id = $1
+      AND p.status <> 'cancelled'
+      AND pr.status IN ('completed', 'approved', 'paid')
+      AND (p.year * 100 + p.month) BETWEEN $2 AND $3
+  `, [
+    employeeId,
+    fiscalYear.startYear * 100 + fiscalYear.startMonth,
+    year * 100 + month,
+  ]);
+
+  const row = result.rows[0];
+  return {
+    fiscalYear: fiscalYear.label,
+    grossSalary: parseFloat(row.gross_salary) || 0,
+    incomeTax: parseFloat(row.income_tax) || 0,
+    totalDeductions: parseFloat(row.total_deductions) || 0,
+    netSalary: parseFloat(row.net_salary) || 0,
+  };
+};
+
+/**
+ * Get company details printed on payslips
+ */
+const getCompanyDetails = async () => {
+  const [name, address, ntn] = await Promise.all([
+    settingsService.getSetting('company.name'),
+    settingsService.getSetting('company.address'),
+    settingsService.getSetting('company.ntn'),
+  ]);
+
+  return { name, address, ntn };
+};
+
+/**
+ * Render a payslip as PDF
+ */
+const renderPayslip = async (payslip, company) => {
+  const yearToDate = await getYearToDate(payslip.employeeId, payslip.month, payslip.year);
+  return renderPayslipPdf(payslip, { company, yearToDate });
+};
+
+const getPayslipFilename = (payslip) =>
+  `payslip-${payslip.employeeCode}-${payslip.year}-${String(payslip.month).padStart(2, '0')}.pdf`;
+
+/**
+ * Generate the PDF for a single payslip
+ */
+const getPayslipPdf = async (payslipId) => {
+  const payslip = await payrollService.getPayslipById(payslipId);
+  const company = await getCompanyDetails();
+
+  return {
+    payslip,
+    filename: getPayslipFilename(payslip),
+    content: await renderPayslip(payslip, company),
+  };
+};
+
+/**
+ * Create a ZIP archive of a run's payslip PDFs
+ * Pass employeeId to limit the archive to one employee's payslips
+ * @returns {object} Filename and the archive stream to pipe to the response
+ */
+const createRunPayslipsArchive = async (payrollRunId, { employeeId } = {}) => {
+  const payrollRun = await payrollService.getPayrollRunById(payrollRunId);
+
+  const params = [payrollRunId];
+  let employeeClause = '';
+
+  if (employeeId) {
+    employeeClause = 'AND employee_id = $2';
+    params.push(employeeId);
+  }
+
+  const result = await db.query(
+    `SELECT id FROM payslips WHERE payroll_run_id = $1 ${employeeClause}`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('No payslips found for this payroll run');
+  }
+
+  const company = await getCompanyDetails();
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  // Render PDFs one at a time so large runs do not hold every document in memory
+  (async () => {
+    for (const row of result.rows) {
+      const payslip = await payrollService.getPayslipById(row.id);
+      archive.append(await renderPayslip(payslip, company), { name: getPayslipFilename(payslip) });
+    }
+    await archive.finalize();
+  })().catch((error) => archive.emit('error', error));
+
+  return {
+    filename: `payslips-${payrollRun.year}-${String(payrollRun.month).padStart(2, '0')}.zip`,
+    archive,
+  };
+};
+
+module.exports = {
+  getYearToDate,
+  getCompanyDetails,
+  getPayslipPdf,
+  createRunPayslipsArchive,
+};
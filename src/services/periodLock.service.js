@@ -0,0 +1,210 @@
+/**
+ * Period Lock Service
+ * Payroll months lock when a run is approved, so attendance, leave and salary
+ * dated inside them cannot change under approved payslips. A period can be
+ * unlocked with a reason; changes made while it is unlocked are recorded and
+ * the next run pays or recovers the difference.
+ */
+
+const db = require('../config/database');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+const { ErrorCodes } = require('../utils/apiResponse');
+const { formatLocalDate } = require('../utils/dateTime');
+
+/**
+ * Get lock history, latest first
+ */
+const getPeriodLocks = async ({ year } = {}) => {
+  const result = await db.query(
+    `SELECT l.*, lu.email as locked_by_email, uu.email as unlocked_by_email
+     FROM payroll_period_locks l
+     LEFT JOIN users lu ON l.locked_by = lu.id
+     LEFT JOIN users uu ON l.unlocked_by = uu.id
+     WHERE ($1::int IS NULL OR l.year = $1)
+     ORDER BY l.year DESC, l.month DESC, l.locked_at DESC`,
+    [year || null]
+  );
+
+  return result.rows.map(transformLock);
+};
+
+/**
+ * Lock a payroll month; a month that is already locked is left as it is
+ * @returns {Promise<string|null>} ID of the new lock, or null if it was already locked
+ */
+const lockPeriod = async (queryable, { month, year, payrollRunId = null, lockedBy }) => {
+  const result = await queryable.query(
+    `INSERT INTO payroll_period_locks (month, year, payroll_run_id, locked_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (year, month) WHERE unlocked_at IS NULL DO NOTHING
+     RETURNING id`,
+    [month, year, payrollRunId, lockedBy]
+  );
+
+  return result.rows[0]?.id || null;
+};
+
+/**
+ * Lock a payroll month again after it was unlocked
+ */
+const relockPeriod = async (month, year, lockedBy) => {
+  const lockId = await lockPeriod(db, { month, year, lockedBy });
+
+  if (!lockId) {
+    throw new ConflictError(`Payroll for ${month}/${year} is already locked`);
+  }
+
+  return getLockById(lockId);
+};
+
+/**
+ * Unlock a payroll month so its source data can be corrected
+ */
+const unlockPeriod = async (month, year, { reason, unlockedBy }) => {
+  const result = await db.query(
+    `UPDATE payroll_period_locks SET
+       unlocked_at = CURRENT_TIMESTAMP,
+       unlocked_by = $3,
+       unlock_reason = $4
+     WHERE month = $1 AND year = $2 AND unlocked_at IS NULL
+     RETURNING id`,
+    [month, year, unlockedBy, reason]
+  );
+
+  if (result.rows.length === 0) {
+    throw new BadRequestError(`Payroll for ${month}/${year} is not locked`);
+  }
+
+  return getLockById(result.rows[0].id);
+};
+
+/**
+ * Unlock the month a run locked when it was approved, when that run is reversed
+ * @returns {Promise<boolean>} Whether a lock was released
+ */
+const unlockRunPeriod = async (queryable, payrollRunId, { reason, unlockedBy }) => {
+  const result = await queryable.query(
+    `UPDATE payroll_period_locks SET
+       unlocked_at = CURRENT_TIMESTAMP,
+       unlocked_by = $2,
+       unlock_reason = $3
+     WHERE payroll_run_id = $1 AND unlocked_at IS NULL
+     RETURNING id`,
+    [payrollRunId, unlockedBy, reason]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Reject changes dated inside a locked month
+ * @param {string} from - First date the change affects
+ * @param {string|null} to - Last date it affects; null for open-ended changes
+ * @param {string} subject - What is being changed, for the error message
+ * @returns {Promise<object[]>} Months in the range that were locked before and are now unlocked
+ */
+const assertPeriodOpen = async (queryable, { from, to = from, subject }) => {
+  const result = await queryable.query(
+    `SELECT month, year, bool_or(unlocked_at IS NULL) as locked
+     FROM payroll_period_locks
+     WHERE (make_date(year, month, 1) + INTERVAL '1 month - 1 day')::date >= $1::date
+       AND ($2::date IS NULL OR make_date(year, month, 1) <= $2::date)
+     GROUP BY year, month
+     ORDER BY year, month`,
+    [formatLocalDate(from), to ? formatLocalDate(to) : null]
+  );
+
+  const locked = result.rows.filter((row) => row.locked);
+
+  if (locked.length > 0) {
+    throw new ConflictError(
+      `Payroll for ${locked.map((row) => `${row.month}/${row.year}`).join(', ')} is locked; `
+        + `unlock the period before changing ${subject}`,
+      ErrorCodes.PAYROLL_PERIOD_LOCKED
+    );
+  }
+
+  return result.rows;
+};
+
+/**
+ * Check a change against locked months and record it for employees whose
+ * month was already paid, so the next run can correct their pay
+ */
+const recordPeriodChange = async (queryable, { employeeIds, from, to = from, source, subject, changedBy }) => {
+  const reopened = await assertPeriodOpen(queryable, { from, to, subject });
+
+  if (reopened.length === 0 || employeeIds.length === 0) {
+    return;
+  }
+
+  await queryable.query(
+    `INSERT INTO payroll_period_changes (employee_id, month, year, source, changed_by)
+     SELECT employee_id, period.month, period.year, $4, $5
+     FROM unnest($1::uuid[]) AS employee_id
+     CROSS JOIN unnest($2::int[], $3::int[]) AS period(month, year)`,
+    [
+      employeeIds,
+      reopened.map((row) => row.month),
+      reopened.map((row) => row.year),
+      source,
+      changedBy || null,
+    ]
+  );
+};
+
+/**
+ * Months before a run's period with attendance or leave changed after they were paid
+ * @returns {Promise<object[]>} Employee ID, month and year of each changed period
+ */
+const getChangedPeriods = async (client, payrollRun, employeeIds) => {
+  const result = await client.query(
+    `SELECT DISTINCT employee_id, month, year
+     FROM payroll_period_changes
+     WHERE employee_id = ANY($1)
+       AND (year * 100 + month) < $2
+     ORDER BY year, month`,
+    [employeeIds, payrollRun.year * 100 + payrollRun.month]
+  );
+
+  return result.rows;
+};
+
+// Helper functions
+
+const getLockById = async (id) => {
+  const result = await db.query(
+    `SELECT l.*, lu.email as locked_by_email, uu.email as unlocked_by_email
+     FROM payroll_period_locks l
+     LEFT JOIN users lu ON l.locked_by = lu.id
+     LEFT JOIN users uu ON l.unlocked_by = uu.id
+     WHERE l.id = $1`,
+    [id]
+  );
+
+  return transformLock(result.rows[0]);
+};
+
+const transformLock = (row) => ({
+  id: row.id,
+  month: row.month,
+  year: row.year,
+  payrollRunId: row.payroll_run_id,
+  isLocked: !row.unlocked_at,
+  lockedBy: row.locked_by_email,
+  lockedAt: row.locked_at,
+  unlockedBy: row.unlocked_by_email,
+  unlockedAt: row.unlocked_at,
+  unlockReason: row.unlock_reason,
+});
+
+module.exports = {
+  getPeriodLocks,
+  lockPeriod,
+  relockPeriod,
+  unlockPeriod,
+  unlockRunPeriod,
+  assertPeriodOpen,
+  recordPeriodChange,
+  getChangedPeriods,
+};
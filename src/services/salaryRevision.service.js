@@ -0,0 +1,372 @@
+/**
+ * Salary Revision Service
+ * Dated salary revisions and the arrears owed when a revision is backdated
+ */
+
+const db = require('../config/database');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const { formatLocalDate } = require('../utils/dateTime');
+const { calculateProrationFactor } = require('../utils/payrollCalculator');
+const settingsService = require('./settings.service');
+
+// Structure columns a revision can change; anything not given is carried over
+const REVISION_FIELDS = [
+  { key: 'basicSalary', column: 'basic_salary' },
+  { key: 'housingAllowance', column: 'housing_allowance' },
+  { key: 'transportAllowance', column: 'transport_allowance' },
+  { key: 'medicalAllowance', column: 'medical_allowance' },
+  { key: 'utilityAllowance', column: 'utility_allowance' },
+  { key: 'otherAllowances', column: 'other_allowances' },
+  { key: 'bonus', column: 'bonus' },
+  { key: 'overtimeRate', column: 'overtime_rate' },
+  { key: 'providentFundEmployee', column: 'provident_fund_employee' },
+  { key: 'providentFundEmployer', column: 'provident_fund_employer' },
+  { key: 'loanDeduction', column: 'loan_deduction' },
+  { key: 'otherDeductions', column: 'other_deductions' },
+];
+
+// Columns copied unchanged from the structure being revised
+const CARRIED_COLUMNS = ['eobi_contribution', 'sessi_contribution', 'payment_method'];
+
+// Runs whose base salary payslips count as paid; completed runs can still be rejected
+const PAID_RUN_STATUSES = ['approved', 'paid'];
+
+/**
+ * SQL joining the salary structure in effect on a date: the latest structure effective
+ * by then, or the earliest one for periods before the first recorded structure
+ * @param {string} employeeColumn - Column holding the employee UUID
+ * @param {string} dateExpression - SQL date expression or parameter
+ * @param {string} alias - Alias for the joined structure
+ */
+const effectiveStructureJoin = (employeeColumn, dateExpression, alias = 'ss') => `
+    JOIN LATERAL (
+      SELECT s.*
+      FROM salary_structures s
+      WHERE s.employee_id = ${employeeColumn}
+      ORDER BY (s.effective_from <= ${dateExpression}) DESC,
+               CASE WHEN s.effective_from <= ${dateExpression} THEN s.effective_from END DESC,
+               s.effective_from
+      LIMIT 1
+    ) ${alias} ON true`;
+
+/**
+ * Get an employee's salary structures, latest first, with arrears still owed
+ */
+const getSalaryRevisions = async (employeeId) => {
+  await ensureEmployee(employeeId);
+
+  const result = await db.query(
+    `SELECT * FROM salary_structures
+     WHERE employee_id = $1
+     ORDER BY effective_from DESC, created_at DESC`,
+    [employeeId]
+  );
+
+  return {
+    revisions: result.rows.map(transformStructure),
+    pendingArrears: await getPendingArrears(employeeId),
+  };
+};
+
+/**
+ * Revise an employee's salary from a date
+ * The current structure is closed the day before and a new one opens on the date;
+ * amounts not given are carried over. Months already paid at the old rate are
+ * returned as pending arrears, which the next payroll run pays. Revisions may reach
+ * back into locked payroll months: their payslips are left as they are and the
+ * difference is paid as arrears.
+ */
+const createSalaryRevision = async (employeeId, data, createdBy) => {
+  await ensureEmployee(employeeId);
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const currentResult = await client.query(
+      'SELECT * FROM salary_structures WHERE employee_id = $1 AND is_current = true FOR UPDATE',
+      [employeeId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      throw new BadRequestError('Employee has no salary structure to revise');
+    }
+
+    const current = currentResult.rows[0];
+    const currentFrom = formatLocalDate(current.effective_from);
+
+    if (data.effectiveFrom <= currentFrom) {
+      throw new BadRequestError(`Revision must take effect after the current structure (effective ${currentFrom})`);
+    }
+
+    await client.query(
+      `UPDATE salary_structures SET
+         is_current = false,
+         effective_to = $1::date - 1
+       WHERE id = $2`,
+      [data.effectiveFrom, current.id]
+    );
+
+    const columns = [
+      ...REVISION_FIELDS.map(({ column }) => column),
+      ...CARRIED_COLUMNS,
+    ];
+    const values = [
+      ...REVISION_FIELDS.map(({ key, column }) => (data[key] !== undefined ? Number(data[key]) : current[column])),
+      ...CARRIED_COLUMNS.map((column) => current[column]),
+    ];
+
+    const result = await client.query(
+      `INSERT INTO salary_structures (
+         employee_id, ${columns.join(', ')}, effective_from, revision_reason, created_by
+       )
+       VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')},
+               $${columns.length + 2}, $${columns.length + 3}, $${columns.length + 4})
+       RETURNING *`,
+      [employeeId, ...values, data.effectiveFrom, data.reason || null, createdBy]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      revision: transformStructure(result.rows[0]),
+      pendingArrears: await getPendingArrears(employeeId),
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Arrears a run pays, grouped by employee, for payroll processing
+ * Earlier months paid at a structure other than the one now in effect for them are
+ * owed the difference, less arrears already paid for those months by other runs.
+ * Runs without base salary pay no arrears.
+ * @returns {Map<string, object>} Amount and monthly lines per employee ID
+ */
+const getRunArrearsByEmployee = async (client, payrollRun) => {
+  if (payrollRun.include_base_salary === false) {
+    return new Map();
+  }
+
+  return calculateArrears(client, {
+    excludeRunId: payrollRun.id,
+    beforePeriod: payrollRun.year * 100 + payrollRun.month,
+  });
+};
+
+/**
+ * Replace the arrears lines recorded for a run, or for some of its employees
+ * @param {Map<string, object>} arrearsByEmployee - As returned by getRunArrearsByEmployee
+ * @param {string[]} employeeIds - Employees whose payslips were calculated
+ */
+const recordRunArrears = async (client, payrollRunId, arrearsByEmployee, employeeIds) => {
+  await client.query(
+    'DELETE FROM salary_arrears WHERE payroll_run_id = $1 AND employee_id = ANY($2)',
+    [payrollRunId, employeeIds]
+  );
+
+  const lines = employeeIds.flatMap((employeeId) =>
+    (arrearsByEmployee.get(employeeId)?.lines || []).map((line) => ({ employeeId, ...line })));
+
+  if (lines.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO salary_arrears (
+       payroll_run_id, employee_id, salary_structure_id, month, year,
+       paid_monthly_salary, revised_monthly_salary, paid_factor, amount
+     )
+     SELECT $1, *
+     FROM unnest($2::uuid[], $3::uuid[], $4::int[], $5::int[], $6::numeric[], $7::numeric[], $8::numeric[], $9::numeric[])`,
+    [
+      payrollRunId,
+      lines.map((line) => line.employeeId),
+      lines.map((line) => line.salaryStructureId),
+      lines.map((line) => line.month),
+      lines.map((line) => line.year),
+      lines.map((line) => line.paidMonthlySalary),
+      lines.map((line) => line.revisedMonthlySalary),
+      lines.map((line) => line.paidFactor),
+      lines.map((line) => line.amount),
+    ]
+  );
+};
+
+// Helper functions
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const ensureEmployee = async (employeeId) => {
+  const result = await db.query('SELECT id FROM employees WHERE id = $1', [employeeId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Employee not found');
+  }
+};
+
+/**
+ * Arrears not yet paid by any run, for every month paid so far
+ */
+const getPendingArrears = async (employeeId) => {
+  const byEmployee = await calculateArrears(db, { employeeId });
+  const arrears = byEmployee.get(employeeId) || { amount: 0, lines: [] };
+
+  return {
+    total: arrears.amount,
+    months: arrears.lines,
+  };
+};
+
+/**
+ * Compare each paid month's structure with the one now in effect for it
+ * The share of the month paid is the proration factor less loss-of-pay days;
+ * in the month a revision takes effect, only the days from its effective date are owed.
+ */
+const calculateArrears = async (queryable, { excludeRunId = null, beforePeriod = null, employeeId = null }) => {
+  const params = [excludeRunId, beforePeriod, employeeId, PAID_RUN_STATUSES];
+
+  const paidResult = await queryable.query(`
+    SELECT p.employee_id, p.month, p.year,
+           due.id as salary_structure_id,
+           due.effective_from as due_effective_from,
+           paid.gross_salary + COALESCE(paid.bonus, 0) as paid_monthly_salary,
+           due.gross_salary + COALESCE(due.bonus, 0) as revised_monthly_salary,
+           SUM(GREATEST(
+             COALESCE(p.proration_factor, 1) - COALESCE(p.loss_of_pay_days, 0) / NULLIF(p.working_days, 0),
+             0
+           )) as paid_factor
+    FROM payslips p
+    JOIN payroll_runs pr ON pr.id = p.payroll_run_id
+    JOIN salary_structures paid ON paid.id = p.salary_structure_id
+    ${effectiveStructureJoin('p.employee_id', "(make_date(p.year, p.month, 1) + INTERVAL '1 month - 1 day')::date", 'due')}
+    WHERE pr.status = ANY($4)
+      AND pr.include_base_salary IS DISTINCT FROM false
+      AND p.status <> 'cancelled'
+      AND due.id <> paid.id
+      AND ($1::uuid IS NULL OR pr.id <> $1)
+      AND ($2::int IS NULL OR (p.year * 100 + p.month) < $2)
+      AND ($3::uuid IS NULL OR p.employee_id = $3)
+    GROUP BY p.employee_id, p.month, p.year, due.id, due.effective_from, paid.gross_salary, paid.bonus, due.gross_salary, due.bonus
+    ORDER BY p.year, p.month
+  `, params);
+
+  const byEmployee = new Map();
+
+  if (paidResult.rows.length === 0) {
+    return byEmployee;
+  }
+
+  // Arrears for the same months already paid by runs that still stand
+  const settledResult = await queryable.query(`
+    SELECT sa.employee_id, sa.month, sa.year, SUM(sa.amount) as amount
+    FROM salary_arrears sa
+    JOIN payroll_runs pr ON pr.id = sa.payroll_run_id
+    WHERE pr.status <> 'cancelled'
+      AND ($1::uuid IS NULL OR pr.id <> $1)
+      AND sa.employee_id = ANY($2)
+    GROUP BY sa.employee_id, sa.month, sa.year
+  `, [excludeRunId, [...new Set(paidResult.rows.map((row) => row.employee_id))]]);
+
+  const settled = new Map(settledResult.rows.map((row) =>
+    [`${row.employee_id}:${row.year}:${row.month}`, parseFloat(row.amount)]));
+
+  const prorationBasis = paidResult.rows.some((row) => getRevisionStart(row))
+    ? await settingsService.getSetting('payroll.prorationBasis')
+    : null;
+
+  for (const row of paidResult.rows) {
+    const paidMonthlySalary = parseFloat(row.paid_monthly_salary);
+    const revisedMonthlySalary = parseFloat(row.revised_monthly_salary);
+    const paidFactor = (parseFloat(row.paid_factor) || 0)
+      * await getRevisedShare(queryable, row, prorationBasis);
+    const amount = roundAmount(
+      (revisedMonthlySalary - paidMonthlySalary) * paidFactor
+      - (settled.get(`${row.employee_id}:${row.year}:${row.month}`) || 0)
+    );
+
+    // Backdated pay cuts are not recovered automatically
+    if (amount <= 0) {
+      continue;
+    }
+
+    if (!byEmployee.has(row.employee_id)) {
+      byEmployee.set(row.employee_id, { amount: 0, lines: [] });
+    }
+
+    const arrears = byEmployee.get(row.employee_id);
+    arrears.amount = roundAmount(arrears.amount + amount);
+    arrears.lines.push({
+      month: row.month,
+      year: row.year,
+      salaryStructureId: row.salary_structure_id,
+      paidMonthlySalary,
+      revisedMonthlySalary,
+      paidFactor: Math.round(paidFactor * 10000) / 10000,
+      amount,
+    });
+  }
+
+  return byEmployee;
+};
+
+/**
+ * Effective date of a revision that took effect after the paid month started, if any
+ */
+const getRevisionStart = (row) => {
+  const effectiveFrom = formatLocalDate(row.due_effective_from);
+
+  return effectiveFrom > formatLocalDate(new Date(row.year, row.month - 1, 1)) ? effectiveFrom : null;
+};
+
+/**
+ * Share of a paid month the revised structure covers, on the payroll's proration basis
+ */
+const getRevisedShare = async (queryable, row, basis) => {
+  const revisionStart = getRevisionStart(row);
+
+  if (!revisionStart) {
+    return 1;
+  }
+
+  const periodStart = formatLocalDate(new Date(row.year, row.month - 1, 1));
+  const periodEnd = formatLocalDate(new Date(row.year, row.month, 0));
+  let holidays = new Set();
+
+  if (basis === 'working_days') {
+    const holidaysResult = await queryable.query(
+      'SELECT date FROM public_holidays WHERE date >= $1 AND date <= $2',
+      [periodStart, periodEnd]
+    );
+    holidays = new Set(holidaysResult.rows.map((holiday) => formatLocalDate(holiday.date)));
+  }
+
+  return calculateProrationFactor({ periodStart, periodEnd, joiningDate: revisionStart, basis, holidays });
+};
+
+const transformStructure = (row) => ({
+  id: row.id,
+  employeeId: row.employee_id,
+  ...Object.fromEntries(REVISION_FIELDS.map(({ key, column }) => [key, parseFloat(row[column]) || 0])),
+  grossSalary: parseFloat(row.gross_salary) || 0,
+  paymentMethod: row.payment_method,
+  effectiveFrom: row.effective_from,
+  effectiveTo: row.effective_to,
+  isCurrent: row.is_current,
+  reason: row.revision_reason,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+});
+
+module.exports = {
+  effectiveStructureJoin,
+  getSalaryRevisions,
+  createSalaryRevision,
+  getRunArrearsByEmployee,
+  recordRunArrears,
+};
@@ -14,6 +14,8 @@ const DEFAULT_SETTINGS = {
     email: 'hr@company.com',
     ntn: '',
     registrationNo: '',
+    eobiRegistrationNo: '',
+    socialSecurityRegistrationNo: '',
   },
   payroll: {
     paymentDay: 28,
@@ -22,8 +24,29 @@ const DEFAULT_SETTINGS = {
     overtimeMultiplier: 1.5,
     gracePeriodMinutes: 15,
     lateArrivalDeduction: false,
+    prorationBasis: 'calendar_days',
+    varianceThresholdPercent: 5,
+    // Runs with more employees than this are processed as a background job
+    backgroundProcessingThreshold: 500,
     currency: 'PKR',
   },
+  payrollApproval: {
+    processorCanApprove: false,
+    requiredApprovals: 1,
+    // Runs with total net pay above this need one more approver; 0 turns it off
+    secondApprovalAbove: 0,
+  },
+  settlement: {
+    noticePeriodDays: 30,
+    gratuityDaysPerYear: 30,
+    gratuityMinServiceYears: 1,
+    encashmentSalaryBasis: 'basic',
+  },
+  bankFile: {
+    defaultFormat: 'csv',
+    companyAccountNumber: '',
+    templates: [],
+  },
   leave: {
     carryForwardEnabled: true,
     maxCarryForwardDays: 7,
@@ -0,0 +1,311 @@
+/**
+ * Settlement Service
+ * Handles final (full-and-final) settlement runs for exiting employees
+ */
+
+const db = require('../config/database');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+const {
+  countCalendarDays,
+  calculateServiceYears,
+  calculateGratuity,
+  calculateLeaveEncashment,
+  calculateNoticeShortfall,
+} = require('../utils/payrollCalculator');
+const { formatLocalDate } = require('../utils/dateTime');
+const settingsService = require('./settings.service');
+
+/**
+ * Create a draft final settlement run for an employee who is leaving
+ */
+const createSettlementRun = async ({ employeeId, resignationDate, loanRecovery = 0, notes, createdBy }) => {
+  const employeeResult = await db.query(
+    'SELECT id, joining_date, end_date FROM employees WHERE id = $1',
+    [employeeId]
+  );
+
+  if (employeeResult.rows.length === 0) {
+    throw new NotFoundError('Employee not found');
+  }
+
+  const employee = employeeResult.rows[0];
+
+  if (!employee.end_date) {
+    throw new BadRequestError('Set the employee end date before creating a final settlement');
+  }
+
+  const lastWorkingDate = formatLocalDate(employee.end_date);
+
+  if (resignationDate && resignationDate > lastWorkingDate) {
+    throw new BadRequestError('Resignation date cannot be after the last working date');
+  }
+
+  const existing = await db.query(
+    `SELECT id FROM payroll_runs
+     WHERE run_type = 'final_settlement' AND employee_id = $1 AND status <> 'cancelled'`,
+    [employeeId]
+  );
+
+  if (existing.rows.length > 0) {
+    throw new ConflictError('A final settlement already exists for this employee');
+  }
+
+  if (Number(loanRecovery) > 0) {
+    const loanResult = await db.query(
+      "SELECT id FROM employee_loans WHERE employee_id = $1 AND status = 'active'",
+      [employeeId]
+    );
+
+    if (loanResult.rows.length > 0) {
+      throw new BadRequestError(
+        'Employee has an active loan; its outstanding balance is recovered from the settlement automatically'
+      );
+    }
+  }
+
+  const [year, month] = lastWorkingDate.split('-').map(Number);
+  const periodStart = formatLocalDate(new Date(year, month - 1, 1));
+  const periodEnd = formatLocalDate(new Date(year, month, 0));
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const runResult = await client.query(
+      `INSERT INTO payroll_runs (month, year, period_start, period_end, processed_by, run_type, employee_id, notes)
+       VALUES ($1, $2, $3, $4, $5, 'final_settlement', $6, $7)
+       RETURNING id`,
+      [month, year, periodStart, periodEnd, createdBy, employeeId, notes || null]
+    );
+
+    const payrollRunId = runResult.rows[0].id;
+
+    await client.query(
+      `INSERT INTO final_settlements (
+         payroll_run_id, employee_id, resignation_date, last_working_date,
+         loan_recovery, notes, created_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [payrollRunId, employeeId, resignationDate || null, lastWorkingDate, loanRecovery, notes || null, createdBy]
+    );
+
+    await client.query('COMMIT');
+
+    return getSettlementStatement(payrollRunId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Calculate settlement lines (encashment, gratuity, recoveries) for a settlement run
+ * Runs inside the payroll processing transaction and records the working figures
+ */
+const calculateSettlementLines = async (client, payrollRun, employee) => {
+  const settlementResult = await client.query(
+    'SELECT * FROM final_settlements WHERE payroll_run_id = $1',
+    [payrollRun.id]
+  );
+
+  if (settlementResult.rows.length === 0) {
+    throw new NotFoundError('Final settlement details not found');
+  }
+
+  const settlement = settlementResult.rows[0];
+  const [noticePeriodDays, gratuityDaysPerYear, gratuityMinServiceYears, encashmentSalaryBasis] =
+    await Promise.all([
+      settingsService.getSetting('settlement.noticePeriodDays'),
+      settingsService.getSetting('settlement.gratuityDaysPerYear'),
+      settingsService.getSetting('settlement.gratuityMinServiceYears'),
+      settingsService.getSetting('settlement.encashmentSalaryBasis'),
+    ]);
+
+  const basicSalary = parseFloat(employee.basic_salary) || 0;
+  const monthlyGross = parseFloat(employee.gross_salary) || 0;
+  const lastWorkingDate = formatLocalDate(settlement.last_working_date);
+
+  // Unused balance on encashable leave types for the exit year
+  const leaveResult = await client.query(`
+    SELECT COALESCE(SUM(GREATEST(la.remaining_days, 0)), 0) as encashable_days
+    FROM leave_allocations la
+    JOIN leave_types lt ON lt.id = la.leave_type_id
+    WHERE la.employee_id = $1
+      AND la.year = $2
+      AND lt.is_encashable = true
+  `, [employee.employee_id, parseInt(lastWorkingDate.slice(0, 4), 10)]);
+
+  const encashableLeaveDays = parseFloat(leaveResult.rows[0].encashable_days) || 0;
+  const leaveEncashment = calculateLeaveEncashment(
+    encashmentSalaryBasis === 'gross' ? monthlyGross : basicSalary,
+    encashableLeaveDays
+  );
+
+  const serviceYears = calculateServiceYears(employee.joining_date, lastWorkingDate);
+  const gratuity = calculateGratuity({
+    monthlySalary: basicSalary,
+    serviceYears,
+    daysPerYear: Number(gratuityDaysPerYear),
+    minServiceYears: Number(gratuityMinServiceYears),
+  });
+
+  // Without a resignation date the exit was employer-initiated, so no notice is owed
+  const requiredNoticeDays = Number(noticePeriodDays) || 0;
+  const noticeServedDays = settlement.resignation_date
+    ? countCalendarDays(settlement.resignation_date, lastWorkingDate)
+    : requiredNoticeDays;
+  const notice = calculateNoticeShortfall({
+    monthlySalary: monthlyGross,
+    noticePeriodDays: requiredNoticeDays,
+    noticeServedDays,
+  });
+
+  await client.query(`
+    UPDATE final_settlements SET
+      service_years = $1,
+      notice_period_days = $2,
+      notice_served_days = $3,
+      notice_shortfall_days = $4,
+      encashable_leave_days = $5,
+      gratuity_years = $6
+    WHERE id = $7`,
+    [
+      serviceYears, requiredNoticeDays, Math.min(noticeServedDays, requiredNoticeDays),
+      notice.shortfallDays, encashableLeaveDays, gratuity.eligibleYears, settlement.id,
+    ]
+  );
+
+  return {
+    leaveEncashment,
+    gratuity: gratuity.amount,
+    noticeRecovery: notice.amount,
+    loanRecovery: parseFloat(settlement.loan_recovery) || 0,
+  };
+};
+
+/**
+ * Get the clearance statement for a final settlement run
+ */
+const getSettlementStatement = async (payrollRunId) => {
+  const result = await db.query(`
+    SELECT fs.*,
+           pr.status as run_status,
+           pr.processed_at,
+           pr.approved_at,
+           e.employee_id as emp_code,
+           e.first_name, e.last_name, e.cnic, e.designation, e.joining_date,
+           d.name as department_name,
+           p.id as payslip_id,
+           p.basic_salary, p.housing_allowance, p.transport_allowance,
+           p.medical_allowance, p.utility_allowance, p.other_allowances,
+           p.overtime_pay, p.leave_encashment, p.gratuity, p.bonus, p.other_earnings,
+           p.salary_arrears, p.gross_salary,
+           p.income_tax, p.eobi_contribution, p.provident_fund_employee,
+           p.loan_deduction, p.other_deductions, p.loss_of_pay_deduction,
+           p.notice_period_recovery, p.adjustment_deductions,
+           p.total_deductions, p.net_salary, p.proration_factor
+    FROM final_settlements fs
+    JOIN payroll_runs pr ON pr.id = fs.payroll_run_id
+    JOIN employees e ON e.id = fs.employee_id
+    LEFT JOIN departments d ON d.id = e.department_id
+    LEFT JOIN payslips p ON p.payroll_run_id = fs.payroll_run_id AND p.employee_id = fs.employee_id
+    WHERE fs.payroll_run_id = $1
+  `, [payrollRunId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Final settlement not found');
+  }
+
+  // Loans still open, or paid off by this settlement
+  const loans = await db.query(`
+    SELECT l.id, l.loan_type, l.total_payable, l.balance, l.status,
+           COALESCE(SUM(li.amount) FILTER (WHERE li.payroll_run_id = $1), 0) as recovered
+    FROM employee_loans l
+    LEFT JOIN loan_installments li ON li.loan_id = l.id
+    WHERE l.employee_id = $2
+    GROUP BY l.id
+    HAVING l.status = 'active' OR COUNT(li.id) FILTER (WHERE li.payroll_run_id = $1) > 0
+    ORDER BY l.created_at
+  `, [payrollRunId, result.rows[0].employee_id]);
+
+  return transformSettlementStatement(result.rows[0], loans.rows);
+};
+
+// Helper functions
+
+const toAmount = (value) => parseFloat(value) || 0;
+
+const transformSettlementStatement = (row, loanRows = []) => {
+  const isProcessed = Boolean(row.payslip_id);
+
+  return {
+    payrollRunId: row.payroll_run_id,
+    status: row.run_status,
+    employee: {
+      id: row.employee_id,
+      employeeCode: row.emp_code,
+      name: `${row.first_name} ${row.last_name}`,
+      cnic: row.cnic,
+      designation: row.designation,
+      department: row.department_name,
+      joiningDate: row.joining_date,
+    },
+    resignationDate: row.resignation_date,
+    lastWorkingDate: row.last_working_date,
+    serviceYears: toAmount(row.service_years),
+    notice: {
+      periodDays: row.notice_period_days,
+      servedDays: row.notice_served_days,
+      shortfallDays: row.notice_shortfall_days,
+    },
+    encashableLeaveDays: toAmount(row.encashable_leave_days),
+    gratuityYears: row.gratuity_years,
+    payslipId: row.payslip_id,
+    earnings: isProcessed ? {
+      salary: toAmount(row.basic_salary) + toAmount(row.housing_allowance)
+        + toAmount(row.transport_allowance) + toAmount(row.medical_allowance)
+        + toAmount(row.utility_allowance) + toAmount(row.other_allowances),
+      overtimePay: toAmount(row.overtime_pay),
+      leaveEncashment: toAmount(row.leave_encashment),
+      gratuity: toAmount(row.gratuity),
+      bonus: toAmount(row.bonus),
+      otherEarnings: toAmount(row.other_earnings),
+      salaryArrears: toAmount(row.salary_arrears),
+    } : null,
+    deductions: isProcessed ? {
+      incomeTax: toAmount(row.income_tax),
+      eobiContribution: toAmount(row.eobi_contribution),
+      providentFund: toAmount(row.provident_fund_employee),
+      lossOfPay: toAmount(row.loss_of_pay_deduction),
+      noticePeriodRecovery: toAmount(row.notice_period_recovery),
+      loanRecovery: toAmount(row.loan_deduction),
+      otherDeductions: toAmount(row.other_deductions),
+      adjustments: toAmount(row.adjustment_deductions),
+    } : null,
+    prorationFactor: isProcessed ? toAmount(row.proration_factor) : null,
+    grossAmount: isProcessed ? toAmount(row.gross_salary) : null,
+    totalDeductions: isProcessed ? toAmount(row.total_deductions) : null,
+    netPayable: isProcessed ? toAmount(row.net_salary) : null,
+    loanRecovery: toAmount(row.loan_recovery),
+    loans: loanRows.map((loan) => ({
+      id: loan.id,
+      loanType: loan.loan_type,
+      totalPayable: toAmount(loan.total_payable),
+      balance: toAmount(loan.balance),
+      status: loan.status,
+      recoveredInSettlement: toAmount(loan.recovered),
+    })),
+    notes: row.notes,
+    processedAt: row.processed_at,
+    approvedAt: row.approved_at,
+    createdAt: row.created_at,
+  };
+};
+
+module.exports = {
+  createSettlementRun,
+  calculateSettlementLines,
+  getSettlementStatement,
+};
@@ -0,0 +1,372 @@
+/**
+ * Statutory Report Service
+ * Monthly contribution returns for EOBI and provincial social security (SESSI/PESSI),
+ * and FBR salary withholding statements
+ */
+
+const db = require('../config/database');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const { toCsv } = require('../utils/csv');
+const { fixedWidth, toBankText } = require('../utils/bankFileFormats');
+const { SESSI_WAGE_CEILING } = require('../utils/taxCalculator');
+const { getFiscalYear, parseFiscalYear } = require('../utils/payrollCalculator');
+const settingsService = require('./settings.service');
+
+// Contribution schedules, keyed by the institution in the request
+const INSTITUTIONS = {
+  eobi: {
+    name: 'EOBI',
+    registrationSetting: 'company.eobiRegistrationNo',
+    registrationColumn: 'eobi_number',
+    employeeShareColumn: 'eobi_contribution',
+    employerShareColumn: 'eobi_employer',
+    wageCeiling: Infinity,
+  },
+  social_security: {
+    name: 'SESSI/PESSI',
+    registrationSetting: 'company.socialSecurityRegistrationNo',
+    registrationColumn: 'social_security_number',
+    employeeShareColumn: 'sessi_contribution',
+    employerShareColumn: 'sessi_employer',
+    wageCeiling: SESSI_WAGE_CEILING,
+  },
+};
+
+// Income tax ordinance section for salary withholding
+const WITHHOLDING_PAYMENT_SECTION = '149';
+
+// Column order of the Annex-C salary statement upload
+const ANNEX_C_COLUMNS = [
+  { key: 'paymentSection', label: 'Payment Section' },
+  { key: 'ntn', label: 'TaxPayer_NTN' },
+  { key: 'cnic', label: 'TaxPayer_CNIC' },
+  { key: 'employeeName', label: 'TaxPayer_Name' },
+  { key: 'city', label: 'TaxPayer_City' },
+  { key: 'taxpayerStatus', label: 'TaxPayer_Status' },
+  { key: 'activeTaxpayer', label: 'Active_Taxpayer' },
+  { key: 'taxableAmount', label: 'Taxable_Amount' },
+  { key: 'taxAmount', label: 'Tax_Amount' },
+];
+
+/**
+ * Build an institution's contribution schedule for an approved run
+ * Employees without a registration number are listed separately and left out of the totals
+ * @param {string} payrollRunId - Approved or paid run
+ * @param {string} institution - Key of INSTITUTIONS
+ */
+const getContributionReturn = async (payrollRunId, institution) => {
+  const schedule = INSTITUTIONS[institution];
+
+  if (!schedule) {
+    throw new BadRequestError(`Unknown institution. Use one of: ${Object.keys(INSTITUTIONS).join(', ')}`);
+  }
+
+  const runResult = await db.query(
+    'SELECT id, month, year, status, run_type FROM payroll_runs WHERE id = $1',
+    [payrollRunId]
+  );
+
+  if (runResult.rows.length === 0) {
+    throw new NotFoundError('Payroll run not found');
+  }
+
+  const payrollRun = runResult.rows[0];
+
+  if (!['approved', 'paid'].includes(payrollRun.status)) {
+    throw new BadRequestError('Contribution returns can only be built for approved payroll runs');
+  }
+
+  const result = await db.query(`
+    SELECT p.employee_id,
+           e.employee_id as emp_code, e.first_name, e.last_name, e.cnic,
+           NULLIF(TRIM(e.${schedule.registrationColumn}), '') as registration_number,
+           COALESCE(p.taxable_salary, p.gross_salary - COALESCE(p.loss_of_pay_deduction, 0)) as wage,
+           COALESCE(p.${schedule.employeeShareColumn}, 0) as employee_share,
+           COALESCE(p.${schedule.employerShareColumn}, 0) as employer_share
+    FROM payslips p
+    JOIN employees e ON e.id = p.employee_id
+    WHERE p.payroll_run_id = $1
+      AND p.status <> 'cancelled'
+      AND (COALESCE(p.${schedule.employeeShareColumn}, 0) + COALESCE(p.${schedule.employerShareColumn}, 0)) > 0
+    ORDER BY e.employee_id
+  `, [payrollRunId]);
+
+  const contributions = [];
+  const missingRegistration = [];
+
+  for (const row of result.rows) {
+    const employeeShare = parseFloat(row.employee_share) || 0;
+    const employerShare = parseFloat(row.employer_share) || 0;
+    const line = {
+      employeeId: row.employee_id,
+      employeeCode: row.emp_code,
+      employeeName: `${row.first_name} ${row.last_name}`,
+      cnic: row.cnic,
+      registrationNumber: row.registration_number,
+      insurableWage: roundAmount(Math.min(parseFloat(row.wage) || 0, schedule.wageCeiling)),
+      employeeShare,
+      employerShare,
+      totalContribution: roundAmount(employeeShare + employerShare),
+    };
+
+    if (line.registrationNumber) {
+      contributions.push(line);
+    } else {
+      missingRegistration.push(line);
+    }
+  }
+
+  return {
+    institution,
+    institutionName: schedule.name,
+    employerRegistrationNumber: await settingsService.getSetting(schedule.registrationSetting) || null,
+    payrollRun: {
+      id: payrollRun.id, month: payrollRun.month, year: payrollRun.year, status: payrollRun.status,
+    },
+    contributions,
+    totals: sumContributions(contributions),
+    missingRegistration,
+  };
+};
+
+/**
+ * Flatten a contribution return into CSV with a closing totals row
+ */
+const contributionReturnToCsv = (report) => {
+  const rows = report.contributions.map((line, index) => ({ sequence: index + 1, ...line }));
+
+  rows.push({
+    sequence: 'TOTAL',
+    insurableWage: report.totals.insurableWage,
+    employeeShare: report.totals.employeeShare,
+    employerShare: report.totals.employerShare,
+    totalContribution: report.totals.totalContribution,
+  });
+
+  return toCsv(rows, [
+    { key: 'sequence', label: 'Sequence' },
+    { key: 'registrationNumber', label: 'Registration Number' },
+    { key: 'cnic', label: 'CNIC' },
+    { key: 'employeeCode', label: 'Employee Code' },
+    { key: 'employeeName', label: 'Employee Name' },
+    { key: 'insurableWage', label: 'Insurable Wage' },
+    { key: 'employeeShare', label: 'Employee Share' },
+    { key: 'employerShare', label: 'Employer Share' },
+    { key: 'totalContribution', label: 'Total Contribution' },
+  ]);
+};
+
+/**
+ * Fixed-width layout: header (H), detail (D) and trailer (T) records, amounts in whole rupees
+ */
+const contributionReturnToFixedWidth = (report) => {
+  const period = `${report.payrollRun.year}${String(report.payrollRun.month).padStart(2, '0')}`;
+  const rupees = (amount, width) => fixedWidth(Math.round(amount), width, 'right', '0');
+
+  const lines = [
+    'H'
+      + fixedWidth(toBankText(report.institutionName), 12)
+      + fixedWidth(toBankText(report.employerRegistrationNumber), 20)
+      + period,
+  ];
+
+  report.contributions.forEach((line, index) => {
+    lines.push(
+      'D'
+        + fixedWidth(index + 1, 6, 'right', '0')
+        + fixedWidth(toBankText(line.registrationNumber), 20)
+        + fixedWidth(String(line.cnic || '').replace(/-/g, ''), 13)
+        + fixedWidth(toBankText(line.employeeName), 35)
+        + rupees(line.insurableWage, 10)
+        + rupees(line.employeeShare, 8)
+        + rupees(line.employerShare, 8)
+    );
+  });
+
+  lines.push(
+    'T'
+      + fixedWidth(report.totals.employees, 6, 'right', '0')
+      + rupees(report.totals.insurableWage, 12)
+      + rupees(report.totals.employeeShare, 10)
+      + rupees(report.totals.employerShare, 10)
+  );
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Build the salary withholding statement (Annex-C) for a fiscal year or one of its quarters
+ * Employees whose CNIC fails validation are listed separately and left out of the upload,
+ * and the payslip tax is reconciled against the run totals
+ * @param {object} options
+ * @param {string} options.fiscalYear - Fiscal year such as 2024-25 (defaults to the current one)
+ * @param {number} options.quarter - Quarter 1-4, where quarter 1 is July to September
+ */
+const getWithholdingStatement = async ({ fiscalYear: fiscalYearLabel, quarter } = {}) => {
+  const period = resolveStatementPeriod(fiscalYearLabel, quarter);
+  const periodParams = [period.from, period.to];
+
+  const result = await db.query(`
+    SELECT p.employee_id,
+           e.employee_id as emp_code, e.first_name, e.last_name, e.city, e.ntn_number,
+           COALESCE(
+             e.cnic,
+             CASE WHEN e.legal_id_type = 'cnic' THEN e.legal_id_number END,
+             e.tax_identifier
+           ) as cnic,
+           (ARRAY_AGG(p.is_filer ORDER BY p.year DESC, p.month DESC))[1] as is_filer,
+           SUM(COALESCE(p.taxable_salary, p.taxable_income / 12) + COALESCE(p.taxable_lump_sum, 0)) as taxable_amount,
+           SUM(p.income_tax) as tax_amount
+    FROM payslips p
+    JOIN payroll_runs pr ON pr.id = p.payroll_run_id
+    JOIN employees e ON e.id = p.employee_id
+    WHERE pr.status IN ('approved', 'paid')
+      AND p.status <> 'cancelled'
+      AND (p.year * 100 + p.month) BETWEEN $1 AND $2
+    GROUP BY p.employee_id, e.employee_id, e.first_name, e.last_name, e.city, e.ntn_number,
+             e.cnic, e.legal_id_type, e.legal_id_number, e.tax_identifier
+    ORDER BY e.employee_id
+  `, periodParams);
+
+  const runTotals = await db.query(`
+    SELECT pr.id, pr.month, pr.year, pr.run_type,
+           COALESCE(pr.total_tax, 0) as total_tax,
+           COALESCE(SUM(p.income_tax) FILTER (WHERE p.status <> 'cancelled'), 0) as payslip_tax
+    FROM payroll_runs pr
+    LEFT JOIN payslips p ON p.payroll_run_id = pr.id
+    WHERE pr.status IN ('approved', 'paid')
+      AND (pr.year * 100 + pr.month) BETWEEN $1 AND $2
+    GROUP BY pr.id
+    ORDER BY pr.year, pr.month
+  `, periodParams);
+
+  const rows = [];
+  const invalidCnic = [];
+
+  for (const row of result.rows) {
+    const cnic = normalizeCnic(row.cnic);
+    const line = {
+      employeeId: row.employee_id,
+      employeeCode: row.emp_code,
+      employeeName: `${row.first_name} ${row.last_name}`,
+      city: row.city,
+      cnic: cnic || row.cnic,
+      ntn: row.ntn_number,
+      isFiler: row.is_filer === true,
+      taxableAmount: roundAmount(parseFloat(row.taxable_amount) || 0),
+      taxAmount: roundAmount(parseFloat(row.tax_amount) || 0),
+    };
+
+    if (cnic) {
+      rows.push(line);
+    } else {
+      invalidCnic.push({ ...line, reason: row.cnic ? 'CNIC must have 13 digits' : 'CNIC is missing' });
+    }
+  }
+
+  const allLines = [...rows, ...invalidCnic];
+  const payslipTax = roundAmount(allLines.reduce((sum, line) => sum + line.taxAmount, 0));
+  const runTotalTax = roundAmount(runTotals.rows.reduce((sum, run) => sum + (parseFloat(run.total_tax) || 0), 0));
+
+  return {
+    period,
+    rows,
+    invalidCnic,
+    totals: {
+      employees: allLines.length,
+      taxableAmount: roundAmount(allLines.reduce((sum, line) => sum + line.taxableAmount, 0)),
+      taxAmount: payslipTax,
+      exportedTaxAmount: roundAmount(rows.reduce((sum, line) => sum + line.taxAmount, 0)),
+    },
+    reconciliation: {
+      payslipTax,
+      runTotalTax,
+      difference: roundAmount(payslipTax - runTotalTax),
+      matches: payslipTax === runTotalTax,
+      mismatchedRuns: runTotals.rows
+        .filter((run) => roundAmount(parseFloat(run.total_tax) || 0) !== roundAmount(parseFloat(run.payslip_tax) || 0))
+        .map((run) => ({
+          id: run.id,
+          month: run.month,
+          year: run.year,
+          runType: run.run_type,
+          totalTax: parseFloat(run.total_tax) || 0,
+          payslipTax: parseFloat(run.payslip_tax) || 0,
+        })),
+    },
+  };
+};
+
+/**
+ * Render a withholding statement in the Annex-C bulk upload layout (employees with a valid CNIC only)
+ */
+const withholdingStatementToCsv = (statement) => toCsv(
+  statement.rows.map((line) => ({
+    ...line,
+    paymentSection: WITHHOLDING_PAYMENT_SECTION,
+    taxpayerStatus: 'Individual',
+    activeTaxpayer: line.isFiler ? 'Yes' : 'No',
+    taxableAmount: line.taxableAmount.toFixed(2),
+    taxAmount: line.taxAmount.toFixed(2),
+  })),
+  ANNEX_C_COLUMNS
+);
+
+// Helper functions
+
+/**
+ * CNIC as 13 digits, or null when it cannot be one
+ */
+const normalizeCnic = (value) => {
+  const text = String(value || '').trim();
+  return /^\d{5}-?\d{7}-?\d$/.test(text) ? text.replace(/-/g, '') : null;
+};
+
+const resolveStatementPeriod = (fiscalYearLabel, quarter) => {
+  let fiscalYear;
+
+  if (fiscalYearLabel) {
+    fiscalYear = parseFiscalYear(fiscalYearLabel);
+    if (!fiscalYear) {
+      throw new BadRequestError('Fiscal year must look like 2024-25');
+    }
+  } else {
+    const today = new Date();
+    fiscalYear = getFiscalYear(today.getMonth() + 1, today.getFullYear());
+  }
+
+  // Month offsets from July: the whole year, or three months of a quarter
+  const firstOffset = quarter ? (Number(quarter) - 1) * 3 : 0;
+  const lastOffset = quarter ? firstOffset + 2 : 11;
+  const toPeriod = (offset) => {
+    const month = ((fiscalYear.startMonth - 1 + offset) % 12) + 1;
+    const year = month >= fiscalYear.startMonth ? fiscalYear.startYear : fiscalYear.endYear;
+    return year * 100 + month;
+  };
+
+  return {
+    fiscalYear: fiscalYear.label,
+    quarter: quarter ? Number(quarter) : null,
+    from: toPeriod(firstOffset),
+    to: toPeriod(lastOffset),
+  };
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const sumContributions = (lines) => ({
+  employees: lines.length,
+  insurableWage: roundAmount(lines.reduce((sum, line) => sum + line.insurableWage, 0)),
+  employeeShare: roundAmount(lines.reduce((sum, line) => sum + line.employeeShare, 0)),
+  employerShare: roundAmount(lines.reduce((sum, line) => sum + line.employerShare, 0)),
+  totalContribution: roundAmount(lines.reduce((sum, line) => sum + line.totalContribution, 0)),
+});
+
+module.exports = {
+  INSTITUTIONS,
+  getContributionReturn,
+  contributionReturnToCsv,
+  contributionReturnToFixedWidth,
+  getWithholdingStatement,
+  withholdingStatementToCsv,
+};
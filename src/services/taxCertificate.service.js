@@ -0,0 +1,263 @@
+/**
+ * Tax Certificate Service
+ * Annual certificates of salary paid and income tax withheld, per employee
+ */
+
+const archiver = require('archiver');
+const db = require('../config/database');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const { getFiscalYear, parseFiscalYear } = require('../utils/payrollCalculator');
+const { formatLocalDate } = require('../utils/dateTime');
+const { renderTaxCertificatePdf } = require('../utils/taxCertificatePdf');
+const payslipDocumentService = require('./payslipDocument.service');
+
+// Payslip columns totalled on the certificate, in the order they are printed
+const CERTIFICATE_EARNINGS = [
+  { key: 'basicSalary', column: 'basic_salary' },
+  { key: 'housingAllowance', column: 'housing_allowance' },
+  { key: 'transportAllowance', column: 'transport_allowance' },
+  { key: 'medicalAllowance', column: 'medical_allowance' },
+  { key: 'utilityAllowance', column: 'utility_allowance' },
+  { key: 'otherAllowances', column: 'other_allowances' },
+  { key: 'overtimePay', column: 'overtime_pay' },
+  { key: 'bonus', column: 'bonus' },
+  { key: 'otherEarnings', column: 'other_earnings' },
+  { key: 'salaryArrears', column: 'salary_arrears' },
+  { key: 'leaveEncashment', column: 'leave_encashment' },
+  { key: 'gratuity', column: 'gratuity' },
+];
+
+/**
+ * Get one employee's certificate for a fiscal year
+ * @param {string} employeeId - Employee UUID
+ * @param {string} fiscalYearLabel - Fiscal year such as 2024-25 (defaults to the current one)
+ */
+const getTaxCertificate = async (employeeId, fiscalYearLabel) => {
+  const fiscalYear = resolveFiscalYear(fiscalYearLabel);
+  const [certificate] = await buildCertificates(fiscalYear, { employeeId });
+
+  if (!certificate) {
+    throw new NotFoundError(`No approved payslips found for this employee in fiscal year ${fiscalYear.label}`);
+  }
+
+  return certificate;
+};
+
+/**
+ * Get certificates for every employee paid in a fiscal year
+ */
+const getTaxCertificates = async (fiscalYearLabel) => {
+  const fiscalYear = resolveFiscalYear(fiscalYearLabel);
+  const certificates = await buildCertificates(fiscalYear);
+
+  return {
+    fiscalYear: fiscalYear.label,
+    count: certificates.length,
+    certificates,
+  };
+};
+
+/**
+ * Render one employee's certificate as PDF
+ */
+const getTaxCertificatePdf = async (employeeId, fiscalYearLabel) => {
+  const certificate = await getTaxCertificate(employeeId, fiscalYearLabel);
+  const company = await payslipDocumentService.getCompanyDetails();
+
+  return {
+    certificate,
+    filename: getCertificateFilename(certificate),
+    content: await renderTaxCertificatePdf(certificate, { company }),
+  };
+};
+
+/**
+ * Create a ZIP archive of certificate PDFs for every employee paid in a fiscal year
+ * @returns {object} Filename and the archive stream to pipe to the response
+ */
+const createTaxCertificatesArchive = async (fiscalYearLabel) => {
+  const fiscalYear = resolveFiscalYear(fiscalYearLabel);
+  const certificates = await buildCertificates(fiscalYear);
+
+  if (certificates.length === 0) {
+    throw new NotFoundError(`No approved payslips found in fiscal year ${fiscalYear.label}`);
+  }
+
+  const company = await payslipDocumentService.getCompanyDetails();
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  // Render PDFs one at a time so large companies do not hold every document in memory
+  (async () => {
+    for (const certificate of certificates) {
+      archive.append(
+        await renderTaxCertificatePdf(certificate, { company }),
+        { name: getCertificateFilename(certificate) }
+      );
+    }
+    await archive.finalize();
+  })().catch((error) => archive.emit('error', error));
+
+  return {
+    filename: `tax-certificates-${fiscalYear.label}.zip`,
+    archive,
+  };
+};
+
+// Helper functions
+
+/**
+ * Turn a label such as 2024-25 into the July-June fiscal year it names
+ */
+const resolveFiscalYear = (label) => {
+  if (!label) {
+    const today = new Date();
+    return getFiscalYear(today.getMonth() + 1, today.getFullYear());
+  }
+
+  const fiscalYear = parseFiscalYear(label);
+
+  if (!fiscalYear) {
+    throw new BadRequestError('Fiscal year must look like 2024-25');
+  }
+
+  return fiscalYear;
+};
+
+/**
+ * Total approved payslips by employee and month, then fold them into certificates
+ */
+const buildCertificates = async (fiscalYear, { employeeId } = {}) => {
+  const params = [
+    fiscalYear.startYear * 100 + fiscalYear.startMonth,
+    fiscalYear.endYear * 100 + fiscalYear.endMonth,
+  ];
+  let employeeClause = '';
+
+  if (employeeId) {
+    params.push(employeeId);
+    employeeClause = `AND p.employee_id = $${params.length}`;
+  }
+
+  const result = await db.query(`
+    SELECT p.employee_id, p.year, p.month,
+           ${CERTIFICATE_EARNINGS.map(({ column }) => `COALESCE(SUM(p.${column}), 0) as ${column}`).join(',\n           ')},
+           COALESCE(SUM(p.gross_salary), 0) as gross_salary,
+           COALESCE(SUM(p.loss_of_pay_deduction), 0) as loss_of_pay_deduction,
+           COALESCE(SUM(COALESCE(p.taxable_salary, p.taxable_income / 12) + COALESCE(p.taxable_lump_sum, 0)), 0) as taxable_income,
+           COALESCE(SUM(p.income_tax), 0) as income_tax,
+           COALESCE(SUM(p.eobi_contribution), 0) as eobi_contribution
+    FROM payslips p
+    JOIN payroll_runs pr ON pr.id = p.payroll_run_id
+    WHERE pr.status IN ('approved', 'paid')
+      AND p.status <> 'cancelled'
+      AND (p.year * 100 + p.month) BETWEEN $1 AND $2
+      ${employeeClause}
+    GROUP BY p.employee_id, p.year, p.month
+  `, params);
+
+  if (result.rows.length === 0) {
+    return [];
+  }
+
+  const monthsByEmployee = new Map();
+  for (const row of result.rows) {
+    if (!monthsByEmployee.has(row.employee_id)) {
+      monthsByEmployee.set(row.employee_id, new Map());
+    }
+    monthsByEmployee.get(row.employee_id).set(row.year * 100 + row.month, row);
+  }
+
+  const employees = await db.query(`
+    SELECT e.id, e.employee_id as emp_code, e.first_name, e.last_name, e.cnic, e.ntn_number,
+           e.tax_filing_status, e.designation, e.joining_date, e.end_date,
+           d.name as department_name
+    FROM employees e
+    LEFT JOIN departments d ON d.id = e.department_id
+    WHERE e.id = ANY($1)
+    ORDER BY e.employee_id
+  `, [[...monthsByEmployee.keys()]]);
+
+  return employees.rows.map((employee) =>
+    toCertificate(fiscalYear, employee, monthsByEmployee.get(employee.id)));
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toCertificate = (fiscalYear, employee, monthRows) => {
+  const earnings = Object.fromEntries(CERTIFICATE_EARNINGS.map(({ key }) => [key, 0]));
+  const totals = {
+    grossSalary: 0, lossOfPay: 0, exemptIncome: 0, taxableIncome: 0, incomeTax: 0, eobiContribution: 0,
+  };
+  const months = [];
+
+  // Every month of the fiscal year is listed, including months without pay
+  for (let offset = 0; offset < 12; offset++) {
+    const month = ((fiscalYear.startMonth - 1 + offset) % 12) + 1;
+    const year = month >= fiscalYear.startMonth ? fiscalYear.startYear : fiscalYear.endYear;
+    const row = monthRows.get(year * 100 + month);
+
+    for (const { key, column } of CERTIFICATE_EARNINGS) {
+      earnings[key] = roundAmount(earnings[key] + (parseFloat(row?.[column]) || 0));
+    }
+
+    const grossSalary = parseFloat(row?.gross_salary) || 0;
+    const lossOfPay = parseFloat(row?.loss_of_pay_deduction) || 0;
+    const taxableIncome = parseFloat(row?.taxable_income) || 0;
+    const line = {
+      month,
+      year,
+      grossSalary,
+      // Pay left out of taxable income, e.g. non-taxable reimbursements
+      exemptIncome: roundAmount(Math.max(0, grossSalary - lossOfPay - taxableIncome)),
+      taxableIncome,
+      incomeTax: parseFloat(row?.income_tax) || 0,
+      eobiContribution: parseFloat(row?.eobi_contribution) || 0,
+    };
+
+    totals.grossSalary += line.grossSalary;
+    totals.lossOfPay += lossOfPay;
+    totals.exemptIncome += line.exemptIncome;
+    totals.taxableIncome += line.taxableIncome;
+    totals.incomeTax += line.incomeTax;
+    totals.eobiContribution += line.eobiContribution;
+    months.push(line);
+  }
+
+  return {
+    fiscalYear: fiscalYear.label,
+    period: {
+      from: formatLocalDate(new Date(fiscalYear.startYear, fiscalYear.startMonth - 1, 1)),
+      to: formatLocalDate(new Date(fiscalYear.endYear, fiscalYear.endMonth, 0)),
+    },
+    employee: {
+      id: employee.id,
+      employeeCode: employee.emp_code,
+      name: `${employee.first_name} ${employee.last_name}`,
+      cnic: employee.cnic,
+      ntn: employee.ntn_number,
+      isFiler: employee.tax_filing_status === 'filer',
+      designation: employee.designation,
+      department: employee.department_name,
+      joiningDate: employee.joining_date,
+      endDate: employee.end_date,
+    },
+    earnings,
+    grossSalary: roundAmount(totals.grossSalary),
+    lossOfPay: roundAmount(totals.lossOfPay),
+    exemptIncome: roundAmount(totals.exemptIncome),
+    taxableIncome: roundAmount(totals.taxableIncome),
+    incomeTax: roundAmount(totals.incomeTax),
+    eobiContribution: roundAmount(totals.eobiContribution),
+    months,
+  };
+};
+
+const getCertificateFilename = (certificate) =>
+  `tax-certificate-${certificate.employee.employeeCode}-${certificate.fiscalYear}.pdf`;
+
+module.exports = {
+  getTaxCertificate,
+  getTaxCertificates,
+  getTaxCertificatePdf,
+  createTaxCertificatesArchive,
+};
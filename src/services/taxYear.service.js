@@ -0,0 +1,280 @@
+/**
+ * Tax Year Service
+ * Manages income tax slabs per tax year and picks the slabs for a payroll period
+ */
+
+const db = require('../config/database');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+const { validateTaxSlabs } = require('../utils/taxCalculator');
+const { formatLocalDate } = require('../utils/dateTime');
+
+const TAXPAYER_TYPES = {
+  filer: 'filer',
+  nonFiler: 'non_filer',
+};
+
+/**
+ * Get all tax years with their slabs, latest first
+ */
+const getTaxYears = async () => {
+  const result = await db.query('SELECT * FROM tax_years ORDER BY start_date DESC');
+  const slabs = await getSlabsByTaxYear(db, result.rows.map((row) => row.id));
+
+  return result.rows.map((row) => transformTaxYear(row, slabs.get(row.id)));
+};
+
+/**
+ * Get tax year by ID
+ */
+const getTaxYearById = async (id) => {
+  const result = await db.query('SELECT * FROM tax_years WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Tax year not found');
+  }
+
+  const slabs = await getSlabsByTaxYear(db, [id]);
+  return transformTaxYear(result.rows[0], slabs.get(id));
+};
+
+/**
+ * Create a tax year with filer and non-filer slabs
+ */
+const createTaxYear = async ({ label, startDate, endDate, notes, slabs }, createdBy) => {
+  const normalizedSlabs = normalizeSlabs(slabs);
+  await ensureNoOverlap(db, { label, startDate, endDate });
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO tax_years (label, start_date, end_date, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [label, startDate, endDate, notes || null, createdBy]
+    );
+
+    await insertSlabs(client, result.rows[0].id, normalizedSlabs);
+
+    await client.query('COMMIT');
+
+    return getTaxYearById(result.rows[0].id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Update a tax year; slabs, when given, replace the existing ones
+ */
+const updateTaxYear = async (id, { label, startDate, endDate, notes, slabs }) => {
+  const existing = await getTaxYearById(id);
+  const normalizedSlabs = slabs ? normalizeSlabs(slabs) : null;
+
+  const updated = {
+    label: label ?? existing.label,
+    startDate: startDate ?? formatLocalDate(existing.startDate),
+    endDate: endDate ?? formatLocalDate(existing.endDate),
+  };
+  await ensureNoOverlap(db, updated, id);
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE tax_years SET label = $1, start_date = $2, end_date = $3, notes = $4
+       WHERE id = $5`,
+      [updated.label, updated.startDate, updated.endDate, notes !== undefined ? notes : existing.notes, id]
+    );
+
+    if (normalizedSlabs) {
+      await client.query('DELETE FROM tax_slabs WHERE tax_year_id = $1', [id]);
+      await insertSlabs(client, id, normalizedSlabs);
+    }
+
+    await client.query('COMMIT');
+
+    return getTaxYearById(id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a tax year that no payslip has been taxed under
+ */
+const deleteTaxYear = async (id) => {
+  const taxYear = await getTaxYearById(id);
+
+  const usage = await db.query(
+    'SELECT COUNT(*) as payslips FROM payslips WHERE tax_year = $1',
+    [taxYear.label]
+  );
+
+  if (parseInt(usage.rows[0].payslips, 10) > 0) {
+    throw new ConflictError(`Tax year ${taxYear.label} has been applied to payslips and cannot be deleted`);
+  }
+
+  await db.query('DELETE FROM tax_years WHERE id = $1', [id]);
+
+  return { message: 'Tax year deleted successfully' };
+};
+
+/**
+ * Get the tax table for a date, in the format the tax calculator expects
+ * Uses the tax year covering the date. A date outside every configured year is
+ * rejected rather than taxed at another year's slabs.
+ * @param {string} date - Date (YYYY-MM-DD) within the payroll period
+ * @param {object} queryable - Database pool or transaction client
+ * @returns {Promise<object>} Tax year label with filer and non-filer slabs
+ */
+const getTaxTableForDate = async (date, queryable = db) => {
+  const result = await queryable.query(
+    `SELECT id, label FROM tax_years
+     WHERE start_date <= $1 AND end_date >= $1
+     ORDER BY start_date DESC
+     LIMIT 1`,
+    [date]
+  );
+
+  if (result.rows.length === 0) {
+    throw new BadRequestError(`No tax year is configured for ${date}`);
+  }
+
+  const { id, label } = result.rows[0];
+  const slabs = await getSlabsByTaxYear(queryable, [id]);
+  const { filer, nonFiler } = slabs.get(id) || { filer: [], nonFiler: [] };
+
+  return {
+    label,
+    filer: filer.map(toCalculatorSlab),
+    nonFiler: nonFiler.map(toCalculatorSlab),
+  };
+};
+
+// Helper functions
+
+const getSlabsByTaxYear = async (queryable, taxYearIds) => {
+  const byTaxYear = new Map(taxYearIds.map((id) => [id, { filer: [], nonFiler: [] }]));
+
+  if (taxYearIds.length === 0) {
+    return byTaxYear;
+  }
+
+  const result = await queryable.query(
+    `SELECT * FROM tax_slabs
+     WHERE tax_year_id = ANY($1)
+     ORDER BY taxpayer_type, min_income`,
+    [taxYearIds]
+  );
+
+  for (const row of result.rows) {
+    const slabs = byTaxYear.get(row.tax_year_id);
+    const slab = {
+      minIncome: parseFloat(row.min_income),
+      maxIncome: row.max_income === null ? null : parseFloat(row.max_income),
+      rate: parseFloat(row.rate),
+      fixedAmount: parseFloat(row.fixed_amount),
+    };
+
+    if (row.taxpayer_type === TAXPAYER_TYPES.filer) {
+      slabs.filer.push(slab);
+    } else {
+      slabs.nonFiler.push(slab);
+    }
+  }
+
+  return byTaxYear;
+};
+
+const toCalculatorSlab = (slab) => ({
+  min: slab.minIncome,
+  max: slab.maxIncome === null ? Infinity : slab.maxIncome,
+  rate: slab.rate,
+  fixed: slab.fixedAmount,
+});
+
+/**
+ * Validate filer and non-filer slabs; a missing maxIncome marks the open-ended top slab
+ */
+const normalizeSlabs = (slabs = {}) => {
+  const problems = [];
+  const normalized = {};
+
+  for (const [key, taxpayerType] of Object.entries(TAXPAYER_TYPES)) {
+    const calculatorSlabs = (slabs[key] || []).map((slab) => toCalculatorSlab({
+      minIncome: Number(slab.minIncome),
+      maxIncome: slab.maxIncome === null || slab.maxIncome === undefined ? null : Number(slab.maxIncome),
+      rate: Number(slab.rate),
+      fixedAmount: Number(slab.fixedAmount ?? 0),
+    }));
+
+    problems.push(...validateTaxSlabs(calculatorSlabs).map((problem) => `${taxpayerType}: ${problem}`));
+    normalized[taxpayerType] = calculatorSlabs;
+  }
+
+  if (problems.length > 0) {
+    throw new BadRequestError('Tax slabs are invalid', problems);
+  }
+
+  return normalized;
+};
+
+const ensureNoOverlap = async (queryable, { startDate, endDate }, excludeId = null) => {
+  if (endDate <= startDate) {
+    throw new BadRequestError('Tax year must end after it starts');
+  }
+
+  const result = await queryable.query(
+    `SELECT label FROM tax_years
+     WHERE start_date <= $2 AND end_date >= $1
+       AND ($3::uuid IS NULL OR id <> $3)`,
+    [startDate, endDate, excludeId]
+  );
+
+  if (result.rows.length > 0) {
+    throw new ConflictError(`Tax year overlaps ${result.rows.map((row) => row.label).join(', ')}`);
+  }
+};
+
+const insertSlabs = async (client, taxYearId, slabs) => {
+  for (const [taxpayerType, typeSlabs] of Object.entries(slabs)) {
+    for (const slab of typeSlabs) {
+      await client.query(
+        `INSERT INTO tax_slabs (tax_year_id, taxpayer_type, min_income, max_income, rate, fixed_amount)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [taxYearId, taxpayerType, slab.min, slab.max === Infinity ? null : slab.max, slab.rate, slab.fixed]
+      );
+    }
+  }
+};
+
+const transformTaxYear = (row, slabs = { filer: [], nonFiler: [] }) => ({
+  id: row.id,
+  label: row.label,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  notes: row.notes,
+  slabs,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+module.exports = {
+  getTaxYears,
+  getTaxYearById,
+  createTaxYear,
+  updateTaxYear,
+  deleteTaxYear,
+  getTaxTableForDate,
+};
@@ -120,6 +120,7 @@ const ErrorCodes = {
 
   // Business Logic
   PAYROLL_ALREADY_PROCESSED: 'PAYROLL_ALREADY_PROCESSED',
+  PAYROLL_PERIOD_LOCKED: 'PAYROLL_PERIOD_LOCKED',
   INSUFFICIENT_LEAVE_BALANCE: 'INSUFFICIENT_LEAVE_BALANCE',
   INVALID_DATE_RANGE: 'INVALID_DATE_RANGE',
   INVALID_LEAVE_REQUEST: 'INVALID_LEAVE_REQUEST',
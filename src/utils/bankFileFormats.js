@@ -0,0 +1,228 @@
+/**
+ * Bank File Formats
+ * Layouts for bulk salary transfer files. Each format renders the same
+ * transfer records and control totals; new layouts are added to FORMATS.
+ */
+
+const crypto = require('crypto');
+const { toCsv } = require('./csv');
+
+// Fields a settings-defined template may reference
+const TEMPLATE_FIELDS = [
+  'sequence',
+  'employeeCode',
+  'employeeName',
+  'bankName',
+  'accountNumber',
+  'routingCode',
+  'amount',
+  'amountPaisa',
+  'reference',
+  'paymentDate',
+];
+
+/**
+ * Convert an amount in rupees to integer paisa
+ */
+const toPaisa = (amount) => Math.round(parseFloat(amount) * 100);
+
+/**
+ * Strip characters banks commonly reject in fixed-width files
+ */
+const toBankText = (value) => String(value ?? '')
+  .normalize('NFKD')
+  .replace(/[^\x20-\x7E]/g, '')
+  .toUpperCase();
+
+/**
+ * Pad or truncate a value to a fixed width
+ */
+const fixedWidth = (value, width, align = 'left', padChar = ' ') => {
+  const text = String(value ?? '').slice(0, width);
+  return align === 'right' ? text.padStart(width, padChar) : text.padEnd(width, padChar);
+};
+
+/**
+ * Calculate control totals and a SHA-256 checksum over the transfer records
+ * The checksum covers account, amount and reference of every record in order,
+ * so it is the same whichever layout the file is rendered in
+ * @param {object[]} records - Transfer records
+ * @returns {object} Record count, total amount, total in paisa and checksum
+ */
+const calculateControls = (records) => {
+  const totalPaisa = records.reduce((sum, record) => sum + toPaisa(record.amount), 0);
+  const canonical = records
+    .map((record) => `${record.accountNumber}|${toPaisa(record.amount)}|${record.reference}`)
+    .join('\n');
+
+  return {
+    recordCount: records.length,
+    totalAmount: totalPaisa / 100,
+    totalPaisa,
+    checksum: crypto.createHash('sha256').update(canonical).digest('hex'),
+  };
+};
+
+/**
+ * Generic CSV with a trailer row carrying the control totals
+ */
+const renderCsv = (records, batch, controls) => {
+  const columns = [
+    { key: 'sequence', label: 'Sequence' },
+    { key: 'employeeCode', label: 'Employee Code' },
+    { key: 'employeeName', label: 'Beneficiary Name' },
+    { key: 'bankName', label: 'Bank Name' },
+    { key: 'accountNumber', label: 'Account Number' },
+    { key: 'routingCode', label: 'Routing Code' },
+    { key: 'amount', label: 'Amount' },
+    { key: 'reference', label: 'Reference' },
+  ];
+  const rows = records.map((record, index) => ({
+    ...record,
+    sequence: index + 1,
+    amount: parseFloat(record.amount).toFixed(2),
+  }));
+
+  return toCsv(rows, columns)
+    + `TRAILER,${controls.recordCount},,,,,${controls.totalAmount.toFixed(2)},${controls.checksum}\n`;
+};
+
+/**
+ * Fixed-width IBFT layout: header (H), detail (D) and trailer (T) records
+ */
+const renderIbft = (records, batch, controls) => {
+  const lines = [
+    'H'
+      + fixedWidth(toBankText(batch.batchReference), 20)
+      + batch.paymentDate.replace(/-/g, '')
+      + fixedWidth(toBankText(batch.companyAccountNumber), 24)
+      + fixedWidth(toBankText(batch.companyName), 35),
+  ];
+
+  records.forEach((record, index) => {
+    lines.push(
+      'D'
+        + fixedWidth(index + 1, 6, 'right', '0')
+        + fixedWidth(toBankText(record.accountNumber), 24)
+        + fixedWidth(toBankText(record.routingCode), 11)
+        + fixedWidth(toBankText(record.employeeName), 35)
+        + fixedWidth(toPaisa(record.amount), 15, 'right', '0')
+        + fixedWidth(toBankText(record.reference), 20)
+    );
+  });
+
+  lines.push(
+    'T'
+      + fixedWidth(controls.recordCount, 6, 'right', '0')
+      + fixedWidth(controls.totalPaisa, 18, 'right', '0')
+      + controls.checksum
+  );
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Settings-defined layout
+ * Columns are delimited, or fixed-width when the template delimiter is empty
+ */
+const renderTemplate = (records, batch, controls, template) => {
+  const delimiter = template.delimiter ?? ',';
+  const isFixedWidth = delimiter === '';
+  const columns = template.columns || [];
+
+  const formatCell = (column, value) => {
+    if (isFixedWidth) {
+      return fixedWidth(toBankText(value), column.width || 20, column.align, column.padChar || ' ');
+    }
+    const text = String(value ?? '');
+    return /["\r\n]/.test(text) || (delimiter && text.includes(delimiter))
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+
+  const lines = [];
+
+  if (template.includeHeader !== false && !isFixedWidth) {
+    lines.push(columns.map((column) => formatCell(column, column.label || column.field)).join(delimiter));
+  }
+
+  records.forEach((record, index) => {
+    const values = {
+      ...record,
+      sequence: index + 1,
+      amount: parseFloat(record.amount).toFixed(2),
+      amountPaisa: toPaisa(record.amount),
+      paymentDate: batch.paymentDate,
+    };
+    lines.push(columns.map((column) => formatCell(column, values[column.field])).join(delimiter));
+  });
+
+  if (template.includeTrailer !== false) {
+    lines.push(
+      ['TRAILER', controls.recordCount, controls.totalAmount.toFixed(2), controls.checksum]
+        .join(isFixedWidth ? ' ' : delimiter)
+    );
+  }
+
+  return `${lines.join(template.lineEnding === 'crlf' ? '\r\n' : '\n')}\n`;
+};
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv', render: renderCsv },
+  ibft: { extension: 'txt', contentType: 'text/plain', render: renderIbft },
+  template: { extension: 'txt', contentType: 'text/plain', render: renderTemplate },
+};
+
+/**
+ * Check a settings-defined template before rendering
+ * @returns {string[]} Validation problems (empty when valid)
+ */
+const validateTemplate = (template) => {
+  const problems = [];
+
+  if (!template || !Array.isArray(template.columns) || template.columns.length === 0) {
+    return ['Template must define at least one column'];
+  }
+
+  template.columns.forEach((column, index) => {
+    if (!TEMPLATE_FIELDS.includes(column.field)) {
+      problems.push(`Column ${index + 1} uses unknown field "${column.field}"`);
+    }
+    if (template.delimiter === '' && !(column.width > 0)) {
+      problems.push(`Column ${index + 1} needs a width for a fixed-width template`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Render a bank file in the requested format
+ * @param {string} format - Key of FORMATS
+ * @param {object[]} records - Transfer records
+ * @param {object} batch - Batch reference, payment date and company details
+ * @param {object} template - Settings template (for the 'template' format)
+ * @returns {object} File content, extension, content type and control totals
+ */
+const renderBankFile = (format, records, batch, template = null) => {
+  const layout = FORMATS[format];
+  const controls = calculateControls(records);
+  const content = layout.render(records, batch, controls, template);
+
+  return {
+    content,
+    extension: format === 'template' && template.extension ? template.extension : layout.extension,
+    contentType: layout.contentType,
+    controls,
+  };
+};
+
+module.exports = {
+  FORMATS,
+  TEMPLATE_FIELDS,
+  calculateControls,
+  validateTemplate,
+  fixedWidth,
+  toBankText,
+  renderBankFile,
+};
@@ -0,0 +1,128 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 parsing and generation for imports and exports
+ */
+
+/**
+ * Split CSV text into rows with the file line each row starts on
+ * Handles quoted cells, escaped quotes and line breaks inside quotes; blank rows are dropped
+ * @param {string} text - CSV content
+ * @returns {Array<{cells: string[], line: number}>} Rows with their 1-based source line
+ */
+const readCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  return rows.filter(({ cells }) => cells.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Split CSV text into rows of raw cell values
+ * Handles quoted cells, escaped quotes and line breaks inside quotes
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of cells
+ */
+const parseCsvRows = (text) => readCsvRows(text).map(({ cells }) => cells);
+
+/**
+ * Parse CSV text with a header row into objects
+ * Header names are trimmed and lower-cased; cell values are trimmed
+ * @param {string} text - CSV content
+ * @returns {object[]} One object per data row, with the 1-based `_line` it starts on in the file
+ */
+const parseCsv = (text) => {
+  const [header, ...dataRows] = readCsvRows(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.cells.map((name) => name.trim().toLowerCase());
+
+  return dataRows.map(({ cells, line }) => {
+    const record = { _line: line };
+    keys.forEach((key, column) => {
+      record[key] = (cells[column] || '').trim();
+    });
+    return record;
+  });
+};
+
+/**
+ * Escape a single CSV cell
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from objects
+ * @param {object[]} rows - Records to write
+ * @param {Array<{key: string, label: string}>} columns - Column order and header labels
+ * @returns {string} CSV content
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.map((column) => escapeCsvValue(column.label)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(row[column.key])).join(','));
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRows,
+  toCsv,
+};
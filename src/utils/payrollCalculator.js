@@ -0,0 +1,251 @@
+/**
+ * Payroll Calculator
+ * Pure helpers for day counting and payslip line calculations
+ */
+
+const { formatLocalDate } = require('./dateTime');
+
+/**
+ * Count working days (Mon-Fri, excluding holidays) between two dates, inclusive
+ * @param {Date|string} startDate - First day of the range
+ * @param {Date|string} endDate - Last day of the range
+ * @param {Set<string>} holidays - Holiday dates as YYYY-MM-DD strings
+ * @returns {number} Number of working days
+ */
+const countWorkingDays = (startDate, endDate, holidays = new Set()) => {
+  const current = new Date(`${formatLocalDate(startDate)}T00:00:00`);
+  const end = new Date(`${formatLocalDate(endDate)}T00:00:00`);
+  let workingDays = 0;
+
+  while (current <= end) {
+    const day = current.getDay();
+
+    if (day !== 0 && day !== 6 && !holidays.has(formatLocalDate(current))) {
+      workingDays++;
+    }
+    current.setDate(current.getDate() + 1);
+  }
+
+  return workingDays;
+};
+
+/**
+ * Calculate loss-of-pay for unexcused absences and unpaid leave
+ * Per-day rate is the monthly gross divided by the month's working days
+ * @param {object} params
+ * @param {number} params.grossSalary - Monthly gross salary
+ * @param {number} params.workingDays - Working days in the month
+ * @param {number} params.absentDays - Unexcused absent days
+ * @param {number} params.unpaidLeaveDays - Approved leave days on unpaid leave types
+ * @returns {object} Loss-of-pay days, daily rate and deduction amount
+ */
+const calculateLossOfPay = ({ grossSalary, workingDays, absentDays = 0, unpaidLeaveDays = 0 }) => {
+  if (!workingDays || workingDays <= 0) {
+    return { days: 0, dailyRate: 0, amount: 0 };
+  }
+
+  const dailyRate = grossSalary / workingDays;
+  const days = Math.min(absentDays + unpaidLeaveDays, workingDays);
+
+  return {
+    days,
+    dailyRate: Math.round(dailyRate * 100) / 100,
+    amount: Math.round(dailyRate * days),
+  };
+};
+
+/**
+ * Count calendar days between two dates, inclusive
+ */
+const countCalendarDays = (startDate, endDate) => {
+  const start = new Date(`${formatLocalDate(startDate)}T00:00:00`);
+  const end = new Date(`${formatLocalDate(endDate)}T00:00:00`);
+
+  if (end < start) {
+    return 0;
+  }
+
+  return Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+};
+
+/**
+ * Calculate the share of the period an employee was on the payroll
+ * @param {object} params
+ * @param {Date|string} params.periodStart - Payroll period start
+ * @param {Date|string} params.periodEnd - Payroll period end
+ * @param {Date|string} params.joiningDate - Employee joining date
+ * @param {Date|string|null} params.endDate - Employee exit date, if any
+ * @param {string} params.basis - 'calendar_days' or 'working_days'
+ * @param {Set<string>} params.holidays - Holiday dates as YYYY-MM-DD strings
+ * @returns {number} Pro-ration factor between 0 and 1 (4 decimal places)
+ */
+const calculateProrationFactor = ({
+  periodStart,
+  periodEnd,
+  joiningDate,
+  endDate = null,
+  basis = 'calendar_days',
+  holidays = new Set(),
+}) => {
+  const periodStartStr = formatLocalDate(periodStart);
+  const periodEndStr = formatLocalDate(periodEnd);
+  const joiningStr = joiningDate ? formatLocalDate(joiningDate) : periodStartStr;
+  const endStr = endDate ? formatLocalDate(endDate) : periodEndStr;
+
+  const from = joiningStr > periodStartStr ? joiningStr : periodStartStr;
+  const to = endStr < periodEndStr ? endStr : periodEndStr;
+
+  if (from === periodStartStr && to === periodEndStr) {
+    return 1;
+  }
+
+  if (to < from) {
+    return 0;
+  }
+
+  const [eligibleDays, totalDays] = basis === 'working_days'
+    ? [countWorkingDays(from, to, holidays), countWorkingDays(periodStartStr, periodEndStr, holidays)]
+    : [countCalendarDays(from, to), countCalendarDays(periodStartStr, periodEndStr)];
+
+  if (totalDays === 0) {
+    return 0;
+  }
+
+  return Math.round((eligibleDays / totalDays) * 10000) / 10000;
+};
+
+/**
+ * Apply a pro-ration factor to each earning component
+ * @param {object} components - Earning components keyed by name
+ * @param {number} factor - Pro-ration factor
+ * @returns {object} Pro-rated components plus their gross total
+ */
+const prorateEarnings = (components, factor) => {
+  const prorated = {};
+  let gross = 0;
+
+  for (const [key, value] of Object.entries(components)) {
+    const amount = Math.round((parseFloat(value) || 0) * factor);
+    prorated[key] = amount;
+    gross += amount;
+  }
+
+  return { ...prorated, gross };
+};
+
+/**
+ * Calculate length of service in years (2 decimal places)
+ * @param {Date|string} joiningDate - Employee joining date
+ * @param {Date|string} endDate - Last working date
+ * @returns {number} Years of service
+ */
+const calculateServiceYears = (joiningDate, endDate) => {
+  const days = countCalendarDays(joiningDate, endDate);
+  return Math.round((days / 365.25) * 100) / 100;
+};
+
+/**
+ * Calculate gratuity on exit
+ * Each completed year earns `daysPerYear` days of last drawn salary;
+ * a final part-year of six months or more counts as a full year
+ * @param {object} params
+ * @param {number} params.monthlySalary - Last drawn monthly salary used as the gratuity base
+ * @param {number} params.serviceYears - Years of service
+ * @param {number} params.daysPerYear - Days of salary earned per year of service
+ * @param {number} params.minServiceYears - Minimum service before gratuity is payable
+ * @returns {object} Eligible years and gratuity amount
+ */
+const calculateGratuity = ({
+  monthlySalary,
+  serviceYears,
+  daysPerYear = 30,
+  minServiceYears = 1,
+}) => {
+  if (serviceYears < minServiceYears) {
+    return { eligibleYears: 0, amount: 0 };
+  }
+
+  const completedYears = Math.floor(serviceYears);
+  const eligibleYears = serviceYears - completedYears >= 0.5 ? completedYears + 1 : completedYears;
+
+  return {
+    eligibleYears,
+    amount: Math.round((monthlySalary / 30) * daysPerYear * eligibleYears),
+  };
+};
+
+/**
+ * Calculate leave encashment at a 30-day daily rate
+ * @param {number} monthlySalary - Monthly salary used as the encashment base
+ * @param {number} days - Encashable leave days
+ * @returns {number} Encashment amount
+ */
+const calculateLeaveEncashment = (monthlySalary, days) => {
+  if (!days || days <= 0) {
+    return 0;
+  }
+
+  return Math.round((monthlySalary / 30) * days);
+};
+
+/**
+ * Calculate recovery for notice period not served
+ * @param {object} params
+ * @param {number} params.monthlySalary - Monthly gross salary
+ * @param {number} params.noticePeriodDays - Required notice period in days
+ * @param {number} params.noticeServedDays - Notice days actually served
+ * @returns {object} Shortfall days and recovery amount
+ */
+const calculateNoticeShortfall = ({ monthlySalary, noticePeriodDays, noticeServedDays }) => {
+  const shortfallDays = Math.max(noticePeriodDays - noticeServedDays, 0);
+
+  return {
+    shortfallDays,
+    amount: Math.round((monthlySalary / 30) * shortfallDays),
+  };
+};
+
+/**
+ * Get the Pakistani fiscal (tax) year containing a payroll month
+ * The fiscal year runs July to June and is labelled e.g. "2025-26"
+ * @param {number} month - Payroll month (1-12)
+ * @param {number} year - Payroll year
+ * @returns {object} Start/end month and year, and the label
+ */
+const getFiscalYear = (month, year) => {
+  const startYear = month >= 7 ? year : year - 1;
+
+  return {
+    startMonth: 7,
+    startYear,
+    endMonth: 6,
+    endYear: startYear + 1,
+    label: `${startYear}-${String(startYear + 1).slice(-2)}`,
+  };
+};
+
+/**
+ * Get the fiscal year named by a label such as "2025-26"
+ * @param {string} label - Fiscal year label
+ * @returns {object|null} Fiscal year as returned by getFiscalYear, or null if the label is malformed
+ */
+const parseFiscalYear = (label) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(label || ''));
+  const fiscalYear = match && getFiscalYear(7, Number(match[1]));
+
+  return fiscalYear && fiscalYear.label === label ? fiscalYear : null;
+};
+
+module.exports = {
+  countWorkingDays,
+  countCalendarDays,
+  calculateLossOfPay,
+  calculateProrationFactor,
+  prorateEarnings,
+  calculateServiceYears,
+  calculateGratuity,
+  calculateLeaveEncashment,
+  calculateNoticeShortfall,
+  getFiscalYear,
+  parseFiscalYear,
+};
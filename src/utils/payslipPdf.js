@@ -0,0 +1,207 @@
+/**
+ * Payslip PDF
+ * Renders a branded payslip from a transformed payslip record
+ */
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const COLUMN_GAP = 20;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+/**
+ * Format an amount as PKR with thousands separators
+ */
+const formatAmount = (value) => `PKR ${(Number(value) || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+})}`;
+
+/**
+ * Build the earnings and deductions lines, skipping zero amounts
+ */
+const buildLines = (payslip) => {
+  const { earnings, deductions } = payslip;
+
+  const earningLines = [
+    ['Basic Salary', earnings.basicSalary],
+    ['House Rent Allowance', earnings.housingAllowance],
+    ['Transport Allowance', earnings.transportAllowance],
+    ['Medical Allowance', earnings.medicalAllowance],
+    ['Utility Allowance', earnings.utilityAllowance],
+    ['Other Allowances', earnings.otherAllowances],
+    ['Overtime', earnings.overtimePay],
+    ['Bonus', earnings.bonus],
+    ['Other Earnings', earnings.otherEarnings],
+    ['Salary Arrears', earnings.salaryArrears],
+    ['Leave Encashment', earnings.leaveEncashment],
+    ['Gratuity', earnings.gratuity],
+  ];
+
+  const deductionLines = [
+    ['Income Tax', deductions.incomeTax],
+    ['EOBI', deductions.eobiContribution],
+    ['Provident Fund', deductions.providentFund],
+    ['Loss of Pay', deductions.lossOfPay],
+    ['Loan Recovery', deductions.loanDeduction],
+    ['Notice Period Recovery', deductions.noticePeriodRecovery],
+    ['Adjustments', deductions.adjustments],
+    ['Other Deductions', deductions.otherDeductions],
+  ];
+
+  return {
+    earningLines: earningLines.filter(([, amount]) => Number(amount) > 0),
+    deductionLines: deductionLines.filter(([, amount]) => Number(amount) > 0),
+  };
+};
+
+/**
+ * Draw a two-column label/amount table and return the y position below it
+ */
+const drawTable = (doc, { title, lines, x, y, width, total }) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(title, x, y, { width });
+  let rowY = y + 16;
+
+  doc.moveTo(x, rowY - 3).lineTo(x + width, rowY - 3).strokeColor('#cccccc').stroke();
+  doc.font('Helvetica').fontSize(9);
+
+  for (const [label, amount] of lines) {
+    doc.text(label, x, rowY, { width: width * 0.55 });
+    doc.text(formatAmount(amount), x + width * 0.55, rowY, { width: width * 0.45, align: 'right' });
+    rowY += 14;
+  }
+
+  doc.moveTo(x, rowY + 1).lineTo(x + width, rowY + 1).stroke();
+  doc.font('Helvetica-Bold').text(total.label, x, rowY + 5, { width: width * 0.55 });
+  doc.text(formatAmount(total.amount), x + width * 0.55, rowY + 5, { width: width * 0.45, align: 'right' });
+
+  return rowY + 24;
+};
+
+/**
+ * Render a payslip PDF
+ * @param {object} payslip - Payslip as returned by transformPayslip
+ * @param {object} options
+ * @param {object} options.company - Company name, address and NTN from settings
+ * @param {object} options.yearToDate - Fiscal year-to-date totals
+ * @returns {Promise<Buffer>} PDF content
+ */
+const renderPayslipPdf = (payslip, { company = {}, yearToDate = null } = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+    const columnWidth = (pageWidth - COLUMN_GAP) / 2;
+    const period = `${MONTH_NAMES[payslip.month - 1]} ${payslip.year}`;
+
+    // Company header
+    doc.font('Helvetica-Bold').fontSize(16).text(company.name || '', PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555');
+    if (company.address) doc.text(company.address);
+    if (company.ntn) doc.text(`NTN: ${company.ntn}`);
+    doc.fillColor('#000000');
+
+    doc.font('Helvetica-Bold').fontSize(12)
+      .text(`Payslip - ${period}`, PAGE_MARGIN, PAGE_MARGIN, { width: pageWidth, align: 'right' });
+
+    // Employee details
+    let y = 130;
+    const details = [
+      ['Employee', payslip.employeeName],
+      ['Employee Code', payslip.employeeCode],
+      ['Designation', payslip.designation],
+      ['Department', payslip.department],
+      ['Bank', payslip.bankName],
+      ['Account', payslip.bankAccountNumber ? `****${String(payslip.bankAccountNumber).slice(-4)}` : null],
+    ];
+    const attendance = [
+      ['Working Days', payslip.workingDays],
+      ['Present Days', payslip.presentDays],
+      ['Leave Days', payslip.leaveDays],
+      ['Loss of Pay Days', payslip.lossOfPayDays],
+      ['Overtime Hours', payslip.overtimeHours],
+      ['Pro-ration', payslip.prorationFactor < 1 ? `${(payslip.prorationFactor * 100).toFixed(2)}%` : null],
+    ];
+
+    doc.fontSize(9);
+    const drawDetails = (rows, x) => {
+      let rowY = y;
+      for (const [label, value] of rows) {
+        if (value === null || value === undefined || value === '') continue;
+        doc.font('Helvetica-Bold').text(`${label}:`, x, rowY, { width: 90 });
+        doc.font('Helvetica').text(String(value), x + 90, rowY, { width: columnWidth - 90 });
+        rowY += 14;
+      }
+      return rowY;
+    };
+    y = Math.max(drawDetails(details, PAGE_MARGIN), drawDetails(attendance, PAGE_MARGIN + columnWidth + COLUMN_GAP)) + 16;
+
+    // Earnings and deductions
+    const { earningLines, deductionLines } = buildLines(payslip);
+    const earningsEnd = drawTable(doc, {
+      title: 'Earnings',
+      lines: earningLines,
+      x: PAGE_MARGIN,
+      y,
+      width: columnWidth,
+      total: { label: 'Gross Salary', amount: payslip.grossSalary },
+    });
+    const deductionsEnd = drawTable(doc, {
+      title: 'Deductions',
+      lines: deductionLines,
+      x: PAGE_MARGIN + columnWidth + COLUMN_GAP,
+      y,
+      width: columnWidth,
+      total: { label: 'Total Deductions', amount: payslip.totalDeductions },
+    });
+    y = Math.max(earningsEnd, deductionsEnd) + 10;
+
+    // Net pay
+    doc.rect(PAGE_MARGIN, y, pageWidth, 28).fillAndStroke('#f2f2f2', '#cccccc');
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(12)
+      .text('Net Salary', PAGE_MARGIN + 10, y + 8)
+      .text(formatAmount(payslip.netSalary), PAGE_MARGIN, y + 8, { width: pageWidth - 10, align: 'right' });
+    y += 48;
+
+    // Year-to-date totals
+    if (yearToDate) {
+      drawTable(doc, {
+        title: `Year to Date (${yearToDate.fiscalYear})`,
+        lines: [
+          ['Gross Salary', yearToDate.grossSalary],
+          ['Income Tax', yearToDate.incomeTax],
+          ['Total Deductions', yearToDate.totalDeductions],
+        ],
+        x: PAGE_MARGIN,
+        y,
+        width: columnWidth,
+        total: { label: 'Net Salary', amount: yearToDate.netSalary },
+      });
+    }
+
+    doc.font('Helvetica').fontSize(8).fillColor('#777777')
+      .text(
+        'This is a computer-generated payslip and does not require a signature.',
+        PAGE_MARGIN,
+        doc.page.height - PAGE_MARGIN - 10,
+        { width: pageWidth, align: 'center' }
+      );
+
+    doc.end();
+  });
+
+module.exports = {
+  renderPayslipPdf,
+  drawTable,
+  formatAmount,
+  MONTH_NAMES,
+};
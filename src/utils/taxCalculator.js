@@ -1,7 +1,8 @@
 /**
  * Pakistani Tax Calculator
- * FBR Tax Slabs for Tax Year 2024-25
- * Separate slabs for Filers and Non-Filers
+ * Separate slabs for Filers and Non-Filers. Slabs for each tax year are
+ * maintained in the database and passed in as a tax table; the 2024-25
+ * slabs below are the default and the seed for the first tax year.
  */
 
 // FBR Tax Slabs for Salaried Individuals (Tax Year 2024-25)
@@ -25,14 +26,27 @@ const TAX_SLABS_NON_FILER = [
   { min: 4100001, max: Infinity, rate: 38.5, fixed: 673750 },
 ];
 
+// Monthly wage ceiling for SESSI/PESSI contributions
+const SESSI_WAGE_CEILING = 25000;
+
+// Tax table used when none is supplied
+const DEFAULT_TAX_TABLE = {
+  label: '2024-25',
+  filer: TAX_SLABS_FILER,
+  nonFiler: TAX_SLABS_NON_FILER,
+};
+
+const getSlabs = (isFiler, taxTable = DEFAULT_TAX_TABLE) => (isFiler ? taxTable.filer : taxTable.nonFiler);
+
 /**
  * Calculate annual income tax
  * @param {number} annualIncome - Annual taxable income in PKR
  * @param {boolean} isFiler - Whether the employee is a tax filer
+ * @param {object} taxTable - Filer and non-filer slabs for the tax year
  * @returns {object} Tax calculation details
  */
-const calculateAnnualTax = (annualIncome, isFiler = false) => {
-  const slabs = isFiler ? TAX_SLABS_FILER : TAX_SLABS_NON_FILER;
+const calculateAnnualTax = (annualIncome, isFiler = false, taxTable = DEFAULT_TAX_TABLE) => {
+  const slabs = getSlabs(isFiler, taxTable);
 
   let tax = 0;
   let applicableSlab = null;
@@ -62,11 +76,12 @@ const calculateAnnualTax = (annualIncome, isFiler = false) => {
  * Calculate monthly income tax
  * @param {number} monthlyGross - Monthly gross salary in PKR
  * @param {boolean} isFiler - Whether the employee is a tax filer
+ * @param {object} taxTable - Filer and non-filer slabs for the tax year
  * @returns {object} Tax calculation details
  */
-const calculateMonthlyTax = (monthlyGross, isFiler = false) => {
+const calculateMonthlyTax = (monthlyGross, isFiler = false, taxTable = DEFAULT_TAX_TABLE) => {
   const annualIncome = monthlyGross * 12;
-  const result = calculateAnnualTax(annualIncome, isFiler);
+  const result = calculateAnnualTax(annualIncome, isFiler, taxTable);
 
   return {
     monthlyGross,
@@ -101,7 +116,7 @@ const calculateEOBI = (grossSalary) => {
  */
 const calculateSESSI = (grossSalary) => {
   // SESSI applies to wages up to a certain limit
-  const applicableSalary = Math.min(grossSalary, 25000);
+  const applicableSalary = Math.min(grossSalary, SESSI_WAGE_CEILING);
   const contribution = Math.round(applicableSalary * 0.0075);
 
   return {
@@ -114,19 +129,21 @@ const calculateSESSI = (grossSalary) => {
 /**
  * Calculate all deductions for a salary
  */
-const calculateAllDeductions = (grossSalary, isFiler = false, additionalDeductions = {}) => {
-  const tax = calculateMonthlyTax(grossSalary, isFiler);
+const calculateAllDeductions = (grossSalary, isFiler = false, additionalDeductions = {}, taxTable = DEFAULT_TAX_TABLE) => {
+  const tax = calculateMonthlyTax(grossSalary, isFiler, taxTable);
   const eobi = calculateEOBI(grossSalary);
   const sessi = calculateSESSI(grossSalary);
 
   const {
     loanDeduction = 0,
     otherDeductions = 0,
+    providentFund = 0,
   } = additionalDeductions;
 
   const totalDeductions =
     tax.monthlyTax +
     eobi.employee +
+    providentFund +
     loanDeduction +
     otherDeductions;
 
@@ -136,6 +153,7 @@ const calculateAllDeductions = (grossSalary, isFiler = false, additionalDeductio
     effectiveTaxRate: tax.effectiveRate,
     eobi: eobi.employee,
     sessi: sessi.employee, // 0 as employee doesn't pay
+    providentFund,
     loanDeduction,
     otherDeductions,
     totalDeductions,
@@ -147,27 +165,137 @@ const calculateAllDeductions = (grossSalary, isFiler = false, additionalDeductio
   };
 };
 
+/**
+ * Calculate fiscal-year cumulative withholding for one payroll run
+ * Projected annual income is the year-to-date taxable pay, plus this month, plus the
+ * remaining months at the current salary. Tax still owed on salary is spread over the
+ * rest of the year; tax on this month's lump sums is withheld in full. When a month is
+ * paid across several runs, tax withheld by the month's earlier runs is deducted.
+ * @param {object} params
+ * @param {number} params.salary - Regular taxable salary paid in this run
+ * @param {number} params.lumpSum - One-off taxable amount paid in this run
+ * @param {object} params.yearToDate - Taxable income and tax from earlier months of the fiscal year
+ * @param {object} params.earlier - Salary, lump sums and tax from the month's other runs
+ * @param {number} params.projectedSalary - Monthly salary expected for the remaining months
+ * @param {number} params.remainingMonths - Months left in the fiscal year after this one
+ * @param {boolean} params.isFiler - Whether the employee is a tax filer
+ * @param {object} params.taxTable - Filer and non-filer slabs for the tax year
+ * @returns {object} Tax to withhold in this run and the projection behind it
+ */
+const calculateCumulativeTax = ({
+  salary,
+  lumpSum,
+  yearToDate = {},
+  earlier = {},
+  projectedSalary = 0,
+  remainingMonths = 0,
+  isFiler = false,
+  taxTable = DEFAULT_TAX_TABLE,
+}) => {
+  const { taxableIncome: ytdTaxableIncome = 0, incomeTax: ytdTax = 0 } = yearToDate;
+  const { salary: earlierSalary = 0, lumpSum: earlierLumpSum = 0, incomeTax: earlierTax = 0 } = earlier;
+
+  const monthSalary = salary + earlierSalary;
+  const monthLumpSum = lumpSum + earlierLumpSum;
+
+  // Until this month's salary is paid, lump sums are taxed against the expected salary
+  const salaryBasis = monthSalary > 0 ? monthSalary : projectedSalary;
+  const projectedSalaryIncome = ytdTaxableIncome + salaryBasis + projectedSalary * remainingMonths;
+  const projectedAnnualIncome = projectedSalaryIncome + monthLumpSum;
+
+  const salaryLiability = calculateAnnualTax(projectedSalaryIncome, isFiler, taxTable).annualTax;
+  const annual = calculateAnnualTax(projectedAnnualIncome, isFiler, taxTable);
+
+  const salaryTax = monthSalary > 0
+    ? Math.max(0, (salaryLiability - ytdTax) / (remainingMonths + 1))
+    : 0;
+  const monthTax = Math.round(salaryTax + annual.annualTax - salaryLiability);
+
+  return {
+    incomeTax: Math.max(0, monthTax - earlierTax),
+    projectedAnnualIncome,
+    annualTaxLiability: annual.annualTax,
+    taxSlab: annual.slab,
+  };
+};
+
 /**
  * Get tax slab information
  */
-const getTaxSlabInfo = (isFiler = true) => {
-  const slabs = isFiler ? TAX_SLABS_FILER : TAX_SLABS_NON_FILER;
+const getTaxSlabInfo = (isFiler = true, taxTable = DEFAULT_TAX_TABLE) => {
+  const slabs = getSlabs(isFiler, taxTable);
 
   return slabs.map(slab => ({
     minIncome: slab.min,
-    maxIncome: slab.max === Infinity ? 'Above 4,100,000' : slab.max,
+    maxIncome: slab.max === Infinity ? `Above ${(slab.min - 1).toLocaleString()}` : slab.max,
     rate: `${slab.rate}%`,
     fixedAmount: slab.fixed,
   }));
 };
 
+/**
+ * Check a set of slabs before saving
+ * Slabs must start at 0, follow each other without gaps or overlaps,
+ * and end with a single open-ended slab
+ * @param {object[]} slabs - Slabs with min, max (Infinity for the top slab), rate and fixed
+ * @returns {string[]} Validation problems (empty when valid)
+ */
+const validateTaxSlabs = (slabs) => {
+  if (!Array.isArray(slabs) || slabs.length === 0) {
+    return ['At least one slab is required'];
+  }
+
+  const problems = [];
+  const sorted = [...slabs].sort((a, b) => a.min - b.min);
+
+  if (sorted[0].min !== 0) {
+    problems.push('The first slab must start at 0');
+  }
+
+  sorted.forEach((slab, index) => {
+    const position = index + 1;
+
+    if (!(slab.rate >= 0 && slab.rate <= 100)) {
+      problems.push(`Slab ${position} rate must be between 0 and 100`);
+    }
+    if (!(slab.fixed >= 0)) {
+      problems.push(`Slab ${position} fixed amount cannot be negative`);
+    }
+    if (slab.max <= slab.min) {
+      problems.push(`Slab ${position} must end above where it starts`);
+    }
+
+    const next = sorted[index + 1];
+    if (!next) {
+      if (slab.max !== Infinity) {
+        problems.push('The last slab must have no upper limit');
+      }
+      return;
+    }
+
+    if (slab.max === Infinity) {
+      problems.push(`Slab ${position} has no upper limit but is not the last slab`);
+    } else if (next.min > slab.max + 1) {
+      problems.push(`Gap between ${slab.max} and ${next.min}`);
+    } else if (next.min <= slab.max) {
+      problems.push(`Slab ${position + 1} overlaps slab ${position}`);
+    }
+  });
+
+  return problems;
+};
+
 module.exports = {
   calculateAnnualTax,
   calculateMonthlyTax,
   calculateEOBI,
   calculateSESSI,
   calculateAllDeductions,
+  calculateCumulativeTax,
   getTaxSlabInfo,
+  validateTaxSlabs,
+  DEFAULT_TAX_TABLE,
+  SESSI_WAGE_CEILING,
   TAX_SLABS_FILER,
   TAX_SLABS_NON_FILER,
 };
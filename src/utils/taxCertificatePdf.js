@@ -0,0 +1,179 @@
+/**
+ * Tax Certificate PDF
+ * Renders an annual certificate of salary paid and income tax deducted
+ */
+
+const PDFDocument = require('pdfkit');
+const { drawTable, formatAmount, MONTH_NAMES } = require('./payslipPdf');
+
+const PAGE_MARGIN = 50;
+const COLUMN_GAP = 20;
+
+const EARNING_LABELS = {
+  basicSalary: 'Basic Salary',
+  housingAllowance: 'House Rent Allowance',
+  transportAllowance: 'Transport Allowance',
+  medicalAllowance: 'Medical Allowance',
+  utilityAllowance: 'Utility Allowance',
+  otherAllowances: 'Other Allowances',
+  overtimePay: 'Overtime',
+  bonus: 'Bonus',
+  otherEarnings: 'Other Earnings',
+  salaryArrears: 'Salary Arrears',
+  leaveEncashment: 'Leave Encashment',
+  gratuity: 'Gratuity',
+};
+
+const MONTH_COLUMNS = [
+  { label: 'Month', width: 0.2, value: (line) => `${MONTH_NAMES[line.month - 1].slice(0, 3)} ${line.year}` },
+  { label: 'Gross Pay', width: 0.2, value: (line) => formatAmount(line.grossSalary) },
+  { label: 'Taxable Income', width: 0.2, value: (line) => formatAmount(line.taxableIncome) },
+  { label: 'Tax Deducted', width: 0.2, value: (line) => formatAmount(line.incomeTax) },
+  { label: 'EOBI', width: 0.2, value: (line) => formatAmount(line.eobiContribution) },
+];
+
+/**
+ * Draw the month-by-month withholding table and return the y position below it
+ */
+const drawMonthTable = (doc, certificate, { x, y, width }) => {
+  const drawRow = (cells, rowY) => {
+    let cellX = x;
+    MONTH_COLUMNS.forEach((column, index) => {
+      const cellWidth = width * column.width;
+      doc.text(cells[index], cellX, rowY, { width: cellWidth - 4, align: index === 0 ? 'left' : 'right' });
+      cellX += cellWidth;
+    });
+  };
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Tax Deducted Month by Month', x, y, { width });
+  let rowY = y + 16;
+
+  doc.fontSize(9);
+  drawRow(MONTH_COLUMNS.map((column) => column.label), rowY);
+  rowY += 14;
+  doc.moveTo(x, rowY - 3).lineTo(x + width, rowY - 3).strokeColor('#cccccc').stroke();
+
+  doc.font('Helvetica');
+  for (const line of certificate.months) {
+    drawRow(MONTH_COLUMNS.map((column) => column.value(line)), rowY);
+    rowY += 14;
+  }
+
+  doc.moveTo(x, rowY + 1).lineTo(x + width, rowY + 1).stroke();
+  doc.font('Helvetica-Bold');
+  drawRow([
+    'Total',
+    formatAmount(certificate.grossSalary),
+    formatAmount(certificate.taxableIncome),
+    formatAmount(certificate.incomeTax),
+    formatAmount(certificate.eobiContribution),
+  ], rowY + 5);
+
+  return rowY + 24;
+};
+
+/**
+ * Render a tax certificate PDF
+ * @param {object} certificate - Certificate as returned by the tax certificate service
+ * @param {object} options
+ * @param {object} options.company - Company name, address and NTN from settings
+ * @returns {Promise<Buffer>} PDF content
+ */
+const renderTaxCertificatePdf = (certificate, { company = {} } = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+    const columnWidth = (pageWidth - COLUMN_GAP) / 2;
+    const { employee } = certificate;
+
+    // Company header
+    doc.font('Helvetica-Bold').fontSize(16).text(company.name || '', PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555');
+    if (company.address) doc.text(company.address);
+    if (company.ntn) doc.text(`NTN: ${company.ntn}`);
+    doc.fillColor('#000000');
+
+    doc.font('Helvetica-Bold').fontSize(12)
+      .text('Certificate of Salary Paid and Tax Deducted', PAGE_MARGIN, PAGE_MARGIN, { width: pageWidth, align: 'right' })
+      .font('Helvetica').fontSize(9)
+      .text(
+        `Tax year ${certificate.fiscalYear} (${certificate.period.from} to ${certificate.period.to})`,
+        { width: pageWidth, align: 'right' }
+      );
+
+    // Employee details
+    let y = 130;
+    const details = [
+      ['Employee', employee.name],
+      ['Employee Code', employee.employeeCode],
+      ['CNIC', employee.cnic],
+      ['NTN', employee.ntn],
+    ];
+    const employment = [
+      ['Designation', employee.designation],
+      ['Department', employee.department],
+      ['Tax Status', employee.isFiler ? 'Filer' : 'Non-filer'],
+    ];
+
+    doc.fontSize(9);
+    const drawDetails = (rows, x) => {
+      let rowY = y;
+      for (const [label, value] of rows) {
+        if (value === null || value === undefined || value === '') continue;
+        doc.font('Helvetica-Bold').text(`${label}:`, x, rowY, { width: 90 });
+        doc.font('Helvetica').text(String(value), x + 90, rowY, { width: columnWidth - 90 });
+        rowY += 14;
+      }
+      return rowY;
+    };
+    y = Math.max(drawDetails(details, PAGE_MARGIN), drawDetails(employment, PAGE_MARGIN + columnWidth + COLUMN_GAP)) + 16;
+
+    // Salary by component and the tax summary
+    const earningsEnd = drawTable(doc, {
+      title: 'Salary Paid',
+      lines: Object.entries(certificate.earnings)
+        .filter(([, amount]) => amount > 0)
+        .map(([key, amount]) => [EARNING_LABELS[key], amount]),
+      x: PAGE_MARGIN,
+      y,
+      width: columnWidth,
+      total: { label: 'Gross Salary', amount: certificate.grossSalary },
+    });
+    const summaryEnd = drawTable(doc, {
+      title: 'Income Tax',
+      lines: [
+        ['Gross Salary', certificate.grossSalary],
+        ['Less: Loss of Pay', certificate.lossOfPay],
+        ['Less: Exempt Income', certificate.exemptIncome],
+        ['Taxable Income', certificate.taxableIncome],
+        ['EOBI (Employee Share)', certificate.eobiContribution],
+      ],
+      x: PAGE_MARGIN + columnWidth + COLUMN_GAP,
+      y,
+      width: columnWidth,
+      total: { label: 'Tax Deducted', amount: certificate.incomeTax },
+    });
+    y = Math.max(earningsEnd, summaryEnd) + 10;
+
+    drawMonthTable(doc, certificate, { x: PAGE_MARGIN, y, width: pageWidth });
+
+    doc.font('Helvetica').fontSize(8).fillColor('#777777')
+      .text(
+        'This is a computer-generated certificate and does not require a signature.',
+        PAGE_MARGIN,
+        doc.page.height - PAGE_MARGIN - 10,
+        { width: pageWidth, align: 'center' }
+      );
+
+    doc.end();
+  });
+
+module.exports = {
+  renderTaxCertificatePdf,
+};
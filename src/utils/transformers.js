@@ -118,6 +118,8 @@ const transformEmployee = (dbRecord) => {
     taxInformation: dbRecord.tax_information || null,
     legalIdType: dbRecord.legal_id_type || null,
     legalIdNumber: dbRecord.legal_id_number || null,
+    eobiNumber: dbRecord.eobi_number || null,
+    socialSecurityNumber: dbRecord.social_security_number || null,
     taxFilingStatus: dbRecord.tax_filing_status || 'non_filer',
     paymentMethod: dbRecord.payment_method || 'bank_transfer',
     status: dbRecord.status,
@@ -188,6 +190,8 @@ const transformEmployee = (dbRecord) => {
       legalIdType: dbRecord.legal_id_type || null,
       legalIdNumber: dbRecord.legal_id_number || null,
       taxIdentifier: dbRecord.tax_identifier || dbRecord.ntn_number || null,
+      eobiNumber: dbRecord.eobi_number || null,
+      socialSecurityNumber: dbRecord.social_security_number || null,
     },
     leaveBalance: {
       annual: parseNumber(dbRecord.annual_leaves) - parseNumber(dbRecord.annual_used),
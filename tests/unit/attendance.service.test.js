@@ -1,5 +1,6 @@
 jest.mock('../../src/config/database', () => ({
   query: jest.fn(),
+  getClient: jest.fn(),
 }));
 
 jest.mock('../../src/utils/dateTime', () => ({
@@ -57,4 +58,47 @@ describe('Attendance Service', () => {
     );
     expect(result.check_in).toBe('00:30:15');
   });
+
+  it('records bulk edits to an unlocked, already paid month for the next run to correct', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM payroll_period_locks')) {
+        return { rows: [{ month: 3, year: 2026, locked: false }] };
+      }
+      if (sql.includes('INSERT INTO attendance')) {
+        return { rows: [{ id: 'attendance-1' }] };
+      }
+      return { rows: [] };
+    });
+    db.query.mockResolvedValue({ rows: [{ id: 'attendance-1' }] });
+
+    await attendanceService.bulkMarkAttendance([
+      { employeeId: 'employee-1', date: '2026-03-05', status: 'absent' },
+      { employeeId: 'employee-2', date: '2026-03-05', status: 'absent' },
+      { employeeId: 'employee-1', date: '2026-03-06', status: 'present' },
+    ], 'user-1');
+
+    const changes = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO payroll_period_changes'));
+    expect(changes.map(([, params]) => params[0])).toEqual([['employee-1', 'employee-2'], ['employee-1']]);
+    expect(changes[0][1].slice(1)).toEqual([[3], [2026], 'attendance', 'user-1']);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  it('marks nothing in bulk when a date falls in a locked month', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+    client.query.mockImplementation(async (sql) => (
+      sql.includes('FROM payroll_period_locks')
+        ? { rows: [{ month: 3, year: 2026, locked: true }] }
+        : { rows: [] }
+    ));
+
+    await expect(attendanceService.bulkMarkAttendance([
+      { employeeId: 'employee-1', date: '2026-03-05', status: 'absent' },
+    ], 'user-1')).rejects.toThrow('Payroll for 3/2026 is locked');
+
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO attendance'))).toBe(false);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
 });
@@ -0,0 +1,108 @@
+/**
+ * Bank File Formats Unit Tests
+ */
+
+const {
+  calculateControls,
+  validateTemplate,
+  renderBankFile,
+} = require('../../src/utils/bankFileFormats');
+
+const records = [
+  {
+    employeeCode: 'EMP-001',
+    employeeName: 'Ali Khan',
+    bankName: 'HBL',
+    accountNumber: '1234567890',
+    routingCode: 'HABBPKKA',
+    amount: 100000.5,
+    reference: 'SAL202603-EMP-001',
+  },
+  {
+    employeeCode: 'EMP-002',
+    employeeName: 'Sara Ahmed',
+    bankName: 'MCB',
+    accountNumber: '0987654321',
+    routingCode: '',
+    amount: 85000,
+    reference: 'SAL202603-EMP-002',
+  },
+];
+
+const batch = {
+  batchReference: 'SAL202603',
+  paymentDate: '2026-03-28',
+  companyName: 'PayrollX Demo Company',
+  companyAccountNumber: 'PK00COMPANY',
+};
+
+describe('Bank File Formats', () => {
+  describe('calculateControls', () => {
+    it('should total amounts in paisa and hash the records', () => {
+      const controls = calculateControls(records);
+
+      expect(controls.recordCount).toBe(2);
+      expect(controls.totalPaisa).toBe(18500050);
+      expect(controls.totalAmount).toBe(185000.5);
+      expect(controls.checksum).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should change the checksum when an amount changes', () => {
+      const altered = [{ ...records[0], amount: 100001 }, records[1]];
+      expect(calculateControls(altered).checksum).not.toBe(calculateControls(records).checksum);
+    });
+  });
+
+  describe('renderBankFile', () => {
+    it('should render CSV with a trailer row', () => {
+      const file = renderBankFile('csv', records, batch);
+      const lines = file.content.trim().split('\n');
+
+      expect(file.extension).toBe('csv');
+      expect(lines).toHaveLength(4);
+      expect(lines[1]).toBe('1,EMP-001,Ali Khan,HBL,1234567890,HABBPKKA,100000.50,SAL202603-EMP-001');
+      expect(lines[3]).toBe(`TRAILER,2,,,,,185000.50,${file.controls.checksum}`);
+    });
+
+    it('should render fixed-width IBFT records', () => {
+      const file = renderBankFile('ibft', records, batch);
+      const lines = file.content.trim().split('\r\n');
+
+      expect(lines[0].startsWith('HSAL202603')).toBe(true);
+      expect(lines[1]).toHaveLength(112);
+      expect(lines[1].slice(0, 7)).toBe('D000001');
+      expect(lines[1].slice(77, 92)).toBe('000000010000050');
+      expect(lines[3]).toBe(`T000002000000000018500050${file.controls.checksum}`);
+    });
+
+    it('should render a settings-defined delimited template', () => {
+      const template = {
+        code: 'hbl',
+        delimiter: '|',
+        includeTrailer: false,
+        columns: [
+          { field: 'accountNumber', label: 'ACCOUNT' },
+          { field: 'amountPaisa', label: 'AMOUNT' },
+        ],
+      };
+      const file = renderBankFile('template', records, batch, template);
+
+      expect(file.content).toBe('ACCOUNT|AMOUNT\n1234567890|10000050\n0987654321|8500000\n');
+    });
+  });
+
+  describe('validateTemplate', () => {
+    it('should report unknown fields and missing fixed widths', () => {
+      const problems = validateTemplate({
+        delimiter: '',
+        columns: [{ field: 'iban' }, { field: 'amount' }],
+      });
+
+      expect(problems).toEqual([
+        'Column 1 uses unknown field "iban"',
+        'Column 1 needs a width for a fixed-width template',
+        'Column 2 needs a width for a fixed-width template',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const costAllocationService = require('../../src/services/costAllocation.service');
+
+describe('cost allocation service setCostAllocations', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+  });
+
+  it('replaces the employee split with the new shares', async () => {
+    // Employee is checked before saving and again when reading the split back
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'emp-1' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'emp-1' }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'a-1', cost_centre: 'CC-100', percentage: '60.00' },
+          { id: 'a-2', cost_centre: 'CC-200', percentage: '40.00' },
+        ],
+      });
+
+    const allocations = await costAllocationService.setCostAllocations('emp-1', [
+      { costCentre: 'CC-100', percentage: 60 },
+      { costCentre: ' CC-200 ', percentage: '40' },
+    ], 'hr-user-1');
+
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM employee_cost_allocations WHERE employee_id = $1', ['emp-1']);
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO employee_cost_allocations'));
+    expect(insert[1]).toEqual(['emp-1', ['CC-100', 'CC-200'], [60, 40], 'hr-user-1']);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(allocations.map((row) => [row.costCentre, row.percentage])).toEqual([['CC-100', 60], ['CC-200', 40]]);
+  });
+
+  it('rejects shares that do not add up to 100%', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'emp-1' }] });
+
+    await expect(costAllocationService.setCostAllocations('emp-1', [
+      { costCentre: 'CC-100', percentage: 60 },
+      { costCentre: 'CC-200', percentage: 30 },
+    ], 'hr-user-1')).rejects.toThrow('Cost centre shares must add up to 100% (got 90%)');
+
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+});
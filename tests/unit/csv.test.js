@@ -0,0 +1,51 @@
+/**
+ * CSV Utility Unit Tests
+ */
+
+const { parseCsv, parseCsvRows, toCsv } = require('../../src/utils/csv');
+
+describe('CSV Utilities', () => {
+  describe('parseCsvRows', () => {
+    it('should handle quoted cells with commas, quotes and line breaks', () => {
+      const rows = parseCsvRows('a,"b, c","say ""hi"""\r\n1,"two\nlines",3');
+
+      expect(rows).toEqual([
+        ['a', 'b, c', 'say "hi"'],
+        ['1', 'two\nlines', '3'],
+      ]);
+    });
+
+    it('should skip blank lines', () => {
+      expect(parseCsvRows('a,b\n\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should key rows by lower-cased headers and record line numbers', () => {
+      const records = parseCsv('\uFEFFEmployee_Code, Amount\nEMP-001 , 5000\n');
+
+      expect(records).toEqual([{ _line: 2, employee_code: 'EMP-001', amount: '5000' }]);
+    });
+
+    it('should number rows by their line in the file, after blank and multi-line rows', () => {
+      const records = parseCsv('code,note\r\n\r\nEMP-001,"two\nlines"\n\nEMP-002,ok\n');
+
+      expect(records.map((record) => [record._line, record.code])).toEqual([[3, 'EMP-001'], [6, 'EMP-002']]);
+    });
+
+    it('should return an empty list for empty input', () => {
+      expect(parseCsv('')).toEqual([]);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write a header row and escape values', () => {
+      const csv = toCsv(
+        [{ name: 'Khan, Ali', amount: 100 }, { name: null, amount: 0 }],
+        [{ key: 'name', label: 'Name' }, { key: 'amount', label: 'Amount' }]
+      );
+
+      expect(csv).toBe('Name,Amount\n"Khan, Ali",100\n,0\n');
+    });
+  });
+});
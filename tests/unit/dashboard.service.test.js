@@ -59,6 +59,7 @@ describe('dashboard.service getHrDashboard', () => {
             total_deductions: '250000',
             total_bonuses: '80000',
             total_tax: '150000',
+            total_employer_contributions: '120000',
             paid_employee_count: '38',
           },
         ],
@@ -111,7 +112,9 @@ describe('dashboard.service getHrDashboard', () => {
     expect(result.kpis.presentToday).toBe(38);
     expect(result.attendanceSummary.today.late).toBe(3);
     expect(result.attendanceSummary.lateArrivalsCount).toBe(5);
-    expect(result.payrollSummary.currentMonthTotalPayrollCost).toBe(3000000);
+    expect(result.payrollSummary.currentMonthTotalPayrollCost).toBe(3120000);
+    expect(result.payrollSummary.totalSalaryCurrentMonth).toBe(3000000);
+    expect(result.payrollSummary.employerContributions).toBe(120000);
     expect(result.payrollSummary.pendingSalaryProcessing).toBe(8);
     expect(result.payrollSummary.currentMonthPayroll).toEqual({
       id: 'run-current',
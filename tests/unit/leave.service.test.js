@@ -87,6 +87,8 @@ describe('Leave Service', () => {
           leave_type_name: 'Annual Leave',
         }],
       })
+      // Period lock check
+      .mockResolvedValueOnce({ rows: [] })
       .mockResolvedValueOnce({ rows: [] })
       .mockResolvedValueOnce({ rows: [{ id: 'hr-1' }, { id: 'admin-1' }] })
       .mockResolvedValueOnce({
@@ -194,6 +196,8 @@ describe('Leave Service', () => {
           leave_type_name: 'Annual Leave',
         }],
       })
+      // Period lock check
+      .mockResolvedValueOnce({ rows: [] })
       .mockResolvedValueOnce({ rows: [] })
       .mockResolvedValueOnce({ rows: [{ id: 'hr-1' }, { id: 'admin-1' }] })
       .mockResolvedValueOnce({
@@ -0,0 +1,168 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const loanService = require('../../src/services/loan.service');
+
+const loanRow = (overrides = {}) => ({
+  id: 'loan-1',
+  employee_id: 'emp-1',
+  first_name: 'Ayesha',
+  last_name: 'Khan',
+  emp_code: 'EMP-001',
+  loan_type: 'loan',
+  principal: '50000',
+  interest_rate: '10',
+  total_payable: '55000',
+  installment_amount: '20000',
+  start_month: 11,
+  start_year: 2024,
+  balance: '55000',
+  status: 'active',
+  ...overrides,
+});
+
+const findCall = (client, text) => client.query.mock.calls.find(([sql]) => sql.includes(text));
+
+describe('loan service', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+    db.getClient.mockResolvedValue(client);
+  });
+
+  it('adds interest and schedules installments with a smaller final one', async () => {
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM employees WHERE id')) {
+        return { rows: [{ id: 'emp-1' }] };
+      }
+      return { rows: [loanRow()] };
+    });
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO employee_loans')) {
+        return { rows: [loanRow()] };
+      }
+      return { rows: [] };
+    });
+
+    await loanService.createLoan({
+      employeeId: 'emp-1',
+      principal: 50000,
+      interestRate: 10,
+      installmentAmount: 20000,
+      startMonth: 11,
+      startYear: 2024,
+    }, 'hr-user-1');
+
+    expect(findCall(client, 'INSERT INTO employee_loans')[1].slice(2, 6)).toEqual([50000, 10, 55000, 20000]);
+    expect(findCall(client, 'INSERT INTO loan_installments')[1]).toEqual([
+      'loan-1', [11, 12, 1], [2024, 2024, 2025], [20000, 20000, 15000],
+    ]);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  it('pushes the balance back a month when an installment is skipped', async () => {
+    db.query.mockImplementation(async (sql) => ({
+      rows: sql.includes('FROM loan_installments li') ? [] : [loanRow()],
+    }));
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM employee_loans WHERE id = $1 FOR UPDATE')) {
+        return { rows: [loanRow()] };
+      }
+      if (sql.includes("SET status = 'skipped'")) {
+        return { rows: [{ id: 'inst-dec' }] };
+      }
+      if (sql.includes('LIMIT 1')) {
+        return { rows: [{ month: 1, year: 2025 }] };
+      }
+      if (sql.includes('SELECT month, year, amount, status FROM loan_installments')) {
+        return {
+          rows: [
+            { month: 11, year: 2024, amount: '20000', status: 'deducted' },
+            { month: 12, year: 2024, amount: '20000', status: 'skipped' },
+          ],
+        };
+      }
+      return { rows: [] };
+    });
+
+    await loanService.skipInstallment('loan-1', { month: 12, year: 2024, reason: 'Wedding expenses' });
+
+    expect(findCall(client, "SET status = 'skipped'")[1]).toEqual(['loan-1', 12, 2024, 'Wedding expenses']);
+    expect(findCall(client, 'INSERT INTO loan_installments')[1]).toEqual([
+      'loan-1', [1, 2], [2025, 2025], [20000, 15000],
+    ]);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  it('rejects changes to loans that are no longer active', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FOR UPDATE')) {
+        return { rows: [loanRow({ status: 'closed' })] };
+      }
+      return { rows: [] };
+    });
+
+    await expect(
+      loanService.rescheduleLoan('loan-1', { startMonth: 3, startYear: 2025 })
+    ).rejects.toThrow('A closed loan cannot be changed');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  it('groups due installments by employee for a regular run', async () => {
+    client.query.mockResolvedValue({
+      rows: [
+        { employee_id: 'emp-1', id: 'inst-1', amount: '5000' },
+        { employee_id: 'emp-1', id: 'inst-2', amount: '5000.50' },
+        { employee_id: 'emp-2', id: 'inst-3', amount: '12000' },
+      ],
+    });
+
+    const byEmployee = await loanService.getRunInstallmentsByEmployee(client, {
+      id: 'run-1', month: 3, year: 2026, run_type: 'regular', include_base_salary: true,
+    });
+
+    expect(client.query.mock.calls[0][0]).toContain('(li.year * 100 + li.month) <= $2');
+    expect(client.query.mock.calls[0][1]).toEqual(['run-1', 202603]);
+    expect(byEmployee.get('emp-1')).toEqual({ amount: 10000.5, installmentIds: ['inst-1', 'inst-2'] });
+    expect(byEmployee.get('emp-2')).toEqual({ amount: 12000, installmentIds: ['inst-3'] });
+  });
+
+  it('pays off the whole schedule in a final settlement and nothing in runs without base salary', async () => {
+    client.query.mockResolvedValue({ rows: [] });
+
+    await loanService.getRunInstallmentsByEmployee(client, {
+      id: 'run-2', month: 3, year: 2026, run_type: 'final_settlement', employee_id: 'emp-1',
+    });
+    const offCycle = await loanService.getRunInstallmentsByEmployee(client, {
+      id: 'run-3', month: 3, year: 2026, run_type: 'off_cycle', include_base_salary: false,
+    });
+
+    expect(client.query).toHaveBeenCalledTimes(1);
+    expect(client.query.mock.calls[0][0]).toContain('l.employee_id = $2');
+    expect(client.query.mock.calls[0][1]).toEqual(['run-2', 'emp-1']);
+    expect(offCycle.size).toBe(0);
+  });
+
+  it('puts released installments back on the schedule and refreshes their loans', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes("SET status = 'scheduled'")) {
+        return { rows: [{ loan_id: 'loan-1' }, { loan_id: 'loan-1' }] };
+      }
+      return { rows: [] };
+    });
+
+    const released = await loanService.releaseRunInstallments(client, 'run-1');
+
+    expect(released).toBe(2);
+    expect(findCall(client, "SET status = 'scheduled'")[1]).toEqual(['run-1', null]);
+    expect(findCall(client, 'WITH repaid AS')[1]).toEqual([['loan-1'], ['deducted', 'settled']]);
+  });
+});
@@ -1,45 +1,41 @@
 jest.mock('../../src/config/database', () => ({
   query: jest.fn(),
   getClient: jest.fn(),
+  transaction: jest.fn(),
+}));
+
+jest.mock('../../src/services/taxYear.service', () => ({
+  getTaxTableForDate: jest.fn(async () => require('../../src/utils/taxCalculator').DEFAULT_TAX_TABLE),
 }));
 
 const db = require('../../src/config/database');
 const payrollService = require('../../src/services/payroll.service');
 
 describe('payroll.service approvePayroll', () => {
-  beforeEach(() => {
-    jest.clearAllMocks();
-  });
+  let client;
 
-  it('marks payslips as paid and notifies employees when payroll is approved', async () => {
-    const client = {
-      query: jest.fn(),
-      release: jest.fn(),
-    };
+  const completedRun = {
+    id: 'run-1',
+    month: 3,
+    year: 2026,
+    status: 'completed',
+    run_type: 'regular',
+    processed_by: 'hr-user-0',
+    total_net_salary: '190000',
+    approval_round_started_at: '2026-03-01T00:00:00.000Z',
+  };
 
-    db.getClient.mockResolvedValue(client);
-    client.query
-      .mockResolvedValueOnce()
-      .mockResolvedValueOnce({
-        rows: [{ status: 'completed', month: 3, year: 2026 }],
-      })
-      .mockResolvedValueOnce()
-      .mockResolvedValueOnce()
-      .mockResolvedValueOnce({
-        rows: [
-          { user_id: 'user-1', payslip_id: 'payslip-1' },
-          { user_id: 'user-2', payslip_id: 'payslip-2' },
-        ],
-      })
-      .mockResolvedValueOnce()
-      .mockResolvedValueOnce();
-    db.query.mockResolvedValue({
-      rows: [
-        {
+  const mockApproval = ({ settings = {}, roundApprovers = [], run = completedRun } = {}) => {
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM settings')) {
+        return { rows: params[0] in settings ? [{ value: JSON.stringify(settings[params[0]]) }] : [] };
+      }
+      return {
+        rows: [{
           id: 'run-1',
           month: 3,
           year: 2026,
-          status: 'approved',
+          status: client.query.mock.calls.some(([query]) => query.includes("status = 'approved'")) ? 'approved' : 'completed',
           total_employees: 2,
           total_gross_salary: 200000,
           total_deductions: 10000,
@@ -47,46 +43,1198 @@ describe('payroll.service approvePayroll', () => {
           total_net_salary: 190000,
           processed_by_email: 'hr@payrollx.com',
           processed_at: '2026-03-01T00:00:00.000Z',
-          approved_by_email: 'hr@payrollx.com',
-          approved_at: '2026-03-02T00:00:00.000Z',
           notes: null,
           created_at: '2026-03-01T00:00:00.000Z',
-        },
-      ],
+        }],
+      };
     });
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM payroll_runs WHERE id = $1 FOR UPDATE')) {
+        return { rows: [run] };
+      }
+      if (sql.includes('SELECT DISTINCT decided_by')) {
+        return { rows: roundApprovers.map((decided_by) => ({ decided_by })) };
+      }
+      if (sql.includes('SELECT e.user_id')) {
+        return {
+          rows: [
+            { user_id: 'user-1', payslip_id: 'payslip-1' },
+            { user_id: 'user-2', payslip_id: 'payslip-2' },
+          ],
+        };
+      }
+      return { rows: [] };
+    });
+  };
 
-    const result = await payrollService.approvePayroll('run-1', 'hr-user-1');
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+    db.getClient.mockResolvedValue(client);
+  });
+
+  it('marks payslips as approved and notifies employees when payroll is approved', async () => {
+    mockApproval();
+
+    const result = await payrollService.approvePayroll('run-1', 'hr-user-1', { comments: 'Checked totals' });
 
     expect(client.query).toHaveBeenNthCalledWith(1, 'BEGIN');
-    expect(client.query).toHaveBeenNthCalledWith(
-      2,
-      'SELECT status, month, year FROM payroll_runs WHERE id = $1',
-      ['run-1']
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO payroll_run_approvals'),
+      ['run-1', 'approved', 'Checked totals', 'hr-user-1']
     );
-    expect(client.query).toHaveBeenNthCalledWith(
-      4,
+    expect(client.query).toHaveBeenCalledWith(
       expect.stringContaining('UPDATE payslips'),
-      ['paid', 'run-1']
+      ['approved', 'run-1']
+    );
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO payroll_period_locks'),
+      [3, 2026, 'run-1', 'hr-user-1']
     );
-    expect(client.query).toHaveBeenNthCalledWith(
-      6,
+    expect(client.query).toHaveBeenCalledWith(
       expect.stringContaining('INSERT INTO notifications'),
       [
         'user-1',
-        'salary_credited',
-        'Salary credited',
-        'Your salary for 3/2026 has been credited.',
+        'salary_approved',
+        'Payslip approved',
+        'Your payslip for 3/2026 has been approved.',
         'payslip',
         'payslip-1',
         'user-2',
-        'salary_credited',
-        'Salary credited',
-        'Your salary for 3/2026 has been credited.',
+        'salary_approved',
+        'Payslip approved',
+        'Your payslip for 3/2026 has been approved.',
         'payslip',
         'payslip-2',
       ]
     );
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
     expect(client.release).toHaveBeenCalled();
     expect(result.status).toBe('approved');
   });
+
+  it.each(['off_cycle', 'supplementary', 'final_settlement'])('leaves the month unlocked when a %s run is approved', async (runType) => {
+    mockApproval({ run: { ...completedRun, run_type: runType } });
+
+    const result = await payrollService.approvePayroll('run-1', 'hr-user-1');
+
+    expect(result.status).toBe('approved');
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('payroll_period_locks'))).toBe(false);
+  });
+
+  it('does not let the processor approve their own run', async () => {
+    mockApproval();
+
+    await expect(payrollService.approvePayroll('run-1', 'hr-user-0'))
+      .rejects.toThrow('The user who processed a payroll run cannot approve it');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  it('lets the processor approve when the policy allows it', async () => {
+    mockApproval({ settings: { 'payrollApproval.processorCanApprove': true } });
+
+    const result = await payrollService.approvePayroll('run-1', 'hr-user-0');
+
+    expect(result.status).toBe('approved');
+  });
+
+  it('keeps runs above the threshold completed until a second approver signs off', async () => {
+    mockApproval({ settings: { 'payrollApproval.secondApprovalAbove': 150000 } });
+
+    const result = await payrollService.approvePayroll('run-1', 'hr-user-1');
+
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO payroll_run_approvals'),
+      ['run-1', 'approved', null, 'hr-user-1']
+    );
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE payslips'))).toBe(false);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(result.status).toBe('completed');
+
+    client.query.mockClear();
+    mockApproval({ settings: { 'payrollApproval.secondApprovalAbove': 150000 }, roundApprovers: ['hr-user-1'] });
+
+    const approved = await payrollService.approvePayroll('run-1', 'admin-user-1');
+
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE payslips'), ['approved', 'run-1']);
+    expect(approved.status).toBe('approved');
+  });
+
+  it('rejects a second approval from the same user', async () => {
+    mockApproval({ settings: { 'payrollApproval.requiredApprovals': 2 }, roundApprovers: ['hr-user-1'] });
+
+    await expect(payrollService.approvePayroll('run-1', 'hr-user-1'))
+      .rejects.toThrow('You have already approved this payroll run');
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO payroll_run_approvals'))).toBe(false);
+  });
+
+  it('records rejections, restarts approval and tells the processor', async () => {
+    mockApproval();
+
+    const result = await payrollService.rejectPayroll('run-1', 'hr-user-1', { comments: 'Overtime missing' });
+
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO payroll_run_approvals'),
+      ['run-1', 'rejected', 'Overtime missing', 'hr-user-1']
+    );
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('approval_round_started_at = CURRENT_TIMESTAMP'),
+      ['run-1']
+    );
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO notifications'),
+      [['hr-user-0'], 'payroll_rejected', 'Payroll rejected', 'Payroll for 3/2026 was rejected: Overtime missing', 'run-1']
+    );
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(result.status).toBe('completed');
+  });
+});
+
+describe('payroll.service getDisbursementSummary', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('groups net pay by payment method', async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [{ id: 'run-1', month: 3, year: 2026, status: 'approved', total_net_salary: '250000' }],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'ps-1', net_salary: '100000', payment_method: 'bank_transfer', emp_code: 'EMP-001', first_name: 'Ali', last_name: 'Khan' },
+          { id: 'ps-2', net_salary: '90000', payment_method: 'bank_transfer', emp_code: 'EMP-002', first_name: 'Sara', last_name: 'Ahmed' },
+          { id: 'ps-3', net_salary: '60000', payment_method: 'check', emp_code: 'EMP-003', first_name: 'Omar', last_name: 'Raza' },
+        ],
+      });
+
+    const summary = await payrollService.getDisbursementSummary('run-1');
+
+    expect(summary.totalNetSalary).toBe(250000);
+    expect(summary.methods).toHaveLength(2);
+    expect(summary.methods[0]).toMatchObject({
+      paymentMethod: 'bank_transfer',
+      employeeCount: 2,
+      totalNetSalary: 190000,
+    });
+    expect(summary.methods[1].payslips[0].employeeName).toBe('Omar Raza');
+  });
+
+  it('rejects runs that have not been processed', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'run-1', status: 'draft' }] });
+
+    await expect(payrollService.getDisbursementSummary('run-1'))
+      .rejects.toThrow('Payroll run has not been processed yet');
+  });
+});
+
+describe('payroll.service generateBankFile', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists employees with missing bank details instead of producing a file', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'run-1', month: 3, year: 2026, status: 'approved' }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'ps-1', net_salary: '100000', emp_code: 'EMP-001', first_name: 'Ali', last_name: 'Khan', bank_name: 'HBL', bank_account_number: '123' },
+          { id: 'ps-2', net_salary: '90000', emp_code: 'EMP-002', first_name: 'Sara', last_name: 'Ahmed', bank_name: null, bank_account_number: null },
+        ],
+      });
+
+    const error = await payrollService
+      .generateBankFile('run-1', { format: 'csv' })
+      .catch((err) => err);
+
+    expect(error.message).toBe('Bank details are missing for some employees');
+    expect(error.details).toEqual([
+      { employeeCode: 'EMP-002', employeeName: 'Sara Ahmed', missing: ['bankName', 'bankAccountNumber'] },
+    ]);
+  });
+
+  it('rejects runs that are not approved', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'run-1', month: 3, year: 2026, status: 'completed' }] });
+
+    await expect(payrollService.generateBankFile('run-1', { format: 'csv' }))
+      .rejects.toThrow('Bank files can only be generated for approved payroll runs');
+  });
+});
+
+describe('payroll.service processPayroll simulate', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('calculates payslips and rolls back instead of committing', async () => {
+    const client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+
+    db.getClient.mockResolvedValue(client);
+    // Settings fall back to defaults
+    db.query.mockResolvedValue({ rows: [] });
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT * FROM payroll_runs WHERE id = $1')) {
+        return {
+          rows: [{
+            id: 'run-1', month: 3, year: 2026, status: 'draft', run_type: 'regular',
+            period_start: '2026-03-01', period_end: '2026-03-31',
+          }],
+        };
+      }
+      if (sql.includes('ss.id as salary_structure_id')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', emp_code: 'EMP-001', tax_filing_status: 'filer',
+            joining_date: '2024-01-01', end_date: null,
+            basic_salary: '100000', housing_allowance: '0', transport_allowance: '0',
+            medical_allowance: '0', utility_allowance: '0', other_allowances: '0',
+            gross_salary: '100000', bonus: '0', overtime_rate: '0',
+            provident_fund_employee: '0', provident_fund_employer: '0',
+            payment_method: 'bank_transfer', loan_deduction: '0', other_deductions: '0',
+          }],
+        };
+      }
+      if (sql.includes('GROUP BY p.employee_id')) {
+        return { rows: [] };
+      }
+      if (sql.includes('FROM attendance a')) {
+        return { rows: [{ employee_id: 'emp-1', present_days: '22', absent_days: '0', unexcused_absent_days: '0', leave_days: '0', overtime_hours: '0' }] };
+      }
+      if (sql.includes('FROM payroll_runs pr')) {
+        return { rows: [{ id: 'run-1', month: 3, year: 2026, status: 'completed', total_gross_salary: '100000' }] };
+      }
+      if (sql.includes('FROM payslips p')) {
+        return { rows: [{ id: 'ps-1', employee_id: 'emp-1', gross_salary: '100000', net_salary: '98000' }] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await payrollService.processPayroll('run-1', 'hr-user-1', { simulate: true });
+
+    expect(result.simulated).toBe(true);
+    expect(result.payrollRun.status).toBe('draft');
+    expect(result.payrollRun.totalGrossSalary).toBe(100000);
+    expect(result.payslips).toHaveLength(1);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO payslips'), expect.any(Array));
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+
+    // Year-to-date tax counts only runs that can no longer change
+    const yearToDate = client.query.mock.calls.find(([sql]) => sql.includes('as taxable_income'));
+    expect(yearToDate[1]).toEqual([202507, 202603, ['approved', 'paid']]);
+  });
+
+  it('records employer EOBI, SESSI and provident fund on payslips and run totals', async () => {
+    const client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+
+    db.getClient.mockResolvedValue(client);
+    db.query.mockResolvedValue({ rows: [] });
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT * FROM payroll_runs WHERE id = $1')) {
+        return {
+          rows: [{
+            id: 'run-1', month: 3, year: 2026, status: 'draft', run_type: 'regular',
+            period_start: '2026-03-01', period_end: '2026-03-31',
+          }],
+        };
+      }
+      if (sql.includes('ss.id as salary_structure_id')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', emp_code: 'EMP-001', tax_filing_status: 'filer',
+            joining_date: '2024-01-01', end_date: null,
+            basic_salary: '100000', housing_allowance: '0', transport_allowance: '0',
+            medical_allowance: '0', utility_allowance: '0', other_allowances: '0',
+            gross_salary: '100000', bonus: '0', overtime_rate: '0',
+            provident_fund_employee: '5000', provident_fund_employer: '5000',
+            payment_method: 'bank_transfer', loan_deduction: '0', other_deductions: '0',
+          }],
+        };
+      }
+      if (sql.includes('FROM attendance a')) {
+        return { rows: [{ employee_id: 'emp-1', present_days: '22', absent_days: '0', unexcused_absent_days: '0', leave_days: '0', overtime_hours: '0' }] };
+      }
+      if (sql.includes('FROM payroll_runs pr')) {
+        return { rows: [{ id: 'run-1', month: 3, year: 2026, status: 'completed' }] };
+      }
+      return { rows: [] };
+    });
+
+    await payrollService.processPayroll('run-1', 'hr-user-1', { simulate: true });
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payslips'));
+    const columns = insert[0].match(/\(([^)]+)\)/)[1].split(', ');
+    const payslip = Object.fromEntries(columns.map((column, index) => [column, insert[1][index]]));
+
+    expect(payslip.eobi_employer).toBe(750);
+    expect(payslip.sessi_employer).toBe(188);
+    expect(payslip.sessi_contribution).toBe(0);
+    expect(payslip.provident_fund_employer).toBe(5000);
+
+    const runUpdate = client.query.mock.calls.find(([sql]) => sql.includes('total_employer_eobi = $6'));
+    expect(runUpdate[1].slice(5, 8)).toEqual([750, 188, 5000]);
+  });
+
+  it('deducts due loan installments and records them against the run', async () => {
+    const client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+
+    db.getClient.mockResolvedValue(client);
+    db.query.mockResolvedValue({ rows: [] });
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT * FROM payroll_runs WHERE id = $1')) {
+        return {
+          rows: [{
+            id: 'run-1', month: 3, year: 2026, status: 'draft', run_type: 'regular',
+            period_start: '2026-03-01', period_end: '2026-03-31',
+          }],
+        };
+      }
+      if (sql.includes('ss.id as salary_structure_id')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', emp_code: 'EMP-001', tax_filing_status: 'filer',
+            joining_date: '2024-01-01', end_date: null,
+            basic_salary: '100000', housing_allowance: '0', transport_allowance: '0',
+            medical_allowance: '0', utility_allowance: '0', other_allowances: '0',
+            gross_salary: '100000', bonus: '0', overtime_rate: '0',
+            provident_fund_employee: '0', provident_fund_employer: '0',
+            payment_method: 'bank_transfer', loan_deduction: '2000', other_deductions: '0',
+          }],
+        };
+      }
+      if (sql.includes('FROM loan_installments li')) {
+        return {
+          rows: [
+            { employee_id: 'emp-1', id: 'inst-feb', amount: '10000' },
+            { employee_id: 'emp-1', id: 'inst-mar', amount: '10000' },
+          ],
+        };
+      }
+      if (sql.includes('FROM attendance a')) {
+        return { rows: [{ employee_id: 'emp-1', present_days: '22', absent_days: '0', unexcused_absent_days: '0', leave_days: '0', overtime_hours: '0' }] };
+      }
+      if (sql.includes('FROM payroll_runs pr')) {
+        return { rows: [{ id: 'run-1', month: 3, year: 2026, status: 'completed' }] };
+      }
+      return { rows: [] };
+    });
+
+    await payrollService.processPayroll('run-1', 'hr-user-1', { simulate: true });
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payslips'));
+    const columns = insert[0].match(/\(([^)]+)\)/)[1].split(', ');
+    const payslip = Object.fromEntries(columns.map((column, index) => [column, insert[1][index]]));
+
+    expect(payslip.loan_installments).toBe(20000);
+    expect(payslip.loan_deduction).toBe(22000);
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE loan_installments SET status = $1'),
+      ['deducted', 'run-1', ['inst-feb', 'inst-mar']]
+    );
+  });
+
+  it('adds a correction for attendance changed in an earlier month after it was paid', async () => {
+    const client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+
+    let corrected = false;
+
+    db.getClient.mockResolvedValue(client);
+    db.query.mockResolvedValue({ rows: [] });
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT * FROM payroll_runs WHERE id = $1')) {
+        return {
+          rows: [{
+            id: 'run-1', month: 3, year: 2026, status: 'draft', run_type: 'regular',
+            period_start: '2026-03-01', period_end: '2026-03-31',
+          }],
+        };
+      }
+      if (sql.includes('ss.id as salary_structure_id')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', emp_code: 'EMP-001', tax_filing_status: 'filer',
+            joining_date: '2024-01-01', end_date: null,
+            basic_salary: '100000', housing_allowance: '0', transport_allowance: '0',
+            medical_allowance: '0', utility_allowance: '0', other_allowances: '0',
+            gross_salary: '100000', bonus: '0', overtime_rate: '0',
+            provident_fund_employee: '0', provident_fund_employer: '0',
+            payment_method: 'bank_transfer', loan_deduction: '0', other_deductions: '0',
+          }],
+        };
+      }
+      if (sql.includes('INSERT INTO payroll_adjustments')) {
+        corrected = true;
+        return { rows: [] };
+      }
+      if (sql.includes('FROM payroll_period_changes')) {
+        return { rows: [{ employee_id: 'emp-1', month: 2, year: 2026 }] };
+      }
+      // February was paid with two days' loss of pay that have since been excused
+      if (sql.includes('ss.id = p.salary_structure_id')) {
+        return {
+          rows: [{
+            working_days: 20, overtime_pay: '0', loss_of_pay_deduction: '10000',
+            period_start: '2026-02-01', period_end: '2026-02-28',
+            gross_salary: '100000', overtime_rate: '0',
+          }],
+        };
+      }
+      // A correction of 4,000 was already paid by an earlier run
+      if (sql.includes('FROM payroll_adjustments pa')) {
+        return { rows: [{ employee_id: 'emp-1', correction_month: 2, correction_year: 2026, amount: '4000' }] };
+      }
+      if (sql.includes('FROM payroll_adjustments') && corrected) {
+        return {
+          rows: [{
+            id: 'adj-1', employee_id: 'emp-1', type: 'earning', category: 'arrears',
+            description: 'Attendance and leave correction for 2/2026', amount: '6000', is_taxable: true,
+          }],
+        };
+      }
+      if (sql.includes('FROM attendance a')) {
+        return { rows: [{ employee_id: 'emp-1', present_days: '22', absent_days: '0', unexcused_absent_days: '0', leave_days: '0', overtime_hours: '0' }] };
+      }
+      if (sql.includes('FROM payroll_runs pr')) {
+        return { rows: [{ id: 'run-1', month: 3, year: 2026, status: 'completed' }] };
+      }
+      return { rows: [] };
+    });
+
+    await payrollService.processPayroll('run-1', 'hr-user-1', { simulate: true });
+
+    const correction = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payroll_adjustments'));
+    expect(correction[1]).toEqual([
+      'run-1', 'emp-1', 'earning', 'arrears', 'Attendance and leave correction for 2/2026',
+      6000, true, 'hr-user-1', 2, 2026,
+    ]);
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payslips'));
+    const columns = insert[0].match(/\(([^)]+)\)/)[1].split(', ');
+    const payslip = Object.fromEntries(columns.map((column, index) => [column, insert[1][index]]));
+
+    expect(payslip.other_earnings).toBe(6000);
+  });
+
+  it('pays arrears for months paid before a backdated raise as a separate taxed line', async () => {
+    const client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+
+    db.getClient.mockResolvedValue(client);
+    db.query.mockResolvedValue({ rows: [] });
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT * FROM payroll_runs WHERE id = $1')) {
+        return {
+          rows: [{
+            id: 'run-1', month: 3, year: 2026, status: 'draft', run_type: 'regular',
+            period_start: '2026-03-01', period_end: '2026-03-31',
+          }],
+        };
+      }
+      if (sql.includes('ss.id as salary_structure_id')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', emp_code: 'EMP-001', tax_filing_status: 'filer',
+            joining_date: '2024-01-01', end_date: null,
+            basic_salary: '120000', housing_allowance: '0', transport_allowance: '0',
+            medical_allowance: '0', utility_allowance: '0', other_allowances: '0',
+            gross_salary: '120000', bonus: '0', overtime_rate: '0',
+            provident_fund_employee: '0', provident_fund_employer: '0',
+            payment_method: 'bank_transfer', loan_deduction: '0', other_deductions: '0',
+            salary_structure_id: 'ss-2',
+          }],
+        };
+      }
+      if (sql.includes('JOIN salary_structures paid')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', month: 2, year: 2026, salary_structure_id: 'ss-2', due_effective_from: '2026-02-01',
+            paid_monthly_salary: '100000', revised_monthly_salary: '120000', paid_factor: '1',
+          }],
+        };
+      }
+      if (sql.includes('FROM attendance a')) {
+        return { rows: [{ employee_id: 'emp-1', present_days: '22', absent_days: '0', unexcused_absent_days: '0', leave_days: '0', overtime_hours: '0' }] };
+      }
+      if (sql.includes('FROM payroll_runs pr')) {
+        return { rows: [{ id: 'run-1', month: 3, year: 2026, status: 'completed' }] };
+      }
+      return { rows: [] };
+    });
+
+    await payrollService.processPayroll('run-1', 'hr-user-1', { simulate: true });
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payslips'));
+    const columns = insert[0].match(/\(([^)]+)\)/)[1].split(', ');
+    const payslip = Object.fromEntries(columns.map((column, index) => [column, insert[1][index]]));
+
+    expect(payslip.salary_arrears).toBe(20000);
+    expect(payslip.gross_salary).toBe(140000);
+    expect(payslip.taxable_lump_sum).toBe(20000);
+    expect(payslip.other_earnings).toBe(0);
+    expect(payslip.salary_structure_id).toBe('ss-2');
+
+    const arrearsInsert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO salary_arrears'));
+    expect(arrearsInsert[1].slice(0, 3)).toEqual(['run-1', ['emp-1'], ['ss-2']]);
+  });
+
+  it('pays the earlier structure up to a revision taking effect mid-month', async () => {
+    const client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+
+    db.getClient.mockResolvedValue(client);
+    db.query.mockResolvedValue({ rows: [] });
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT * FROM payroll_runs WHERE id = $1')) {
+        return {
+          rows: [{
+            id: 'run-1', month: 4, year: 2026, status: 'draft', run_type: 'regular',
+            period_start: '2026-04-01', period_end: '2026-04-30',
+          }],
+        };
+      }
+      if (sql.includes('ss.id as salary_structure_id')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', emp_code: 'EMP-001', tax_filing_status: 'filer',
+            joining_date: '2024-01-01', end_date: null,
+            basic_salary: '130000', housing_allowance: '0', transport_allowance: '0',
+            medical_allowance: '0', utility_allowance: '0', other_allowances: '0',
+            gross_salary: '130000', bonus: '0', overtime_rate: '0',
+            provident_fund_employee: '0', provident_fund_employer: '0',
+            payment_method: 'bank_transfer', loan_deduction: '0', other_deductions: '0',
+            salary_structure_id: 'ss-2', salary_effective_from: '2026-04-16',
+            previous_structure: { basic_salary: 100000, provident_fund_employee: 0, provident_fund_employer: 0 },
+          }],
+        };
+      }
+      if (sql.includes('FROM attendance a')) {
+        return { rows: [{ employee_id: 'emp-1', present_days: '22', absent_days: '0', unexcused_absent_days: '0', leave_days: '0', overtime_hours: '0' }] };
+      }
+      if (sql.includes('FROM payroll_runs pr')) {
+        return { rows: [{ id: 'run-1', month: 4, year: 2026, status: 'completed' }] };
+      }
+      return { rows: [] };
+    });
+
+    await payrollService.processPayroll('run-1', 'hr-user-1', { simulate: true });
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payslips'));
+    const columns = insert[0].match(/\(([^)]+)\)/)[1].split(', ');
+    const payslip = Object.fromEntries(columns.map((column, index) => [column, insert[1][index]]));
+
+    expect(payslip.basic_salary).toBe(115000);
+    expect(payslip.proration_factor).toBe(1);
+    expect(payslip.salary_structure_id).toBe('ss-2');
+  });
+});
+
+describe('payroll.service processPayroll in the background', () => {
+  let client;
+  let jobClient;
+
+  const draftRun = {
+    id: 'run-1', month: 3, year: 2026, status: 'draft', run_type: 'regular',
+    period_start: '2026-03-01', period_end: '2026-03-31',
+  };
+
+  const employeeRow = (id) => ({
+    employee_id: id, emp_code: id.toUpperCase(), tax_filing_status: 'filer',
+    joining_date: '2024-01-01', end_date: null,
+    basic_salary: '100000', housing_allowance: '0', transport_allowance: '0',
+    medical_allowance: '0', utility_allowance: '0', other_allowances: '0',
+    gross_salary: '100000', bonus: '0', overtime_rate: '0',
+    provident_fund_employee: '0', provident_fund_employer: '0',
+    payment_method: 'bank_transfer', loan_deduction: '0', other_deductions: '0',
+  });
+
+  const mockQueries = (run, { failInsert = false } = {}) => {
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM settings')) {
+        return {
+          rows: params[0] === 'payroll.backgroundProcessingThreshold' ? [{ value: '2' }] : [],
+        };
+      }
+      if (sql.includes('FROM payroll_runs pr')) {
+        return {
+          rows: [{ ...run, status: 'processing', processing_total: 3, processing_done: 0 }],
+        };
+      }
+      return { rows: [] };
+    });
+
+    const runQuery = async (sql) => {
+      if (sql.startsWith('SELECT * FROM payroll_runs WHERE id = $1')) {
+        return { rows: [run] };
+      }
+      if (sql.includes('ss.id as salary_structure_id')) {
+        return { rows: ['emp-1', 'emp-2', 'emp-3'].map(employeeRow) };
+      }
+      if (sql.includes('FROM attendance a')) {
+        return {
+          rows: ['emp-1', 'emp-2', 'emp-3'].map((employee_id) => ({
+            employee_id, present_days: '22', absent_days: '0', unexcused_absent_days: '0', leave_days: '0', overtime_hours: '0',
+          })),
+        };
+      }
+      if (failInsert && sql.includes('INSERT INTO payslips')) {
+        throw new Error('connection lost');
+      }
+      return { rows: [] };
+    };
+
+    client.query.mockImplementation(runQuery);
+    jobClient.query.mockImplementation(runQuery);
+  };
+
+  // The job runs on resolved mocks only, so it has finished once pending timers run
+  const waitForJob = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn(), release: jest.fn() };
+    jobClient = { query: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+    db.transaction.mockImplementation(async (callback) => callback(jobClient));
+  });
+
+  it('returns a processing run above the threshold and writes payslips from a background job', async () => {
+    mockQueries(draftRun);
+
+    const result = await payrollService.processPayroll('run-1', 'hr-user-1');
+
+    expect(result.status).toBe('processing');
+    expect(result.processing).toEqual(expect.objectContaining({ total: 3, done: 0, percent: 0 }));
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO payslips'))).toBe(false);
+
+    await waitForJob();
+
+    // One aggregate attendance query and one multi-row insert for the batch
+    const attendance = jobClient.query.mock.calls.filter(([sql]) => sql.includes('FROM attendance a'));
+    expect(attendance).toHaveLength(1);
+    expect(attendance[0][1][0]).toEqual(['emp-1', 'emp-2', 'emp-3']);
+
+    const inserts = jobClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO payslips'));
+    expect(inserts).toHaveLength(1);
+    const columns = inserts[0][0].match(/\(([^)]+)\)/)[1].split(', ');
+    expect(inserts[0][1]).toHaveLength(columns.length * 3);
+
+    expect(jobClient.query).toHaveBeenCalledWith(expect.stringContaining('processing_done = $1'), [3, 'run-1']);
+    const completion = jobClient.query.mock.calls.find(([sql]) => sql.includes("status = 'completed'"));
+    expect(completion[1][0]).toBe(3);
+  });
+
+  it('puts the run back to draft with the error when the job fails', async () => {
+    mockQueries(draftRun, { failInsert: true });
+
+    await payrollService.processPayroll('run-1', 'hr-user-1');
+    await waitForJob();
+
+    expect(jobClient.query).toHaveBeenCalledWith('DELETE FROM payslips WHERE payroll_run_id = $1', ['run-1']);
+    expect(jobClient.query).toHaveBeenCalledWith(
+      expect.stringContaining("status = 'draft', processing_error = $1"),
+      ['connection lost', 'run-1']
+    );
+    expect(jobClient.query.mock.calls.some(([sql]) => sql.includes("status = 'completed'"))).toBe(false);
+  });
+
+  it('rejects a run another job is still processing but restarts a stalled one', async () => {
+    mockQueries({ ...draftRun, status: 'processing', processing_heartbeat_at: new Date().toISOString() });
+
+    await expect(payrollService.processPayroll('run-1', 'hr-user-1')).rejects.toThrow('Payroll run is already being processed');
+
+    const stalledAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    mockQueries({ ...draftRun, status: 'processing', processing_heartbeat_at: stalledAt });
+
+    const result = await payrollService.processPayroll('run-1', 'hr-user-1');
+    await waitForJob();
+
+    expect(result.status).toBe('processing');
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM payslips WHERE payroll_run_id = $1', ['run-1']);
+    expect(jobClient.query).toHaveBeenCalledWith(expect.stringContaining("status = 'completed'"), expect.any(Array));
+  });
+});
+
+describe('payroll.service final settlement runs', () => {
+  let client;
+
+  const mockSettlement = ({ earlierBaseSalary = false, loanRecovery = '0', installments = [] } = {}) => {
+    db.query.mockResolvedValue({ rows: [] });
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT * FROM payroll_runs WHERE id = $1')) {
+        return {
+          rows: [{
+            id: 'run-9', month: 3, year: 2026, status: 'draft', run_type: 'final_settlement',
+            employee_id: 'emp-1', period_start: '2026-03-01', period_end: '2026-03-31',
+          }],
+        };
+      }
+      if (sql.includes('ss.id as salary_structure_id')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', emp_code: 'EMP-001', tax_filing_status: 'filer',
+            joining_date: '2020-01-01', end_date: '2026-03-31',
+            basic_salary: '100000', housing_allowance: '0', transport_allowance: '0',
+            medical_allowance: '0', utility_allowance: '0', other_allowances: '0',
+            gross_salary: '100000', bonus: '0', overtime_rate: '0',
+            provident_fund_employee: '0', provident_fund_employer: '0',
+            payment_method: 'bank_transfer', loan_deduction: '2000', other_deductions: '0',
+            department_id: 'dept-1', work_location: 'Lahore', employment_type: 'full_time',
+            cost_allocations: [{ costCentre: 'CC-100', percentage: 100 }],
+          }],
+        };
+      }
+      if (sql.includes('BOOL_OR(p.basic_salary > 0)')) {
+        return earlierBaseSalary
+          ? {
+            rows: [{
+              employee_id: 'emp-1', taxable_salary: '100000', taxable_lump_sum: '0',
+              income_tax: '5000', has_base_salary: true,
+            }],
+          }
+          : { rows: [] };
+      }
+      if (sql.includes('FROM final_settlements WHERE payroll_run_id')) {
+        return {
+          rows: [{
+            id: 'fs-1', payroll_run_id: 'run-9', employee_id: 'emp-1',
+            resignation_date: null, last_working_date: '2026-03-31', loan_recovery: loanRecovery,
+          }],
+        };
+      }
+      if (sql.includes('encashable_days')) {
+        return { rows: [{ encashable_days: '0' }] };
+      }
+      if (sql.includes('FROM loan_installments li')) {
+        return { rows: installments };
+      }
+      if (sql.includes('FROM attendance a')) {
+        return { rows: [{ employee_id: 'emp-1', present_days: '22', absent_days: '0', unexcused_absent_days: '0', leave_days: '0', overtime_hours: '0' }] };
+      }
+      if (sql.includes('FROM payroll_runs pr')) {
+        return { rows: [{ id: 'run-9', month: 3, year: 2026, status: 'completed' }] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  const processedPayslip = () => {
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payslips'));
+    const columns = insert[0].match(/\(([^)]+)\)/)[1].split(', ');
+    return Object.fromEntries(columns.map((column, index) => [column, insert[1][index]]));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn(), release: jest.fn() };
+    db.getClient.mockResolvedValue(client);
+  });
+
+  it('pays the final month salary with gratuity when no other run paid it', async () => {
+    mockSettlement();
+
+    await payrollService.processPayroll('run-9', 'hr-user-1', { simulate: true });
+
+    const payslip = processedPayslip();
+    expect(payslip.basic_salary).toBe(100000);
+    expect(payslip.proration_factor).toBe(1);
+    expect(payslip.gratuity).toBeGreaterThan(0);
+  });
+
+  it('records where the cost belonged on the payslip for cost reports', async () => {
+    mockSettlement();
+
+    await payrollService.processPayroll('run-9', 'hr-user-1', { simulate: true });
+
+    expect(processedPayslip()).toMatchObject({
+      department_id: 'dept-1',
+      work_location: 'Lahore',
+      employment_type: 'full_time',
+      cost_allocations: JSON.stringify([{ costCentre: 'CC-100', percentage: 100 }]),
+    });
+  });
+
+  it('recovers a tracked loan once, leaving out the manual loan recovery', async () => {
+    mockSettlement({
+      loanRecovery: '30000',
+      installments: [
+        { employee_id: 'emp-1', id: 'inst-apr', amount: '10000' },
+        { employee_id: 'emp-1', id: 'inst-may', amount: '10000' },
+      ],
+    });
+
+    await payrollService.processPayroll('run-9', 'hr-user-1', { simulate: true });
+
+    const payslip = processedPayslip();
+    expect(payslip.loan_installments).toBe(20000);
+    expect(payslip.loan_deduction).toBe(20000);
+  });
+
+  it('uses the manual loan recovery when no loan is tracked', async () => {
+    mockSettlement({ loanRecovery: '30000' });
+
+    await payrollService.processPayroll('run-9', 'hr-user-1', { simulate: true });
+
+    expect(processedPayslip().loan_deduction).toBe(30000);
+  });
+
+  it('leaves out the final month salary a regular run already paid', async () => {
+    mockSettlement({ earlierBaseSalary: true });
+
+    await payrollService.processPayroll('run-9', 'hr-user-1', { simulate: true });
+
+    const payslip = processedPayslip();
+    expect(payslip.basic_salary).toBe(0);
+    expect(payslip.proration_factor).toBe(0);
+    expect(payslip.gratuity).toBeGreaterThan(0);
+  });
+});
+
+describe('payroll.service cancelPayroll and reopenPayroll', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+    db.getClient.mockResolvedValue(client);
+    db.query.mockResolvedValue({ rows: [{ id: 'run-1', month: 3, year: 2026, status: 'draft' }] });
+  });
+
+  const mockRun = (status, paidPayslips = '0') => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FOR UPDATE')) {
+        return { rows: [{ id: 'run-1', status, month: 3, year: 2026 }] };
+      }
+      if (sql.includes('as paid FROM payslips')) {
+        return { rows: [{ paid: paidPayslips }] };
+      }
+      if (sql.includes('COUNT(*) as payslips')) {
+        return { rows: [{ payslips: '2', gross_salary: '200000', net_salary: '190000' }] };
+      }
+      if (sql.includes('DELETE FROM notifications')) {
+        return { rowCount: 2, rows: [] };
+      }
+      if (sql.includes('UPDATE payroll_period_locks')) {
+        return { rows: status === 'approved' ? [{ id: 'lock-1' }] : [] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  it('reopens an approved run, removing payslips and retracting notifications', async () => {
+    mockRun('approved');
+
+    await payrollService.reopenPayroll('run-1', { reason: 'Wrong attendance import', reopenedBy: 'hr-user-1' });
+
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM payslips WHERE payroll_run_id = $1', ['run-1']);
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining("type IN ('salary_approved', 'salary_credited')"),
+      ['run-1']
+    );
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO payroll_run_audit_log'),
+      [
+        'run-1',
+        'reopened',
+        'approved',
+        'draft',
+        'Wrong attendance import',
+        JSON.stringify({
+          payslips: 2,
+          grossSalary: 200000,
+          netSalary: 190000,
+          notificationsRetracted: 2,
+          loanInstallmentsReleased: 0,
+          periodUnlocked: true,
+        }),
+        'hr-user-1',
+      ]
+    );
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  it('cancels a completed run and keeps its payslips as cancelled', async () => {
+    mockRun('completed');
+
+    await payrollService.cancelPayroll('run-1', { reason: 'Duplicate run', cancelledBy: 'hr-user-1' });
+
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining("UPDATE payslips SET status = 'cancelled'"),
+      ['run-1']
+    );
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining("status = 'cancelled'"),
+      ['hr-user-1', 'Duplicate run', 'run-1']
+    );
+    expect(client.query).not.toHaveBeenCalledWith('DELETE FROM payslips WHERE payroll_run_id = $1', ['run-1']);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  it('unlocks the month an approved run locked when it is cancelled', async () => {
+    mockRun('approved');
+
+    await payrollService.cancelPayroll('run-1', { reason: 'Duplicate run', cancelledBy: 'hr-user-1' });
+
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('WHERE payroll_run_id = $1 AND unlocked_at IS NULL'),
+      ['run-1', 'hr-user-1', 'Duplicate run']
+    );
+    const audit = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payroll_run_audit_log'));
+    expect(JSON.parse(audit[1][5]).periodUnlocked).toBe(true);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  it('blocks paid runs and runs with paid payslips', async () => {
+    mockRun('paid');
+    await expect(payrollService.reopenPayroll('run-1', { reason: 'x', reopenedBy: 'hr-user-1' }))
+      .rejects.toThrow('create a correction run instead');
+
+    mockRun('approved', '1');
+    await expect(payrollService.cancelPayroll('run-1', { reason: 'x', cancelledBy: 'hr-user-1' }))
+      .rejects.toThrow('already paid');
+
+    expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  it('only reopens processed runs', async () => {
+    mockRun('draft');
+
+    await expect(payrollService.reopenPayroll('run-1', { reason: 'x', reopenedBy: 'hr-user-1' }))
+      .rejects.toThrow('A draft payroll run cannot be reopened');
+  });
+});
+
+describe('payroll.service off-cycle runs', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+    db.getClient.mockResolvedValue(client);
+  });
+
+  it('creates an off-cycle run for the selected employees without base salary', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'emp-1' }, { id: 'emp-2' }] })
+      .mockResolvedValue({ rows: [{ id: 'run-2', month: 3, year: 2026, status: 'draft', run_type: 'off_cycle' }] });
+    client.query.mockImplementation(async (sql) => (
+      sql.includes('INSERT INTO payroll_runs') ? { rows: [{ id: 'run-2' }] } : { rows: [] }
+    ));
+
+    await payrollService.createPayrollRun({
+      month: 3,
+      year: 2026,
+      processedBy: 'hr-user-1',
+      runType: 'off_cycle',
+      employeeIds: ['emp-1', 'emp-2', 'emp-1'],
+    });
+
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO payroll_runs'),
+      [3, 2026, '2026-03-01', '2026-03-31', 'hr-user-1', 'off_cycle', false, null]
+    );
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO payroll_run_employees'),
+      ['run-2', ['emp-1', 'emp-2']]
+    );
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  it('rejects selections with unknown employees', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'emp-1' }] });
+
+    await expect(payrollService.createPayrollRun({
+      month: 3,
+      year: 2026,
+      processedBy: 'hr-user-1',
+      runType: 'supplementary',
+      employeeIds: ['emp-1', 'emp-9'],
+    })).rejects.toThrow('Some selected employees do not exist');
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  it('pays only adjustments and taxes them against the salary already paid this month', async () => {
+    db.query.mockImplementation(async (sql) => (
+      sql.includes('FROM payroll_runs pr')
+        ? { rows: [{ id: 'run-2', month: 3, year: 2026, status: 'completed', run_type: 'off_cycle' }] }
+        : { rows: [] }
+    ));
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT * FROM payroll_runs WHERE id = $1')) {
+        return {
+          rows: [{
+            id: 'run-2', month: 3, year: 2026, status: 'draft', run_type: 'off_cycle',
+            include_base_salary: false, period_start: '2026-03-01', period_end: '2026-03-31',
+          }],
+        };
+      }
+      if (sql.includes('ss.id as salary_structure_id')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', emp_code: 'EMP-001', tax_filing_status: 'filer',
+            joining_date: '2024-01-01', end_date: null,
+            basic_salary: '100000', housing_allowance: '0', transport_allowance: '0',
+            medical_allowance: '0', utility_allowance: '0', other_allowances: '0',
+            gross_salary: '100000', bonus: '0', overtime_rate: '0',
+            provident_fund_employee: '5000', provident_fund_employer: '5000',
+            payment_method: 'bank_transfer', loan_deduction: '3000', other_deductions: '0',
+          }],
+        };
+      }
+      if (sql.includes('(p.year * 100 + p.month) >= $1')) {
+        // July to February at 100,000 a month
+        return { rows: [{ employee_id: 'emp-1', taxable_income: '800000', income_tax: '10000' }] };
+      }
+      if (sql.includes('GROUP BY p.employee_id')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', taxable_salary: '100000', taxable_lump_sum: '0',
+            income_tax: '1250', has_base_salary: true,
+          }],
+        };
+      }
+      if (sql.includes('FROM payroll_adjustments')) {
+        return {
+          rows: [{
+            id: 'adj-1', employee_id: 'emp-1', type: 'earning', category: 'bonus',
+            description: 'Mid-year bonus', amount: '200000', is_taxable: true,
+          }],
+        };
+      }
+      return { rows: [] };
+    });
+
+    await payrollService.processPayroll('run-2', 'hr-user-1');
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payslips'));
+    const columns = insert[0].match(/\(([^)]+)\)/)[1].split(', ');
+    const payslip = Object.fromEntries(columns.map((column, index) => [column, insert[1][index]]));
+
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('FROM attendance a'))).toBe(false);
+    expect(payslip.basic_salary).toBe(0);
+    expect(payslip.gross_salary).toBe(200000); // the bonus only
+    expect(payslip.income_tax).toBe(25000); // marginal tax on the bonus
+    expect(payslip.loan_deduction).toBe(0);
+    expect(payslip.provident_fund_employee).toBe(0);
+    expect(payslip.net_salary).toBe(175000);
+    expect(payslip.tax_year).toBe('2024-25');
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+});
+
+describe('payroll.service recalculatePayslip', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+    db.getClient.mockResolvedValue(client);
+    db.query.mockImplementation(async (sql) => (
+      sql.includes('FROM payroll_runs pr')
+        ? { rows: [{ id: 'run-1', month: 3, year: 2026, status: 'completed' }] }
+        : { rows: [{ id: 'payslip-1', employee_id: 'emp-1', gross_salary: '100000', net_salary: '98000' }] }
+    ));
+  });
+
+  const mockRun = (status) => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM payroll_runs WHERE id = $1 FOR UPDATE')) {
+        return {
+          rows: [{
+            id: 'run-1', month: 3, year: 2026, status, run_type: 'regular',
+            period_start: '2026-03-01', period_end: '2026-03-31',
+          }],
+        };
+      }
+      if (sql.includes('FROM payslips WHERE payroll_run_id = $1 AND employee_id = $2')) {
+        return { rows: [{ id: 'payslip-1', employee_id: 'emp-1', gross_salary: '100000', absent_days: 0 }] };
+      }
+      if (sql.includes('ss.id as salary_structure_id')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', emp_code: 'EMP-001', tax_filing_status: 'filer',
+            joining_date: '2024-01-01', end_date: null,
+            basic_salary: '100000', housing_allowance: '0', transport_allowance: '0',
+            medical_allowance: '0', utility_allowance: '0', other_allowances: '0',
+            gross_salary: '100000', bonus: '0', overtime_rate: '0',
+            provident_fund_employee: '0', provident_fund_employer: '0',
+            payment_method: 'bank_transfer', loan_deduction: '0', other_deductions: '0',
+          }],
+        };
+      }
+      if (sql.includes('FROM attendance a')) {
+        return { rows: [{ employee_id: 'emp-1', present_days: '20', absent_days: '2', unexcused_absent_days: '2', leave_days: '0', overtime_hours: '0' }] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  it('updates only the one payslip, keeps a revision and refreshes run totals', async () => {
+    mockRun('completed');
+
+    const result = await payrollService.recalculatePayslip('run-1', 'emp-1', {
+      reason: 'Attendance corrected',
+      recalculatedBy: 'hr-user-1',
+    });
+
+    const revision = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payslip_revisions'));
+    expect(revision[1][0]).toBe('payslip-1');
+    expect(JSON.parse(revision[1][3])).toMatchObject({ gross_salary: '100000', absent_days: 0 });
+    expect(revision[1][4]).toBe('Attendance corrected');
+
+    const update = client.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE payslips SET'));
+    expect(update[0]).toContain('absent_days = $');
+    expect(update[1][update[1].length - 1]).toBe('payslip-1');
+
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('total_gross_salary = totals.gross_salary'), ['run-1']);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('approval_round_started_at = CURRENT_TIMESTAMP'), ['run-1']);
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('DELETE FROM payslips'))).toBe(false);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(result.payslip.id).toBe('payslip-1');
+  });
+
+  it('rejects runs that are not completed', async () => {
+    mockRun('approved');
+
+    await expect(payrollService.recalculatePayslip('run-1', 'emp-1', { recalculatedBy: 'hr-user-1' }))
+      .rejects.toThrow('completed runs that are not yet approved');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
 });
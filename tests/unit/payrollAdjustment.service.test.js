@@ -0,0 +1,122 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const payrollAdjustmentService = require('../../src/services/payrollAdjustment.service');
+
+describe('payroll adjustment service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects changes once the payroll run has been processed', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ status: 'completed' }] });
+
+    await expect(
+      payrollAdjustmentService.createAdjustment('run-1', {
+        employeeId: 'emp-1',
+        type: 'earning',
+        category: 'bonus',
+        amount: 5000,
+      }, 'hr-user-1')
+    ).rejects.toThrow('Adjustments can only be changed while the payroll run is a draft');
+  });
+
+  it('rejects the whole CSV import when any row is invalid', async () => {
+    const client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+
+    db.getClient.mockResolvedValue(client);
+    client.query
+      .mockResolvedValueOnce()
+      .mockResolvedValueOnce({ rows: [{ id: 'run-1', status: 'draft', run_type: 'regular' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'emp-1', employee_id: 'EMP-001' }] })
+      // Employees the run pays
+      .mockResolvedValueOnce({ rows: [{ id: 'emp-1' }] })
+      .mockResolvedValueOnce();
+
+    const csv = [
+      'employee_code,type,category,amount,description',
+      'EMP-001,earning,eid_bonus,15000,Eid bonus',
+      'EMP-404,earning,bonus,1000,',
+      'EMP-001,deduction,bonus,500,',
+    ].join('\n');
+
+    const error = await payrollAdjustmentService
+      .importAdjustments('run-1', csv, 'hr-user-1')
+      .catch((err) => err);
+
+    expect(error.message).toBe('CSV contains invalid rows');
+    expect(error.details).toEqual([
+      { line: 3, message: 'Unknown employee code "EMP-404"' },
+      { line: 4, message: 'Category for deduction must be one of: penalty, recovery, other_deduction' },
+    ]);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.query).not.toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO payroll_adjustments'),
+      expect.anything()
+    );
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('rejects imported rows for employees the run does not pay', async () => {
+    const client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+
+    db.getClient.mockResolvedValue(client);
+    client.query
+      .mockResolvedValueOnce()
+      .mockResolvedValueOnce({ rows: [{ id: 'run-2', status: 'draft', run_type: 'off_cycle' }] })
+      .mockResolvedValueOnce({
+        rows: [{ id: 'emp-1', employee_id: 'EMP-001' }, { id: 'emp-2', employee_id: 'EMP-002' }],
+      })
+      .mockResolvedValueOnce({ rows: [{ id: 'emp-1' }] })
+      .mockResolvedValueOnce();
+
+    const csv = [
+      'employee_code,type,category,amount',
+      'EMP-001,earning,commission,5000',
+      'EMP-002,earning,commission,7000',
+    ].join('\n');
+
+    const error = await payrollAdjustmentService
+      .importAdjustments('run-2', csv, 'hr-user-1')
+      .catch((err) => err);
+
+    expect(error.details).toEqual([
+      { line: 3, message: 'Employee "EMP-002" is not paid by this payroll run' },
+    ]);
+    const scope = client.query.mock.calls[3];
+    expect(scope[0]).toContain('payroll_run_employees WHERE payroll_run_id = $1');
+    expect(scope[1]).toEqual(['run-2', ['emp-1', 'emp-2']]);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  it('groups run adjustments per employee for payroll processing', async () => {
+    const client = {
+      query: jest.fn().mockResolvedValue({
+        rows: [
+          { id: 'a1', employee_id: 'emp-1', type: 'earning', category: 'eid_bonus', amount: '15000', is_taxable: true },
+          { id: 'a2', employee_id: 'emp-1', type: 'earning', category: 'reimbursement', amount: '2000', is_taxable: false },
+          { id: 'a3', employee_id: 'emp-1', type: 'deduction', category: 'penalty', amount: '500', is_taxable: false },
+        ],
+      }),
+    };
+
+    const byEmployee = await payrollAdjustmentService.getRunAdjustmentsByEmployee(client, 'run-1');
+    const totals = byEmployee.get('emp-1');
+
+    expect(totals.bonus).toBe(15000);
+    expect(totals.otherEarnings).toBe(2000);
+    expect(totals.taxableEarnings).toBe(15000);
+    expect(totals.deductions).toBe(500);
+    expect(totals.items).toHaveLength(3);
+    expect(byEmployee.has('emp-2')).toBe(false);
+  });
+});
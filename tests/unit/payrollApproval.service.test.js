@@ -0,0 +1,88 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const payrollApprovalService = require('../../src/services/payrollApproval.service');
+
+describe('payroll approval service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('adds a second approval for runs above the threshold', () => {
+    const policy = { processorCanApprove: false, requiredApprovals: 1, secondApprovalAbove: 1000000 };
+
+    expect(payrollApprovalService.getRequiredApprovals(policy, '1000000')).toBe(1);
+    expect(payrollApprovalService.getRequiredApprovals(policy, '1000000.01')).toBe(2);
+    expect(payrollApprovalService.getRequiredApprovals({ ...policy, secondApprovalAbove: 0 }, '5000000')).toBe(1);
+  });
+
+  it('asks privileged users other than the processor to approve', async () => {
+    const client = {
+      query: jest.fn(async (sql) => ({
+        rows: sql.includes('FROM users') ? [{ id: 'hr-user-1' }, { id: 'admin-user-1' }] : [],
+      })),
+    };
+
+    await payrollApprovalService.notifyApprovers(
+      client,
+      { id: 'run-1', month: 3, year: 2026, processed_by: 'hr-user-0' },
+      { processorCanApprove: false }
+    );
+
+    expect(client.query.mock.calls[0][1]).toEqual([['admin', 'hr'], 'hr-user-0']);
+    expect(client.query).toHaveBeenLastCalledWith(
+      expect.stringContaining('INSERT INTO notifications'),
+      [
+        ['hr-user-1', 'admin-user-1'],
+        'payroll_approval_requested',
+        'Payroll awaiting approval',
+        'Payroll for 3/2026 is awaiting your approval.',
+        'run-1',
+      ]
+    );
+  });
+
+  it('reports approvals received in the current round and the decision history', async () => {
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM payroll_runs')) {
+        return {
+          rows: [{
+            id: 'run-1', status: 'completed', total_net_salary: '2500000',
+            approval_round_started_at: '2026-03-02T00:00:00.000Z',
+          }],
+        };
+      }
+      if (sql.includes('FROM settings')) {
+        return { rows: params[0] === 'payrollApproval.secondApprovalAbove' ? [{ value: '1000000' }] : [] };
+      }
+      if (sql.includes('SELECT DISTINCT decided_by')) {
+        return { rows: [{ decided_by: 'hr-user-1' }] };
+      }
+      return {
+        rows: [
+          {
+            id: 'approval-2', decision: 'approved', comments: null,
+            decided_by_email: 'hr@payrollx.com', created_at: '2026-03-03T00:00:00.000Z',
+          },
+          {
+            id: 'approval-1', decision: 'rejected', comments: 'Overtime missing',
+            decided_by_email: 'admin@payrollx.com', created_at: '2026-03-01T00:00:00.000Z',
+          },
+        ],
+      };
+    });
+
+    const result = await payrollApprovalService.getRunApprovals('run-1');
+
+    expect(result).toMatchObject({
+      status: 'completed',
+      requiredApprovals: 2,
+      approvalsReceived: 1,
+      pendingApprovals: 1,
+    });
+    expect(result.decisions.map((decision) => decision.decision)).toEqual(['approved', 'rejected']);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Payroll Calculator Unit Tests
+ */
+
+const {
+  countWorkingDays,
+  countCalendarDays,
+  calculateLossOfPay,
+  calculateProrationFactor,
+  prorateEarnings,
+  calculateServiceYears,
+  calculateGratuity,
+  calculateLeaveEncashment,
+  calculateNoticeShortfall,
+  getFiscalYear,
+  parseFiscalYear,
+} = require('../../src/utils/payrollCalculator');
+
+describe('Payroll Calculator', () => {
+  describe('countWorkingDays', () => {
+    it('should skip weekends', () => {
+      // March 2026 starts on a Sunday: 22 weekdays
+      expect(countWorkingDays('2026-03-01', '2026-03-31')).toBe(22);
+    });
+
+    it('should skip holidays', () => {
+      const holidays = new Set(['2026-03-23']);
+      expect(countWorkingDays('2026-03-01', '2026-03-31', holidays)).toBe(21);
+    });
+
+    it('should count a single working day range', () => {
+      expect(countWorkingDays('2026-03-02', '2026-03-02')).toBe(1);
+    });
+  });
+
+  describe('calculateLossOfPay', () => {
+    it('should deduct a per-day rate for absences and unpaid leave', () => {
+      const result = calculateLossOfPay({
+        grossSalary: 110000,
+        workingDays: 22,
+        absentDays: 1,
+        unpaidLeaveDays: 1.5,
+      });
+
+      expect(result.days).toBe(2.5);
+      expect(result.dailyRate).toBe(5000);
+      expect(result.amount).toBe(12500);
+    });
+
+    it('should never deduct more than the working days in the month', () => {
+      const result = calculateLossOfPay({
+        grossSalary: 110000,
+        workingDays: 22,
+        absentDays: 20,
+        unpaidLeaveDays: 5,
+      });
+
+      expect(result.days).toBe(22);
+      expect(result.amount).toBe(110000);
+    });
+
+    it('should return zero when there are no working days', () => {
+      const result = calculateLossOfPay({ grossSalary: 110000, workingDays: 0, absentDays: 2 });
+      expect(result.amount).toBe(0);
+    });
+  });
+
+  describe('countCalendarDays', () => {
+    it('should count days inclusively', () => {
+      expect(countCalendarDays('2026-03-01', '2026-03-31')).toBe(31);
+      expect(countCalendarDays('2026-03-16', '2026-03-16')).toBe(1);
+    });
+
+    it('should return zero for an inverted range', () => {
+      expect(countCalendarDays('2026-03-10', '2026-03-09')).toBe(0);
+    });
+  });
+
+  describe('calculateProrationFactor', () => {
+    const period = { periodStart: '2026-03-01', periodEnd: '2026-03-31' };
+
+    it('should return 1 for employees on payroll the whole period', () => {
+      expect(calculateProrationFactor({ ...period, joiningDate: '2025-01-15' })).toBe(1);
+    });
+
+    it('should pro-rate a mid-month joiner by calendar days', () => {
+      // 16th to 31st = 16 of 31 days
+      const factor = calculateProrationFactor({ ...period, joiningDate: '2026-03-16' });
+      expect(factor).toBe(0.5161);
+    });
+
+    it('should pro-rate a mid-month leaver by working days', () => {
+      // 2nd to 13th March = 10 of 22 working days
+      const factor = calculateProrationFactor({
+        ...period,
+        joiningDate: '2024-06-01',
+        endDate: '2026-03-13',
+        basis: 'working_days',
+      });
+      expect(factor).toBe(0.4545);
+    });
+
+    it('should return zero when the employee was not employed in the period', () => {
+      const factor = calculateProrationFactor({
+        ...period,
+        joiningDate: '2024-06-01',
+        endDate: '2026-02-20',
+      });
+      expect(factor).toBe(0);
+    });
+  });
+
+  describe('prorateEarnings', () => {
+    it('should scale each component and total the gross', () => {
+      const result = prorateEarnings({ basicSalary: 100000, housingAllowance: '40000' }, 0.5);
+
+      expect(result.basicSalary).toBe(50000);
+      expect(result.housingAllowance).toBe(20000);
+      expect(result.gross).toBe(70000);
+    });
+  });
+
+  describe('calculateServiceYears', () => {
+    it('should return years of service to two decimals', () => {
+      expect(calculateServiceYears('2021-01-01', '2025-12-31')).toBe(5);
+      expect(calculateServiceYears('2025-01-01', '2025-06-30')).toBe(0.5);
+    });
+  });
+
+  describe('calculateGratuity', () => {
+    it('should pay 30 days of salary per completed year', () => {
+      const result = calculateGratuity({ monthlySalary: 90000, serviceYears: 3.2 });
+
+      expect(result.eligibleYears).toBe(3);
+      expect(result.amount).toBe(270000);
+    });
+
+    it('should round up a final part-year of six months or more', () => {
+      const result = calculateGratuity({ monthlySalary: 90000, serviceYears: 3.6 });
+      expect(result.eligibleYears).toBe(4);
+    });
+
+    it('should pay nothing below the minimum service', () => {
+      const result = calculateGratuity({ monthlySalary: 90000, serviceYears: 0.8, minServiceYears: 1 });
+      expect(result.amount).toBe(0);
+    });
+  });
+
+  describe('calculateLeaveEncashment', () => {
+    it('should encash leave at a 30-day daily rate', () => {
+      expect(calculateLeaveEncashment(60000, 7.5)).toBe(15000);
+      expect(calculateLeaveEncashment(60000, 0)).toBe(0);
+    });
+  });
+
+  describe('calculateNoticeShortfall', () => {
+    it('should recover unserved notice days', () => {
+      const result = calculateNoticeShortfall({
+        monthlySalary: 90000,
+        noticePeriodDays: 30,
+        noticeServedDays: 20,
+      });
+
+      expect(result.shortfallDays).toBe(10);
+      expect(result.amount).toBe(30000);
+    });
+
+    it('should not recover when notice was fully served', () => {
+      const result = calculateNoticeShortfall({
+        monthlySalary: 90000,
+        noticePeriodDays: 30,
+        noticeServedDays: 45,
+      });
+
+      expect(result.amount).toBe(0);
+    });
+  });
+
+  describe('getFiscalYear', () => {
+    it('should start the fiscal year in July', () => {
+      expect(getFiscalYear(7, 2025)).toMatchObject({ startYear: 2025, endYear: 2026, label: '2025-26' });
+      expect(getFiscalYear(3, 2026)).toMatchObject({ startYear: 2025, endYear: 2026, label: '2025-26' });
+      expect(getFiscalYear(6, 2025).label).toBe('2024-25');
+    });
+  });
+
+  describe('parseFiscalYear', () => {
+    it('should read a fiscal year label', () => {
+      expect(parseFiscalYear('2025-26')).toMatchObject({ startYear: 2025, startMonth: 7, endYear: 2026, endMonth: 6 });
+    });
+
+    it('should reject labels that are not consecutive years', () => {
+      expect(parseFiscalYear('2025-27')).toBeNull();
+      expect(parseFiscalYear('2025')).toBeNull();
+      expect(parseFiscalYear(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const payrollPaymentService = require('../../src/services/payrollPayment.service');
+
+const createClient = () => ({
+  query: jest.fn(),
+  release: jest.fn(),
+});
+
+describe('payroll payment service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('matches confirmation rows by account and amount and closes the fully paid run', async () => {
+    const client = createClient();
+    db.getClient.mockResolvedValue(client);
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM payroll_runs WHERE id = $1 FOR UPDATE')) {
+        return { rows: [{ id: 'run-1', status: 'approved', month: 3, year: 2026 }] };
+      }
+      if (sql.includes('FROM payslips p')) {
+        return {
+          rows: [
+            { id: 'ps-1', status: 'approved', net_salary: '100000.00', bank_account_number: '1234 5678', user_id: 'user-1' },
+            { id: 'ps-2', status: 'approved', net_salary: '85000.00', bank_account_number: 'PK-99', user_id: null },
+          ],
+        };
+      }
+      if (sql.includes('COUNT(*) FILTER')) {
+        return { rows: [{ outstanding: '0', failed: '0' }] };
+      }
+      return { rows: [] };
+    });
+
+    const csv = [
+      'account_number,amount,reference,status',
+      '12345678,"100,000.00",TXN-1,success',
+      'PK99,85000,TXN-2,completed',
+      '55555,1000,TXN-3,success',
+    ].join('\n');
+
+    const result = await payrollPaymentService.reconcileBankFile('run-1', csv);
+
+    expect(result).toMatchObject({ matched: 2, paid: 2, failed: 0, outstanding: 0, runStatus: 'paid' });
+    expect(result.unmatched).toEqual([
+      { line: 4, accountNumber: '55555', amount: 1000, reason: 'No unpaid payslip with this account and amount' },
+    ]);
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining("status = 'paid'"),
+      [null, 'TXN-1', 'ps-1']
+    );
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO notifications'),
+      ['user-1', 'salary_credited', 'Salary credited', 'Your salary for 3/2026 has been credited.', 'payslip', 'ps-1']
+    );
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('AND net_salary <= 0'),
+      ['run-1']
+    );
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining("UPDATE payroll_runs SET status = 'paid'"),
+      ['run-1']
+    );
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  it('reports rows with a malformed value date instead of failing the upload', async () => {
+    const client = createClient();
+    db.getClient.mockResolvedValue(client);
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FOR UPDATE')) {
+        return { rows: [{ id: 'run-1', status: 'approved', month: 3, year: 2026 }] };
+      }
+      if (sql.includes('FROM payslips p')) {
+        return {
+          rows: [
+            { id: 'ps-1', status: 'approved', net_salary: '100000', bank_account_number: '111', user_id: null },
+            { id: 'ps-2', status: 'approved', net_salary: '90000', bank_account_number: '222', user_id: null },
+          ],
+        };
+      }
+      if (sql.includes('COUNT(*) FILTER')) {
+        return { rows: [{ outstanding: '1', failed: '0' }] };
+      }
+      return { rows: [] };
+    });
+
+    const csv = [
+      'account_number,amount,reference,status,value_date',
+      '111,100000,TXN-1,success,2026-04-02',
+      '222,90000,TXN-2,success,02/04/2026',
+    ].join('\n');
+
+    const result = await payrollPaymentService.reconcileBankFile('run-1', csv);
+
+    expect(result).toMatchObject({ matched: 1, paid: 1, outstanding: 1, runStatus: 'approved' });
+    expect(result.unmatched).toEqual([
+      { line: 3, accountNumber: '222', amount: 90000, reason: 'Invalid value date "02/04/2026"' },
+    ]);
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining("status = 'paid'"),
+      ['2026-04-02', 'TXN-1', 'ps-1']
+    );
+  });
+
+  it('flags returned transfers for re-issue and keeps the run open', async () => {
+    const client = createClient();
+    db.getClient.mockResolvedValue(client);
+
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FOR UPDATE')) {
+        return { rows: [{ id: 'run-1', status: 'approved', month: 3, year: 2026 }] };
+      }
+      if (sql.includes('FROM payslips p')) {
+        return { rows: [{ id: 'ps-1', status: 'approved', net_salary: '100000', bank_account_number: '123', user_id: 'user-1' }] };
+      }
+      if (sql.includes('COUNT(*) FILTER')) {
+        return { rows: [{ outstanding: '1', failed: '1' }] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await payrollPaymentService.recordPayments('run-1', [
+      { payslipId: 'ps-1', status: 'failed', reason: 'Account closed' },
+    ]);
+
+    expect(result).toEqual({ paid: 0, failed: 1, outstanding: 1, awaitingReissue: 1, runStatus: 'approved' });
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining("status = 'payment_failed'"),
+      [null, 'Account closed', 'ps-1']
+    );
+    expect(client.query).not.toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE payroll_runs'),
+      expect.anything()
+    );
+  });
+
+  it('rejects payments for runs that are not approved', async () => {
+    const client = createClient();
+    db.getClient.mockResolvedValue(client);
+    client.query
+      .mockResolvedValueOnce()
+      .mockResolvedValueOnce({ rows: [{ id: 'run-1', status: 'completed', month: 3, year: 2026 }] });
+
+    await expect(
+      payrollPaymentService.recordPayments('run-1', [{ payslipId: 'ps-1', status: 'paid' }])
+    ).rejects.toThrow('Payments can only be recorded for approved payroll runs');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+});
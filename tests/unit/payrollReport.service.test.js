@@ -0,0 +1,205 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const payrollReportService = require('../../src/services/payrollReport.service');
+
+const payslipRow = (employeeId, code, department, totals) => ({
+  employee_id: employeeId,
+  emp_code: code,
+  first_name: code,
+  last_name: 'Test',
+  department_name: department,
+  basic_salary: totals.gross,
+  gross_salary: totals.gross,
+  income_tax: totals.tax,
+  total_deductions: totals.deductions,
+  net_salary: totals.gross - totals.deductions,
+});
+
+describe('payroll report service getVarianceReport', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('flags joiners, leavers and changes above the threshold', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'run-4', month: 4, year: 2026, status: 'completed', run_type: 'regular' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'run-3', month: 3, year: 2026, status: 'paid' }] })
+      .mockResolvedValueOnce({
+        rows: [
+          payslipRow('emp-1', 'EMP-001', 'Engineering', { gross: 110000, tax: 6000, deductions: 7000 }),
+          payslipRow('emp-2', 'EMP-002', 'Finance', { gross: 80000, tax: 2000, deductions: 2500 }),
+          payslipRow('emp-4', 'EMP-004', 'Finance', { gross: 60000, tax: 0, deductions: 400 }),
+        ],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          payslipRow('emp-1', 'EMP-001', 'Engineering', { gross: 100000, tax: 5000, deductions: 6000 }),
+          payslipRow('emp-2', 'EMP-002', 'Finance', { gross: 80000, tax: 2000, deductions: 2500 }),
+          payslipRow('emp-3', 'EMP-003', 'Engineering', { gross: 90000, tax: 3000, deductions: 3500 }),
+        ],
+      });
+
+    const report = await payrollReportService.getVarianceReport('run-4', { thresholdPercent: 5 });
+
+    expect(report.previousRun.id).toBe('run-3');
+    expect(report.employees.map((row) => [row.employeeCode, row.flags])).toEqual([
+      ['EMP-001', ['gross_changed', 'tax_changed', 'deductions_changed']],
+      ['EMP-002', []],
+      ['EMP-003', ['leaver']],
+      ['EMP-004', ['new_joiner']],
+    ]);
+    expect(report.employees[0].delta.grossSalary).toEqual({ amount: 10000, percent: 10 });
+    expect(report.summary).toEqual({
+      headcount: { previous: 3, current: 3 },
+      newJoiners: 1,
+      leavers: 1,
+      flagged: 3,
+    });
+    expect(report.components.find((row) => row.component === 'grossSalary')).toMatchObject({
+      previous: 270000,
+      current: 250000,
+      amount: -20000,
+    });
+    expect(report.departments.find((row) => row.department === 'Finance').delta.headcount).toBe(1);
+
+    const csv = payrollReportService.varianceReportToCsv(report);
+    expect(csv.split('\n')[1]).toContain('EMP-001');
+    expect(csv).toContain('new_joiner');
+  });
+
+  it('compares an off-cycle run only for the employees it pays', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'run-5', month: 4, year: 2026, status: 'completed', run_type: 'off_cycle' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'run-3', month: 3, year: 2026, status: 'paid' }] })
+      .mockResolvedValueOnce({
+        rows: [payslipRow('emp-1', 'EMP-001', 'Engineering', { gross: 20000, tax: 1000, deductions: 1000 })],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          payslipRow('emp-1', 'EMP-001', 'Engineering', { gross: 100000, tax: 5000, deductions: 6000 }),
+          payslipRow('emp-2', 'EMP-002', 'Finance', { gross: 80000, tax: 2000, deductions: 2500 }),
+        ],
+      });
+
+    const report = await payrollReportService.getVarianceReport('run-5', { thresholdPercent: 5 });
+
+    expect(report.employees.map((row) => row.employeeCode)).toEqual(['EMP-001']);
+    expect(report.summary).toMatchObject({ newJoiners: 0, leavers: 0, headcount: { previous: 1, current: 1 } });
+  });
+
+  it('shows a transfer as a move between the departments recorded on each payslip', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'run-4', month: 4, year: 2026, status: 'completed', run_type: 'regular' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'run-3', month: 3, year: 2026, status: 'paid' }] })
+      .mockResolvedValueOnce({
+        rows: [payslipRow('emp-1', 'EMP-001', 'Finance', { gross: 100000, tax: 5000, deductions: 6000 })],
+      })
+      .mockResolvedValueOnce({
+        rows: [payslipRow('emp-1', 'EMP-001', 'Engineering', { gross: 100000, tax: 5000, deductions: 6000 })],
+      });
+
+    const report = await payrollReportService.getVarianceReport('run-4', { thresholdPercent: 5 });
+
+    expect(db.query.mock.calls[2][0]).toContain('d.id = p.department_id');
+    expect(report.departments.map((row) => [row.department, row.delta.headcount])).toEqual([
+      ['Engineering', -1],
+      ['Finance', 1],
+    ]);
+  });
+
+  it('rejects runs that have not been processed', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'run-4', month: 4, year: 2026, status: 'draft' }] });
+
+    await expect(payrollReportService.getVarianceReport('run-4'))
+      .rejects.toThrow('Payroll run has not been processed yet');
+  });
+});
+
+describe('payroll report service getCostAllocationReport', () => {
+  const costRow = (employeeId, department, gross) => ({
+    employee_id: employeeId,
+    department,
+    location: 'Lahore',
+    employment_type: 'full_time',
+    gross_salary: String(gross),
+    eobi_employer: '750',
+    sessi_employer: '0',
+    provident_fund_employer: '0',
+    income_tax: '1000',
+    net_salary: String(gross - 1000),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('totals gross, employer contributions, tax and net pay per department for a run', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'run-4', month: 4, year: 2026, status: 'approved', run_type: 'regular' }] })
+      .mockResolvedValueOnce({
+        rows: [
+          costRow('emp-1', 'Engineering', 100000),
+          costRow('emp-2', 'Engineering', 80000),
+          costRow('emp-3', 'Finance', 60000),
+        ],
+      });
+
+    const report = await payrollReportService.getCostAllocationReport({ payrollRunId: 'run-4' });
+
+    expect(db.query.mock.calls[1][0]).toContain('d.id = p.department_id');
+    expect(report.groups.map((group) => [group.name, group.headcount, group.grossSalary, group.totalCost])).toEqual([
+      ['Engineering', 2, 180000, 181500],
+      ['Finance', 1, 60000, 60750],
+    ]);
+    expect(report.totals).toMatchObject({
+      headcount: 3, grossSalary: 240000, employerContributions: 2250, incomeTax: 3000, netSalary: 237000,
+    });
+
+    const csv = payrollReportService.costAllocationReportToCsv(report).split('\n');
+    expect(csv[0]).toMatch(/^Department,Headcount,Gross Salary/);
+    expect(csv[3]).toBe('Total,3,240000,2250,0,0,2250,242250,3000,237000');
+  });
+
+  it('splits cost across cost centres for approved runs in a date range', async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'run-3', month: 3, year: 2026, status: 'paid', run_type: 'regular' },
+          { id: 'run-4', month: 4, year: 2026, status: 'approved', run_type: 'regular' },
+        ],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          {
+            ...costRow('emp-1', 'Engineering', 100000),
+            cost_allocations: [{ costCentre: 'CC-100', percentage: 60 }, { costCentre: 'CC-200', percentage: 40 }],
+          },
+          { ...costRow('emp-2', 'Finance', 60000), cost_allocations: null },
+        ],
+      });
+
+    const report = await payrollReportService.getCostAllocationReport({
+      from: '2026-03-01', to: '2026-04-30', groupBy: 'costCentre',
+    });
+
+    expect(db.query.mock.calls[0][1]).toEqual(['2026-03-01', '2026-04-30']);
+    expect(db.query.mock.calls[1][1]).toEqual([['run-3', 'run-4']]);
+    expect(db.query).toHaveBeenCalledTimes(2);
+    expect(report.groups.map((group) => [group.name, group.grossSalary, group.employerEobi])).toEqual([
+      ['CC-100', 60000, 450],
+      ['CC-200', 40000, 300],
+      ['Unallocated', 60000, 750],
+    ]);
+    expect(report.totals.grossSalary).toBe(160000);
+  });
+
+  it('needs a run or a complete date range', async () => {
+    await expect(payrollReportService.getCostAllocationReport({ from: '2026-03-01' }))
+      .rejects.toThrow('Choose a payroll run or a date range');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
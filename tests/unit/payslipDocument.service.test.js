@@ -0,0 +1,44 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const payslipDocumentService = require('../../src/services/payslipDocument.service');
+
+describe('payslip document service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('sums year-to-date totals from the start of the July fiscal year', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{ gross_salary: '900000', income_tax: '60000', total_deductions: '80000', net_salary: '820000' }],
+    });
+
+    const result = await payslipDocumentService.getYearToDate('emp-1', 3, 2026);
+
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('FROM payslips p'), ['emp-1', 202507, 202603]);
+    expect(result).toEqual({
+      fiscalYear: '2025-26',
+      grossSalary: 900000,
+      incomeTax: 60000,
+      totalDeductions: 80000,
+      netSalary: 820000,
+    });
+  });
+
+  it('rejects a ZIP request when the employee has no payslip in the run', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'run-1', month: 3, year: 2026, status: 'approved' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await expect(
+      payslipDocumentService.createRunPayslipsArchive('run-1', { employeeId: 'emp-9' })
+    ).rejects.toThrow('No payslips found for this payroll run');
+    expect(db.query).toHaveBeenLastCalledWith(
+      expect.stringContaining('AND employee_id = $2'),
+      ['run-1', 'emp-9']
+    );
+  });
+});
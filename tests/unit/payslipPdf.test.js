@@ -0,0 +1,66 @@
+/**
+ * Payslip PDF Unit Tests
+ */
+
+const { renderPayslipPdf, formatAmount } = require('../../src/utils/payslipPdf');
+
+const payslip = {
+  employeeId: 'emp-1',
+  employeeCode: 'EMP-001',
+  employeeName: 'Ali Khan',
+  designation: 'Engineer',
+  department: 'Engineering',
+  month: 3,
+  year: 2026,
+  workingDays: 22,
+  presentDays: 21,
+  leaveDays: 1,
+  lossOfPayDays: 0,
+  overtimeHours: 4,
+  prorationFactor: 1,
+  earnings: {
+    basicSalary: 100000,
+    housingAllowance: 40000,
+    transportAllowance: 10000,
+    medicalAllowance: 0,
+    utilityAllowance: 0,
+    otherAllowances: 0,
+    overtimePay: 5000,
+    bonus: 0,
+  },
+  grossSalary: 155000,
+  deductions: {
+    incomeTax: 12000,
+    eobiContribution: 370,
+    providentFund: 8000,
+    loanDeduction: 0,
+    otherDeductions: 0,
+    lossOfPay: 0,
+  },
+  totalDeductions: 20370,
+  netSalary: 134630,
+  bankName: 'HBL',
+  bankAccountNumber: '1234567890',
+};
+
+describe('Payslip PDF', () => {
+  it('should render a PDF document', async () => {
+    const content = await renderPayslipPdf(payslip, {
+      company: { name: 'PayrollX Demo Company', address: 'Lahore, Pakistan', ntn: '1234567-8' },
+      yearToDate: {
+        fiscalYear: '2025-26',
+        grossSalary: 1395000,
+        incomeTax: 108000,
+        totalDeductions: 183330,
+        netSalary: 1211670,
+      },
+    });
+
+    expect(Buffer.isBuffer(content)).toBe(true);
+    expect(content.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('should format amounts in PKR', () => {
+    expect(formatAmount(134630)).toBe('PKR 134,630.00');
+  });
+});
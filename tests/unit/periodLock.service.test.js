@@ -0,0 +1,84 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const periodLockService = require('../../src/services/periodLock.service');
+const attendanceService = require('../../src/services/attendance.service');
+
+describe('period lock service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects attendance dated in a locked payroll month without writing it', async () => {
+    db.query.mockImplementation(async (sql) => ({
+      rows: sql.includes('FROM payroll_period_locks') ? [{ month: 3, year: 2026, locked: true }] : [],
+    }));
+
+    await expect(attendanceService.markAttendance({
+      employeeId: 'emp-1', date: '2026-03-10', status: 'present', markedBy: 'hr-user-1',
+    })).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'PAYROLL_PERIOD_LOCKED',
+      message: 'Payroll for 3/2026 is locked; unlock the period before changing attendance',
+    });
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][1]).toEqual(['2026-03-10', '2026-03-10']);
+  });
+
+  it('records changes in unlocked months so the next run can correct pay', async () => {
+    db.query.mockImplementation(async (sql) => ({
+      rows: sql.includes('FROM payroll_period_locks') ? [{ month: 3, year: 2026, locked: false }] : [],
+    }));
+
+    await periodLockService.recordPeriodChange(db, {
+      employeeIds: ['emp-1'],
+      from: '2026-03-30',
+      to: '2026-04-02',
+      source: 'leave',
+      subject: 'leave',
+      changedBy: 'hr-user-1',
+    });
+
+    expect(db.query).toHaveBeenLastCalledWith(
+      expect.stringContaining('INSERT INTO payroll_period_changes'),
+      [['emp-1'], [3], [2026], 'leave', 'hr-user-1']
+    );
+  });
+
+  it('does not record changes in months that were never locked', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await periodLockService.recordPeriodChange(db, {
+      employeeIds: ['emp-1'], from: '2026-05-04', source: 'attendance', subject: 'attendance',
+    });
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('unlocks a locked month with a reason', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'lock-1' }] })
+      .mockResolvedValueOnce({
+        rows: [{
+          id: 'lock-1', month: 3, year: 2026, payroll_run_id: 'run-1',
+          locked_by_email: 'hr@payrollx.com', unlocked_by_email: 'admin@payrollx.com',
+          unlocked_at: '2026-04-05T00:00:00.000Z', unlock_reason: 'Late overtime sheets',
+        }],
+      });
+
+    const lock = await periodLockService.unlockPeriod(3, 2026, { reason: 'Late overtime sheets', unlockedBy: 'admin-1' });
+
+    expect(db.query.mock.calls[0][1]).toEqual([3, 2026, 'admin-1', 'Late overtime sheets']);
+    expect(lock).toMatchObject({ isLocked: false, unlockReason: 'Late overtime sheets' });
+  });
+
+  it('refuses to unlock a month that is not locked', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(periodLockService.unlockPeriod(5, 2026, { reason: 'x', unlockedBy: 'admin-1' }))
+      .rejects.toThrow('Payroll for 5/2026 is not locked');
+  });
+});
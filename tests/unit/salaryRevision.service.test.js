@@ -0,0 +1,240 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const salaryRevisionService = require('../../src/services/salaryRevision.service');
+
+const currentStructure = {
+  id: 'ss-1',
+  employee_id: 'emp-1',
+  basic_salary: '60000',
+  housing_allowance: '24000',
+  transport_allowance: '6000',
+  medical_allowance: '6000',
+  utility_allowance: '4000',
+  other_allowances: '0',
+  bonus: '0',
+  overtime_rate: '0',
+  provident_fund_employee: '3000',
+  provident_fund_employer: '3000',
+  loan_deduction: '0',
+  other_deductions: '0',
+  eobi_contribution: '0',
+  sessi_contribution: '0',
+  payment_method: 'bank_transfer',
+  gross_salary: '100000',
+  effective_from: '2024-01-01',
+  is_current: true,
+};
+
+describe('salary revision service', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+    db.getClient.mockResolvedValue(client);
+  });
+
+  it('closes the current structure and opens a new one, carrying over amounts not given', async () => {
+    db.query.mockImplementation(async (sql) => ({
+      rows: sql.includes('FROM employees') ? [{ id: 'emp-1' }] : [],
+    }));
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('is_current = true FOR UPDATE')) {
+        return { rows: [currentStructure] };
+      }
+      if (sql.includes('INSERT INTO salary_structures')) {
+        return { rows: [{ ...currentStructure, id: 'ss-2', basic_salary: '72000', effective_from: '2025-01-01' }] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await salaryRevisionService.createSalaryRevision('emp-1', {
+      effectiveFrom: '2025-01-01',
+      basicSalary: 72000,
+      reason: 'Annual increment',
+    }, 'hr-user-1');
+
+    expect(client.query).toHaveBeenCalledWith(
+      expect.stringContaining('effective_to = $1::date - 1'),
+      ['2025-01-01', 'ss-1']
+    );
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO salary_structures'));
+    const columns = insert[0].match(/\(([^)]+)\)/)[1].split(',').map((column) => column.trim());
+    const values = Object.fromEntries(columns.map((column, index) => [column, insert[1][index]]));
+
+    expect(values).toMatchObject({
+      employee_id: 'emp-1',
+      basic_salary: 72000,
+      housing_allowance: '24000',
+      payment_method: 'bank_transfer',
+      effective_from: '2025-01-01',
+      revision_reason: 'Annual increment',
+      created_by: 'hr-user-1',
+    });
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(result.revision.basicSalary).toBe(72000);
+    expect(result.pendingArrears).toEqual({ total: 0, months: [] });
+  });
+
+  it('rejects revisions that do not start after the current structure', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 'emp-1' }] });
+    client.query.mockImplementation(async (sql) => ({
+      rows: sql.includes('FOR UPDATE') ? [currentStructure] : [],
+    }));
+
+    await expect(
+      salaryRevisionService.createSalaryRevision('emp-1', { effectiveFrom: '2024-01-01', basicSalary: 70000 }, 'hr-user-1')
+    ).rejects.toThrow('Revision must take effect after the current structure (effective 2024-01-01)');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  it('accepts a revision backdated across a locked month and owes arrears for it', async () => {
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM employees')) {
+        return { rows: [{ id: 'emp-1' }] };
+      }
+      if (sql.includes('FROM payslips p')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', month: 1, year: 2025, salary_structure_id: 'ss-2', due_effective_from: '2025-01-01',
+            paid_monthly_salary: '100000', revised_monthly_salary: '112000', paid_factor: '1',
+          }],
+        };
+      }
+      return { rows: [] };
+    });
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('is_current = true FOR UPDATE')) {
+        return { rows: [currentStructure] };
+      }
+      if (sql.includes('payroll_period_locks')) {
+        return { rows: [{ month: 1, year: 2025, locked: true }] };
+      }
+      if (sql.includes('INSERT INTO salary_structures')) {
+        return { rows: [{ ...currentStructure, id: 'ss-2', basic_salary: '72000', effective_from: '2025-01-01' }] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await salaryRevisionService.createSalaryRevision('emp-1', {
+      effectiveFrom: '2025-01-01',
+      basicSalary: 72000,
+    }, 'hr-user-1');
+
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(result.pendingArrears).toEqual({
+      total: 12000,
+      months: [{
+        month: 1, year: 2025, salaryStructureId: 'ss-2',
+        paidMonthlySalary: 100000, revisedMonthlySalary: 112000, paidFactor: 1, amount: 12000,
+      }],
+    });
+  });
+
+  it('owes the difference for months paid at the old rate, less arrears already paid', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM payslips p')) {
+        return {
+          rows: [
+            {
+              employee_id: 'emp-1', month: 1, year: 2025, salary_structure_id: 'ss-2', due_effective_from: '2025-01-01',
+              paid_monthly_salary: '100000', revised_monthly_salary: '120000', paid_factor: '1',
+            },
+            {
+              employee_id: 'emp-1', month: 2, year: 2025, salary_structure_id: 'ss-2', due_effective_from: '2025-01-01',
+              paid_monthly_salary: '100000', revised_monthly_salary: '120000', paid_factor: '0.5',
+            },
+            {
+              employee_id: 'emp-2', month: 2, year: 2025, salary_structure_id: 'ss-9', due_effective_from: '2024-06-01',
+              paid_monthly_salary: '90000', revised_monthly_salary: '80000', paid_factor: '1',
+            },
+          ],
+        };
+      }
+      if (sql.includes('FROM salary_arrears sa')) {
+        return { rows: [{ employee_id: 'emp-1', month: 1, year: 2025, amount: '5000' }] };
+      }
+      return { rows: [] };
+    });
+
+    const byEmployee = await salaryRevisionService.getRunArrearsByEmployee(client, {
+      id: 'run-3', month: 3, year: 2025, include_base_salary: true,
+    });
+
+    expect(client.query.mock.calls[0][1]).toEqual(['run-3', 202503, null, ['approved', 'paid']]);
+    expect(byEmployee.get('emp-1')).toEqual({
+      amount: 25000,
+      lines: [
+        {
+          month: 1, year: 2025, salaryStructureId: 'ss-2',
+          paidMonthlySalary: 100000, revisedMonthlySalary: 120000, paidFactor: 1, amount: 15000,
+        },
+        {
+          month: 2, year: 2025, salaryStructureId: 'ss-2',
+          paidMonthlySalary: 100000, revisedMonthlySalary: 120000, paidFactor: 0.5, amount: 10000,
+        },
+      ],
+    });
+    expect(byEmployee.has('emp-2')).toBe(false);
+  });
+
+  it('owes a revision taking effect mid-month only from its effective date', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM payslips p')) {
+        return {
+          rows: [{
+            employee_id: 'emp-1', month: 4, year: 2025, salary_structure_id: 'ss-2', due_effective_from: '2025-04-16',
+            paid_monthly_salary: '100000', revised_monthly_salary: '130000', paid_factor: '1',
+          }],
+        };
+      }
+      return { rows: [] };
+    });
+
+    const byEmployee = await salaryRevisionService.getRunArrearsByEmployee(client, {
+      id: 'run-5', month: 5, year: 2025, include_base_salary: true,
+    });
+
+    expect(byEmployee.get('emp-1')).toEqual({
+      amount: 15000,
+      lines: [{
+        month: 4, year: 2025, salaryStructureId: 'ss-2',
+        paidMonthlySalary: 100000, revisedMonthlySalary: 130000, paidFactor: 0.5, amount: 15000,
+      }],
+    });
+  });
+
+  it('records arrears lines only for the employees that were calculated', async () => {
+    client.query.mockResolvedValue({ rows: [] });
+    const arrearsByEmployee = new Map([
+      ['emp-1', {
+        amount: 15000,
+        lines: [{
+          month: 1, year: 2025, salaryStructureId: 'ss-2',
+          paidMonthlySalary: 100000, revisedMonthlySalary: 120000, paidFactor: 0.75, amount: 15000,
+        }],
+      }],
+      ['emp-2', { amount: 5000, lines: [{ month: 1, year: 2025, amount: 5000 }] }],
+    ]);
+
+    await salaryRevisionService.recordRunArrears(client, 'run-3', arrearsByEmployee, ['emp-1']);
+
+    expect(client.query).toHaveBeenNthCalledWith(
+      1,
+      'DELETE FROM salary_arrears WHERE payroll_run_id = $1 AND employee_id = ANY($2)',
+      ['run-3', ['emp-1']]
+    );
+    expect(client.query.mock.calls[1][1]).toEqual([
+      'run-3', ['emp-1'], ['ss-2'], [1], [2025], [100000], [120000], [0.75], [15000],
+    ]);
+  });
+});
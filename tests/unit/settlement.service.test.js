@@ -0,0 +1,140 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const settlementService = require('../../src/services/settlement.service');
+
+describe('settlement.service createSettlementRun', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('requires the employee end date to be recorded first', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{ id: 'emp-1', joining_date: '2020-01-01', end_date: null }],
+    });
+
+    await expect(
+      settlementService.createSettlementRun({ employeeId: 'emp-1', createdBy: 'hr-user-1' })
+    ).rejects.toThrow('Set the employee end date before creating a final settlement');
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  it('rejects a second open settlement for the same employee', async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [{ id: 'emp-1', joining_date: '2020-01-01', end_date: '2026-03-15' }],
+      })
+      .mockResolvedValueOnce({ rows: [{ id: 'run-1' }] });
+
+    await expect(
+      settlementService.createSettlementRun({ employeeId: 'emp-1', createdBy: 'hr-user-1' })
+    ).rejects.toThrow('A final settlement already exists for this employee');
+  });
+
+  it('rejects a manual loan recovery when the loans module tracks an active loan', async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [{ id: 'emp-1', joining_date: '2020-01-01', end_date: '2026-03-15' }],
+      })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'loan-1' }] });
+
+    await expect(
+      settlementService.createSettlementRun({ employeeId: 'emp-1', loanRecovery: 50000, createdBy: 'hr-user-1' })
+    ).rejects.toThrow('Employee has an active loan');
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  it('creates a settlement run for the month of the last working date', async () => {
+    const client = {
+      query: jest.fn(),
+      release: jest.fn(),
+    };
+
+    db.getClient.mockResolvedValue(client);
+    db.query
+      .mockResolvedValueOnce({
+        rows: [{ id: 'emp-1', joining_date: '2020-01-01', end_date: '2026-03-15' }],
+      })
+      .mockResolvedValueOnce({ rows: [] })
+      // No active loans
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({
+        rows: [{
+          payroll_run_id: 'run-9',
+          employee_id: 'emp-1',
+          run_status: 'draft',
+          first_name: 'Ali',
+          last_name: 'Khan',
+          last_working_date: '2026-03-15',
+          loan_recovery: '5000',
+          payslip_id: null,
+        }],
+      })
+      .mockResolvedValueOnce({ rows: [] });
+    client.query
+      .mockResolvedValueOnce()
+      .mockResolvedValueOnce({ rows: [{ id: 'run-9' }] })
+      .mockResolvedValueOnce()
+      .mockResolvedValueOnce();
+
+    const result = await settlementService.createSettlementRun({
+      employeeId: 'emp-1',
+      resignationDate: '2026-02-20',
+      loanRecovery: 5000,
+      createdBy: 'hr-user-1',
+    });
+
+    expect(client.query).toHaveBeenNthCalledWith(
+      2,
+      expect.stringContaining("'final_settlement'"),
+      [3, 2026, '2026-03-01', '2026-03-31', 'hr-user-1', 'emp-1', null]
+    );
+    expect(client.query).toHaveBeenNthCalledWith(
+      3,
+      expect.stringContaining('INSERT INTO final_settlements'),
+      ['run-9', 'emp-1', '2026-02-20', '2026-03-15', 5000, null, 'hr-user-1']
+    );
+    expect(client.query).toHaveBeenNthCalledWith(4, 'COMMIT');
+    expect(client.release).toHaveBeenCalled();
+    expect(result.payrollRunId).toBe('run-9');
+    expect(result.loanRecovery).toBe(5000);
+    expect(result.earnings).toBeNull();
+    expect(result.loans).toEqual([]);
+  });
+});
+
+describe('settlement.service getSettlementStatement', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('itemises every earning and deduction on the settlement payslip', async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [{
+          payroll_run_id: 'run-9', run_status: 'completed', employee_id: 'emp-1',
+          first_name: 'Ali', last_name: 'Khan', payslip_id: 'ps-1',
+          basic_salary: '60000', housing_allowance: '24000', transport_allowance: '6000',
+          medical_allowance: '6000', utility_allowance: '4000', other_allowances: '0',
+          overtime_pay: '2000', leave_encashment: '30000', gratuity: '100000',
+          bonus: '10000', other_earnings: '5000', salary_arrears: '8000', gross_salary: '255000',
+          income_tax: '12000', eobi_contribution: '370', provident_fund_employee: '3000',
+          loan_deduction: '20000', other_deductions: '1000', loss_of_pay_deduction: '0',
+          notice_period_recovery: '15000', adjustment_deductions: '2500', total_deductions: '53870',
+          net_salary: '201130', proration_factor: '1', loan_recovery: null,
+        }],
+      })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const statement = await settlementService.getSettlementStatement('run-9');
+    const sum = (lines) => Object.values(lines).reduce((total, amount) => total + amount, 0);
+
+    expect(sum(statement.earnings)).toBe(statement.grossAmount);
+    expect(sum(statement.deductions)).toBe(statement.totalDeductions);
+    expect(statement.grossAmount - statement.totalDeductions).toBe(statement.netPayable);
+  });
+});
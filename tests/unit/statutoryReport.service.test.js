@@ -0,0 +1,162 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const statutoryReportService = require('../../src/services/statutoryReport.service');
+
+const payslipRow = (overrides = {}) => ({
+  employee_id: 'emp-1',
+  emp_code: 'EMP-001',
+  first_name: 'Ali',
+  last_name: 'Khan',
+  cnic: '35202-1234567-1',
+  registration_number: 'EOBI-0001',
+  wage: '100000',
+  employee_share: '150',
+  employer_share: '750',
+  ...overrides,
+});
+
+describe('statutoryReport.service getContributionReturn', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('builds the schedule and lists employees without registration numbers separately', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'run-1', month: 3, year: 2026, status: 'approved' }] })
+      .mockResolvedValueOnce({
+        rows: [
+          payslipRow(),
+          payslipRow({ employee_id: 'emp-2', emp_code: 'EMP-002', registration_number: 'EOBI-0002', wage: '60000', employee_share: '90', employer_share: '450' }),
+          payslipRow({ employee_id: 'emp-3', emp_code: 'EMP-003', registration_number: null }),
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [{ value: '"EMP-REG-77"' }] });
+
+    const report = await statutoryReportService.getContributionReturn('run-1', 'eobi');
+
+    expect(db.query.mock.calls[1][0]).toContain('e.eobi_number');
+    expect(report.employerRegistrationNumber).toBe('EMP-REG-77');
+    expect(report.contributions.map((line) => line.employeeCode)).toEqual(['EMP-001', 'EMP-002']);
+    expect(report.missingRegistration.map((line) => line.employeeCode)).toEqual(['EMP-003']);
+    expect(report.totals).toEqual({
+      employees: 2,
+      insurableWage: 160000,
+      employeeShare: 240,
+      employerShare: 1200,
+      totalContribution: 1440,
+    });
+
+    const csv = statutoryReportService.contributionReturnToCsv(report);
+    expect(csv.split(/\r?\n/)[0]).toBe(
+      'Sequence,Registration Number,CNIC,Employee Code,Employee Name,Insurable Wage,Employee Share,Employer Share,Total Contribution'
+    );
+    expect(csv).toContain('TOTAL,,,,,160000,240,1200,1440');
+
+    const lines = statutoryReportService.contributionReturnToFixedWidth(report).split('\r\n');
+    expect(lines[0]).toBe(`H${'EOBI'.padEnd(12)}${'EMP-REG-77'.padEnd(20)}202603`);
+    expect(lines[1]).toHaveLength(1 + 6 + 20 + 13 + 35 + 10 + 8 + 8);
+    expect(lines[1].startsWith('D000001EOBI-0001')).toBe(true);
+    expect(lines[3]).toBe(`T000002${'160000'.padStart(12, '0')}${'240'.padStart(10, '0')}${'1200'.padStart(10, '0')}`);
+  });
+
+  it('caps the insurable wage at the social security ceiling', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'run-1', month: 3, year: 2026, status: 'paid' }] })
+      .mockResolvedValueOnce({
+        rows: [payslipRow({ registration_number: 'SS-1', employee_share: '0', employer_share: '188' })],
+      })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const report = await statutoryReportService.getContributionReturn('run-1', 'social_security');
+
+    expect(db.query.mock.calls[1][0]).toContain('e.social_security_number');
+    expect(report.contributions[0].insurableWage).toBe(25000);
+    expect(report.totals.employerShare).toBe(188);
+  });
+
+  it('rejects runs that are not approved', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'run-1', month: 3, year: 2026, status: 'completed' }] });
+
+    await expect(statutoryReportService.getContributionReturn('run-1', 'eobi'))
+      .rejects.toThrow('Contribution returns can only be built for approved payroll runs');
+  });
+});
+
+describe('statutoryReport.service getWithholdingStatement', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const statementRow = (overrides = {}) => ({
+    employee_id: 'emp-1',
+    emp_code: 'EMP-001',
+    first_name: 'Ali',
+    last_name: 'Khan',
+    city: 'Lahore',
+    ntn_number: '1234567-8',
+    cnic: '35202-1234567-1',
+    is_filer: true,
+    taxable_amount: '450000',
+    tax_amount: '15000',
+    ...overrides,
+  });
+
+  it('gathers a quarter and separates invalid CNICs from the upload', async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [
+          statementRow(),
+          statementRow({ employee_id: 'emp-2', emp_code: 'EMP-002', cnic: '12345', is_filer: false, tax_amount: '5000' }),
+        ],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'run-1', month: 7, year: 2024, run_type: 'regular', total_tax: '20000', payslip_tax: '20000' },
+        ],
+      });
+
+    const statement = await statutoryReportService.getWithholdingStatement({ fiscalYear: '2024-25', quarter: 3 });
+
+    expect(db.query.mock.calls[0][1]).toEqual([202501, 202503]);
+    expect(statement.period).toEqual({ fiscalYear: '2024-25', quarter: 3, from: 202501, to: 202503 });
+    expect(statement.rows).toHaveLength(1);
+    expect(statement.rows[0].cnic).toBe('3520212345671');
+    expect(statement.invalidCnic).toEqual([
+      expect.objectContaining({ employeeCode: 'EMP-002', reason: 'CNIC must have 13 digits' }),
+    ]);
+    expect(statement.totals).toEqual({
+      employees: 2, taxableAmount: 900000, taxAmount: 20000, exportedTaxAmount: 15000,
+    });
+    expect(statement.reconciliation).toEqual(expect.objectContaining({ matches: true, difference: 0 }));
+
+    const csv = statutoryReportService.withholdingStatementToCsv(statement).split(/\r?\n/);
+    expect(csv[0]).toBe(
+      'Payment Section,TaxPayer_NTN,TaxPayer_CNIC,TaxPayer_Name,TaxPayer_City,TaxPayer_Status,Active_Taxpayer,Taxable_Amount,Tax_Amount'
+    );
+    expect(csv[1]).toBe('149,1234567-8,3520212345671,Ali Khan,Lahore,Individual,Yes,450000.00,15000.00');
+  });
+
+  it('flags runs whose total tax does not match their payslips', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [statementRow()] })
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'run-1', month: 7, year: 2024, run_type: 'regular', total_tax: '18000', payslip_tax: '15000' },
+        ],
+      });
+
+    const statement = await statutoryReportService.getWithholdingStatement({ fiscalYear: '2024-25' });
+
+    expect(db.query.mock.calls[0][1]).toEqual([202407, 202506]);
+    expect(statement.reconciliation).toEqual(expect.objectContaining({
+      payslipTax: 15000,
+      runTotalTax: 18000,
+      difference: -3000,
+      matches: false,
+      mismatchedRuns: [expect.objectContaining({ id: 'run-1', totalTax: 18000, payslipTax: 15000 })],
+    }));
+  });
+});
@@ -8,6 +8,10 @@ const {
   calculateEOBI,
   calculateSESSI,
   calculateAllDeductions,
+  calculateCumulativeTax,
+  getTaxSlabInfo,
+  validateTaxSlabs,
+  DEFAULT_TAX_TABLE,
 } = require('../../src/utils/taxCalculator');
 
 describe('Tax Calculator', () => {
@@ -130,6 +134,15 @@ describe('Tax Calculator', () => {
       expect(result.otherDeductions).toBe(2000);
     });
 
+    it('should include the employee provident fund share in total deductions', () => {
+      const withoutFund = calculateAllDeductions(150000, true);
+      const withFund = calculateAllDeductions(150000, true, { providentFund: 8000 });
+
+      expect(withFund.providentFund).toBe(8000);
+      expect(withFund.totalDeductions).toBe(withoutFund.totalDeductions + 8000);
+      expect(withFund.incomeTax).toBe(withoutFund.incomeTax);
+    });
+
     it('should include employer contributions', () => {
       const result = calculateAllDeductions(150000, true);
 
@@ -138,4 +151,143 @@ describe('Tax Calculator', () => {
       expect(result.employerContributions.sessi).toBeGreaterThan(0);
     });
   });
+
+  describe('calculateCumulativeTax', () => {
+    it('should match the monthly projection for a full year at a steady salary', () => {
+      const result = calculateCumulativeTax({
+        salary: 100000,
+        lumpSum: 0,
+        projectedSalary: 100000,
+        remainingMonths: 11,
+        isFiler: true,
+      });
+
+      expect(result.incomeTax).toBe(calculateMonthlyTax(100000, true).monthlyTax);
+      expect(result.projectedAnnualIncome).toBe(1200000);
+      expect(result.annualTaxLiability).toBe(15000);
+    });
+
+    it('should withhold tax on a lump sum in full in the month it is paid', () => {
+      // 1,250 salary tax + 25,000 marginal tax on the bonus
+      const result = calculateCumulativeTax({
+        salary: 100000,
+        lumpSum: 200000,
+        projectedSalary: 100000,
+        remainingMonths: 11,
+        isFiler: true,
+      });
+
+      expect(result.incomeTax).toBe(26250);
+    });
+
+    it('should spread under-withheld tax after a raise over the remaining months', () => {
+      // July to December at 100,000 (7,500 withheld), then 200,000 from January
+      const result = calculateCumulativeTax({
+        salary: 200000,
+        lumpSum: 0,
+        yearToDate: { taxableIncome: 600000, incomeTax: 7500 },
+        projectedSalary: 200000,
+        remainingMonths: 5,
+        isFiler: true,
+      });
+      const annualTax = calculateAnnualTax(1800000, true).annualTax;
+
+      expect(result.projectedAnnualIncome).toBe(1800000);
+      expect(result.incomeTax).toBe(Math.round((annualTax - 7500) / 6));
+    });
+
+    it('should withhold the same total when the month is split across runs', () => {
+      const yearToDate = { taxableIncome: 800000, incomeTax: 10000 };
+
+      // Bonus paid off-cycle before the regular run, taxed against the expected salary
+      const offCycle = calculateCumulativeTax({
+        salary: 0,
+        lumpSum: 200000,
+        yearToDate,
+        projectedSalary: 100000,
+        remainingMonths: 3,
+        isFiler: true,
+      });
+      const regular = calculateCumulativeTax({
+        salary: 100000,
+        lumpSum: 0,
+        yearToDate,
+        earlier: { salary: 0, lumpSum: 200000, incomeTax: offCycle.incomeTax },
+        projectedSalary: 100000,
+        remainingMonths: 3,
+        isFiler: true,
+      });
+      const single = calculateCumulativeTax({
+        salary: 100000,
+        lumpSum: 200000,
+        yearToDate,
+        projectedSalary: 100000,
+        remainingMonths: 3,
+        isFiler: true,
+      });
+
+      expect(offCycle.incomeTax).toBe(25000);
+      expect(offCycle.incomeTax + regular.incomeTax).toBe(single.incomeTax);
+    });
+
+    it('should never return negative tax', () => {
+      const result = calculateCumulativeTax({
+        salary: 50000,
+        lumpSum: 0,
+        yearToDate: { taxableIncome: 1000000, incomeTax: 50000 },
+        projectedSalary: 50000,
+        remainingMonths: 0,
+        isFiler: true,
+      });
+
+      expect(result.incomeTax).toBe(0);
+    });
+  });
+
+  describe('tax tables', () => {
+    const taxTable = {
+      label: '2025-26',
+      filer: [
+        { min: 0, max: 600000, rate: 0, fixed: 0 },
+        { min: 600001, max: Infinity, rate: 10, fixed: 0 },
+      ],
+      nonFiler: [
+        { min: 0, max: Infinity, rate: 20, fixed: 0 },
+      ],
+    };
+
+    it('should calculate tax from the given tax table', () => {
+      expect(calculateAnnualTax(1200000, true, taxTable).annualTax).toBe(60000);
+      expect(calculateAnnualTax(1200000, false, taxTable).annualTax).toBe(240000);
+    });
+
+    it('should describe the slabs of the given tax table', () => {
+      const slabs = getTaxSlabInfo(true, taxTable);
+
+      expect(slabs).toHaveLength(2);
+      expect(slabs[1]).toEqual({
+        minIncome: 600001, maxIncome: 'Above 600,000', rate: '10%', fixedAmount: 0,
+      });
+    });
+
+    it('should accept the default tax table', () => {
+      expect(validateTaxSlabs(DEFAULT_TAX_TABLE.filer)).toEqual([]);
+      expect(validateTaxSlabs(DEFAULT_TAX_TABLE.nonFiler)).toEqual([]);
+    });
+
+    it('should report gaps, overlaps and a bounded top slab', () => {
+      expect(validateTaxSlabs([
+        { min: 0, max: 600000, rate: 0, fixed: 0 },
+        { min: 700001, max: 1200000, rate: 5, fixed: 0 },
+      ])).toEqual(expect.arrayContaining([
+        expect.stringContaining('Gap'),
+        expect.stringContaining('no upper limit'),
+      ]));
+
+      expect(validateTaxSlabs([
+        { min: 0, max: 600000, rate: 0, fixed: 0 },
+        { min: 500000, max: Infinity, rate: 5, fixed: 0 },
+      ])).toEqual([expect.stringContaining('overlaps')]);
+    });
+  });
 });
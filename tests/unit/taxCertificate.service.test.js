@@ -0,0 +1,126 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+jest.mock('../../src/services/payslipDocument.service', () => ({
+  getCompanyDetails: jest.fn(async () => ({ name: 'PayrollX', address: 'Lahore', ntn: '1234567-8' })),
+}));
+
+const db = require('../../src/config/database');
+const taxCertificateService = require('../../src/services/taxCertificate.service');
+
+const monthRow = (month, year, overrides = {}) => ({
+  employee_id: 'emp-1',
+  month,
+  year,
+  basic_salary: '100000',
+  housing_allowance: '40000',
+  transport_allowance: '0',
+  medical_allowance: '10000',
+  utility_allowance: '0',
+  other_allowances: '0',
+  overtime_pay: '0',
+  bonus: '0',
+  other_earnings: '0',
+  leave_encashment: '0',
+  gratuity: '0',
+  gross_salary: '150000',
+  loss_of_pay_deduction: '0',
+  taxable_income: '150000',
+  income_tax: '5000',
+  eobi_contribution: '370',
+  ...overrides,
+});
+
+const employeeRow = {
+  id: 'emp-1',
+  emp_code: 'EMP-001',
+  first_name: 'Ali',
+  last_name: 'Khan',
+  cnic: '35202-1234567-1',
+  ntn_number: null,
+  tax_filing_status: 'filer',
+  designation: 'Engineer',
+  department_name: 'Engineering',
+};
+
+describe('taxCertificate.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('adds up an employee\'s approved payslips over the July-June fiscal year', async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [
+          monthRow(7, 2024),
+          // Off-cycle bonus run paid with a non-taxable reimbursement
+          monthRow(12, 2024, {
+            bonus: '50000', other_earnings: '10000', gross_salary: '210000', taxable_income: '200000', income_tax: '15000',
+          }),
+          monthRow(6, 2025, { loss_of_pay_deduction: '5000', taxable_income: '145000' }),
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [employeeRow] });
+
+    const certificate = await taxCertificateService.getTaxCertificate('emp-1', '2024-25');
+
+    expect(db.query.mock.calls[0][0]).toContain("pr.status IN ('approved', 'paid')");
+    expect(db.query.mock.calls[0][1]).toEqual([202407, 202506, 'emp-1']);
+    expect(certificate.period).toEqual({ from: '2024-07-01', to: '2025-06-30' });
+    expect(certificate.employee).toEqual(expect.objectContaining({ employeeCode: 'EMP-001', isFiler: true }));
+    expect(certificate.earnings.basicSalary).toBe(300000);
+    expect(certificate.earnings.bonus).toBe(50000);
+    expect(certificate.grossSalary).toBe(510000);
+    expect(certificate.lossOfPay).toBe(5000);
+    expect(certificate.exemptIncome).toBe(10000);
+    expect(certificate.taxableIncome).toBe(495000);
+    expect(certificate.incomeTax).toBe(25000);
+    expect(certificate.eobiContribution).toBe(1110);
+
+    expect(certificate.months).toHaveLength(12);
+    expect(certificate.months[0]).toEqual(expect.objectContaining({ month: 7, year: 2024, incomeTax: 5000 }));
+    expect(certificate.months[1]).toEqual(expect.objectContaining({ month: 8, year: 2024, incomeTax: 0 }));
+    expect(certificate.months[11]).toEqual(expect.objectContaining({ month: 6, year: 2025, incomeTax: 5000 }));
+  });
+
+  it('fails when the employee has no approved payslips in the fiscal year', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(taxCertificateService.getTaxCertificate('emp-1', '2024-25'))
+      .rejects.toThrow('No approved payslips found for this employee in fiscal year 2024-25');
+  });
+
+  it('rejects a fiscal year label that does not span consecutive years', async () => {
+    await expect(taxCertificateService.getTaxCertificate('emp-1', '2024-26'))
+      .rejects.toThrow('Fiscal year must look like 2024-25');
+
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('generates certificates for the whole company and renders them as PDF', async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [monthRow(7, 2024), monthRow(7, 2024, { employee_id: 'emp-2' })],
+      })
+      .mockResolvedValueOnce({
+        rows: [employeeRow, { ...employeeRow, id: 'emp-2', emp_code: 'EMP-002', first_name: 'Sara' }],
+      });
+
+    const result = await taxCertificateService.getTaxCertificates('2024-25');
+
+    expect(db.query.mock.calls[0][1]).toEqual([202407, 202506]);
+    expect(result.count).toBe(2);
+    expect(result.certificates.map((certificate) => certificate.employee.employeeCode)).toEqual(['EMP-001', 'EMP-002']);
+
+    db.query
+      .mockResolvedValueOnce({ rows: [monthRow(7, 2024)] })
+      .mockResolvedValueOnce({ rows: [employeeRow] });
+
+    const pdf = await taxCertificateService.getTaxCertificatePdf('emp-1', '2024-25');
+
+    expect(pdf.filename).toBe('tax-certificate-EMP-001-2024-25.pdf');
+    expect(pdf.content.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+const db = require('../../src/config/database');
+const taxYearService = require('../../src/services/taxYear.service');
+
+const slabs = {
+  filer: [
+    { minIncome: 0, maxIncome: 600000, rate: 0, fixedAmount: 0 },
+    { minIncome: 600001, maxIncome: null, rate: 5, fixedAmount: 0 },
+  ],
+  nonFiler: [
+    { minIncome: 0, maxIncome: 600000, rate: 0, fixedAmount: 0 },
+    { minIncome: 600001, maxIncome: null, rate: 10, fixedAmount: 0 },
+  ],
+};
+
+describe('taxYear.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects slabs with gaps before touching the database', async () => {
+    const withGap = {
+      ...slabs,
+      filer: [
+        { minIncome: 0, maxIncome: 600000, rate: 0 },
+        { minIncome: 800001, maxIncome: null, rate: 5 },
+      ],
+    };
+
+    await expect(taxYearService.createTaxYear({
+      label: '2025-26', startDate: '2025-07-01', endDate: '2026-06-30', slabs: withGap,
+    }, 'user-1')).rejects.toMatchObject({
+      message: 'Tax slabs are invalid',
+      details: ['filer: Gap between 600000 and 800001'],
+    });
+
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('rejects a tax year overlapping an existing one', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ label: '2024-25' }] });
+
+    await expect(taxYearService.createTaxYear({
+      label: '2025-26', startDate: '2025-06-01', endDate: '2026-06-30', slabs,
+    }, 'user-1')).rejects.toThrow('Tax year overlaps 2024-25');
+
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  it('uses the tax year covering the date and opens the top slab', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [{ id: 'year-1', label: '2024-25' }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { tax_year_id: 'year-1', taxpayer_type: 'filer', min_income: '0.00', max_income: '600000.00', rate: '0.00', fixed_amount: '0.00' },
+          { tax_year_id: 'year-1', taxpayer_type: 'filer', min_income: '600001.00', max_income: null, rate: '5.00', fixed_amount: '0.00' },
+          { tax_year_id: 'year-1', taxpayer_type: 'non_filer', min_income: '0.00', max_income: null, rate: '10.00', fixed_amount: '0.00' },
+        ],
+      });
+
+    const taxTable = await taxYearService.getTaxTableForDate('2024-08-01');
+
+    expect(db.query.mock.calls[0][0]).toContain('start_date <= $1 AND end_date >= $1');
+    expect(db.query.mock.calls[0][1]).toEqual(['2024-08-01']);
+    expect(taxTable).toEqual({
+      label: '2024-25',
+      filer: [
+        { min: 0, max: 600000, rate: 0, fixed: 0 },
+        { min: 600001, max: Infinity, rate: 5, fixed: 0 },
+      ],
+      nonFiler: [{ min: 0, max: Infinity, rate: 10, fixed: 0 }],
+    });
+  });
+
+  it('fails when no tax year covers the payroll period', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(taxYearService.getTaxTableForDate('2020-01-01'))
+      .rejects.toThrow('No tax year is configured for 2020-01-01');
+  });
+
+  it('does not carry the last configured year into the next one', async () => {
+    // Latest configured year is 2024-25, ending 30 June 2025
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(taxYearService.getTaxTableForDate('2025-07-01'))
+      .rejects.toThrow('No tax year is configured for 2025-07-01');
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});